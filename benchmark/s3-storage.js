@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * Measures how base images are fetched from an S3-compatible baseline
+ * storage, with an empty and with a filled local `dirExpected` folder.
+ *
+ * The bucket is served by the in-memory stand-in of the tests. No network
+ * access or credentials are required. The behavior of the storage is
+ * checked by `npm test`.
+ *
+ * Usage:
+ *
+ *   node benchmark/s3-storage.js [options]
+ *
+ * Options:
+ *
+ *   --images <n>        Number of base image variations. Defaults to 20.
+ *   --width <px>        Image width. Defaults to 1280.
+ *   --height <px>       Image height. Defaults to 2000.
+ *   --runs <n>          Number of cached runs. Defaults to 3.
+ *
+ * @author Philipp Stracker
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+const args = parseArgs(process.argv.slice(2));
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelmatch-benchmark-'));
+
+global.codecept_dir = root;
+global.output_dir = path.join(root, 'output');
+
+const PixelmatchHelper = require('../index');
+const { startServer } = require('../test/s3-server');
+
+const credentials = {
+	bucket: 'baselines',
+	region: 'eu-central-1',
+	accessKeyId: 'benchmark',
+	secretAccessKey: 'benchmark-secret'
+};
+
+run()
+	.catch(err => {
+		console.error(err);
+		process.exitCode = 1;
+	})
+	.finally(() => fs.rmSync(root, {recursive: true, force: true}));
+
+/**
+ * Runs the benchmark.
+ */
+async function run() {
+	const bucket = await startServer(credentials);
+
+	try {
+		await benchmark(bucket);
+	} finally {
+		bucket.server.close();
+	}
+}
+
+/**
+ * Fetches the base images with an empty and with a filled local cache.
+ *
+ * @param {object} bucket - The running stand-in server.
+ */
+async function benchmark(bucket) {
+	const dirs = {
+		expected: path.join(root, 'base') + '/',
+		actual: global.output_dir + '/',
+		diff: path.join(root, 'diff') + '/'
+	};
+
+	Object.values(dirs).forEach(dir => fs.mkdirSync(dir, {recursive: true}));
+
+	const storage = Object.assign({type: 's3', endpoint: bucket.endpoint, prefix: 'app/'}, credentials);
+	const image = PNG.sync.write(createImage(args.width, args.height));
+
+	for (let i = 0; i < args.images; i++) {
+		bucket.objects.set(`app/page${i ? '~' + i : ''}.png`, image);
+	}
+	fs.writeFileSync(dirs.actual + 'page.png', image);
+
+	console.log(`Image: ${args.width}x${args.height}, ${args.images} base images`);
+
+	const helper = new PixelmatchHelper({
+		dirExpected: dirs.expected,
+		dirActual: dirs.actual,
+		dirDiff: dirs.diff,
+		baselineStorage: storage
+	});
+
+	helper.debug = () => {};
+	helper.debugSection = () => {};
+
+	report('empty cache', await compare(helper));
+
+	const times = [];
+	for (let i = 0; i < args.runs; i++) {
+		times.push(await compare(helper));
+	}
+	report(`cached (median of ${args.runs})`, times.sort((a, b) => a - b)[Math.floor(times.length / 2)]);
+}
+
+/**
+ * Compares the actual image with all base images and returns the duration.
+ *
+ * @param {PixelmatchHelper} helper - The helper instance.
+ * @return {Promise<number>} Duration in milliseconds.
+ */
+async function compare(helper) {
+	const start = process.hrtime.bigint();
+
+	await helper.getVisualDifferences('page.png', {
+		captureActual: false,
+		captureExpected: false,
+		tolerance: 100
+	});
+
+	return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * Prints a timing.
+ *
+ * @param {string} label - Description of the run.
+ * @param {number} time - Duration in milliseconds.
+ */
+function report(label, time) {
+	console.log(`${label.padEnd(24)} ${time.toFixed(0).padStart(6)} ms`);
+}
+
+/**
+ * Returns a page-like image with colored blocks. The seed changes the
+ * colors, so the encoded image is different.
+ *
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @param {int} [seed] - Optional. Variation of the image.
+ * @return {PNG}
+ */
+function createImage(width, height, seed) {
+	const png = new PNG({width, height});
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const k = 4 * (x + width * y);
+			const block = (Math.floor(x / 160) + Math.floor(y / 120) + (seed || 0)) % 4;
+
+			png.data[k] = 230 - 30 * block;
+			png.data[k + 1] = 235 - 20 * block;
+			png.data[k + 2] = 240 - 10 * block;
+			png.data[k + 3] = 255;
+		}
+	}
+
+	return png;
+}
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {string[]} argv - Command line arguments.
+ * @return {{images: int, width: int, height: int, runs: int}}
+ */
+function parseArgs(argv) {
+	const result = {
+		images: 20,
+		width: 1280,
+		height: 2000,
+		runs: 3
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		const key = argv[i].replace(/^--/, '');
+
+		if (!result.hasOwnProperty(key)) {
+			continue;
+		}
+
+		result[key] = Math.max(1, parseInt(argv[++i]) || 1);
+	}
+
+	return result;
+}
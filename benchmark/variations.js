@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Measures the comparison of a large full-page screenshot against multiple
+ * base image variations, on the main thread and in worker threads.
+ *
+ * Usage:
+ *
+ *   node benchmark/variations.js [options]
+ *
+ * Options:
+ *
+ *   --width <px>        Image width. Defaults to 1280.
+ *   --height <px>       Image height. Defaults to 6000.
+ *   --variations <n>    Number of base images. Defaults to 6.
+ *   --threads <n>       Number of comparison threads. Defaults to "auto".
+ *   --runs <n>          Number of runs per mode. Defaults to 3.
+ *
+ * @author Philipp Stracker
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+const args = parseArgs(process.argv.slice(2));
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelmatch-benchmark-'));
+
+global.codecept_dir = root;
+global.output_dir = path.join(root, 'output');
+
+const PixelmatchHelper = require('../index');
+
+run()
+	.catch(err => {
+		console.error(err);
+		process.exitCode = 1;
+	})
+	.finally(() => fs.rmSync(root, {recursive: true, force: true}));
+
+/**
+ * Runs the benchmark.
+ */
+async function run() {
+	const dirs = {
+		expected: path.join(root, 'base') + '/',
+		actual: global.output_dir + '/',
+		diff: path.join(root, 'diff') + '/'
+	};
+
+	Object.values(dirs).forEach(dir => fs.mkdirSync(dir, {recursive: true}));
+
+	console.log(`Image: ${args.width}x${args.height}, ${args.variations} base images, ${os.cpus().length} CPU cores`);
+
+	// The actual image differs from every base image by a moved block.
+	writeImage(dirs.actual + 'page.png', 0);
+
+	for (let i = 0; i < args.variations; i++) {
+		const name = i ? `page~${i}.png` : 'page.png';
+		writeImage(dirs.expected + name, i + 1);
+	}
+
+	const helper = new PixelmatchHelper({
+		dirExpected: dirs.expected,
+		dirActual: dirs.actual,
+		dirDiff: dirs.diff
+	});
+
+	helper.debug = () => {};
+	helper.debugSection = () => {};
+
+	const modes = [
+		{label: 'main thread', threads: 1},
+		{label: `worker threads (${args.threads})`, threads: args.threads}
+	];
+	const timings = [];
+
+	for (const mode of modes) {
+		const times = [];
+
+		// The first run starts the worker threads, and is not measured.
+		await compare(helper, mode.threads);
+
+		for (let i = 0; i < args.runs; i++) {
+			times.push(await compare(helper, mode.threads));
+		}
+
+		const median = times.sort((a, b) => a - b)[Math.floor(times.length / 2)];
+		timings.push(median);
+
+		console.log(`${mode.label.padEnd(24)} ${median.toFixed(0).padStart(6)} ms (median of ${args.runs})`);
+	}
+
+	console.log(`Speedup: ${(timings[0] / timings[1]).toFixed(2)}x`);
+
+	await helper._finishTest();
+}
+
+/**
+ * Compares the actual image with all base images and returns the duration.
+ *
+ * @param {PixelmatchHelper} helper - The helper instance.
+ * @param {'auto'|int} threads - Number of comparison threads.
+ * @return {Promise<number>} Duration in milliseconds.
+ */
+async function compare(helper, threads) {
+	const start = process.hrtime.bigint();
+
+	await helper.getVisualDifferences('page.png', {
+		captureActual: false,
+		captureExpected: false,
+		comparisonThreads: threads,
+
+		// Only measure the comparison, without writing the diff image.
+		tolerance: 100
+	});
+
+	return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * Writes a page-like image with colored blocks. The seed moves one block,
+ * so every image is slightly different.
+ *
+ * @param {string} file - Path of the image.
+ * @param {int} seed - Variation of the image.
+ */
+function writeImage(file, seed) {
+	const png = new PNG({width: args.width, height: args.height});
+	const offset = 20 * seed;
+
+	for (let y = 0; y < png.height; y++) {
+		for (let x = 0; x < png.width; x++) {
+			const k = 4 * (x + png.width * y);
+			const block = (Math.floor(x / 160) + Math.floor(y / 120)) % 4;
+			const moved = y >= 200 && y < 260 && x >= 100 + offset && x < 400 + offset;
+
+			png.data[k] = moved ? 20 : 230 - 30 * block;
+			png.data[k + 1] = moved ? 20 : 235 - 20 * block;
+			png.data[k + 2] = moved ? 20 : 240 - 10 * block;
+			png.data[k + 3] = 255;
+		}
+	}
+
+	fs.writeFileSync(file, PNG.sync.write(png));
+}
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {string[]} argv - Command line arguments.
+ * @return {{width: int, height: int, variations: int, threads: 'auto'|int, runs: int}}
+ */
+function parseArgs(argv) {
+	const result = {
+		width: 1280,
+		height: 6000,
+		variations: 6,
+		threads: 'auto',
+		runs: 3
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		const key = argv[i].replace(/^--/, '');
+
+		if (!result.hasOwnProperty(key)) {
+			continue;
+		}
+
+		const value = argv[++i];
+		result[key] = 'threads' === key && 'auto' === value ? value : Math.max(1, parseInt(value) || 1);
+	}
+
+	return result;
+}
@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+
+/**
+ * Promotes actual images to new base images.
+ *
+ * Every diff image in the `dirDiff` folder marks a failed comparison. This
+ * command copies the related actual image from `dirActual` over the
+ * expected image (or variation) in `dirExpected` and removes the diff image.
+ * A shared base image is replaced in the shared folder, like the
+ * `updateBaselines` mode of the helper does.
+ * The actual image is converted, when the base image uses another format.
+ * When a `baselineStorage` is configured, approved images are uploaded.
+ *
+ * Usage:
+ *
+ *   npx pixelmatch-approve [options] [image ...]
+ *
+ * Options:
+ *
+ *   -c, --config <file>  CodeceptJS config file. Defaults to
+ *                        codecept.conf.js or codecept.json.
+ *   --expected <dir>     Overrides the dirExpected folder.
+ *   --actual <dir>       Overrides the dirActual folder.
+ *   --diff <dir>         Overrides the dirDiff folder.
+ *   --prefix <prefix>    Overrides the diffPrefix.
+ *   --namespace <dir>    Sub-folder of dirExpected that receives the new
+ *                        base images, like "chromium/1280x720". Defaults
+ *                        to the namespace that the helper recorded in the
+ *                        diff image, or the baselineNamespace of the config.
+ *   --dry-run            Only list the images that would be approved.
+ *   -h, --help           Show this help.
+ *
+ * When image names are given, only those images are approved.
+ *
+ * @author Philipp Stracker
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../lib/cli');
+const { getNamespaceValues, formatNamespace } = require('../lib/namespace');
+const { createStorage } = require('../lib/storage');
+const { EXTENSIONS, EXTENSION_PATTERN, getFormat, convertImage, readNamespace } = require('../lib/image-format');
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help) {
+	printHelp();
+	process.exit(0);
+}
+
+let dirs;
+let storage;
+
+try {
+	dirs = getFolders(args);
+	storage = createStorage(dirs.storage);
+} catch (err) {
+	console.error(err.message);
+	process.exit(1);
+}
+
+approveAll().catch(err => {
+	console.error(err.message);
+	process.exit(1);
+});
+
+/**
+ * Approves all matching images.
+ *
+ * @return {Promise<void>}
+ */
+async function approveAll() {
+	const diffFiles = listFiles(dirs.diff).filter(file => {
+		const base = path.basename(file);
+		return 0 === base.indexOf(dirs.prefix) && getFormat(base);
+	});
+
+	let approved = 0;
+
+	for (const diffFile of diffFiles) {
+		const expectedDir = getExpectedDir(diffFile);
+		const target = getApproveTarget(diffFile, expectedDir);
+
+		if (!target) {
+			console.warn(`Skip ${diffFile}: No actual image found`);
+			continue;
+		}
+
+		if (args.images.length && -1 === args.images.indexOf(target.image)) {
+			continue;
+		}
+
+		const from = path.join(dirs.actual, target.actual);
+		const to = target.expected;
+
+		console.log(`${args.dryRun ? 'Would approve' : 'Approve'} ${from} -> ${to}`);
+
+		if (!args.dryRun) {
+			const data = convertImage(fs.readFileSync(from), getFormat(to));
+
+			fs.mkdirSync(path.dirname(to), {recursive: true});
+			fs.writeFileSync(to, data);
+
+			if (storage) {
+				await storage.upload(path.relative(dirs.shared, to).split(path.sep).join('/'), data);
+			}
+
+			fs.unlinkSync(path.join(dirs.diff, diffFile));
+
+			// Remove the animated flicker image of the comparison.
+			const flickerFile = path.join(dirs.diff, stripExtension(diffFile) + '.apng');
+			if (fs.existsSync(flickerFile)) {
+				fs.unlinkSync(flickerFile);
+			}
+		}
+
+		approved++;
+	}
+
+	console.log(`${approved} image(s) ${args.dryRun ? 'can be approved' : 'approved'}`);
+}
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {string[]} argv - Command line arguments.
+ * @return {object}
+ */
+function parseArgs(argv) {
+	const result = {
+		config: '',
+		expected: '',
+		actual: '',
+		diff: '',
+		prefix: '',
+		namespace: '',
+		dryRun: false,
+		help: false,
+		images: []
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		switch (argv[i]) {
+			case '-c':
+			case '--config':
+				result.config = argv[++i];
+				break;
+
+			case '--expected':
+			case '--actual':
+			case '--diff':
+			case '--prefix':
+			case '--namespace':
+				result[argv[i].substr(2)] = argv[++i];
+				break;
+
+			case '--dry-run':
+				result.dryRun = true;
+				break;
+
+			case '-h':
+			case '--help':
+				result.help = true;
+				break;
+
+			default:
+				result.images.push(stripExtension(argv[i]));
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Prints the usage information of this command.
+ */
+function printHelp() {
+	console.log([
+		'Usage: pixelmatch-approve [options] [image ...]',
+		'',
+		'Copies actual images over the expected base images of failed comparisons.',
+		'',
+		'Options:',
+		'  -c, --config <file>  CodeceptJS config file (codecept.conf.js, codecept.json)',
+		'  --expected <dir>     Folder with base images (dirExpected)',
+		'  --actual <dir>       Folder with actual images (dirActual)',
+		'  --diff <dir>         Folder with diff images (dirDiff)',
+		'  --prefix <prefix>    Filename prefix of diff images (diffPrefix)',
+		'  --namespace <dir>    Sub-folder of dirExpected for the new base images (baselineNamespace)',
+		'  --dry-run            Only list the images that would be approved',
+		'  -h, --help           Show this help'
+	].join('\n'));
+}
+
+/**
+ * Determines the image folders, using the same defaults as the helper.
+ * Values from the CodeceptJS config are overwritten by command line args.
+ *
+ * @param {object} args - Parsed command line arguments.
+ * @return {{expected: string, shared: string, actual: string, diff: string, prefix: string,
+ *     extension: string, storage: object|null}}
+ */
+function getFolders(args) {
+	const config = loadConfig(args.config);
+	const baseDir = config.file ? path.dirname(config.file) : process.cwd();
+	const helper = config.helper;
+
+	const dirs = {
+		expected: helper.dirExpected || './tests/screenshots/base/',
+		actual: helper.dirActual || config.output || './output/',
+		diff: helper.dirDiff || './tests/screenshots/diff/',
+		prefix: helper.diffPrefix || 'Diff_',
+		extension: '.' + String(helper.baselineExtension || 'png').toLowerCase().replace(/^\.+/, ''),
+		storage: helper.baselineStorage || null
+	};
+
+	if (!getFormat(dirs.extension)) {
+		dirs.extension = '.png';
+	}
+
+	['expected', 'actual', 'diff', 'prefix'].forEach(key => {
+		if (args[key]) {
+			dirs[key] = args[key];
+		}
+	});
+
+	['expected', 'actual', 'diff'].forEach(key => {
+		dirs[key] = path.resolve(args[key] ? process.cwd() : baseDir, dirs[key]);
+	});
+
+	// New base images are saved to the namespace, while variations are also
+	// detected in the shared folder. The namespace of the config is used for
+	// diff images without a recorded namespace.
+	dirs.shared = dirs.expected;
+	dirs.expected = path.join(dirs.expected, args.namespace || getNamespace(config));
+
+	// Relative folders of the fs storage are relative to the config file.
+	if (dirs.storage && 'fs' === dirs.storage.type && dirs.storage.dir) {
+		dirs.storage = Object.assign({}, dirs.storage, {dir: path.resolve(baseDir, dirs.storage.dir)});
+	}
+
+	if (!fs.existsSync(dirs.diff)) {
+		throw new Error(`The diff folder does not exist: ${dirs.diff}`);
+	}
+
+	return dirs;
+}
+
+/**
+ * Resolves the baselineNamespace of the config. Placeholders are replaced
+ * with values from the config of the browser helper; the viewport is the
+ * configured window size, which can differ from the inner window size that
+ * the helper uses. So this is only a fallback for older diff images.
+ *
+ * @param {object} config - The result of `loadConfig()`.
+ * @return {string} The relative namespace folder, or an empty string.
+ */
+function getNamespace(config) {
+	const pattern = config.helper.baselineNamespace;
+
+	if (!pattern || 'string' !== typeof pattern) {
+		return '';
+	}
+
+	const driver = config.driver || {name: '', config: {}};
+
+	return formatNamespace(pattern, getNamespaceValues(driver.name, driver.config));
+}
+
+/**
+ * Returns the folder that receives the new base image of the given diff
+ * image. The helper records its resolved namespace in the diff image, which
+ * is used unless the --namespace argument is given.
+ *
+ * @param {string} diffFile - Relative path of the diff image.
+ * @return {string} Absolute path of the folder.
+ */
+function getExpectedDir(diffFile) {
+	if (args.namespace) {
+		return dirs.expected;
+	}
+
+	const namespace = readNamespace(fs.readFileSync(path.join(dirs.diff, diffFile)));
+
+	if (null === namespace) {
+		return dirs.expected;
+	}
+
+	return path.join(dirs.shared, formatNamespace(namespace, {}));
+}
+
+/**
+ * Recursively lists all files inside the given folder.
+ *
+ * @param {string} dir - Absolute path to the folder.
+ * @param {string} [prefix] - Relative path of the current sub-folder.
+ * @return {string[]} Relative file paths.
+ */
+function listFiles(dir, prefix) {
+	const list = [];
+	prefix = prefix || '';
+
+	fs.readdirSync(path.join(dir, prefix), {withFileTypes: true}).forEach(entry => {
+		const rel = path.join(prefix, entry.name);
+
+		if (entry.isDirectory()) {
+			list.push(...listFiles(dir, rel));
+		} else {
+			list.push(rel);
+		}
+	});
+
+	return list;
+}
+
+/**
+ * Removes a supported image extension from the file name.
+ *
+ * @param {string} file - File name or path.
+ * @return {string}
+ */
+function stripExtension(file) {
+	return file.replace(new RegExp(EXTENSION_PATTERN + '$', 'i'), '');
+}
+
+/**
+ * Returns the relative path of an existing image, in any supported format.
+ *
+ * @param {string} dir - Absolute path of the folder.
+ * @param {string} name - Relative image path without extension.
+ * @return {string} Relative image path with extension, or an empty string.
+ */
+function findImage(dir, name) {
+	const ext = EXTENSIONS.find(item => fs.existsSync(path.join(dir, name + item)));
+
+	return ext ? name + ext : '';
+}
+
+/**
+ * Returns the names of all base images in the given sub-folder, without
+ * extension. Images of the namespace are listed before shared images.
+ *
+ * @param {string} expectedDir - Absolute path of the namespace folder.
+ * @param {string} dir - Relative path of the sub-folder.
+ * @return {{name: string, file: string}[]} Image names and absolute paths.
+ */
+function listExpected(expectedDir, dir) {
+	const list = [];
+
+	[expectedDir, dirs.shared].forEach(root => {
+		const folder = path.join(root, dir);
+
+		if (!fs.existsSync(folder)) {
+			return;
+		}
+
+		fs.readdirSync(folder).filter(file => getFormat(file)).forEach(file => {
+			list.push({
+				name: stripExtension(file),
+				file: path.join(folder, file)
+			});
+		});
+	});
+
+	return list;
+}
+
+/**
+ * Determines the actual image and the expected image (or variation) that
+ * belong to the given diff image.
+ *
+ * Diff images of variations contain the variation as suffix:
+ * "Diff_home.png" belongs to "home.png", while "Diff_home.2.png" belongs to
+ * the variation "home~2.png". As image names can contain dots, the diff
+ * image is matched against the existing base images, instead of splitting
+ * its name. Images can use any supported format.
+ *
+ * @param {string} diffFile - Relative path of the diff image.
+ * @param {string} expectedDir - Absolute path of the namespace folder.
+ * @return {{image: string, actual: string, expected: string}|null} The
+ *         image name, the relative path of the actual image and the absolute
+ *         path of the base image.
+ */
+function getApproveTarget(diffFile, expectedDir) {
+	const dir = path.dirname(diffFile);
+	const name = stripExtension(path.basename(diffFile).substr(dirs.prefix.length));
+
+	for (const item of listExpected(expectedDir, dir)) {
+		const pos = item.name.lastIndexOf('~');
+		const image = -1 === pos ? item.name : item.name.substr(0, pos);
+		const diffName = -1 === pos ? image : `${image}.${item.name.substr(pos + 1)}`;
+
+		if (diffName !== name) {
+			continue;
+		}
+
+		const actual = findImage(dirs.actual, path.join(dir, image));
+
+		if (actual) {
+			return {
+				image: path.join(dir, image),
+				actual,
+				expected: item.file
+			};
+		}
+	}
+
+	// A new base image.
+	const image = path.join(dir, name);
+	const actual = findImage(dirs.actual, image);
+
+	if (actual) {
+		return {
+			image,
+			actual,
+			expected: path.join(expectedDir, image + dirs.extension)
+		};
+	}
+
+	return null;
+}
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Lists or deletes base images that were not used by the last test run.
+ *
+ * The command reads the baseline manifest, which is written by the helper
+ * at the end of a test run when the `baselineManifest` option is enabled.
+ * It refuses to run, when the manifest is incomplete, i.e. when only a
+ * subset of the tests was executed (grep, `.only()`, single test file), or
+ * tests failed, were skipped or are pending.
+ *
+ * Usage:
+ *
+ *   npx pixelmatch-cleanup [options]
+ *
+ * Options:
+ *
+ *   -c, --config <file>  CodeceptJS config file. Defaults to
+ *                        codecept.conf.js or codecept.json.
+ *   --manifest <file>    Overrides the path of the baseline manifest.
+ *   --delete             Delete the orphaned base images. Without this
+ *                        option, the images are only listed.
+ *   -h, --help           Show this help.
+ *
+ * @author Philipp Stracker
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../lib/cli');
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help) {
+	printHelp();
+	process.exit(0);
+}
+
+let manifest;
+
+try {
+	manifest = loadManifest(args);
+} catch (err) {
+	console.error(err.message);
+	process.exit(1);
+}
+
+if (!manifest.data.complete) {
+	console.error('The last test run did not execute all tests, base images might be used by skipped tests:');
+	(manifest.data.incomplete || []).forEach(reason => console.error(`  - ${reason}`));
+	console.error('Run the full test suite without filters, and try again.');
+	process.exit(1);
+}
+
+const dir = path.resolve(manifest.data.dirExpected);
+let count = 0;
+
+for (const rel of manifest.data.orphaned || []) {
+	const file = path.resolve(dir, rel);
+
+	// Never touch files outside the base image folder.
+	if (0 !== path.relative(dir, file).indexOf('..') && fs.existsSync(file)) {
+		console.log(`${args.delete ? 'Delete' : 'Orphaned'} ${file}`);
+
+		if (args.delete) {
+			fs.unlinkSync(file);
+		}
+
+		count++;
+	}
+}
+
+console.log(`${count} orphaned base image(s) ${args.delete ? 'deleted' : 'found'}`);
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {string[]} argv - Command line arguments.
+ * @return {object}
+ */
+function parseArgs(argv) {
+	const result = {
+		config: '',
+		manifest: '',
+		delete: false,
+		help: false
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		switch (argv[i]) {
+			case '-c':
+			case '--config':
+				result.config = argv[++i];
+				break;
+
+			case '--manifest':
+				result.manifest = argv[++i];
+				break;
+
+			case '--delete':
+				result.delete = true;
+				break;
+
+			case '-h':
+			case '--help':
+				result.help = true;
+				break;
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Prints the usage information of this command.
+ */
+function printHelp() {
+	console.log([
+		'Usage: pixelmatch-cleanup [options]',
+		'',
+		'Lists base images that were not used by the last test run.',
+		'',
+		'Options:',
+		'  -c, --config <file>  CodeceptJS config file (codecept.conf.js, codecept.json)',
+		'  --manifest <file>    Baseline manifest (baselineManifest)',
+		'  --delete             Delete the orphaned base images',
+		'  -h, --help           Show this help'
+	].join('\n'));
+}
+
+/**
+ * Loads the baseline manifest, using the same default path as the helper.
+ *
+ * @param {object} args - Parsed command line arguments.
+ * @return {{file: string, data: object}}
+ */
+function loadManifest(args) {
+	let file = args.manifest ? path.resolve(args.manifest) : '';
+
+	if (!file) {
+		const config = loadConfig(args.config);
+		const baseDir = config.file ? path.dirname(config.file) : process.cwd();
+		const value = config.helper.baselineManifest;
+
+		if (value && 'string' === typeof value) {
+			file = path.resolve(baseDir, value);
+		} else {
+			file = path.resolve(baseDir, config.output || './output/', 'visual-baselines.json');
+		}
+	}
+
+	if (!fs.existsSync(file)) {
+		throw new Error(`Baseline manifest not found: ${file}. Enable the "baselineManifest" option and run all tests.`);
+	}
+
+	return {
+		file,
+		data: JSON.parse(fs.readFileSync(file, 'utf8'))
+	};
+}
@@ -10,11 +10,43 @@ export = PixelmatchHelper;
  *     dirDiff: "./tests/screenshots/diff/",
  *     dirActual: "./tests/output/", // Optional. Defaults to global.output_dir.
  *     diffPrefix: "Diff_" // Optional. Defaults to "Diff_"
+ *     baselineExtension: ".png", // Optional. [.png|.jpg|.webp] Format of new base images.
+ *     diffExtension: ".png", // Optional. [.png|.jpg|.webp] Format of diff images.
  *     tolerance: 1.5,
  *     threshold: 0.1,
  *     dumpIntermediateImage: false,
  *     captureActual: true,
- *     captureExpected: true
+ *     captureExpected: true,
+ *     sizeMismatch: "fail", // Optional. [fail|pad|crop|anchor-top-left]
+ *     algorithm: "pixelmatch", // Optional. [pixelmatch|ssim]
+ *     minSimilarity: 0.98, // Optional. Only used by the "ssim" algorithm.
+ *     ssimThreshold: 0.1, // Optional. Windows below an SSIM of (1 - value) are different.
+ *     maxDiffPixels: null, // Optional. Absolute number of allowed different pixels.
+ *     maxDiffRegionArea: null, // Optional. Max. bounding-box area of a changed region.
+ *     criteria: "all", // Optional. [all|any] How to combine the pass criteria.
+ *     minRegionSize: 0, // Optional. Ignore smaller regions of different pixels.
+ *     regionGap: 0, // Optional. Max. gap between pixels of the same region.
+ *     drawRegions: false, // Optional. Outline the regions in the diff image.
+ *     diffLayout: "diff", // Optional. [diff|side-by-side|stacked]
+ *     flickerDiff: false, // Optional. Or the frame duration in ms, like 500.
+ *     comparisonThreads: 1, // Optional. Threads to compare variations, "auto" uses all cores.
+ *     fastMode: false, // Optional. Stop comparing once the tolerance is exceeded.
+ *     detectShift: false, // Optional. Or {maxDistance: 10, compensate: true, scope: "regions"}
+ *     fullPage: false, // Optional. Capture the entire page, not only the viewport.
+ *     elementMode: "bounds", // Optional. [bounds|crop] How `element` comparisons capture.
+ *     normalizeScale: false, // Optional. Or the device pixel ratio to compare at, like 2.
+ *     stabilize: false, // Optional. Or {count: 2, interval: 250, timeout: 5000}
+ *     freezeAnimations: false, // Optional. Disable animations, caret and videos.
+ *     hideElements: [], // Optional. Selectors of elements to hide in screenshots.
+ *     baselineNamespace: "{browser}/{viewport}", // Optional. Sub-folder for base images.
+ *     baselineStorage: {type: "s3", bucket: "baselines"}, // Optional. Or {type: "fs", dir: "..."}
+ *     updateBaselines: false, // Optional. Or set UPDATE_VISUAL_BASELINES=1
+ *     soft: false, // Optional. Collect failures and fail the test at its end.
+ *     attachImages: "failed", // Optional. [failed|always|never] Allure/Mochawesome attachments.
+ *     htmlReport: true, // Optional. Or a path like "./output/visual-report.html"
+ *     reportFile: true, // Optional. Or a path like "./output/visual-report.json"
+ *     junitReport: true, // Optional. Or a path like "./output/visual-report.xml"
+ *     baselineManifest: true // Optional. Or a path like "./output/visual-baselines.json"
  *   }
  * }
  *
@@ -55,6 +87,19 @@ declare class PixelmatchHelper {
      * @type {string}
      */
     globalDiffPrefix: string;
+    /**
+     * File extension of new base images, which also defines the image
+     * format. Existing base images are found in every supported format.
+     *
+     * @type {'.png'|'.jpg'|'.jpeg'|'.webp'}
+     */
+    globalBaselineExtension: '.png' | '.jpg' | '.jpeg' | '.webp';
+    /**
+     * File extension and format of generated diff images.
+     *
+     * @type {'.png'|'.jpg'|'.jpeg'|'.webp'}
+     */
+    globalDiffExtension: '.png' | '.jpg' | '.jpeg' | '.webp';
     /**
      * Whether to save the intermediate images to the global output folder,
      * after applying the bounds and ignore-boxes.
@@ -84,6 +129,267 @@ declare class PixelmatchHelper {
      * @type {boolean|'missing'}
      */
     globalCaptureExpected: boolean | 'missing';
+    /**
+     * How to handle base images that have different dimensions than the
+     * actual image.
+     *
+     * fail            - Throw an error, the images cannot be compared.
+     * pad             - Center both images on a canvas that fits both images.
+     * anchor-top-left - Place both images in the top-left corner of a canvas
+     *                   that fits both images.
+     * crop            - Like 'anchor-top-left', but the diff image only shows
+     *                   the overlapping area.
+     *
+     * In all modes except 'fail', pixels that are only present in one image
+     * count as differences.
+     *
+     * @type {'fail'|'pad'|'crop'|'anchor-top-left'}
+     */
+    globalSizeMismatch: 'fail' | 'pad' | 'crop' | 'anchor-top-left';
+    /**
+     * Whether failed comparisons should accept the actual image as new
+     * base image. The best-matching expected image (or variation) is replaced
+     * by the actual image, and the comparison passes.
+     *
+     * Can also be enabled via the environment variable
+     * `UPDATE_VISUAL_BASELINES=1`.
+     *
+     * @type {boolean}
+     */
+    globalUpdateBaselines: boolean;
+    /**
+     * Whether failed comparisons are collected instead of failing the
+     * test immediately. The test fails once at its end, listing every
+     * failed comparison.
+     *
+     * @type {boolean}
+     */
+    globalSoft: boolean;
+    /**
+     * When to attach the expected, actual and diff image to the Allure
+     * report (allure plugin) and the Mochawesome report (Mochawesome helper).
+     *
+     * @type {'failed'|'always'|'never'}
+     */
+    globalAttachImages: 'failed' | 'always' | 'never';
+    /**
+     * The comparison engine. Either the name of a built-in engine, or a
+     * custom function with the same signature as pixelmatch, that returns
+     * the number of different pixels, or an object `{diffPixels, similarity}`.
+     *
+     * pixelmatch - Pixel-by-pixel comparison of colors.
+     * ssim       - Structural similarity, less sensitive to sub-pixel shifts.
+     *
+     * @type {'pixelmatch'|'ssim'|function}
+     */
+    globalAlgorithm: 'pixelmatch' | 'ssim' | Function;
+    /**
+     * Minimum similarity (0 - 1) that is required to pass the comparison.
+     * Only used by engines that calculate a similarity score, like "ssim".
+     * When empty, the tolerance decides whether the images match.
+     *
+     * @type {float|null}
+     */
+    globalMinSimilarity: float | null;
+    /**
+     * Threshold (0 - 1) of the "ssim" engine: A window of the image whose
+     * SSIM index is below (1 - threshold) counts as different. Unlike the
+     * `threshold`, which is the color distance of pixelmatch.
+     *
+     * @type {float}
+     */
+    globalSsimThreshold: float;
+    /**
+     * Maximum number of different pixels that pass the comparison. Unlike
+     * the tolerance, this limit does not depend on the image size.
+     * When empty, the number of pixels is not checked.
+     *
+     * @type {int|null}
+     */
+    globalMaxDiffPixels: int | null;
+    /**
+     * Maximum bounding-box area (in pixels) of the largest changed region
+     * that passes the comparison. When empty, regions are not checked.
+     *
+     * @type {int|null}
+     */
+    globalMaxDiffRegionArea: int | null;
+    /**
+     * How the pass criteria (tolerance or similarity, maxDiffPixels and
+     * maxDiffRegionArea) are combined.
+     *
+     * all - Every criterion must pass.
+     * any - At least one criterion must pass.
+     *
+     * @type {'all'|'any'}
+     */
+    globalCriteria: 'all' | 'any';
+    /**
+     * Regions of different pixels that are smaller than this number of
+     * pixels are considered noise, and do not count as difference.
+     *
+     * @type {int}
+     */
+    globalMinRegionSize: int;
+    /**
+     * Number of unchanged pixels that can be between two different pixels
+     * of the same region.
+     *
+     * @type {int}
+     */
+    globalRegionGap: int;
+    /**
+     * Whether to draw the outline of all regions into the diff image.
+     *
+     * @type {boolean}
+     */
+    globalDrawRegions: boolean;
+    /**
+     * Layout of the saved diff image.
+     *
+     * diff         - Only the diff image.
+     * side-by-side - Expected, actual and diff image next to each other.
+     * stacked      - Expected, actual and diff image below each other.
+     *
+     * The composite layouts contain captions with the image name, the
+     * variation and the difference.
+     *
+     * @type {'diff'|'side-by-side'|'stacked'}
+     */
+    globalDiffLayout: 'diff' | 'side-by-side' | 'stacked';
+    /**
+     * How comparisons with an `element` option capture the element.
+     *
+     * bounds - Capture the viewport and only compare pixels inside the
+     *          bounding box of the element.
+     * crop   - Capture only the element and compare the crop. Base images
+     *          do not depend on the position of the element.
+     *
+     * @type {'bounds'|'crop'}
+     */
+    globalElementMode: 'bounds' | 'crop';
+    /**
+     * Whether to save an animated PNG next to the diff image, that flips
+     * between the expected and the actual image. The value is the display
+     * duration of each frame in milliseconds; false disables the animation.
+     *
+     * @type {false|int}
+     */
+    globalFlickerDiff: false | int;
+    /**
+     * Maximum number of worker threads that compare the variations of a
+     * base image in parallel. "auto" uses one thread per CPU core; 1 runs
+     * all comparisons on the main thread.
+     *
+     * @type {'auto'|int}
+     */
+    globalComparisonThreads: 'auto' | int;
+    /**
+     * Whether comparisons stop as soon as the pass criteria cannot be met
+     * anymore. Such results are marked as `partial`, and their difference is
+     * a lower limit. The full diff is only computed when it's saved.
+     *
+     * Only used by the pixelmatch engine, for images of the same size and
+     * without per-region settings.
+     *
+     * @type {boolean}
+     */
+    globalFastMode: boolean;
+    /**
+     * Device pixel ratio at which images are compared, or false to compare
+     * images at their original size. Captured screenshots record their
+     * device pixel ratio, and both images are resampled to this ratio.
+     *
+     * @type {false|float}
+     */
+    globalNormalizeScale: false | float;
+    /**
+     * Whether to estimate the offset of content that moved between the
+     * expected and the actual image, and up to which distance [px].
+     *
+     * scope      - "global" estimates one offset for the entire image,
+     *              "regions" estimates an offset for every changed area.
+     * compensate - Whether the content is moved back before the comparison,
+     *              so a shifted, but unchanged section passes.
+     *
+     * @type {false|{maxDistance: int, compensate: boolean, scope: 'global'|'regions'}}
+     */
+    globalDetectShift: false | {
+        maxDistance: int;
+        compensate: boolean;
+        scope: 'global' | 'regions';
+    };
+    /**
+     * Whether screenshots capture the entire page, instead of the viewport.
+     *
+     * @type {boolean}
+     */
+    globalFullPage: boolean;
+    /**
+     * Whether to repeat captured screenshots until the page is stable, i.e.
+     * until `count` consecutive screenshots are pixel-identical. Fails when
+     * the page does not stabilize within `timeout` milliseconds.
+     *
+     * @type {false|{count: int, interval: int, timeout: int}}
+     */
+    globalStabilize: false | {
+        count: int;
+        interval: int;
+        timeout: int;
+    };
+    /**
+     * Whether to disable animations and transitions, hide the text caret and
+     * pause videos before a screenshot is taken.
+     *
+     * @type {boolean}
+     */
+    globalFreezeAnimations: boolean;
+    /**
+     * List of element selectors that are hidden (`visibility: hidden`)
+     * before a screenshot is taken.
+     *
+     * @type {string[]}
+     */
+    globalHideElements: string[];
+    /**
+     * Folder pattern inside `dirExpected`, to keep separate base images for
+     * every browser, viewport or platform. When no base image exists in the
+     * namespace folder, the shared base image in `dirExpected` is used.
+     *
+     * Placeholders: {browser}, {viewport}, {platform}, {driver}
+     *
+     * @type {string}
+     */
+    globalBaselineNamespace: string;
+    /**
+     * Absolute path of the HTML report that lists all comparisons of the
+     * test run. An empty value disables the report.
+     *
+     * @type {string}
+     */
+    globalHtmlReport: string;
+    /**
+     * Absolute path of the JSON file that receives one record per comparison
+     * of the test run. An empty value disables the JSON report.
+     *
+     * @type {string}
+     */
+    globalReportFile: string;
+    /**
+     * Absolute path of the JUnit XML file that lists all comparisons of the
+     * test run. An empty value disables the JUnit report.
+     *
+     * @type {string}
+     */
+    globalJunitReport: string;
+    /**
+     * Absolute path of the JSON file that lists all base images that were
+     * used, and all orphaned base images of the test run. The file is used
+     * by the `pixelmatch-cleanup` command. An empty value disables it.
+     *
+     * @type {string}
+     */
+    globalBaselineManifest: string;
     /**
      * Contains the image paths for the current test.
      *
@@ -100,17 +406,123 @@ declare class PixelmatchHelper {
      * @type {object}
      */
     options: object;
+    /**
+     * Resolved baseline namespace of the current comparison, e.g.
+     * "chromium/1280x720/linux". Empty, when no namespace is used.
+     *
+     * @type {string}
+     */
+    namespace: string;
+    /**
+     * Worker threads for parallel comparisons. Created on first usage.
+     *
+     * @type {WorkerPool|null}
+     */
+    workerPool: WorkerPool | null;
+    /**
+     * Remote storage of the base images. The `dirExpected` folder is used as
+     * local cache. Null, when base images are only stored locally.
+     *
+     * @type {object|null}
+     */
+    storage: object | null;
+    /**
+     * Local copies of stored base images that were downloaded or verified,
+     * by absolute path. A copy with the same modification time and etag is
+     * not hashed again. Only these copies are deleted, when the base image
+     * is removed from the storage.
+     *
+     * The list is saved in the `dirExpected` folder, and loaded on the first
+     * download of a test run.
+     *
+     * @type {Object<string, {mtime: float, etag: string}>|null}
+     */
+    cachedBaselines: {
+        [x: string]: {
+            mtime: float;
+            etag: string;
+        };
+    } | null;
+    /**
+     * Device pixel ratio of the current actual image. Used for base images
+     * that do not record their ratio.
+     *
+     * @type {float}
+     */
+    actualScale: float;
     /**
      * Name of the image to compare.
      *
      * @type {string}
      */
     imageName: string;
+    /**
+     * The currently running test.
+     *
+     * @type {object|null}
+     */
+    currentTest: object | null;
+    /**
+     * Comparison records of the current process, used to generate reports
+     * at the end of the test run.
+     *
+     * @type {object[]}
+     */
+    records: object[];
+    /**
+     * Soft failures of the current test. The test fails at its end, when
+     * this list is not empty.
+     *
+     * @type {{image: string, difference: float, diffImage: string, message: string}[]}
+     */
+    softFailures: {
+        image: string;
+        difference: float;
+        diffImage: string;
+        message: string;
+    }[];
+    /**
+     * Whether a test is running. Soft failures are only collected inside a
+     * test; otherwise, no test could fail at its end.
+     *
+     * @type {boolean}
+     */
+    softActive: boolean;
+    /**
+     * Relative paths of all base images that were used in the current
+     * process, the namespaces of those base images, and the tests that
+     * failed or did not run.
+     *
+     * @type {{baselines: Set<string>, namespaces: Set<string>, failedTests: int, skippedTests: Set<string>}}
+     */
+    usage: {
+        baselines: any;
+        namespaces: any;
+        failedTests: int;
+        skippedTests: any;
+    };
+    /**
+     * The Codecept instance of a single process run, with all test files of
+     * the config. Null in the main thread of `run-workers`, which always
+     * runs all test files.
+     *
+     * @type {object|null}
+     */
+    codeceptRun: object | null;
     /**
      * Holds comparison results.
      *
      * @type {{match: boolean, difference: float, diffImage: string, diffPixels: integer,
-     *     totalPixels: integer, relevantPixels: integer}}
+     *     totalPixels: integer, relevantPixels: integer, variation: string, variations: object[],
+     *     sizeMismatch: boolean, dimensions: {actual: {width: int, height: int},
+     *     expected: {width: int, height: int}}, baselineUpdated: boolean,
+     *     similarity: float|null, regions: {left: int, top: int, width: int, height: int,
+     *     pixels: int, area: int}[], stabilizeAttempts: int, failedCriteria: string[],
+     *     regionResults: {name: string, left: int, top: int, width: int, height: int,
+     *     tolerance: float, threshold: float, diffPixels: int, relevantPixels: int,
+     *     difference: float, match: boolean}[], partial: boolean, offset: {x: int, y: int}|null,
+     *     shiftedRegions: {left: int, top: int, width: int, height: int,
+     *     offset: {x: int, y: int}}[]}}
      */
     result: {
         match: boolean;
@@ -119,7 +531,104 @@ declare class PixelmatchHelper {
         diffPixels: integer;
         totalPixels: integer;
         relevantPixels: integer;
+        variation: string;
+        variations: object[];
+        sizeMismatch: boolean;
+        dimensions: {
+            actual: {
+                width: int;
+                height: int;
+            };
+            expected: {
+                width: int;
+                height: int;
+            };
+        };
+        baselineUpdated: boolean;
+        similarity: float | null;
+        regions: {
+            left: int;
+            top: int;
+            width: int;
+            height: int;
+            pixels: int;
+            area: int;
+        }[];
+        stabilizeAttempts: int;
+        failedCriteria: string[];
+        regionResults: {
+            name: string;
+            left: int;
+            top: int;
+            width: int;
+            height: int;
+            tolerance: float;
+            threshold: float;
+            diffPixels: int;
+            relevantPixels: int;
+            difference: float;
+            match: boolean;
+        }[];
+        partial: boolean;
+        offset: {
+            x: int;
+            y: int;
+        } | null;
+        shiftedRegions: {
+            left: int;
+            top: int;
+            width: int;
+            height: int;
+            offset: {
+                x: int;
+                y: int;
+            };
+        }[];
     };
+    /**
+     * Registers event listeners that generate the reports at the end of the
+     * test run. Called internally by CodeceptJS.
+     */
+    _init(): void;
+    /**
+     * Stops the comparison threads at the end of the test run.
+     * Called internally by CodeceptJS.
+     *
+     * @return {Promise<void>}
+     */
+    _finishTest(): Promise<void>;
+    /**
+     * Remembers the current test, to link comparison results to the test.
+     * Called internally by CodeceptJS.
+     *
+     * @param {object} test - The mocha test.
+     */
+    _before(test: object): void;
+    /**
+     * Fails the current test, when soft comparisons failed.
+     * Called internally by CodeceptJS, in the "after each" hook of the test.
+     */
+    _after(): void;
+    /**
+     * Marks the given test as failed, from its "after each" hook.
+     *
+     * CodeceptJS only logs errors of helper hooks, and a failing hook would
+     * skip the remaining tests of the suite. Instead, the error is passed to
+     * the running hook via `Hook#error()`, which makes mocha fail the test.
+     *
+     * @param {object} test - The mocha test.
+     * @param {Error} err - The reason.
+     * @private
+     */
+    private _failTest;
+    /**
+     * Returns an error that lists every failed soft comparison of the current
+     * test, and resets the list.
+     *
+     * @return {Error|null} The error, or null when no soft comparison failed.
+     * @private
+     */
+    private _getSoftFailureError;
     /**
      * Compares the given screenshot with the expected image. When too many
      * differences are detected, the test will fail.
@@ -132,6 +641,27 @@ declare class PixelmatchHelper {
      * @return {Promise}
      */
     checkVisualDifferences(image: string, options?: object): Promise<any>;
+    /**
+     * Compares the given screenshot with the expected image, like
+     * `checkVisualDifferences()`. A failed comparison does not stop the
+     * test, but the test fails at its end with a list of all failures.
+     *
+     * I.softCheckVisualDifferences('header.png');
+     * I.softCheckVisualDifferences('footer.png');
+     *
+     * @param {string} image - Name of the input image to compare.
+     * @param {object} [options] - Optional options for the comparison.
+     * @return {Promise}
+     */
+    softCheckVisualDifferences(image: string, options?: object): Promise<any>;
+    /**
+     * Describes why the given comparison failed.
+     *
+     * @param {object} res - The comparison result.
+     * @return {string}
+     * @private
+     */
+    private _getFailureMessage;
     /**
      * Compares the given screenshot with the expected image and updates the
      * class member `this.result` with details. This function does to trigger an
@@ -145,18 +675,234 @@ declare class PixelmatchHelper {
         match: boolean;
         difference: float;
     };
+    /**
+     * Compares the actual image with every base image. When multiple base
+     * images exist, the comparisons run in parallel worker threads, which
+     * share the decoded actual image.
+     *
+     * Only the images of the best match are kept; the diff image is encoded
+     * later, when it's saved.
+     *
+     * @param {PNG} imgActual - The actual image, with bounds applied.
+     * @param {string[]} expectedImages - Paths of all base images.
+     * @param {Uint8Array} cleared - Pixels of the actual image that were
+     *        cleared by the bounds or ignored areas, see `_applyBounds()`.
+     * @return {Promise<{results: object[], bestIndex: int, imgDiff: PNG, imgExpected: PNG,
+     *     imgActual: PNG}>}
+     * @private
+     */
+    private _compareVariations;
+    /**
+     * Compares the actual image with a single base image. This method runs
+     * on the main thread, or inside a comparison worker.
+     *
+     * @param {PNG} imgActual - The actual image, with bounds applied.
+     * @param {string} imgPath - Absolute path of the base image.
+     * @param {int} index - Position of the base image in the list.
+     * @param {Uint8Array} cleared - Pixels of the actual image that were
+     *        cleared by the bounds or ignored areas, see `_applyBounds()`.
+     * @param {boolean} [allowPartial] - Optional. Set to false to disable the
+     *        fast mode for this comparison.
+     * @return {{result: object, imgDiff: PNG, imgExpected: PNG, imgActual: PNG,
+     *     crop: object|null}}
+     * @private
+     */
+    private _compareVariation;
+    /**
+     * Returns the number of worker threads for comparing the given number
+     * of base images. A value of 1 means, that the comparisons run on the
+     * main thread.
+     *
+     * Custom comparison functions cannot be passed to a worker, and
+     * intermediate images are only dumped by the main thread.
+     *
+     * @param {int} count - Number of base images.
+     * @return {int}
+     * @private
+     */
+    private _getThreadCount;
+    /**
+     * Returns the worker pool for parallel comparisons. The pool is created
+     * on first usage and stopped at the end of the test run. Every worker
+     * initializes its own helper with the config of this helper.
+     *
+     * @param {int} size - Minimum number of worker threads.
+     * @return {Promise<WorkerPool>}
+     * @private
+     */
+    private _getWorkerPool;
+    /**
+     * Wraps image data that was received from a worker in a PNG object,
+     * without copying the data.
+     *
+     * @param {{width: int, height: int, data: Uint8Array}} image - The image data.
+     * @return {PNG}
+     * @private
+     */
+    private _toPng;
+    /**
+     * Saves an animated PNG next to the diff image, that alternates between
+     * the expected and the actual image. Both images are used as compared,
+     * i.e. with bounds and ignored areas cleared.
+     *
+     * @param {PNG} imgExpected - The aligned expected image.
+     * @param {PNG} imgActual - The aligned actual image.
+     * @param {string} variation - The variation of the expected image.
+     * @private
+     */
+    private _saveFlickerImage;
+    /**
+     * Returns the absolute path of the animated flicker image, which uses
+     * the name of the diff image with the extension ".apng".
+     *
+     * @param {string} variation - The variation of the expected image.
+     * @return {string} The path, or an empty string when diffs are disabled.
+     * @private
+     */
+    private _getFlickerPath;
+    /**
+     * Returns the caption of composite diff images, with the image name, the
+     * variation and the difference of the current result.
+     *
+     * @return {string}
+     * @private
+     */
+    private _getDiffCaption;
+    /**
+     * Adds the current comparison result to the list of records, which is
+     * used to generate the reports at the end of the test run.
+     *
+     * Images of failed comparisons are embedded into the record, because the
+     * files can be overwritten by later tests.
+     *
+     * @param {string} expectedPath - Path of the best-matching base image.
+     * @param {PNG} imgDiff - The diff image of the best-matching base image.
+     * @private
+     */
+    private _recordResult;
+    /**
+     * Returns the contents of the given image file as data-URI.
+     *
+     * @param {string} file - Path to the image file.
+     * @return {string} The data-URI, or an empty string.
+     * @private
+     */
+    private _getDataUri;
+    /**
+     * Attaches the images of the current comparison to the Allure and
+     * Mochawesome reports, depending on the `attachImages` option.
+     *
+     * @param {string} expectedPath - Path of the best-matching base image.
+     * @private
+     */
+    private _attachImages;
+    /**
+     * Returns the absolute path of the Mochawesome report folder, using the
+     * same order as Mochawesome: The `reportDir` reporter option (also inside
+     * the options of the mocha-multi reporter), the MOCHAWESOME_REPORTDIR
+     * environment variable, or "mochawesome-report".
+     *
+     * @return {string}
+     * @private
+     */
+    private _getMochawesomeDir;
+    /**
+     * Returns the folder that collects the comparison records of all workers.
+     *
+     * @return {string}
+     * @private
+     */
+    private _getRecordsDir;
+    /**
+     * Deletes the records folder.
+     *
+     * @private
+     */
+    private _deleteRecords;
+    /**
+     * Called at the end of the test run. Worker threads save their records
+     * for the main thread, which generates the reports from all records.
+     *
+     * @private
+     */
+    private _writeReports;
+    /**
+     * Saves a report to the given file.
+     *
+     * @param {string} file - Absolute path of the report.
+     * @param {string} content - The report contents.
+     * @private
+     */
+    private _writeReportFile;
+    /**
+     * Whether any report is generated at the end of the test run.
+     *
+     * @return {boolean}
+     * @private
+     */
+    private _isReportEnabled;
+    /**
+     * Loads the records and base image usage that were saved by worker
+     * threads.
+     *
+     * @return {{records: object[], baselines: string[], namespaces: string[], failedTests: int,
+     *     skippedTests: string[]}}
+     * @private
+     */
+    private _loadWorkerRecords;
+    /**
+     * Saves the baseline manifest, which lists all used and all orphaned
+     * base images of the test run.
+     *
+     * The manifest is marked as incomplete, when only a subset of the tests
+     * was executed, or when tests failed, were skipped or are pending,
+     * because the unused base images might belong to tests that did not run.
+     *
+     * @param {{baselines: string[], namespaces: string[], failedTests: int, skippedTests: string[]}} workers -
+     *        Usage data of the worker threads.
+     * @private
+     */
+    private _writeBaselineManifest;
+    /**
+     * Returns a description of every filter, that limits the executed tests
+     * to a subset, like a grep of the command line or the config, `.only()`
+     * or a single test file.
+     *
+     * The filters are read from mocha and the Codecept instance of the run,
+     * which also covers the runs of `run-multiple`.
+     *
+     * @return {string[]} List of filters, or an empty list for a full run.
+     * @private
+     */
+    private _getRunFilters;
     /**
      * Take screenshot of individual element.
      *
+     * I.takeScreenshot('dashboard.png');
+     * I.takeScreenshot('dashboard.png', 'expected', '#header');
+     * I.takeScreenshot('dashboard.png', 'actual', { fullPage: true });
+     *
      * @param {string} name - Name of the output image.
      * @param {'actual'|'expected'} [which] - Optional. Whether the screenshot is
      *        the expected bas eimage, or an actual image for comparison.
      *        Defaults to 'actual'.
-     * @param {string} [element] - Optional. Selector of the element to
-     *        screenshot, or empty to screenshot current viewport.
+     * @param {string|object} [element] - Optional. Selector of the element to
+     *        screenshot, or empty to screenshot current viewport. Can also be
+     *        an options object, instead of the element selector.
+     * @param {object} [options] - Optional. Screenshot options, like
+     *        `{fullPage: true}` to capture the entire page.
      * @returns {Promise}
      */
-    takeScreenshot(name: string, which?: 'actual' | 'expected', element?: string): Promise<any>;
+    takeScreenshot(name: string, which?: 'actual' | 'expected', element?: string | object, options?: object): Promise<any>;
+    /**
+     * Captures the current image as actual or expected image. In the "crop"
+     * element mode, only the element is captured.
+     *
+     * @param {'actual'|'expected'} which - Which image to capture.
+     * @return {Promise<void>}
+     * @private
+     */
+    private _captureScreenshot;
     /**
      * Takes a screenshot of the entire viewport and saves it as either an
      * actual image, or an expected base-image.
@@ -180,12 +926,60 @@ declare class PixelmatchHelper {
      *        Defaults to 'actual'.
      * @private
      */
-    private _takeScreenshot;
+    private _takeScreenshot;
+    /**
+     * Moves the source image to the target path. The image is converted, when
+     * the target extension uses a different image format.
+     *
+     * @param {string} source - Path of the source image.
+     * @param {string} target - Path of the target image.
+     * @private
+     */
+    private _moveImageFile;
+    /**
+     * Saves a screenshot of the current viewport into a temp file inside the
+     * global output folder.
+     *
+     * @param {boolean} [fullPage] - Optional. Whether to capture the entire
+     *        page. Only supported by Playwright and Puppeteer.
+     * @return {Promise<string>} Absolute path of the temp file.
+     * @private
+     */
+    private _saveTempScreenshot;
+    /**
+     * Captures the entire page by scrolling through the page and stitching
+     * the viewport screenshots together. Used for drivers that do not support
+     * native full-page screenshots.
+     *
+     * Fixed and sticky elements are hidden after the first slice, so they do
+     * not repeat in every slice of the final image.
+     *
+     * @return {Promise<PNG>} The full-page image.
+     * @private
+     */
+    private _takeStitchedScreenshot;
+    /**
+     * Takes a screenshot of the current viewport and returns the image.
+     *
+     * @return {Promise<PNG>}
+     * @private
+     */
+    private _captureViewport;
+    /**
+     * Hides or restores all fixed and sticky elements on the current page.
+     *
+     * @param {boolean} visible - False hides the elements, true restores them.
+     * @return {Promise}
+     * @private
+     */
+    private _toggleStickyElements;
     /**
      * Clears pixels in the specified image that are outside the bounding rect
      * or inside an ignored area.
      *
      * @param {PNG} png - The image to modify.
+     * @param {Uint8Array} [mask] - Optional. One entry per pixel; cleared
+     *        pixels are set to 1.
      * @return {int} Number of cleared pixels.
      * @private
      */
@@ -207,6 +1001,80 @@ declare class PixelmatchHelper {
             height: int;
         };
     }>;
+    /**
+     * Determines the bounding boxes of all elements on the current viewport
+     * that match the given selector. Elements that are not visible are skipped.
+     *
+     * @param {string} selector - CSS|XPath|ID selector.
+     * @returns {Promise<{left: int, top: int, right: int, bottom: int, width: int,
+     *     height: int}[]>}
+     * @private
+     */
+    private _getBoundingBoxes;
+    /**
+     * Returns the device pixel ratio of the current browser window. Used to
+     * translate element coordinates into screenshot pixels. The ratio can be
+     * fractional, like 1.5 or 2.625.
+     *
+     * @return {Promise<float>}
+     * @private
+     */
+    private _getDevicePixelRatio;
+    /**
+     * Stores the device pixel ratio of the current browser window in the
+     * given screenshot, when images are normalized to a common scale.
+     *
+     * @param {string} file - Path of the screenshot.
+     * @return {Promise<void>}
+     * @private
+     */
+    private _recordScale;
+    /**
+     * Resamples the actual image to the device pixel ratio of the
+     * `normalizeScale` option. The bounds, ignored areas and regions are in
+     * pixels of the captured screenshot, and are scaled as well.
+     *
+     * Screenshots without a recorded ratio use the ratio of the current
+     * browser window.
+     *
+     * @param {PNG} png - The actual image.
+     * @return {Promise<PNG>} The resampled image.
+     * @private
+     */
+    private _normalizeActualScale;
+    /**
+     * Resamples an image to the device pixel ratio of the `normalizeScale`
+     * option, using the ratio that was recorded in the image file.
+     *
+     * @param {PNG} png - The image, as returned by `_loadPngImage()`.
+     * @param {string} file - Path of the image file, for the debug output.
+     * @param {float} fallback - Ratio of images that do not record a ratio.
+     * @return {PNG} The resampled image, or the original image.
+     * @private
+     */
+    private _scaleImage;
+    /**
+     * Resolves the selectors in `options.ignoreElements` to pixel boxes and
+     * adds them to the `options.ignore` list. Every element that matches a
+     * selector is ignored; selectors without a visible match are skipped.
+     *
+     * In the "crop" element mode, the boxes are relative to the element.
+     *
+     * @return {Promise<void>}
+     * @private
+     */
+    private _resolveIgnoredElements;
+    /**
+     * Returns the position of the compared element in the "crop" element
+     * mode. Boxes of other elements are relative to this position, because
+     * the captured image only contains the element.
+     *
+     * @param {object} values - The comparison options.
+     * @return {Promise<{left: int, top: int}>} The position, or 0/0 when the
+     *         viewport is captured.
+     * @private
+     */
+    private _getElementOrigin;
     /**
      * Captures the expected or actual image, depending on the captureFlag.
      *
@@ -215,6 +1083,43 @@ declare class PixelmatchHelper {
      * @private
      */
     private _maybeCaptureImage;
+    /**
+     * Prepares the current page for a screenshot: Disables animations and
+     * transitions, hides the text caret, pauses videos and hides all elements
+     * of the `hideElements` option.
+     *
+     * @return {Promise}
+     * @private
+     */
+    private _preparePage;
+    /**
+     * Restores the page after a screenshot was taken; reverts all changes of
+     * `_preparePage()`.
+     *
+     * @return {Promise}
+     * @private
+     */
+    private _restorePage;
+    /**
+     * Converts a CodeceptJS locator into a selector that can be resolved by
+     * the browser, either a CSS selector or an XPath expression.
+     *
+     * @param {string|object} selector - CSS|XPath|ID selector, or a locator
+     *        object like `{css: '.ad'}` or `{xpath: '//video'}`.
+     * @return {{css: string}|{xpath: string}}
+     * @private
+     */
+    private _toDomSelector;
+    /**
+     * Repeatedly captures the viewport until a number of consecutive
+     * screenshots are pixel-identical. Used for pages with late-loading fonts
+     * or images.
+     *
+     * @param {string} which - Which image to capture: 'expected', 'actual'.
+     * @return {Promise<int>} Number of screenshots that were taken.
+     * @private
+     */
+    private _takeStableScreenshot;
     /**
      * Sanitizes the given options and updates all relevant class members with
      * either the new, sanitized value, or with a default value.
@@ -224,6 +1129,17 @@ declare class PixelmatchHelper {
      * @private
      */
     private _setupTest;
+    /**
+     * Resolves the placeholders of a baseline namespace pattern, using the
+     * active driver and its config.
+     *
+     * _resolveNamespace('{browser}/{viewport}') --> 'chromium/1280x720'
+     *
+     * @param {string} pattern - The namespace pattern.
+     * @return {Promise<string>} The relative namespace folder, or an empty string.
+     * @private
+     */
+    private _resolveNamespace;
     /**
      * Returns the instance of the current browser driver.
      *
@@ -254,6 +1170,16 @@ declare class PixelmatchHelper {
      * @private
      */
     private _isFile;
+    /**
+     * Builds the absolute path of a report file from a config value.
+     *
+     * @param {bool|string} value - Config value; true uses the default name
+     *        inside the output folder, a string is used as relative path.
+     * @param {string} defaultName - Default filename of the report.
+     * @return {string} Absolute path, or an empty string.
+     * @private
+     */
+    private _resolveReportPath;
     /**
      * Builds the absolute path to a relative folder.
      *
@@ -270,6 +1196,14 @@ declare class PixelmatchHelper {
      * @private
      */
     private _getFileName;
+    /**
+     * Returns the file extension for new images.
+     *
+     * @param {string} which - The image type (expected, actual, diff).
+     * @return {string}
+     * @private
+     */
+    private _getExtension;
     /**
      * Builds an image path using the current image name and the specified folder.
      *
@@ -296,16 +1230,124 @@ declare class PixelmatchHelper {
      *        "google-home~1.png"   # variation
      *        "google-home~83.png"  # variation
      *
+     * When a baseline namespace is used, and the namespace folder contains no
+     * matching base image, the shared base images are returned.
+     *
      * @return {string[]}
      * @private
      */
     private _getExpectedImagePaths;
+    /**
+     * Remembers that the given base image was used in the test run. Base
+     * images that are never used are listed in the baseline manifest.
+     *
+     * @param {string} file - Absolute path of the base image.
+     * @private
+     */
+    private _markBaselineUsed;
+    /**
+     * Returns the path of a base image relative to the `dirExpected` folder,
+     * using "/" as separator. Used as key in the baseline storage.
+     *
+     * @param {string} file - Absolute path of the base image.
+     * @return {string}
+     * @private
+     */
+    private _getBaselineKey;
+    /**
+     * Downloads the base images of the current comparison from the baseline
+     * storage into the local `dirExpected` folder. Images that are already
+     * cached are not downloaded again, and local variations that were removed
+     * from the storage are deleted.
+     *
+     * @return {Promise<void>}
+     * @private
+     */
+    private _fetchBaselines;
+    /**
+     * Checks, whether the local copy of a stored base image is up-to-date.
+     *
+     * @param {string} file - Absolute path of the local copy.
+     * @param {{size: int, etag: string}} item - The stored base image.
+     * @return {boolean}
+     * @private
+     */
+    private _isCached;
+    /**
+     * Remembers that the local copy matches the stored base image.
+     *
+     * @param {string} file - Absolute path of the local copy.
+     * @param {{etag: string}} item - The stored base image.
+     * @private
+     */
+    private _rememberCached;
+    /**
+     * Forgets the local copy of a stored base image, after it was deleted.
+     *
+     * @param {string} file - Absolute path of the local copy.
+     * @private
+     */
+    private _forgetCached;
+    /**
+     * Loads the cache metadata from the `dirExpected` folder, once.
+     *
+     * @private
+     */
+    private _loadBaselineCache;
+    /**
+     * Returns the cache metadata that is saved in the `dirExpected` folder,
+     * by baseline key.
+     *
+     * @return {Object<string, {mtime: float, etag: string}>}
+     * @private
+     */
+    private _readBaselineCache;
+    /**
+     * Saves the cache entry of a single file. The metadata is read again
+     * before it is written, because parallel workers share the file.
+     *
+     * @param {string} file - Absolute path of the local copy.
+     * @private
+     */
+    private _saveBaselineCache;
+    /**
+     * Uploads a new or updated base image to the baseline storage.
+     *
+     * @param {string} file - Absolute path of the base image.
+     * @return {Promise<void>}
+     * @private
+     */
+    private _uploadBaseline;
+    /**
+     * Returns a list of absolute paths of the given image and all its
+     * variations that exist in the filesystem.
+     *
+     * Images are found in every supported format, regardless of the file
+     * extension of the given path.
+     *
+     * @param {string} fullPath - Absolute path of the image.
+     * @param {boolean} [exact] - Optional. Ignore variations of the image.
+     * @return {string[]}
+     * @private
+     */
+    private _findImageVariations;
+    /**
+     * Replaces the given base image with the actual image. The image is
+     * converted, when the base image uses a different format. A shared base
+     * image is replaced in the shared folder.
+     *
+     * @param {string} expectedPath - Absolute path of the base image to replace.
+     * @return {string} Absolute path of the updated base image.
+     * @private
+     */
+    private _updateBaseline;
     /**
      * Loads the specified image and returns a PNG blob.
      *
      * @param {string} which - The image to load (expected, actual, diff).
      * @param {string} suffix - Optional. A suffix to append to the filename.
-     * @return {object} An PNG object.
+     * @return {object} An PNG object. The `scale` property is the device
+     *         pixel ratio that is recorded in the file, or null.
      * @private
      */
     private _loadPngImage;
@@ -318,6 +1360,379 @@ declare class PixelmatchHelper {
      * @private
      */
     private _savePngImage;
+    /**
+     * Compares the image data using the configured comparison engine. The
+     * "ssim" engine uses the `ssimThreshold` instead of the pixelmatch threshold.
+     *
+     * @param {Uint8Array} expected - Data of the expected image.
+     * @param {Uint8Array} actual - Data of the actual image.
+     * @param {Uint8Array} output - Data of the diff image.
+     * @param {int} width - Image width.
+     * @param {int} height - Image height.
+     * @param {object} [args] - Optional. Engine arguments, defaults to `options.args`.
+     * @return {{diffPixels: int, similarity: float|null}}
+     * @private
+     */
+    private _runComparison;
+    /**
+     * Returns copies of the aligned images, in which all areas of the
+     * `regions` option are cleared. When no areas are defined, the aligned
+     * images are returned unchanged.
+     *
+     * @param {{expected: PNG, actual: PNG}} aligned - The aligned images.
+     * @return {{expected: PNG, actual: PNG, excludedPixels: int}}
+     * @private
+     */
+    private _excludeRegions;
+    /**
+     * Returns the areas of the `regions` option on the canvas of the aligned
+     * images. The areas are given in pixels of the actual image, which the
+     * "pad" mode moves away from the top-left corner.
+     *
+     * @param {object} aligned - The result of `_alignImages()`.
+     * @return {object[]} Copies of the areas, in canvas pixels.
+     * @private
+     */
+    private _getCanvasRegions;
+    /**
+     * Compares every area of the `regions` option separately, using the
+     * tolerance and threshold of the area. The diff of every area is copied
+     * into the diff image.
+     *
+     * @param {{expected: PNG, actual: PNG}} aligned - The aligned images.
+     * @param {PNG} imgDiff - The diff image.
+     * @return {object[]} The result of every area.
+     * @private
+     */
+    private _compareRegions;
+    /**
+     * Tests, if the fast mode can be used for the given images. The fast mode
+     * only supports the pixelmatch engine and images of the same size, and
+     * no option that needs the full diff image, like regions.
+     *
+     * @param {{sizeMismatch: boolean}} aligned - The aligned images.
+     * @return {boolean}
+     * @private
+     */
+    private _canUseFastMode;
+    /**
+     * Compares the image data with pixelmatch in horizontal strips, and stops
+     * as soon as the pass criteria cannot be met anymore. Identical images
+     * are detected without a pixel comparison.
+     *
+     * Every strip is compared with two additional rows above and below: The
+     * anti-aliasing detection of pixelmatch checks the neighbors of the
+     * neighbors of a pixel, so the strips match the full image.
+     *
+     * @param {Uint8Array} expected - Data of the expected image.
+     * @param {Uint8Array} actual - Data of the actual image.
+     * @param {Uint8Array} output - Data of the diff image.
+     * @param {int} width - Image width.
+     * @param {int} height - Image height.
+     * @param {int} relevantPixels - Number of compared pixels.
+     * @return {{diffPixels: int, similarity: null, partial: boolean}}
+     * @private
+     */
+    private _runFastComparison;
+    /**
+     * Counts the pixels in the given diff image data, that are painted in
+     * the diff color.
+     *
+     * @param {Uint8Array} data - Data of the diff image.
+     * @return {int}
+     * @private
+     */
+    private _countDiffPixels;
+    /**
+     * Groups the different pixels of the diff image into connected regions.
+     * Regions below the `minRegionSize` are considered noise: They are
+     * painted in the anti-aliasing color and not returned.
+     *
+     * Regions are only collected when an option needs them, and the list
+     * contains the MAX_REGIONS largest regions, as it's part of the reports.
+     * The largest area is based on all regions.
+     *
+     * @param {PNG} imgDiff - The diff image.
+     * @return {{list: object[], noisePixels: int, largestArea: int}}
+     * @private
+     */
+    private _findDiffRegions;
+    /**
+     * Returns a mask of all pixels in the diff image that are painted in the
+     * diff color of the comparison.
+     *
+     * @param {PNG} imgDiff - The diff image.
+     * @return {Uint8Array} One entry per pixel; 1 marks a different pixel.
+     * @private
+     */
+    private _getDiffMask;
+    /**
+     * Estimates the offset of content that moved between the expected and
+     * the actual image, either for the entire image or for every changed
+     * area. Overlapping areas are merged, so every pixel is moved at most
+     * once. When the shift is compensated, `main.actual` is replaced by a
+     * copy in which the content is moved back to its expected position.
+     * Pixels without content after the move are ignored, see `compensateOffset()`.
+     *
+     * @param {{expected: PNG, actual: PNG}} main - The compared images.
+     * @param {object} aligned - The result of `_alignImages()`.
+     * @return {{offset: {x: int, y: int}|null, regions: {left: int, top: int, width: int,
+     *     height: int, offset: {x: int, y: int}}[], ignoredPixels: int}}
+     * @private
+     */
+    private _detectShift;
+    /**
+     * Returns the pixels of both aligned images that are not compared: Pixels
+     * outside the bounds, in ignored areas or in areas with custom settings,
+     * and pixels outside the area that both images cover.
+     *
+     * @param {object} aligned - The result of `_alignImages()`.
+     * @return {{expected: Uint8Array, actual: Uint8Array}} One entry per pixel;
+     *     1 marks an ignored pixel.
+     * @private
+     */
+    private _getIgnoreMasks;
+    /**
+     * Returns the areas in which the images differ, sorted by size. Pixels are
+     * grouped into blocks, so changes that are closer than the block size
+     * belong to the same area.
+     *
+     * @param {Uint8Array} expected - RGBA data of the expected image.
+     * @param {Uint8Array} actual - RGBA data of the actual image.
+     * @param {int} width - Image width.
+     * @param {int} height - Image height.
+     * @param {int} size - Block size [px].
+     * @return {{left: int, top: int, width: int, height: int}[]}
+     * @private
+     */
+    private _findChangedAreas;
+    /**
+     * Places the actual and expected image on a common canvas. When both
+     * images have the same size, they are returned unchanged. Otherwise, the
+     * pixels outside the overlapping area are cleared in both canvas images
+     * and marked in the returned `mismatch` map.
+     *
+     * `ignoredPixels` counts the canvas pixels that were cleared by the bounds
+     * or ignored areas: In the overlapping area, the pixels of the actual
+     * image, and outside of it, the pixels of the image that covers them.
+     * These pixels are never marked as mismatch.
+     *
+     * @param {PNG} imgActual - The actual image.
+     * @param {PNG} imgExpected - The expected image.
+     * @param {string} mode - How to align the images, see `globalSizeMismatch`.
+     * @param {{actual: Uint8Array, expected: Uint8Array}} [cleared] - Optional.
+     *        Cleared pixels of both images, see `_applyBounds()`.
+     * The returned `offset` and `expectedOffset` are the positions of both
+     * images on the canvas, and `overlap` is the area that both images cover.
+     *
+     * @return {{actual: PNG, expected: PNG, width: int, height: int, sizeMismatch: boolean,
+     *     mismatch: Uint8Array|null, emptyPixels: int, ignoredPixels: int, crop: object|null,
+     *     offset: {x: int, y: int}, expectedOffset: {x: int, y: int},
+     *     overlap: {x0: int, y0: int, x1: int, y1: int}}}
+     * @private
+     */
+    private _alignImages;
+    /**
+     * Marks all pixels in the diff image that are only present in one of the
+     * aligned images.
+     *
+     * @param {PNG} imgDiff - The diff image to update.
+     * @param {object} aligned - The result of `_alignImages()`.
+     * @return {int} Number of marked pixels.
+     * @private
+     */
+    private _markMismatchedPixels;
+    /**
+     * Returns a new image that contains the specified section of the given
+     * image. When the section is empty, the source image is returned.
+     *
+     * @param {PNG} png - The source image.
+     * @param {{left: int, top: int, width: int, height: int}} rect - The section to copy.
+     * @return {PNG} The cropped image.
+     * @private
+     */
+    private _cropImage;
+    /**
+     * Tests, if the given point is inside the area of an image that is placed
+     * at the given position.
+     *
+     * @param {int} x
+     * @param {int} y
+     * @param {{x: int, y: int}} pos - Position of the image.
+     * @param {{width: int, height: int}} size - Size of the image.
+     * @return {boolean}
+     * @private
+     */
+    private _isInRect;
+    /**
+     * Returns a valid comparison engine. Unknown names fall back to
+     * 'pixelmatch'.
+     *
+     * @param {string|function} value - The engine to sanitize.
+     * @return {'pixelmatch'|'ssim'|function}
+     * @private
+     */
+    private _sanitizeAlgorithm;
+    /**
+     * Returns a similarity value between 0 and 1, or null when the given
+     * value is empty.
+     *
+     * @param {any} value - The similarity to sanitize.
+     * @return {float|null}
+     * @private
+     */
+    private _sanitizeSimilarity;
+    /**
+     * Returns a sanitized entry of the `regions` option, or null when the
+     * entry is invalid. Element selectors are resolved to a pixel box, which
+     * is relative to the compared element in the "crop" element mode.
+     *
+     * @param {object} item - The region definition.
+     * @param {int} index - Position of the region in the list.
+     * @param {object} values - The comparison options, for default values.
+     * @return {Promise<{name: string, left: int, top: int, width: int, height: int,
+     *     tolerance: float, threshold: float}|null>}
+     * @private
+     */
+    private _sanitizeRegion;
+    /**
+     * Returns a non-negative integer limit, or null when the given value is
+     * empty.
+     *
+     * @param {any} value - The limit to sanitize.
+     * @return {int|null}
+     * @private
+     */
+    private _sanitizeLimit;
+    /**
+     * Returns a valid mode to combine pass criteria. Unknown values fall
+     * back to 'all'.
+     *
+     * @param {string} value - The mode to sanitize.
+     * @return {'all'|'any'}
+     * @private
+     */
+    private _sanitizeCriteria;
+    /**
+     * Returns the stabilization settings for the given value.
+     *
+     * _sanitizeStabilize(true)         --> {count: 2, interval: 250, timeout: 5000}
+     * _sanitizeStabilize(3)            --> {count: 3, interval: 250, timeout: 5000}
+     * _sanitizeStabilize({timeout: 1}) --> {count: 2, interval: 250, timeout: 1}
+     *
+     * @param {any} value - The setting to sanitize.
+     * @return {false|{count: int, interval: int, timeout: int}}
+     * @private
+     */
+    private _sanitizeStabilize;
+    /**
+     * Returns the settings to detect shifted content for the given value.
+     * The distance is limited to 50 px. Larger distances compare fewer
+     * pixels per offset, see `estimateOffset()`.
+     *
+     * _sanitizeShift(true)                --> {maxDistance: 10, compensate: false, scope: 'global'}
+     * _sanitizeShift(5)                   --> {maxDistance: 5, compensate: false, scope: 'global'}
+     * _sanitizeShift({compensate: true})  --> {maxDistance: 10, compensate: true, scope: 'global'}
+     *
+     * @param {any} value - The setting to sanitize.
+     * @return {false|{maxDistance: int, compensate: boolean, scope: 'global'|'regions'}}
+     * @private
+     */
+    private _sanitizeShift;
+    /**
+     * Checks the comparison result against all active pass criteria, and
+     * returns a description of every criterion that failed. An empty list
+     * means that the comparison passed.
+     *
+     * The similarity replaces the tolerance, when both a `minSimilarity` and
+     * a similarity score are available. A tolerance of 0 is ignored, when an
+     * absolute limit is defined, so `maxDiffPixels` can be used on its own.
+     * With the criteria mode 'any', the list is only empty when at least one
+     * criterion passed.
+     *
+     * @param {{difference: float, diffPixels: int, similarity: float|null}} result - The
+     *        comparison result.
+     * @param {int} [largestArea] - Optional. Area of the largest changed region.
+     * @return {string[]} Descriptions of the failed criteria.
+     * @private
+     */
+    private _checkCriteria;
+    /**
+     * Returns a valid attachment mode. Boolean values mean 'always' or
+     * 'never', unknown values fall back to 'failed'.
+     *
+     * @param {string|boolean} value - The mode to sanitize.
+     * @return {'failed'|'always'|'never'}
+     * @private
+     */
+    private _sanitizeAttachImages;
+    /**
+     * Returns a supported file extension, with leading dot. Unknown values
+     * fall back to '.png'.
+     *
+     * @param {string} value - The extension to sanitize, like "webp" or ".jpg".
+     * @return {'.png'|'.jpg'|'.jpeg'|'.webp'}
+     * @private
+     */
+    private _sanitizeExtension;
+    /**
+     * Returns a valid element mode. Unknown values fall back to 'bounds'.
+     *
+     * @param {string} value - The mode to sanitize.
+     * @return {'bounds'|'crop'}
+     * @private
+     */
+    private _sanitizeElementMode;
+    /**
+     * Returns a valid diff layout. Unknown values fall back to 'diff'.
+     *
+     * @param {string} value - The layout to sanitize.
+     * @return {'diff'|'side-by-side'|'stacked'}
+     * @private
+     */
+    private _sanitizeDiffLayout;
+    /**
+     * Returns the frame duration of the flicker image in milliseconds, or
+     * false when the animation is disabled.
+     *
+     * _sanitizeFlickerDiff(true)  --> 500
+     * _sanitizeFlickerDiff(1000)  --> 1000
+     * _sanitizeFlickerDiff('no')  --> false
+     *
+     * @param {any} value - The setting to sanitize.
+     * @return {false|int}
+     * @private
+     */
+    private _sanitizeFlickerDiff;
+    /**
+     * Returns the device pixel ratio at which images are compared, or false
+     * when images are compared at their original size.
+     *
+     * _sanitizeScale(true)  --> 1
+     * _sanitizeScale(1.5)   --> 1.5
+     * _sanitizeScale('no')  --> false
+     *
+     * @param {any} value - The setting to sanitize.
+     * @return {false|float}
+     * @private
+     */
+    private _sanitizeScale;
+    /**
+     * Returns a valid number of comparison threads.
+     *
+     * @param {any} value - The setting to sanitize.
+     * @return {'auto'|int}
+     * @private
+     */
+    private _sanitizeThreads;
+    /**
+     * Returns a valid sizeMismatch mode. Unknown values fall back to 'fail'.
+     *
+     * @param {string} value - The mode to sanitize.
+     * @return {'fail'|'pad'|'crop'|'anchor-top-left'}
+     * @private
+     */
+    private _sanitizeSizeMismatch;
     /**
      * Clears a rectangular area inside the given PNG image object. The change
      * is only applied in-memory and does not affect the saved image.
@@ -327,6 +1742,8 @@ declare class PixelmatchHelper {
      * @param {int} y0
      * @param {int} x1
      * @param {int} y1
+     * @param {Uint8Array} [mask] - Optional. One entry per pixel; cleared
+     *        pixels are set to 1.
      * @return {int} Number of cleared pixels.
      * @private
      */
@@ -1,8 +1,30 @@
 const fs = require('fs');
+const crypto = require('crypto');
 const { PNG } = require('pngjs');
 const pixelmatch = require('pixelmatch');
+const ssim = require('./lib/ssim');
+const { findRegions, drawRegions } = require('./lib/regions');
+const { estimateOffset, compensateOffset, mergeAreas } = require('./lib/shift');
 const path = require('path');
+const os = require('os');
+const { isMainThread, threadId } = require('worker_threads');
 const Helper = require('@codeceptjs/helper');
+const renderHtmlReport = require('./lib/html-report');
+const renderJunitReport = require('./lib/junit-report');
+const { findOrphanedBaselines } = require('./lib/baselines');
+const renderComposite = require('./lib/composite');
+const encodeApng = require('./lib/apng');
+const WorkerPool = require('./lib/worker-pool');
+const { createStorage } = require('./lib/storage');
+const resampleImage = require('./lib/resample');
+const { hasTokens, getNamespaceValues, formatNamespace } = require('./lib/namespace');
+const { FORMATS, EXTENSION_PATTERN, detectFormat, getFormat, decodeImage, encodeImage, convertImage, readScale, writeScale, writeNamespace } = require('./lib/image-format');
+
+// Max. number of changed regions in the comparison result and the reports.
+const MAX_REGIONS = 100;
+
+// Cache metadata of the baseline storage, inside the `dirExpected` folder.
+const BASELINE_CACHE_FILE = '.baseline-cache.json';
 
 /**
  * Helper class that integrates pixelmatch into CodeceptJS for visual regression
@@ -15,11 +37,43 @@ const Helper = require('@codeceptjs/helper');
  *     dirDiff: "./tests/screenshots/diff/",
  *     dirActual: "./tests/output/", // Optional. Defaults to global.output_dir.
  *     diffPrefix: "Diff_" // Optional. Defaults to "Diff_"
+ *     baselineExtension: ".png", // Optional. [.png|.jpg|.webp] Format of new base images.
+ *     diffExtension: ".png", // Optional. [.png|.jpg|.webp] Format of diff images.
  *     tolerance: 1.5,
  *     threshold: 0.1,
  *     dumpIntermediateImage: false,
  *     captureActual: true,
- *     captureExpected: true
+ *     captureExpected: true,
+ *     sizeMismatch: "fail", // Optional. [fail|pad|crop|anchor-top-left]
+ *     algorithm: "pixelmatch", // Optional. [pixelmatch|ssim]
+ *     minSimilarity: 0.98, // Optional. Only used by the "ssim" algorithm.
+ *     ssimThreshold: 0.1, // Optional. Windows below an SSIM of (1 - value) are different.
+ *     maxDiffPixels: null, // Optional. Absolute number of allowed different pixels.
+ *     maxDiffRegionArea: null, // Optional. Max. bounding-box area of a changed region.
+ *     criteria: "all", // Optional. [all|any] How to combine the pass criteria.
+ *     minRegionSize: 0, // Optional. Ignore smaller regions of different pixels.
+ *     regionGap: 0, // Optional. Max. gap between pixels of the same region.
+ *     drawRegions: false, // Optional. Outline the regions in the diff image.
+ *     diffLayout: "diff", // Optional. [diff|side-by-side|stacked]
+ *     flickerDiff: false, // Optional. Or the frame duration in ms, like 500.
+ *     comparisonThreads: 1, // Optional. Threads to compare variations, "auto" uses all cores.
+ *     fastMode: false, // Optional. Stop comparing once the tolerance is exceeded.
+ *     detectShift: false, // Optional. Or {maxDistance: 10, compensate: true, scope: "regions"}
+ *     fullPage: false, // Optional. Capture the entire page, not only the viewport.
+ *     elementMode: "bounds", // Optional. [bounds|crop] How `element` comparisons capture.
+ *     normalizeScale: false, // Optional. Or the device pixel ratio to compare at, like 2.
+ *     stabilize: false, // Optional. Or {count: 2, interval: 250, timeout: 5000}
+ *     freezeAnimations: false, // Optional. Disable animations, caret and videos.
+ *     hideElements: [], // Optional. Selectors of elements to hide in screenshots.
+ *     baselineNamespace: "{browser}/{viewport}", // Optional. Sub-folder for base images.
+ *     baselineStorage: {type: "s3", bucket: "baselines"}, // Optional. Or {type: "fs", dir: "..."}
+ *     updateBaselines: false, // Optional. Or set UPDATE_VISUAL_BASELINES=1
+ *     soft: false, // Optional. Collect failures and fail the test at its end.
+ *     attachImages: "failed", // Optional. [failed|always|never] Allure/Mochawesome attachments.
+ *     htmlReport: true, // Optional. Or a path like "./output/visual-report.html"
+ *     reportFile: true, // Optional. Or a path like "./output/visual-report.json"
+ *     junitReport: true, // Optional. Or a path like "./output/visual-report.xml"
+ *     baselineManifest: true // Optional. Or a path like "./output/visual-baselines.json"
  *   }
  * }
  *
@@ -58,6 +112,21 @@ class PixelmatchHelper extends Helper {
 	 */
 	globalDiffPrefix = 'Diff_';
 
+	/**
+	 * File extension of new base images, which also defines the image
+	 * format. Existing base images are found in every supported format.
+	 *
+	 * @type {'.png'|'.jpg'|'.jpeg'|'.webp'}
+	 */
+	globalBaselineExtension = '.png';
+
+	/**
+	 * File extension and format of generated diff images.
+	 *
+	 * @type {'.png'|'.jpg'|'.jpeg'|'.webp'}
+	 */
+	globalDiffExtension = '.png';
+
 	/**
 	 * Whether to save the intermediate images to the global output folder,
 	 * after applying the bounds and ignore-boxes.
@@ -90,6 +159,288 @@ class PixelmatchHelper extends Helper {
 	 */
 	globalCaptureExpected = 'missing';
 
+	/**
+	 * How to handle base images that have different dimensions than the
+	 * actual image.
+	 *
+	 * fail            - Throw an error, the images cannot be compared.
+	 * pad             - Center both images on a canvas that fits both images.
+	 * anchor-top-left - Place both images in the top-left corner of a canvas
+	 *                   that fits both images.
+	 * crop            - Like 'anchor-top-left', but the diff image only shows
+	 *                   the overlapping area.
+	 *
+	 * In all modes except 'fail', pixels that are only present in one image
+	 * count as differences.
+	 *
+	 * @type {'fail'|'pad'|'crop'|'anchor-top-left'}
+	 */
+	globalSizeMismatch = 'fail';
+
+	/**
+	 * Whether failed comparisons should accept the actual image as new
+	 * base image. The best-matching expected image (or variation) is replaced
+	 * by the actual image, and the comparison passes.
+	 *
+	 * Can also be enabled via the environment variable
+	 * `UPDATE_VISUAL_BASELINES=1`.
+	 *
+	 * @type {boolean}
+	 */
+	globalUpdateBaselines = false;
+
+	/**
+	 * Whether failed comparisons are collected instead of failing the
+	 * test immediately. The test fails once at its end, listing every
+	 * failed comparison.
+	 *
+	 * @type {boolean}
+	 */
+	globalSoft = false;
+
+	/**
+	 * When to attach the expected, actual and diff image to the Allure
+	 * report (allure plugin) and the Mochawesome report (Mochawesome helper).
+	 *
+	 * @type {'failed'|'always'|'never'}
+	 */
+	globalAttachImages = 'failed';
+
+	/**
+	 * The comparison engine. Either the name of a built-in engine, or a
+	 * custom function with the same signature as pixelmatch, that returns
+	 * the number of different pixels, or an object `{diffPixels, similarity}`.
+	 *
+	 * pixelmatch - Pixel-by-pixel comparison of colors.
+	 * ssim       - Structural similarity, less sensitive to sub-pixel shifts.
+	 *
+	 * @type {'pixelmatch'|'ssim'|function}
+	 */
+	globalAlgorithm = 'pixelmatch';
+
+	/**
+	 * Minimum similarity (0 - 1) that is required to pass the comparison.
+	 * Only used by engines that calculate a similarity score, like "ssim".
+	 * When empty, the tolerance decides whether the images match.
+	 *
+	 * @type {float|null}
+	 */
+	globalMinSimilarity = null;
+
+	/**
+	 * Threshold (0 - 1) of the "ssim" engine: A window of the image whose
+	 * SSIM index is below (1 - threshold) counts as different. Unlike the
+	 * `threshold`, which is the color distance of pixelmatch.
+	 *
+	 * @type {float}
+	 */
+	globalSsimThreshold = 0.1;
+
+	/**
+	 * Maximum number of different pixels that pass the comparison. Unlike
+	 * the tolerance, this limit does not depend on the image size.
+	 * When empty, the number of pixels is not checked.
+	 *
+	 * @type {int|null}
+	 */
+	globalMaxDiffPixels = null;
+
+	/**
+	 * Maximum bounding-box area (in pixels) of the largest changed region
+	 * that passes the comparison. When empty, regions are not checked.
+	 *
+	 * @type {int|null}
+	 */
+	globalMaxDiffRegionArea = null;
+
+	/**
+	 * How the pass criteria (tolerance or similarity, maxDiffPixels and
+	 * maxDiffRegionArea) are combined.
+	 *
+	 * all - Every criterion must pass.
+	 * any - At least one criterion must pass.
+	 *
+	 * @type {'all'|'any'}
+	 */
+	globalCriteria = 'all';
+
+	/**
+	 * Regions of different pixels that are smaller than this number of
+	 * pixels are considered noise, and do not count as difference.
+	 *
+	 * @type {int}
+	 */
+	globalMinRegionSize = 0;
+
+	/**
+	 * Number of unchanged pixels that can be between two different pixels
+	 * of the same region.
+	 *
+	 * @type {int}
+	 */
+	globalRegionGap = 0;
+
+	/**
+	 * Whether to draw the outline of all regions into the diff image.
+	 *
+	 * @type {boolean}
+	 */
+	globalDrawRegions = false;
+
+	/**
+	 * Layout of the saved diff image.
+	 *
+	 * diff         - Only the diff image.
+	 * side-by-side - Expected, actual and diff image next to each other.
+	 * stacked      - Expected, actual and diff image below each other.
+	 *
+	 * The composite layouts contain captions with the image name, the
+	 * variation and the difference.
+	 *
+	 * @type {'diff'|'side-by-side'|'stacked'}
+	 */
+	globalDiffLayout = 'diff';
+
+	/**
+	 * How comparisons with an `element` option capture the element.
+	 *
+	 * bounds - Capture the viewport and only compare pixels inside the
+	 *          bounding box of the element.
+	 * crop   - Capture only the element and compare the crop. Base images
+	 *          do not depend on the position of the element.
+	 *
+	 * @type {'bounds'|'crop'}
+	 */
+	globalElementMode = 'bounds';
+
+	/**
+	 * Whether to save an animated PNG next to the diff image, that flips
+	 * between the expected and the actual image. The value is the display
+	 * duration of each frame in milliseconds; false disables the animation.
+	 *
+	 * @type {false|int}
+	 */
+	globalFlickerDiff = false;
+
+	/**
+	 * Maximum number of worker threads that compare the variations of a
+	 * base image in parallel. "auto" uses one thread per CPU core; 1 runs
+	 * all comparisons on the main thread.
+	 *
+	 * @type {'auto'|int}
+	 */
+	globalComparisonThreads = 1;
+
+	/**
+	 * Whether comparisons stop as soon as the pass criteria cannot be met
+	 * anymore. Such results are marked as `partial`, and their difference is
+	 * a lower limit. The full diff is only computed when it's saved.
+	 *
+	 * Only used by the pixelmatch engine, for images of the same size and
+	 * without per-region settings.
+	 *
+	 * @type {boolean}
+	 */
+	globalFastMode = false;
+
+	/**
+	 * Device pixel ratio at which images are compared, or false to compare
+	 * images at their original size. Captured screenshots record their
+	 * device pixel ratio, and both images are resampled to this ratio.
+	 *
+	 * @type {false|float}
+	 */
+	globalNormalizeScale = false;
+
+	/**
+	 * Whether to estimate the offset of content that moved between the
+	 * expected and the actual image, and up to which distance [px].
+	 *
+	 * scope      - "global" estimates one offset for the entire image,
+	 *              "regions" estimates an offset for every changed area.
+	 * compensate - Whether the content is moved back before the comparison,
+	 *              so a shifted, but unchanged section passes.
+	 *
+	 * @type {false|{maxDistance: int, compensate: boolean, scope: 'global'|'regions'}}
+	 */
+	globalDetectShift = false;
+
+	/**
+	 * Whether screenshots capture the entire page, instead of the viewport.
+	 *
+	 * @type {boolean}
+	 */
+	globalFullPage = false;
+
+	/**
+	 * Whether to repeat captured screenshots until the page is stable, i.e.
+	 * until `count` consecutive screenshots are pixel-identical. Fails when
+	 * the page does not stabilize within `timeout` milliseconds.
+	 *
+	 * @type {false|{count: int, interval: int, timeout: int}}
+	 */
+	globalStabilize = false;
+
+	/**
+	 * Whether to disable animations and transitions, hide the text caret and
+	 * pause videos before a screenshot is taken.
+	 *
+	 * @type {boolean}
+	 */
+	globalFreezeAnimations = false;
+
+	/**
+	 * List of element selectors that are hidden (`visibility: hidden`)
+	 * before a screenshot is taken.
+	 *
+	 * @type {string[]}
+	 */
+	globalHideElements = [];
+
+	/**
+	 * Folder pattern inside `dirExpected`, to keep separate base images for
+	 * every browser, viewport or platform. When no base image exists in the
+	 * namespace folder, the shared base image in `dirExpected` is used.
+	 *
+	 * Placeholders: {browser}, {viewport}, {platform}, {driver}
+	 *
+	 * @type {string}
+	 */
+	globalBaselineNamespace = '';
+
+	/**
+	 * Absolute path of the HTML report that lists all comparisons of the
+	 * test run. An empty value disables the report.
+	 *
+	 * @type {string}
+	 */
+	globalHtmlReport = '';
+
+	/**
+	 * Absolute path of the JSON file that receives one record per comparison
+	 * of the test run. An empty value disables the JSON report.
+	 *
+	 * @type {string}
+	 */
+	globalReportFile = '';
+
+	/**
+	 * Absolute path of the JUnit XML file that lists all comparisons of the
+	 * test run. An empty value disables the JUnit report.
+	 *
+	 * @type {string}
+	 */
+	globalJunitReport = '';
+
+	/**
+	 * Absolute path of the JSON file that lists all base images that were
+	 * used, and all orphaned base images of the test run. The file is used
+	 * by the `pixelmatch-cleanup` command. An empty value disables it.
+	 *
+	 * @type {string}
+	 */
+	globalBaselineManifest = '';
+
 	/**
 	 * Contains the image paths for the current test.
 	 *
@@ -116,6 +467,9 @@ class PixelmatchHelper extends Helper {
 		// Only compare a single HTML element. Used to calculate a bounding box.
 		element: '',
 
+		// Whether the element is compared inside the viewport, or as crop.
+		elementMode: 'bounds',
+
 		// Only used, when element is not set. Only pixels inside this box are compared.
 		bounds: {
 			left: 0,
@@ -127,6 +481,13 @@ class PixelmatchHelper extends Helper {
 		// List of boxes to ignore. Each box is an object with {left, top, width, height}.
 		ignore: [],
 
+		// List of element selectors to ignore. Resolved to boxes before comparison.
+		ignoreElements: [],
+
+		// Areas that are compared separately, each with {left, top, width, height,
+		// name, tolerance, threshold}. Selectors are resolved to boxes.
+		regions: [],
+
 		// Arguments that are passed to the pixelmatch library.
 		args: {
 			threshold: 0.1,
@@ -138,6 +499,12 @@ class PixelmatchHelper extends Helper {
 			diffColorAlt: null
 		},
 
+		// File extension of new base images: '.png', '.jpg' or '.webp'.
+		baselineExtension: '.png',
+
+		// File extension of diff images: '.png', '.jpg' or '.webp'.
+		diffExtension: '.png',
+
 		// Whether to dump intermediate images before comparing them.
 		dumpIntermediateImage: false,
 
@@ -145,9 +512,125 @@ class PixelmatchHelper extends Helper {
 		captureActual: 'missing',
 
 		// Whether to take a screenshot for the expected image before comparison.
-		captureExpected: 'missing'
+		captureExpected: 'missing',
+
+		// How to compare images with different dimensions.
+		sizeMismatch: 'fail',
+
+		// Whether to replace the base image when the comparison fails.
+		updateBaselines: false,
+
+		// Whether to fail the test at its end, instead of immediately.
+		soft: false,
+
+		// When to attach images to reports: 'failed', 'always' or 'never'.
+		attachImages: 'failed',
+
+		// The comparison engine: 'pixelmatch', 'ssim' or a custom function.
+		algorithm: 'pixelmatch',
+
+		// Minimum similarity (0 - 1) for engines that calculate a similarity.
+		minSimilarity: null,
+
+		// SSIM index threshold of the "ssim" engine.
+		ssimThreshold: 0.1,
+
+		// Absolute number of pixels that are allowed to differ.
+		maxDiffPixels: null,
+
+		// Max. bounding-box area of the largest changed region.
+		maxDiffRegionArea: null,
+
+		// Whether 'all' or 'any' of the pass criteria must pass.
+		criteria: 'all',
+
+		// Regions with less pixels are ignored as noise.
+		minRegionSize: 0,
+
+		// Max. distance between different pixels of the same region.
+		regionGap: 0,
+
+		// Whether to outline the regions in the diff image.
+		drawRegions: false,
+
+		// Layout of the saved diff image: 'diff', 'side-by-side' or 'stacked'.
+		diffLayout: 'diff',
+
+		// Frame duration [ms] of the animated flicker image, or false.
+		flickerDiff: false,
+
+		// Max. number of threads to compare variations in parallel.
+		comparisonThreads: 1,
+
+		// Stop the comparison, once the tolerance is exceeded.
+		fastMode: false,
+
+		// Resample images to this device pixel ratio, or false.
+		normalizeScale: false,
+
+		// Estimate (and compensate) the offset of moved content, or false.
+		detectShift: false,
+
+		// Whether captured screenshots contain the entire page.
+		fullPage: false,
+
+		// Repeat screenshots until they are identical.
+		stabilize: false,
+
+		// Disable animations, the text caret and videos before screenshots.
+		freezeAnimations: false,
+
+		// List of element selectors to hide before screenshots.
+		hideElements: [],
+
+		// Folder pattern for base images, like "{browser}/{viewport}".
+		baselineNamespace: ''
 	};
 
+	/**
+	 * Resolved baseline namespace of the current comparison, e.g.
+	 * "chromium/1280x720/linux". Empty, when no namespace is used.
+	 *
+	 * @type {string}
+	 */
+	namespace = '';
+
+	/**
+	 * Worker threads for parallel comparisons. Created on first usage.
+	 *
+	 * @type {WorkerPool|null}
+	 */
+	workerPool = null;
+
+	/**
+	 * Remote storage of the base images. The `dirExpected` folder is used as
+	 * local cache. Null, when base images are only stored locally.
+	 *
+	 * @type {object|null}
+	 */
+	storage = null;
+
+	/**
+	 * Local copies of stored base images that were downloaded or verified,
+	 * by absolute path. A copy with the same modification time and etag is
+	 * not hashed again. Only these copies are deleted, when the base image
+	 * is removed from the storage.
+	 *
+	 * The list is saved in the `dirExpected` folder, and loaded on the first
+	 * download of a test run.
+	 *
+	 * @type {Object<string, {mtime: float, etag: string}>|null}
+	 */
+	cachedBaselines = null;
+
+	/**
+	 * Device pixel ratio of the current actual image. Used for base images
+	 * that do not record their ratio.
+	 *
+	 * @type {float}
+	 */
+	actualScale = 1;
+
 	/**
 	 * Name of the image to compare.
 	 *
@@ -155,11 +638,74 @@ class PixelmatchHelper extends Helper {
 	 */
 	imageName = '';
 
+	/**
+	 * The currently running test.
+	 *
+	 * @type {object|null}
+	 */
+	currentTest = null;
+
+	/**
+	 * Comparison records of the current process, used to generate reports
+	 * at the end of the test run.
+	 *
+	 * @type {object[]}
+	 */
+	records = [];
+
+	/**
+	 * Soft failures of the current test. The test fails at its end, when
+	 * this list is not empty.
+	 *
+	 * @type {{image: string, difference: float, diffImage: string, message: string}[]}
+	 */
+	softFailures = [];
+
+	/**
+	 * Whether a test is running. Soft failures are only collected inside a
+	 * test; otherwise, no test could fail at its end.
+	 *
+	 * @type {boolean}
+	 */
+	softActive = false;
+
+	/**
+	 * Relative paths of all base images that were used in the current
+	 * process, the namespaces of those base images, and the tests that
+	 * failed or did not run.
+	 *
+	 * @type {{baselines: Set<string>, namespaces: Set<string>, failedTests: int, skippedTests: Set<string>}}
+	 */
+	usage = {
+		baselines: new Set(),
+		namespaces: new Set(),
+		failedTests: 0,
+		skippedTests: new Set()
+	};
+
+	/**
+	 * The Codecept instance of a single process run, with all test files of
+	 * the config. Null in the main thread of `run-workers`, which always
+	 * runs all test files.
+	 *
+	 * @type {object|null}
+	 */
+	codeceptRun = null;
+
 	/**
 	 * Holds comparison results.
 	 *
 	 * @type {{match: boolean, difference: float, diffImage: string, diffPixels: integer,
-	 *     totalPixels: integer, relevantPixels: integer}}
+	 *     totalPixels: integer, relevantPixels: integer, variation: string, variations: object[],
+	 *     sizeMismatch: boolean, dimensions: {actual: {width: int, height: int},
+	 *     expected: {width: int, height: int}}, baselineUpdated: boolean,
+	 *     similarity: float|null, regions: {left: int, top: int, width: int, height: int,
+	 *     pixels: int, area: int}[], stabilizeAttempts: int, failedCriteria: string[],
+	 *     regionResults: {name: string, left: int, top: int, width: int, height: int,
+	 *     tolerance: float, threshold: float, diffPixels: int, relevantPixels: int,
+	 *     difference: float, match: boolean}[], partial: boolean, offset: {x: int, y: int}|null,
+	 *     shiftedRegions: {left: int, top: int, width: int, height: int,
+	 *     offset: {x: int, y: int}}[]}}
 	 */
 	result = {
 		match: true,
@@ -169,7 +715,18 @@ class PixelmatchHelper extends Helper {
 		totalPixels: 0,
 		relevantPixels: 0,
 		variation: '',
-		variations: []
+		variations: [],
+		sizeMismatch: false,
+		dimensions: null,
+		baselineUpdated: false,
+		similarity: null,
+		regions: [],
+		stabilizeAttempts: 0,
+		failedCriteria: [],
+		regionResults: [],
+		partial: false,
+		offset: null,
+		shiftedRegions: []
 	};
 
 	/**
@@ -214,6 +771,13 @@ class PixelmatchHelper extends Helper {
 		}
 
 		this.globalDiffPrefix = config.diffPrefix ? config.diffPrefix : 'Diff_';
+
+		if (config.baselineExtension) {
+			this.globalBaselineExtension = this._sanitizeExtension(config.baselineExtension);
+		}
+		if (config.diffExtension) {
+			this.globalDiffExtension = this._sanitizeExtension(config.diffExtension);
+		}
 		this.globalDumpIntermediateImage = this._toBool(config.dumpIntermediateImage);
 
 		if ('undefined' !== typeof config.captureActual) {
@@ -222,14 +786,211 @@ class PixelmatchHelper extends Helper {
 		if ('undefined' !== typeof config.captureExpected) {
 			this.globalCaptureExpected = this._toBool(config.captureExpected, ['missing']);
 		}
+		if ('undefined' !== typeof config.sizeMismatch) {
+			this.globalSizeMismatch = this._sanitizeSizeMismatch(config.sizeMismatch);
+		}
+
+		if ('undefined' !== typeof config.algorithm) {
+			this.globalAlgorithm = this._sanitizeAlgorithm(config.algorithm);
+		}
+		if ('undefined' !== typeof config.minSimilarity) {
+			this.globalMinSimilarity = this._sanitizeSimilarity(config.minSimilarity);
+		}
+		if ('undefined' !== typeof config.ssimThreshold) {
+			this.globalSsimThreshold = Math.min(1, Math.max(0, parseFloat(config.ssimThreshold) || 0));
+		}
+		if ('undefined' !== typeof config.maxDiffPixels) {
+			this.globalMaxDiffPixels = this._sanitizeLimit(config.maxDiffPixels);
+		}
+		if ('undefined' !== typeof config.maxDiffRegionArea) {
+			this.globalMaxDiffRegionArea = this._sanitizeLimit(config.maxDiffRegionArea);
+		}
+		if ('undefined' !== typeof config.criteria) {
+			this.globalCriteria = this._sanitizeCriteria(config.criteria);
+		}
+
+		if ('undefined' !== typeof config.minRegionSize) {
+			this.globalMinRegionSize = Math.max(0, parseInt(config.minRegionSize) || 0);
+		}
+		if ('undefined' !== typeof config.regionGap) {
+			this.globalRegionGap = Math.max(0, parseInt(config.regionGap) || 0);
+		}
+		this.globalDrawRegions = this._toBool(config.drawRegions);
+
+		if ('undefined' !== typeof config.diffLayout) {
+			this.globalDiffLayout = this._sanitizeDiffLayout(config.diffLayout);
+		}
+		if ('undefined' !== typeof config.elementMode) {
+			this.globalElementMode = this._sanitizeElementMode(config.elementMode);
+		}
+		if ('undefined' !== typeof config.flickerDiff) {
+			this.globalFlickerDiff = this._sanitizeFlickerDiff(config.flickerDiff);
+		}
+		if ('undefined' !== typeof config.comparisonThreads) {
+			this.globalComparisonThreads = this._sanitizeThreads(config.comparisonThreads);
+		}
+		this.globalFastMode = this._toBool(config.fastMode);
+		this.globalNormalizeScale = this._sanitizeScale(config.normalizeScale);
+		this.globalDetectShift = this._sanitizeShift(config.detectShift);
+		this.globalFullPage = this._toBool(config.fullPage);
+		this.globalStabilize = this._sanitizeStabilize(config.stabilize);
+		this.globalFreezeAnimations = this._toBool(config.freezeAnimations);
+
+		if (config.hideElements) {
+			this.globalHideElements = [].concat(config.hideElements).filter(Boolean);
+		}
+		if (config.baselineNamespace && 'string' === typeof config.baselineNamespace) {
+			this.globalBaselineNamespace = config.baselineNamespace;
+		}
+
+		// The environment variable has priority over the config value.
+		if ('undefined' !== typeof process.env.UPDATE_VISUAL_BASELINES) {
+			this.globalUpdateBaselines = this._toBool(process.env.UPDATE_VISUAL_BASELINES);
+		} else if ('undefined' !== typeof config.updateBaselines) {
+			this.globalUpdateBaselines = this._toBool(config.updateBaselines);
+		}
+		this.globalSoft = this._toBool(config.soft);
+
+		if ('undefined' !== typeof config.attachImages) {
+			this.globalAttachImages = this._sanitizeAttachImages(config.attachImages);
+		}
+
+		this.globalHtmlReport = this._resolveReportPath(config.htmlReport, 'visual-report.html');
+		this.globalReportFile = this._resolveReportPath(config.reportFile, 'visual-report.json');
+		this.globalJunitReport = this._resolveReportPath(config.junitReport, 'visual-report.xml');
+		this.globalBaselineManifest = this._resolveReportPath(config.baselineManifest, 'visual-baselines.json');
+		this.storage = createStorage(config.baselineStorage);
 	}
 
 	/**
-	 * Compares the given screenshot with the expected image. When too many
-	 * differences are detected, the test will fail.
-	 *
-	 * I.checkVisualDifferences('dashboard.png');
-	 * I.checkVisualDifferences('dashboard.png', { screenshot: true });
+	 * Registers event listeners that generate the reports at the end of the
+	 * test run. Called internally by CodeceptJS.
+	 */
+	_init() {
+		const { event } = codeceptjs;
+
+		if (!this._isReportEnabled()) {
+			return;
+		}
+
+		// Remove records of a previous run, before the workers start.
+		if (isMainThread) {
+			this._deleteRecords();
+		}
+
+		// Failed, skipped and pending tests might not reach their visual
+		// comparison. Skipped tests are collected by title, because the
+		// reporter and the suite can both report the same test.
+		if (this.globalBaselineManifest) {
+			const skip = test => test && test.fullTitle && this.usage.skippedTests.add(test.fullTitle());
+
+			// Lists all test files of the config, to detect partial runs.
+			event.dispatcher.on(event.all.before, codecept => this.codeceptRun = codecept || null);
+			event.dispatcher.on(event.test.failed, () => this.usage.failedTests++);
+			event.dispatcher.on(event.test.skipped, skip);
+			event.dispatcher.on(event.suite.before, suite => {
+				(suite.tests || []).filter(test => test.isPending()).forEach(skip);
+			});
+		}
+
+		// Single process, or the end of a worker thread.
+		event.dispatcher.on(event.all.result, () => this._writeReports());
+
+		// Main thread of `run-workers`, after all workers finished.
+		event.dispatcher.on(event.workers.after, () => this._writeReports());
+	}
+
+	/**
+	 * Stops the comparison threads at the end of the test run.
+	 * Called internally by CodeceptJS.
+	 *
+	 * @return {Promise<void>}
+	 */
+	async _finishTest() {
+		if (this.workerPool) {
+			await this.workerPool.destroy();
+			this.workerPool = null;
+		}
+	}
+
+	/**
+	 * Remembers the current test, to link comparison results to the test.
+	 * Called internally by CodeceptJS.
+	 *
+	 * @param {object} test - The mocha test.
+	 */
+	_before(test) {
+		this.currentTest = test || null;
+		this.softFailures = [];
+		this.softActive = !!test;
+	}
+
+	/**
+	 * Fails the current test, when soft comparisons failed.
+	 * Called internally by CodeceptJS, in the "after each" hook of the test.
+	 */
+	_after() {
+		const err = this._getSoftFailureError();
+
+		this.softActive = false;
+
+		if (err) {
+			this._failTest(this.currentTest, err);
+		}
+	}
+
+	/**
+	 * Marks the given test as failed, from its "after each" hook.
+	 *
+	 * CodeceptJS only logs errors of helper hooks, and a failing hook would
+	 * skip the remaining tests of the suite. Instead, the error is passed to
+	 * the running hook via `Hook#error()`, which makes mocha fail the test.
+	 *
+	 * @param {object} test - The mocha test.
+	 * @param {Error} err - The reason.
+	 * @private
+	 */
+	_failTest(test, err) {
+		const { event } = codeceptjs;
+		const hook = test && test.ctx ? test.ctx.test : null;
+
+		// A failed test keeps its first error.
+		if (!test || 'failed' === test.state || !hook || hook === test || 'function' !== typeof hook.error) {
+			this.debug(err.message);
+			return;
+		}
+
+		hook.error(err);
+		event.emit(event.test.failed, test, err);
+	}
+
+	/**
+	 * Returns an error that lists every failed soft comparison of the current
+	 * test, and resets the list.
+	 *
+	 * @return {Error|null} The error, or null when no soft comparison failed.
+	 * @private
+	 */
+	_getSoftFailureError() {
+		const failures = this.softFailures;
+		this.softFailures = [];
+
+		if (!failures.length) {
+			return null;
+		}
+
+		const msg = [`${failures.length} visual comparison(s) failed:`];
+		failures.forEach(item => msg.push(`  - ${item.image}: ${item.message}`));
+
+		return new Error(msg.join('\n'));
+	}
+
+	/**
+	 * Compares the given screenshot with the expected image. When too many
+	 * differences are detected, the test will fail.
+	 *
+	 * I.checkVisualDifferences('dashboard.png');
+	 * I.checkVisualDifferences('dashboard.png', { screenshot: true });
 	 *
 	 * @param {string} image - Name of the input image to compare.
 	 * @param {object} [options] - Optional options for the comparison.
@@ -248,19 +1009,72 @@ class PixelmatchHelper extends Helper {
 
 			if (res.match) {
 				resolve(res);
-			} else {
-				const msg = [];
-				msg.push(`Images are different by ${res.difference}%`);
+			} else if (this.options.soft && this.softActive) {
+				// Collect the failure, the test fails at its end.
+				const message = this._getFailureMessage(res);
+
+				this.softFailures.push({
+					image: this.imageName + path.extname(this._buildPath('actual')),
+					difference: res.difference,
+					diffImage: res.diffImage,
+					message
+				});
+				this.debug(`Soft failure: ${message}`);
 
-				if (res.diffImage) {
-					msg.push(`differences are displayed in '${res.diffImage}'`);
-				}
-
-				reject(msg.join(' - '));
+				resolve(res);
+			} else {
+				reject(this._getFailureMessage(res));
 			}
 		});
 	}
 
+	/**
+	 * Compares the given screenshot with the expected image, like
+	 * `checkVisualDifferences()`. A failed comparison does not stop the
+	 * test, but the test fails at its end with a list of all failures.
+	 *
+	 * I.softCheckVisualDifferences('header.png');
+	 * I.softCheckVisualDifferences('footer.png');
+	 *
+	 * @param {string} image - Name of the input image to compare.
+	 * @param {object} [options] - Optional options for the comparison.
+	 * @return {Promise}
+	 */
+	softCheckVisualDifferences(image, options) {
+		return this.checkVisualDifferences(image, Object.assign({}, options, {soft: true}));
+	}
+
+	/**
+	 * Describes why the given comparison failed.
+	 *
+	 * @param {object} res - The comparison result.
+	 * @return {string}
+	 * @private
+	 */
+	_getFailureMessage(res) {
+		const msg = [];
+		msg.push(`Images are different by ${res.difference}%`);
+
+		if (res.failedCriteria.length) {
+			msg.push(`failed: ${res.failedCriteria.join(', ')}`);
+		}
+
+		if (res.offset && (res.offset.x || res.offset.y)) {
+			msg.push(`content is shifted by ${res.offset.x}/${res.offset.y} px`);
+		}
+
+		if (res.sizeMismatch) {
+			const dim = res.dimensions;
+			msg.push(`image sizes differ (actual ${dim.actual.width}x${dim.actual.height}, expected ${dim.expected.width}x${dim.expected.height})`);
+		}
+
+		if (res.diffImage) {
+			msg.push(`differences are displayed in '${res.diffImage}'`);
+		}
+
+		return msg.join(' - ');
+	}
+
 	/**
 	 * Compares the given screenshot with the expected image and updates the
 	 * class member `this.result` with details. This function does to trigger an
@@ -278,6 +1092,7 @@ class PixelmatchHelper extends Helper {
 		this.debug(`Check differences in ${image} ...`);
 
 		await this._maybeCaptureImage('actual', opts.captureActual);
+		await this._fetchBaselines();
 		await this._maybeCaptureImage('expected', opts.captureExpected);
 
 		const expectedImages = this._getExpectedImagePaths();
@@ -285,220 +1100,1217 @@ class PixelmatchHelper extends Helper {
 			throw new Error('No expected base image found');
 		}
 
-		const imgActual = this._loadPngImage('actual');
+		// Resolve ignored elements on the current page to pixel-boxes.
+		await this._resolveIgnoredElements();
+
+		let imgActual = this._loadPngImage('actual');
 		if (!imgActual.height) {
 			throw new Error('Current screenshot is empty (zero height)');
 		}
 
-		const width = imgActual.width;
-		const height = imgActual.height;
-		const totalPixels = width * height;
-		const ignoredPixels = this._applyBounds(imgActual);
-		const results = [];
-		let bestIndex = 0;
-		let bestDifference = totalPixels;
-		let bestImgDiff;
+		imgActual = await this._normalizeActualScale(imgActual);
 
-		const imgDiff = new PNG({
-			width,
-			height
-		});
+		// Ignored pixels are counted per variation, on the common canvas.
+		const cleared = new Uint8Array(imgActual.width * imgActual.height);
+		this._applyBounds(imgActual, cleared);
 
 		if (opts.dumpIntermediateImage) {
 			this._savePngImage('output', imgActual, 'actual');
 		}
 
 		// Compare the actual image with every base image in the list.
-		for (let i = 0; i < expectedImages.length; i++) {
-			const imgPath = expectedImages[i];
-			const imgExpected = this._loadPngImage(imgPath);
+		const compared = await this._compareVariations(imgActual, expectedImages, cleared);
+		const results = compared.results;
+		const bestIndex = compared.bestIndex;
+		const bestImgDiff = compared.imgDiff;
+		const bestImgExpected = compared.imgExpected;
+		const bestImgActual = compared.imgActual;
+
+		// Use the best match as return value. Details that are not part of
+		// the variation, like `stabilizeAttempts`, are kept.
+		for (const key in res) {
+			if (!res.hasOwnProperty(key) || !results[bestIndex].hasOwnProperty(key)) {
+				continue;
+			}
+			res[key] = results[bestIndex][key];
+		}
+
+		// Add the dynamic property `variations` that lists all comparisons.
+		res.variations = results;
+
+		// Accept the actual image as new base image of the best match.
+		if (!res.match && opts.updateBaselines) {
+			await this._uploadBaseline(this._updateBaseline(expectedImages[bestIndex]));
+			this._deleteFile(this._buildPath('diff', res.variation));
+			this._deleteFile(this._getFlickerPath(res.variation));
+
+			res.match = true;
+			res.diffImage = '';
+			res.failedCriteria = [];
+			res.baselineUpdated = true;
+			results[bestIndex].baselineUpdated = true;
+		}
+
+		// Only create a diff-image of the best-matching variation.
+		if (!res.match) {
+			if ('diff' === opts.diffLayout) {
+				this._savePngImage('diff', bestImgDiff, res.variation);
+			} else {
+				const composite = renderComposite([
+					{title: 'Expected', image: bestImgExpected},
+					{title: 'Actual', image: bestImgActual},
+					{title: 'Diff', image: bestImgDiff}
+				], opts.diffLayout, this._getDiffCaption());
 
-			if (imgExpected.width !== imgActual.width || imgExpected.height !== imgActual.height) {
-				throw new Error('Image sizes do not match');
+				this._savePngImage('diff', composite, res.variation);
 			}
 
-			this._applyBounds(imgExpected);
-			if (opts.dumpIntermediateImage) {
-				this._savePngImage('output', imgExpected, 'expected.' + (i ? i : ''));
+			if (opts.flickerDiff) {
+				this._saveFlickerImage(bestImgExpected, bestImgActual, res.variation);
 			}
+		}
 
-			results[i] = {};
-			results[i].diffPixels = pixelmatch(
-				imgExpected.data,
-				imgActual.data,
-				imgDiff.data,
-				width,
-				height,
-				opts.args
-			);
+		this._recordResult(expectedImages[bestIndex], bestImgDiff);
+		this._attachImages(expectedImages[bestIndex]);
+
+		return res;
+	}
 
-			results[i].totalPixels = totalPixels;
-			results[i].relevantPixels = totalPixels - ignoredPixels;
-			const difference = 100 * results[i].diffPixels / results[i].relevantPixels;
+	/**
+	 * Compares the actual image with every base image. When multiple base
+	 * images exist, the comparisons run in parallel worker threads, which
+	 * share the decoded actual image.
+	 *
+	 * Only the images of the best match are kept; the diff image is encoded
+	 * later, when it's saved.
+	 *
+	 * @param {PNG} imgActual - The actual image, with bounds applied.
+	 * @param {string[]} expectedImages - Paths of all base images.
+	 * @param {Uint8Array} cleared - Pixels of the actual image that were
+	 *        cleared by the bounds or ignored areas, see `_applyBounds()`.
+	 * @return {Promise<{results: object[], bestIndex: int, imgDiff: PNG, imgExpected: PNG,
+	 *     imgActual: PNG}>}
+	 * @private
+	 */
+	async _compareVariations(imgActual, expectedImages, cleared) {
+		const opts = this.options;
+		const threads = this._getThreadCount(expectedImages.length);
+		const results = [];
+		let best = null;
 
-			results[i].difference = parseFloat(difference.toFixed(4));
-			results[i].match = results[i].difference <= opts.tolerance;
+		const addResult = (i, comparison) => {
+			const result = comparison.result;
 
-			if (-1 !== imgPath.indexOf('~')) {
-				results[i].variation = imgPath.replace(/\.png$|^.*~/g, '');
+			if (!result.match && this.globalDir.diff) {
+				result.diffImage = this._getFileName('diff', result.variation);
 			} else {
-				results[i].variation = '';
+				result.diffImage = '';
 			}
 
-			if (!results[i].match && this.globalDir.diff) {
-				results[i].diffImage = this._getFileName('diff', i);
-			} else {
-				results[i].diffImage = '';
+			results[i] = result;
+
+			// Keep track of the best match: A variation that passes the
+			// criteria, then the lowest difference. The difference is relative
+			// to the compared pixels, so it's comparable between all engines
+			// and image sizes.
+			const score = [result.match ? 0 : 1, result.difference];
+			const isBetter = !best
+				|| score[0] < best.score[0]
+				|| (score[0] === best.score[0] && score[1] < best.score[1])
+				|| (score[0] === best.score[0] && score[1] === best.score[1] && i < best.index);
+
+			if (isBetter) {
+				best = {
+					index: i,
+					score,
+					comparison
+				};
 			}
+		};
 
-			// Keep track of the best match.
-			if (results[i].diffPixels < bestDifference) {
-				// Remember the serialized PNG, because the imgDiff object is
-				// a reference that might be updated before the loop ends.
-				bestImgDiff = PNG.sync.write(imgDiff);
-				bestDifference = results[i].diffPixels;
-				bestIndex = i;
+		if (threads > 1) {
+			this.debug(`Compare ${expectedImages.length} base images in ${threads} threads ...`);
+
+			// The workers read the actual image from shared memory.
+			const shared = new SharedArrayBuffer(imgActual.data.length);
+			new Uint8Array(shared).set(imgActual.data);
+
+			const sharedCleared = new SharedArrayBuffer(cleared.length);
+			new Uint8Array(sharedCleared).set(cleared);
+
+			const pool = await this._getWorkerPool(threads);
+
+			await Promise.all(expectedImages.map((imgPath, i) => {
+				return pool.run({
+					imgPath,
+					index: i,
+					cleared: sharedCleared,
+					actualScale: this.actualScale,
+					options: opts,
+					actual: {
+						width: imgActual.width,
+						height: imgActual.height,
+						data: shared
+					}
+				}).then(message => {
+					addResult(i, {
+						result: message.result,
+						crop: message.crop,
+						imgDiff: this._toPng(message.imgDiff),
+						imgExpected: this._toPng(message.imgExpected),
+						imgActual: message.imgActual ? this._toPng(message.imgActual) : imgActual
+					});
+				});
+			}));
+		} else {
+			for (let i = 0; i < expectedImages.length; i++) {
+				addResult(i, this._compareVariation(imgActual, expectedImages[i], i, cleared));
 			}
 		}
 
-		// Use the best match as return value.
-		for (const key in res) {
-			if (!res.hasOwnProperty(key)) {
-				continue;
-			}
-			res[key] = results[bestIndex][key];
+		// The fast mode skips parts of the image. Compare the best match
+		// again, when its diff image is saved.
+		if (best.comparison.result.partial && this.globalDir.diff && !opts.updateBaselines) {
+			this.debug('Compute the full diff of the best match ...');
+
+			const full = this._compareVariation(imgActual, expectedImages[best.index], best.index, cleared, false);
+
+			full.result.diffImage = best.comparison.result.diffImage;
+			results[best.index] = full.result;
+			best.comparison = full;
 		}
 
-		// Add the dynamic property `variations` that lists all comparisons.
-		res.variations = results;
+		const comparison = best.comparison;
+		const crop = comparison.crop;
 
-		// Only create a diff-image of the best-matching variation.
-		if (!res.match) {
-			this._savePngImage('diff', bestImgDiff, res.variation);
+		// Every variation uses its own diff image, because the canvas size
+		// can differ between variations.
+		if (opts.drawRegions) {
+			const imgDiff = comparison.imgDiff;
+			drawRegions(imgDiff.data, imgDiff.width, imgDiff.height, comparison.result.regions, [0, 0, 255]);
 		}
 
-		return res;
+		return {
+			results,
+			bestIndex: best.index,
+			imgDiff: crop ? this._cropImage(comparison.imgDiff, crop) : comparison.imgDiff,
+			imgExpected: crop ? this._cropImage(comparison.imgExpected, crop) : comparison.imgExpected,
+			imgActual: crop ? this._cropImage(comparison.imgActual, crop) : comparison.imgActual
+		};
 	}
 
 	/**
-	 * Take screenshot of individual element.
+	 * Compares the actual image with a single base image. This method runs
+	 * on the main thread, or inside a comparison worker.
 	 *
-	 * @param {string} name - Name of the output image.
-	 * @param {'actual'|'expected'} [which] - Optional. Whether the screenshot is
-	 *        the expected bas eimage, or an actual image for comparison.
-	 *        Defaults to 'actual'.
-	 * @param {string} [element] - Optional. Selector of the element to
-	 *        screenshot, or empty to screenshot current viewport.
-	 * @returns {Promise}
+	 * @param {PNG} imgActual - The actual image, with bounds applied.
+	 * @param {string} imgPath - Absolute path of the base image.
+	 * @param {int} index - Position of the base image in the list.
+	 * @param {Uint8Array} cleared - Pixels of the actual image that were
+	 *        cleared by the bounds or ignored areas, see `_applyBounds()`.
+	 * @param {boolean} [allowPartial] - Optional. Set to false to disable the
+	 *        fast mode for this comparison.
+	 * @return {{result: object, imgDiff: PNG, imgExpected: PNG, imgActual: PNG,
+	 *     crop: object|null}}
+	 * @private
 	 */
-	async takeScreenshot(name, which, element) {
-		await this._setupTest(name);
+	_compareVariation(imgActual, imgPath, index, cleared, allowPartial) {
+		const opts = this.options;
+		const result = {};
+		const imgExpected = this._scaleImage(this._loadPngImage(imgPath), imgPath, this.actualScale);
+		const clearedExpected = new Uint8Array(imgExpected.width * imgExpected.height);
 
-		if (element) {
-			await this._takeElementScreenshot(name, which, element);
-		} else {
-			await this._takeScreenshot(name, which);
+		this._applyBounds(imgExpected, clearedExpected);
+
+		// Place both images on a common canvas, when their sizes differ.
+		const aligned = this._alignImages(imgActual, imgExpected, opts.sizeMismatch, {
+			actual: cleared,
+			expected: clearedExpected
+		});
+		const width = aligned.width;
+		const height = aligned.height;
+		const totalPixels = width * height;
+
+		if (opts.dumpIntermediateImage) {
+			this._savePngImage('output', aligned.expected, 'expected.' + (index ? index : ''));
 		}
-	}
 
-	/**
-	 * Takes a screenshot of the entire viewport and saves it as either an
-	 * actual image, or an expected base-image.
-	 *
-	 * @param {string} name - Name of the output image.
-	 * @param {'actual'|'expected'} which - Optional. Whether the screenshot is
-	 *        the expected bas eimage, or an actual image for comparison.
-	 *        Defaults to 'actual'.
-	 * @param {string} element - Optional. Selector of the element to
-	 *        screenshot, or empty to screenshot current viewport.
-	 * @private
-	 */
-	async _takeElementScreenshot(name, which, element) {
-		const driver = this._getDriver();
+		const imgDiff = new PNG({
+			width,
+			height
+		});
 
-		// The output path where the screenshot is saved to.
-		const outputFile = this._buildPath('expected' === which ? which : 'actual');
+		// Areas with custom settings are excluded from the main comparison.
+		const main = this._excludeRegions(aligned);
 
-		// Screenshot a single element.
-		await driver.waitForVisible(element);
-		const els = await driver._locate(element);
+		// Estimate the offset of moved content, and maybe move it back.
+		const shift = this._detectShift(main, aligned);
+		result.offset = shift.offset;
+		result.shiftedRegions = shift.regions;
 
-		if ('TestCafe' === driver._which) {
-			if (!await els.count) {
-				throw new Error(`Element ${element} couldn't be located`);
-			}
+		result.totalPixels = totalPixels;
+		result.relevantPixels = totalPixels - aligned.ignoredPixels - aligned.emptyPixels - main.excludedPixels
+			- shift.ignoredPixels;
+		result.partial = false;
 
-			await driver.t.takeElementScreenshot(els, outputFile);
+		let outcome;
+		let largestArea = 0;
+
+		if (false !== allowPartial && this._canUseFastMode(aligned)) {
+			outcome = this._runFastComparison(
+				main.expected.data,
+				main.actual.data,
+				imgDiff.data,
+				width,
+				height,
+				result.relevantPixels
+			);
 		} else {
-			if (!els.length) {
-				throw new Error(`Element ${element} couldn't be located`);
+			outcome = this._runComparison(
+				main.expected.data,
+				main.actual.data,
+				imgDiff.data,
+				width,
+				height
+			);
+		}
+
+		result.diffPixels = outcome.diffPixels;
+		result.similarity = outcome.similarity;
+
+		if (outcome.partial) {
+			// The comparison stopped early; the counts are incomplete.
+			result.partial = true;
+			result.regions = [];
+			result.regionResults = [];
+		} else {
+			// Pixels outside the overlapping area are always different.
+			const mismatched = this._markMismatchedPixels(imgDiff, aligned);
+			result.diffPixels += mismatched;
+
+			// The similarity only covers the overlapping area; pixels that are
+			// only present in one image have no similarity.
+			if (null !== result.similarity && mismatched && result.relevantPixels) {
+				result.similarity = parseFloat(
+					(result.similarity * Math.max(0, result.relevantPixels - mismatched) / result.relevantPixels).toFixed(6)
+				);
 			}
-			const el = els[0];
 
-			switch (driver._which) {
-				case 'Playwright':
-				case 'Puppeteer':
-					await el.screenshot({path: outputFile});
-					break;
+			// Group different pixels into regions and ignore small clusters.
+			const regions = this._findDiffRegions(imgDiff);
+			result.diffPixels -= regions.noisePixels;
+			result.regions = regions.list;
+			largestArea = regions.largestArea;
 
-				case 'WebDriver':
-				case 'Appium':
-					await el.saveScreenshot(outputFile);
-					break;
+			// Compare every area with its own settings.
+			result.regionResults = this._compareRegions(aligned, imgDiff);
+		}
+
+		const difference = 100 * result.diffPixels / result.relevantPixels;
+
+		result.difference = parseFloat(difference.toFixed(4));
+
+		result.failedCriteria = this._checkCriteria(result, largestArea);
+
+		// Every area must pass, regardless of the criteria mode.
+		result.regionResults.forEach(region => {
+			if (!region.match) {
+				result.failedCriteria.push(
+					`region "${region.name}" difference ${region.difference}% exceeds tolerance ${region.tolerance}%`
+				);
+			}
+		});
+
+		result.match = !result.failedCriteria.length;
+		result.sizeMismatch = aligned.sizeMismatch;
+		result.dimensions = {
+			actual: {
+				width: imgActual.width,
+				height: imgActual.height
+			},
+			expected: {
+				width: imgExpected.width,
+				height: imgExpected.height
 			}
+		};
+
+		if (-1 !== imgPath.indexOf('~')) {
+			result.variation = imgPath.replace(new RegExp(`${EXTENSION_PATTERN}$|^.*~`, 'gi'), '');
+		} else {
+			result.variation = '';
 		}
+
+		return {
+			result,
+			imgDiff,
+			imgExpected: aligned.expected,
+			imgActual: aligned.actual,
+			crop: aligned.crop || null
+		};
 	}
 
 	/**
-	 * Takes a screenshot of the entire viewport and saves it as either an
-	 * actual image, or an expected base-image.
+	 * Returns the number of worker threads for comparing the given number
+	 * of base images. A value of 1 means, that the comparisons run on the
+	 * main thread.
 	 *
-	 * @param {string} name - Name of the output image.
-	 * @param {'actual'|'expected'} which - Optional. Whether the screenshot is
-	 *        the expected bas eimage, or an actual image for comparison.
-	 *        Defaults to 'actual'.
+	 * Custom comparison functions cannot be passed to a worker, and
+	 * intermediate images are only dumped by the main thread.
+	 *
+	 * @param {int} count - Number of base images.
+	 * @return {int}
 	 * @private
 	 */
-	async _takeScreenshot(name, which) {
-		const driver = this._getDriver();
+	_getThreadCount(count) {
+		const opts = this.options;
 
-		// The output path where the screenshot is saved to.
-		const outputFile = this._buildPath('expected' === which ? which : 'actual');
+		if ('function' === typeof opts.algorithm || opts.dumpIntermediateImage) {
+			return 1;
+		}
 
-		// We need a dynamic temp-name here: When the helper is used with
-		// the `run-workers` option, multiple workers might access a temp
-		// file at the same time.
-		const uid = Math.random().toString(36).slice(-5);
-		const tempName = `~${uid}.temp.png`;
+		let threads = opts.comparisonThreads;
 
-		// Screenshot the current viewport into a temp file.
-		await driver.saveScreenshot(tempName);
-		this._deleteFile(outputFile);
+		// Worker threads only pay off on multiple cores; a single core
+		// compares on the main thread.
+		if ('auto' === threads) {
+			threads = os.cpus().length > 1 ? os.cpus().length : 1;
+		}
 
-		// Move the temp file to the correct folder and rename the file.
-		fs.renameSync(global.output_dir + '/' + tempName, outputFile);
-		this._deleteFile(global.output_dir + '/' + tempName);
+		return Math.max(1, Math.min(count, threads));
 	}
 
 	/**
-	 * Clears pixels in the specified image that are outside the bounding rect
-	 * or inside an ignored area.
+	 * Returns the worker pool for parallel comparisons. The pool is created
+	 * on first usage and stopped at the end of the test run. Workers receive
+	 * the comparison inputs with every task, not the config of this helper.
 	 *
-	 * @param {PNG} png - The image to modify.
-	 * @return {int} Number of cleared pixels.
+	 * @param {int} size - Minimum number of worker threads.
+	 * @return {Promise<WorkerPool>}
 	 * @private
 	 */
-	_applyBounds(png) {
-		const opts = this.options;
-		let cleared = 0;
+	async _getWorkerPool(size) {
+		if (!this.workerPool || this.workerPool.size < size) {
+			if (this.workerPool) {
+				await this.workerPool.destroy();
+			}
 
-		const useBounds = opts.bounds.left
-			|| opts.bounds.top
-			|| opts.bounds.width
-			|| opts.bounds.height;
+			this.workerPool = new WorkerPool(path.join(__dirname, 'lib', 'compare-worker.js'), size);
+		}
 
+		return this.workerPool;
+	}
 
-		// Apply a bounding box to only compare a section of the image.
+	/**
+	 * Wraps image data that was received from a worker in a PNG object,
+	 * without copying the data.
+	 *
+	 * @param {{width: int, height: int, data: Uint8Array}} image - The image data.
+	 * @return {PNG}
+	 * @private
+	 */
+	_toPng(image) {
+		const png = new PNG();
+
+		png.width = image.width;
+		png.height = image.height;
+		png.data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+
+		return png;
+	}
+
+	/**
+	 * Saves an animated PNG next to the diff image, that alternates between
+	 * the expected and the actual image. Both images are used as compared,
+	 * i.e. with bounds and ignored areas cleared.
+	 *
+	 * @param {PNG} imgExpected - The aligned expected image.
+	 * @param {PNG} imgActual - The aligned actual image.
+	 * @param {string} variation - The variation of the expected image.
+	 * @private
+	 */
+	_saveFlickerImage(imgExpected, imgActual, variation) {
+		const file = this._getFlickerPath(variation);
+
+		if (!file) {
+			return;
+		}
+
+		this.debug(`Save flicker image to ${file} ...`);
+
+		if (this._isFile(file) && !this._isFile(file, 'write')) {
+			throw new Error(`Cannot save the flicker image to ${file}. Maybe the file is read-only.`);
+		}
+
+		fs.writeFileSync(file, encodeApng([imgExpected, imgActual], this.options.flickerDiff));
+	}
+
+	/**
+	 * Returns the absolute path of the animated flicker image, which uses
+	 * the name of the diff image with the extension ".apng".
+	 *
+	 * @param {string} variation - The variation of the expected image.
+	 * @return {string} The path, or an empty string when diffs are disabled.
+	 * @private
+	 */
+	_getFlickerPath(variation) {
+		const diffPath = this._buildPath('diff', variation);
+
+		return diffPath ? diffPath.replace(/\.[^.\/\\]+$/, '.apng') : '';
+	}
+
+	/**
+	 * Returns the caption of composite diff images, with the image name, the
+	 * variation and the difference of the current result.
+	 *
+	 * @return {string}
+	 * @private
+	 */
+	_getDiffCaption() {
+		const res = this.result;
+		const parts = [
+			this.imageName,
+			res.variation ? `variation ${res.variation}` : 'base image',
+			`difference ${res.difference}%`
+		];
+
+		return parts.join(' | ');
+	}
+
+	/**
+	 * Adds the current comparison result to the list of records, which is
+	 * used to generate the reports at the end of the test run.
+	 *
+	 * Images of failed comparisons are embedded into the record, because the
+	 * files can be overwritten by later tests.
+	 *
+	 * @param {string} expectedPath - Path of the best-matching base image.
+	 * @param {PNG} imgDiff - The diff image of the best-matching base image.
+	 * @private
+	 */
+	_recordResult(expectedPath, imgDiff) {
+		if (!this._isReportEnabled()) {
+			return;
+		}
+
+		const res = this.result;
+		const opts = this.options;
+		const test = this.currentTest;
+
+		const record = {
+			test: test && 'function' === typeof test.fullTitle ? test.fullTitle() : '',
+			image: this.imageName,
+			match: res.match,
+			difference: res.difference,
+			diffPixels: res.diffPixels,
+			relevantPixels: res.relevantPixels,
+			tolerance: opts.tolerance,
+			failedCriteria: res.failedCriteria,
+			regionResults: res.regionResults,
+			partial: res.partial,
+			offset: res.offset,
+			variation: res.variation,
+			variations: res.variations.map(item => ({
+				variation: item.variation,
+				difference: item.difference,
+				diffPixels: item.diffPixels,
+				match: item.match
+			})),
+			baselineUpdated: res.baselineUpdated,
+			regions: res.regions,
+			stabilizeAttempts: res.stabilizeAttempts,
+			files: {
+				expected: expectedPath,
+				actual: this._buildPath('actual'),
+				diff: res.diffImage ? this._buildPath('diff', res.variation) : ''
+			},
+			options: JSON.parse(JSON.stringify(opts)),
+			time: new Date().toISOString(),
+			images: {}
+		};
+
+		if (!res.match && this.globalHtmlReport) {
+			record.images.expected = this._getDataUri(record.files.expected);
+			record.images.actual = this._getDataUri(record.files.actual);
+
+			if (record.files.diff) {
+				record.images.diff = this._getDataUri(record.files.diff);
+			} else if (imgDiff) {
+				record.images.diff = 'data:image/png;base64,' + PNG.sync.write(imgDiff).toString('base64');
+			}
+		}
+
+		this.records.push(record);
+	}
+
+	/**
+	 * Returns the contents of the given image file as data-URI.
+	 *
+	 * @param {string} file - Path to the image file.
+	 * @return {string} The data-URI, or an empty string.
+	 * @private
+	 */
+	_getDataUri(file) {
+		if (!file || !this._isFile(file, 'read')) {
+			return '';
+		}
+
+		const data = fs.readFileSync(file);
+		const format = FORMATS[detectFormat(data)] || FORMATS.png;
+
+		return `data:${format.mime};base64,` + data.toString('base64');
+	}
+
+	/**
+	 * Attaches the images of the current comparison to the Allure and
+	 * Mochawesome reports, depending on the `attachImages` option.
+	 *
+	 * @param {string} expectedPath - Path of the best-matching base image.
+	 * @private
+	 */
+	_attachImages(expectedPath) {
+		const res = this.result;
+		const mode = this.options.attachImages;
+
+		if ('never' === mode || ('failed' === mode && res.match)) {
+			return;
+		}
+
+		const allure = codeceptjs.container.plugins('allure');
+		const mochawesome = codeceptjs.container.helpers('Mochawesome');
+
+		if (!allure && !mochawesome) {
+			return;
+		}
+
+		const reportDir = mochawesome ? this._getMochawesomeDir() : '';
+
+		const files = [
+			{title: 'Expected', file: expectedPath},
+			{title: 'Actual', file: this._buildPath('actual')},
+			{title: 'Diff', file: res.diffImage ? this._buildPath('diff', res.variation) : ''}
+		].filter(item => item.file && this._isFile(item.file));
+
+		for (const item of files) {
+			const name = `${item.title}: ${path.basename(item.file)}`;
+
+			if (allure) {
+				this.debug(`Attaching ${name} to Allure report...`);
+				const data = fs.readFileSync(item.file);
+				allure.addAttachment(name, data, (FORMATS[detectFormat(data)] || FORMATS.png).mime);
+			}
+
+			// Mochawesome links the image, relative to the report folder.
+			if (mochawesome) {
+				this.debug(`Attaching ${name} to Mochawesome report...`);
+				mochawesome.addMochawesomeContext({
+					title: name,
+					value: path.relative(reportDir, item.file).split(path.sep).join('/')
+				});
+			}
+		}
+	}
+
+	/**
+	 * Returns the absolute path of the Mochawesome report folder, using the
+	 * same order as Mochawesome: The `reportDir` reporter option (also inside
+	 * the options of the mocha-multi reporter), the MOCHAWESOME_REPORTDIR
+	 * environment variable, or "mochawesome-report".
+	 *
+	 * @return {string}
+	 * @private
+	 */
+	_getMochawesomeDir() {
+		const mocha = codeceptjs.container.mocha();
+		let options = (mocha && mocha.options && mocha.options.reporterOptions) || {};
+
+		if (options.mochawesome && options.mochawesome.options) {
+			options = options.mochawesome.options;
+		}
+
+		const dir = options.reportDir || process.env.MOCHAWESOME_REPORTDIR || 'mochawesome-report';
+
+		// Mochawesome resolves the folder relative to the working directory.
+		return path.resolve(dir);
+	}
+
+	/**
+	 * Returns the folder that collects the comparison records of all workers.
+	 *
+	 * @return {string}
+	 * @private
+	 */
+	_getRecordsDir() {
+		return path.join(this.globalDir.output, '.pixelmatch-records');
+	}
+
+	/**
+	 * Deletes the records folder.
+	 *
+	 * @private
+	 */
+	_deleteRecords() {
+		fs.rmSync(this._getRecordsDir(), {recursive: true, force: true});
+	}
+
+	/**
+	 * Called at the end of the test run. Worker threads save their records
+	 * for the main thread, which generates the reports from all records.
+	 *
+	 * @private
+	 */
+	_writeReports() {
+		if (!isMainThread) {
+			const file = path.join(this._getRecordsDir(), `worker-${threadId}.json`);
+
+			this._mkdirp(path.dirname(file));
+			fs.writeFileSync(file, JSON.stringify({
+				records: this.records,
+				baselines: Array.from(this.usage.baselines),
+				namespaces: Array.from(this.usage.namespaces),
+				failedTests: this.usage.failedTests,
+				skippedTests: Array.from(this.usage.skippedTests)
+			}));
+			return;
+		}
+
+		const workers = this._loadWorkerRecords();
+		const records = this.records.concat(workers.records);
+
+		if (this.globalHtmlReport) {
+			this._writeReportFile(this.globalHtmlReport, renderHtmlReport(records));
+		}
+
+		if (this.globalReportFile) {
+			// Embedded images are only relevant for the HTML report.
+			const data = records.map(record => {
+				const item = Object.assign({}, record);
+				delete item.images;
+				return item;
+			});
+
+			this._writeReportFile(this.globalReportFile, JSON.stringify(data, null, 2));
+		}
+
+		if (this.globalJunitReport) {
+			this._writeReportFile(this.globalJunitReport, renderJunitReport(records));
+		}
+
+		if (this.globalBaselineManifest) {
+			this._writeBaselineManifest(workers);
+		}
+
+		this._deleteRecords();
+	}
+
+	/**
+	 * Saves a report to the given file.
+	 *
+	 * @param {string} file - Absolute path of the report.
+	 * @param {string} content - The report contents.
+	 * @private
+	 */
+	_writeReportFile(file, content) {
+		this._mkdirp(path.dirname(file));
+		fs.writeFileSync(file, content);
+
+		this.debug(`Visual regression report saved to ${file}`);
+	}
+
+	/**
+	 * Whether any report is generated at the end of the test run.
+	 *
+	 * @return {boolean}
+	 * @private
+	 */
+	_isReportEnabled() {
+		return !!(this.globalHtmlReport || this.globalReportFile || this.globalJunitReport || this.globalBaselineManifest);
+	}
+
+	/**
+	 * Loads the records and base image usage that were saved by worker
+	 * threads.
+	 *
+	 * @return {{records: object[], baselines: string[], namespaces: string[], failedTests: int,
+	 *     skippedTests: string[]}}
+	 * @private
+	 */
+	_loadWorkerRecords() {
+		const dir = this._getRecordsDir();
+		const data = {
+			records: [],
+			baselines: [],
+			namespaces: [],
+			failedTests: 0,
+			skippedTests: []
+		};
+
+		if (!fs.existsSync(dir)) {
+			return data;
+		}
+
+		fs.readdirSync(dir).forEach(file => {
+			if ('.json' !== path.extname(file)) {
+				return;
+			}
+
+			const worker = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+			data.records.push(...worker.records);
+			data.baselines.push(...worker.baselines);
+			data.namespaces.push(...worker.namespaces);
+			data.failedTests += worker.failedTests;
+			data.skippedTests.push(...(worker.skippedTests || []));
+		});
+
+		return data;
+	}
+
+	/**
+	 * Saves the baseline manifest, which lists all used and all orphaned
+	 * base images of the test run.
+	 *
+	 * The manifest is marked as incomplete, when only a subset of the tests
+	 * was executed, or when tests failed, were skipped or are pending,
+	 * because the unused base images might belong to tests that did not run.
+	 *
+	 * @param {{baselines: string[], namespaces: string[], failedTests: int, skippedTests: string[]}} workers -
+	 *        Usage data of the worker threads.
+	 * @private
+	 */
+	_writeBaselineManifest(workers) {
+		const baselines = Array.from(new Set([...this.usage.baselines, ...workers.baselines])).sort();
+		const namespaces = Array.from(new Set([...this.usage.namespaces, ...workers.namespaces])).sort();
+		const failedTests = this.usage.failedTests + workers.failedTests;
+		const skippedTests = new Set([...this.usage.skippedTests, ...workers.skippedTests]).size;
+		const incomplete = this._getRunFilters();
+
+		if (failedTests) {
+			incomplete.push(`${failedTests} failed test(s)`);
+		}
+
+		if (skippedTests) {
+			incomplete.push(`${skippedTests} skipped or pending test(s)`);
+		}
+
+		const orphaned = findOrphanedBaselines(this.globalDir.expected, baselines, namespaces);
+
+		this._writeReportFile(this.globalBaselineManifest, JSON.stringify({
+			time: new Date().toISOString(),
+			dirExpected: this.globalDir.expected,
+			complete: !incomplete.length,
+			incomplete,
+			baselines,
+			namespaces,
+			orphaned
+		}, null, 2));
+
+		if (orphaned.length) {
+			this.debug(`${orphaned.length} base image(s) were not used: ${orphaned.join(', ')}`);
+		}
+	}
+
+	/**
+	 * Returns a description of every filter, that limits the executed tests
+	 * to a subset, like a grep of the command line or the config, `.only()`
+	 * or a single test file.
+	 *
+	 * The filters are read from mocha and the Codecept instance of the run,
+	 * which also covers the runs of `run-multiple`.
+	 *
+	 * @return {string[]} List of filters, or an empty list for a full run.
+	 * @private
+	 */
+	_getRunFilters() {
+		const filters = [];
+		const mocha = codeceptjs.container.mocha();
+		const mochaOptions = mocha && mocha.options ? mocha.options : {};
+		const codecept = this.codeceptRun;
+
+		// The effective grep, from the command line or the config.
+		if (mochaOptions.grep) {
+			filters.push(`${mochaOptions.invert ? 'inverted ' : ''}grep ${mochaOptions.grep}`);
+		}
+
+		if (mocha && mocha.suite && mocha.suite.hasOnly()) {
+			filters.push('.only()');
+		}
+
+		if (codecept) {
+			const opts = codecept.opts || {};
+			const config = codecept.config || {};
+
+			if (opts.features && config.tests) {
+				filters.push('--features');
+			}
+			if (opts.tests && config.gherkin && config.gherkin.features) {
+				filters.push('--tests');
+			}
+
+			// A single test file, like `codeceptjs run login_test.js`.
+			const loaded = mocha && mocha.files ? mocha.files.length : 0;
+			const total = (codecept.testFiles || []).length;
+
+			if (loaded < total) {
+				filters.push(`${loaded} of ${total} test files`);
+			}
+		}
+
+		return filters;
+	}
+
+	/**
+	 * Take screenshot of individual element.
+	 *
+	 * I.takeScreenshot('dashboard.png');
+	 * I.takeScreenshot('dashboard.png', 'expected', '#header');
+	 * I.takeScreenshot('dashboard.png', 'actual', { fullPage: true });
+	 *
+	 * @param {string} name - Name of the output image.
+	 * @param {'actual'|'expected'} [which] - Optional. Whether the screenshot is
+	 *        the expected bas eimage, or an actual image for comparison.
+	 *        Defaults to 'actual'.
+	 * @param {string|object} [element] - Optional. Selector of the element to
+	 *        screenshot, or empty to screenshot current viewport. Can also be
+	 *        an options object, instead of the element selector.
+	 * @param {object} [options] - Optional. Screenshot options, like
+	 *        `{fullPage: true}` to capture the entire page.
+	 * @returns {Promise}
+	 */
+	async takeScreenshot(name, which, element, options) {
+		if (element && 'object' === typeof element) {
+			options = element;
+			element = options.element;
+		}
+
+		options = options || {};
+
+		await this._setupTest(name, {
+			fullPage: options.fullPage,
+			freezeAnimations: options.freezeAnimations,
+			hideElements: options.hideElements
+		});
+
+		await this._preparePage();
+
+		try {
+			if (element) {
+				await this._takeElementScreenshot(name, which, element);
+			} else {
+				await this._takeScreenshot(name, which);
+			}
+		} finally {
+			await this._restorePage();
+		}
+
+		if ('expected' === which) {
+			this._markBaselineUsed(this._buildPath('expected'));
+			await this._uploadBaseline(this._buildPath('expected'));
+		}
+	}
+
+	/**
+	 * Captures the current image as actual or expected image. In the "crop"
+	 * element mode, only the element is captured.
+	 *
+	 * @param {'actual'|'expected'} which - Which image to capture.
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async _captureScreenshot(which) {
+		const opts = this.options;
+
+		if (opts.element && 'crop' === opts.elementMode) {
+			await this._takeElementScreenshot(this.imageName, which, opts.element);
+		} else {
+			await this._takeScreenshot(this.imageName, which);
+		}
+	}
+
+	/**
+	 * Takes a screenshot of the entire viewport and saves it as either an
+	 * actual image, or an expected base-image.
+	 *
+	 * @param {string} name - Name of the output image.
+	 * @param {'actual'|'expected'} which - Optional. Whether the screenshot is
+	 *        the expected bas eimage, or an actual image for comparison.
+	 *        Defaults to 'actual'.
+	 * @param {string} element - Optional. Selector of the element to
+	 *        screenshot, or empty to screenshot current viewport.
+	 * @private
+	 */
+	async _takeElementScreenshot(name, which, element) {
+		const driver = this._getDriver();
+
+		// The output path where the screenshot is saved to.
+		const targetFile = this._buildPath('expected' === which ? which : 'actual');
+
+		// Drivers save PNG images, other formats are converted afterwards.
+		const outputFile = 'png' === getFormat(targetFile) ? targetFile : targetFile + '.temp.png';
+
+		// Screenshot a single element.
+		await driver.waitForVisible(element);
+		const els = await driver._locate(element);
+
+		if ('TestCafe' === driver._which) {
+			if (!await els.count) {
+				throw new Error(`Element ${element} couldn't be located`);
+			}
+
+			await driver.t.takeElementScreenshot(els, outputFile);
+		} else {
+			if (!els.length) {
+				throw new Error(`Element ${element} couldn't be located`);
+			}
+			const el = els[0];
+
+			switch (driver._which) {
+				case 'Playwright':
+				case 'Puppeteer':
+					await el.screenshot({path: outputFile});
+					break;
+
+				case 'WebDriver':
+				case 'Appium':
+					await el.saveScreenshot(outputFile);
+					break;
+			}
+		}
+
+		if (outputFile !== targetFile) {
+			this._moveImageFile(outputFile, targetFile);
+		}
+
+		await this._recordScale(targetFile);
+	}
+
+	/**
+	 * Takes a screenshot of the entire viewport and saves it as either an
+	 * actual image, or an expected base-image.
+	 *
+	 * @param {string} name - Name of the output image.
+	 * @param {'actual'|'expected'} which - Optional. Whether the screenshot is
+	 *        the expected bas eimage, or an actual image for comparison.
+	 *        Defaults to 'actual'.
+	 * @private
+	 */
+	async _takeScreenshot(name, which) {
+		const driver = this._getDriver();
+
+		// The output path where the screenshot is saved to.
+		const outputFile = this._buildPath('expected' === which ? which : 'actual');
+
+		if (this.options.fullPage && 'Playwright' !== driver._which && 'Puppeteer' !== driver._which) {
+			// Drivers without native full-page screenshots.
+			const png = await this._takeStitchedScreenshot();
+
+			this._deleteFile(outputFile);
+			fs.writeFileSync(outputFile, encodeImage(png, getFormat(outputFile)));
+		} else {
+			// Screenshot the current viewport (or page) into a temp file.
+			const tempFile = await this._saveTempScreenshot(this.options.fullPage);
+
+			// Move the temp file to the correct folder and rename the file.
+			this._moveImageFile(tempFile, outputFile);
+		}
+
+		await this._recordScale(outputFile);
+	}
+
+	/**
+	 * Moves the source image to the target path. The image is converted, when
+	 * the target extension uses a different image format.
+	 *
+	 * @param {string} source - Path of the source image.
+	 * @param {string} target - Path of the target image.
+	 * @private
+	 */
+	_moveImageFile(source, target) {
+		const data = fs.readFileSync(source);
+		const converted = convertImage(data, getFormat(target) || 'png');
+
+		this._deleteFile(target);
+
+		if (converted === data) {
+			fs.renameSync(source, target);
+		} else {
+			fs.writeFileSync(target, converted);
+		}
+
+		this._deleteFile(source);
+	}
+
+	/**
+	 * Saves a screenshot of the current viewport into a temp file inside the
+	 * global output folder.
+	 *
+	 * @param {boolean} [fullPage] - Optional. Whether to capture the entire
+	 *        page. Only supported by Playwright and Puppeteer.
+	 * @return {Promise<string>} Absolute path of the temp file.
+	 * @private
+	 */
+	async _saveTempScreenshot(fullPage) {
+		const driver = this._getDriver();
+
+		// We need a dynamic temp-name here: When the helper is used with
+		// the `run-workers` option, multiple workers might access a temp
+		// file at the same time.
+		const uid = Math.random().toString(36).slice(-5);
+		const tempName = `~${uid}.temp.png`;
+
+		if (fullPage) {
+			await driver.saveScreenshot(tempName, true);
+		} else {
+			await driver.saveScreenshot(tempName);
+		}
+
+		return global.output_dir + '/' + tempName;
+	}
+
+	/**
+	 * Captures the entire page by scrolling through the page and stitching
+	 * the viewport screenshots together. Used for drivers that do not support
+	 * native full-page screenshots.
+	 *
+	 * Fixed and sticky elements are hidden after the first slice, so they do
+	 * not repeat in every slice of the final image.
+	 *
+	 * @return {Promise<PNG>} The full-page image.
+	 * @private
+	 */
+	async _takeStitchedScreenshot() {
+		const driver = this._getDriver();
+
+		const page = await driver.executeScript(() => {
+			const doc = document.documentElement;
+
+			return {
+				height: Math.max(doc.scrollHeight, document.body ? document.body.scrollHeight : 0),
+				viewport: window.innerHeight,
+				scrollX: window.scrollX,
+				scrollY: window.scrollY
+			};
+		});
+
+		let canvas = null;
+		let ratio = 1;
+		let offset = 0;
+
+		try {
+			while (true) {
+				const scrollY = await driver.executeScript(top => {
+					window.scrollTo(0, top);
+					return window.scrollY;
+				}, offset);
+
+				// Give the page a moment to render lazy content.
+				await new Promise(resolve => setTimeout(resolve, 100));
+
+				const slice = await this._captureViewport();
+
+				if (!canvas) {
+					// Ratio between screenshot pixels and CSS pixels.
+					ratio = slice.height / page.viewport;
+					canvas = new PNG({
+						width: slice.width,
+						height: Math.round(page.height * ratio),
+						fill: true
+					});
+
+					await this._toggleStickyElements(false);
+				}
+
+				const top = Math.round(scrollY * ratio);
+				const height = Math.min(slice.height, canvas.height - top);
+
+				if (height > 0) {
+					PNG.bitblt(slice, canvas, 0, 0, Math.min(slice.width, canvas.width), height, 0, top);
+				}
+
+				offset += page.viewport;
+
+				if (scrollY + page.viewport >= page.height || offset >= page.height) {
+					break;
+				}
+			}
+		} finally {
+			await this._toggleStickyElements(true);
+			await driver.executeScript(pos => window.scrollTo(pos.x, pos.y), {
+				x: page.scrollX,
+				y: page.scrollY
+			});
+		}
+
+		return canvas;
+	}
+
+	/**
+	 * Takes a screenshot of the current viewport and returns the image.
+	 *
+	 * @return {Promise<PNG>}
+	 * @private
+	 */
+	async _captureViewport() {
+		const tempFile = await this._saveTempScreenshot();
+		const png = decodeImage(fs.readFileSync(tempFile));
+
+		this._deleteFile(tempFile);
+
+		return png;
+	}
+
+	/**
+	 * Hides or restores all fixed and sticky elements on the current page.
+	 *
+	 * @param {boolean} visible - False hides the elements, true restores them.
+	 * @return {Promise}
+	 * @private
+	 */
+	async _toggleStickyElements(visible) {
+		const driver = this._getDriver();
+
+		await driver.executeScript(show => {
+			const attr = 'data-pixelmatch-sticky';
+
+			if (show) {
+				document.querySelectorAll(`[${attr}]`).forEach(el => {
+					el.style.visibility = el.getAttribute(attr);
+					el.removeAttribute(attr);
+				});
+				return;
+			}
+
+			document.querySelectorAll('body *').forEach(el => {
+				const position = window.getComputedStyle(el).position;
+
+				if ('fixed' === position || 'sticky' === position) {
+					el.setAttribute(attr, el.style.visibility);
+					el.style.visibility = 'hidden';
+				}
+			});
+		}, visible);
+	}
+
+	/**
+	 * Clears pixels in the specified image that are outside the bounding rect
+	 * or inside an ignored area.
+	 *
+	 * @param {PNG} png - The image to modify.
+	 * @param {Uint8Array} [mask] - Optional. One entry per pixel; cleared
+	 *        pixels are set to 1.
+	 * @return {int} Number of cleared pixels.
+	 * @private
+	 */
+	_applyBounds(png, mask) {
+		const opts = this.options;
+		let cleared = 0;
+
+		const useBounds = opts.bounds.left
+			|| opts.bounds.top
+			|| opts.bounds.width
+			|| opts.bounds.height;
+
+
+		// Apply a bounding box to only compare a section of the image.
 		if (useBounds) {
 			this.debug(`Apply bounds to image ...`);
 			const box = {
@@ -512,546 +2324,2724 @@ class PixelmatchHelper extends Helper {
 				y3: png.height
 			};
 
-			cleared += this._clearRect(png, box.x0, box.y0, box.x1, box.y3);
-			cleared += this._clearRect(png, box.x1, box.y0, box.x3, box.y1);
-			cleared += this._clearRect(png, box.x1, box.y2, box.x3, box.y3);
-			cleared += this._clearRect(png, box.x2, box.y1, box.x3, box.y2);
+			cleared += this._clearRect(png, box.x0, box.y0, box.x1, box.y3, mask);
+			cleared += this._clearRect(png, box.x1, box.y0, box.x3, box.y1, mask);
+			cleared += this._clearRect(png, box.x1, box.y2, box.x3, box.y3, mask);
+			cleared += this._clearRect(png, box.x2, box.y1, box.x3, box.y2, mask);
+		}
+
+		// Clear areas that are ignored.
+		for (let i = 0; i < opts.ignore.length; i++) {
+			cleared += this._clearRect(
+				png,
+				opts.ignore[i].left,
+				opts.ignore[i].top,
+				opts.ignore[i].left + opts.ignore[i].width,
+				opts.ignore[i].top + opts.ignore[i].height,
+				mask
+			);
+		}
+
+		return cleared;
+	}
+
+	/**
+	 * Determines the bounding box of the given element on the current viewport.
+	 *
+	 * @param {string} selector - CSS|XPath|ID selector.
+	 * @returns {Promise<{boundingBox: {left: int, top: int, right: int, bottom: int, width: int,
+	 *     height: int}}>}
+	 */
+	async _getBoundingBox(selector) {
+		const driver = this._getDriver();
+
+		await driver.waitForVisible(selector);
+		const boxes = await this._getBoundingBoxes(selector);
+
+		if (!boxes.length) {
+			throw new Error(`Element ${selector} couldn't be located`);
+		}
+
+		const boundingBox = boxes[0];
+
+		this.debugSection(`Bounding box of ${selector}:`, JSON.stringify(boundingBox));
+
+		return boundingBox;
+	}
+
+	/**
+	 * Determines the bounding boxes of all elements on the current viewport
+	 * that match the given selector. Elements that are not visible are skipped.
+	 *
+	 * @param {string} selector - CSS|XPath|ID selector.
+	 * @returns {Promise<{left: int, top: int, right: int, bottom: int, width: int,
+	 *     height: int}[]>}
+	 * @private
+	 */
+	async _getBoundingBoxes(selector) {
+		const driver = this._getDriver();
+		const density = await this._getDevicePixelRatio();
+		const els = await driver._locate(selector);
+		const rects = [];
+
+		switch (driver._which) {
+			case 'Puppeteer':
+			case 'Playwright':
+				for (const el of els) {
+					// Returns null for elements that are not visible.
+					const box = await el.boundingBox();
+
+					if (box) {
+						rects.push(box);
+					}
+				}
+				break;
+
+			case 'WebDriver':
+			case 'Appium':
+				for (const el of els) {
+					const location = await el.getLocation();
+					const size = await el.getSize();
+
+					rects.push({
+						x: location.x,
+						y: location.y,
+						width: size.width,
+						height: size.height
+					});
+				}
+				break;
+
+			case 'WebDriverIO': {
+				// Returns an array when the selector matches multiple elements.
+				const locations = [].concat(await driver.browser.getLocation(selector));
+				const sizes = [].concat(await driver.browser.getElementSize(selector));
+
+				for (let i = 0; i < locations.length; i++) {
+					if (locations[i] && sizes[i]) {
+						rects.push({
+							x: locations[i].x,
+							y: locations[i].y,
+							width: sizes[i].width,
+							height: sizes[i].height
+						});
+					}
+				}
+			}
+				break;
+
+			case 'TestCafe': {
+				const count = await els.count;
+
+				for (let i = 0; i < count; i++) {
+					const box = await els.nth(i).boundingClientRect;
+
+					rects.push({
+						x: box.left,
+						y: box.top,
+						width: box.width,
+						height: box.height
+					});
+				}
+			}
+		}
+
+		// Fractional ratios are only rounded after scaling the edges, so
+		// the box covers the same pixels as the element.
+		return rects
+			.filter(rect => rect.width > 0 && rect.height > 0)
+			.map(rect => {
+				const left = Math.round(density * rect.x);
+				const top = Math.round(density * rect.y);
+				const right = Math.round(density * (rect.width + rect.x));
+				const bottom = Math.round(density * (rect.height + rect.y));
+
+				return {
+					left,
+					top,
+					right,
+					bottom,
+					width: right - left,
+					height: bottom - top
+				};
+			});
+	}
+
+	/**
+	 * Returns the device pixel ratio of the current browser window. Used to
+	 * translate element coordinates into screenshot pixels. The ratio can be
+	 * fractional, like 1.5 or 2.625.
+	 *
+	 * @return {Promise<float>}
+	 * @private
+	 */
+	async _getDevicePixelRatio() {
+		const driver = this._getDriver();
+
+		return parseFloat(await driver.executeScript(() => {
+			return window.devicePixelRatio;
+		})) || 1;
+	}
+
+	/**
+	 * Stores the device pixel ratio of the current browser window in the
+	 * given screenshot, when images are normalized to a common scale.
+	 *
+	 * @param {string} file - Path of the screenshot.
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async _recordScale(file) {
+		if (!this.options.normalizeScale) {
+			return;
+		}
+
+		const scale = await this._getDevicePixelRatio();
+
+		fs.writeFileSync(file, writeScale(fs.readFileSync(file), scale));
+	}
+
+	/**
+	 * Resamples the actual image to the device pixel ratio of the
+	 * `normalizeScale` option. The bounds, ignored areas and regions are in
+	 * pixels of the captured screenshot, and are scaled as well.
+	 *
+	 * Screenshots without a recorded ratio use the ratio of the current
+	 * browser window.
+	 *
+	 * @param {PNG} png - The actual image.
+	 * @return {Promise<PNG>} The resampled image.
+	 * @private
+	 */
+	async _normalizeActualScale(png) {
+		const opts = this.options;
+		const file = this._buildPath('actual');
+
+		this.actualScale = 1;
+
+		if (!opts.normalizeScale) {
+			return png;
+		}
+
+		this.actualScale = png.scale || await this._getDevicePixelRatio();
+
+		const factor = opts.normalizeScale / this.actualScale;
+
+		// Returns a scaled copy, so the boxes of the caller are not changed.
+		const scaleBox = box => {
+			const left = Math.round(box.left * factor);
+			const top = Math.round(box.top * factor);
+
+			return Object.assign({}, box, {
+				left,
+				top,
+				width: Math.round((box.left + box.width) * factor) - left,
+				height: Math.round((box.top + box.height) * factor) - top
+			});
+		};
+
+		if (1 !== factor) {
+			opts.bounds = scaleBox(opts.bounds);
+			opts.ignore = opts.ignore.map(scaleBox);
+			opts.regions = opts.regions.map(scaleBox);
+		}
+
+		return this._scaleImage(png, file, this.actualScale);
+	}
+
+	/**
+	 * Resamples an image to the device pixel ratio of the `normalizeScale`
+	 * option, using the ratio that was recorded in the image file.
+	 *
+	 * @param {PNG} png - The image, as returned by `_loadPngImage()`.
+	 * @param {string} file - Path of the image file, for the debug output.
+	 * @param {float} fallback - Ratio of images that do not record a ratio.
+	 * @return {PNG} The resampled image, or the original image.
+	 * @private
+	 */
+	_scaleImage(png, file, fallback) {
+		const target = this.options.normalizeScale;
+
+		if (!target) {
+			return png;
+		}
+
+		const scale = png.scale || fallback;
+
+		if (scale === target) {
+			return png;
+		}
+
+		const width = Math.max(1, Math.round(png.width * target / scale));
+		const height = Math.max(1, Math.round(png.height * target / scale));
+
+		this.debug(`Resample ${file} from ${scale}x to ${target}x (${width}x${height}) ...`);
+
+		return resampleImage(png, width, height);
+	}
+
+	/**
+	 * Resolves the selectors in `options.ignoreElements` to pixel boxes and
+	 * adds them to the `options.ignore` list. Every element that matches a
+	 * selector is ignored; selectors without a visible match are skipped.
+	 *
+	 * In the "crop" element mode, the boxes are relative to the element.
+	 *
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async _resolveIgnoredElements() {
+		const opts = this.options;
+		const origin = opts.ignoreElements.length ? await this._getElementOrigin(opts) : null;
+
+		for (const selector of opts.ignoreElements) {
+			const boxes = await this._getBoundingBoxes(selector);
+
+			if (!boxes.length) {
+				this.debug(`Ignored element ${selector} not found on page`);
+			}
+
+			for (const box of boxes) {
+				this.debugSection(`Ignore element ${selector}:`, JSON.stringify(box));
+
+				opts.ignore.push({
+					left: box.left - origin.left,
+					top: box.top - origin.top,
+					width: box.width,
+					height: box.height
+				});
+			}
+		}
+	}
+
+	/**
+	 * Returns the position of the compared element in the "crop" element
+	 * mode. Boxes of other elements are relative to this position, because
+	 * the captured image only contains the element.
+	 *
+	 * @param {object} values - The comparison options.
+	 * @return {Promise<{left: int, top: int}>} The position, or 0/0 when the
+	 *         viewport is captured.
+	 * @private
+	 */
+	async _getElementOrigin(values) {
+		if (!values.element || 'crop' !== values.elementMode) {
+			return {left: 0, top: 0};
+		}
+
+		const box = await this._getBoundingBox(values.element);
+
+		return {left: box.left, top: box.top};
+	}
+
+	/**
+	 * Captures the expected or actual image, depending on the captureFlag.
+	 *
+	 * @param {string} which - Which image to capture: 'expected', 'actual'.
+	 * @param {bool|string} captureFlag - Either true, false or 'missing'.
+	 * @private
+	 */
+	async _maybeCaptureImage(which, captureFlag) {
+		if (false === captureFlag) {
+			return;
+		}
+
+		if ('missing' === captureFlag) {
+			const path = this._buildPath(which);
+
+			if (this._isFile(path, 'read')) {
+				// Not missing: Exact image match.
+				return;
+			}
+			if ('expected' === which && this._getExpectedImagePaths().length) {
+				// Not missing: Expected image variation(s) found.
+				return;
+			}
+		}
+
+		await this._preparePage();
+
+		try {
+			if (this.options.stabilize) {
+				const attempts = await this._takeStableScreenshot(which);
+
+				if ('actual' === which) {
+					this.result.stabilizeAttempts = attempts;
+				}
+			} else {
+				await this._captureScreenshot(which);
+			}
+		} finally {
+			await this._restorePage();
+		}
+
+		if ('expected' === which) {
+			await this._uploadBaseline(this._buildPath('expected'));
+		}
+	}
+
+	/**
+	 * Prepares the current page for a screenshot: Disables animations and
+	 * transitions, hides the text caret, pauses videos and hides all elements
+	 * of the `hideElements` option.
+	 *
+	 * @return {Promise}
+	 * @private
+	 */
+	async _preparePage() {
+		const opts = this.options;
+
+		if (!opts.freezeAnimations && !opts.hideElements.length) {
+			return;
+		}
+
+		const driver = this._getDriver();
+
+		await driver.executeScript(args => {
+			if (args.freeze && !document.getElementById('pixelmatch-freeze')) {
+				const style = document.createElement('style');
+
+				style.id = 'pixelmatch-freeze';
+				style.textContent = '*, *::before, *::after {'
+					+ 'animation: none !important;'
+					+ 'transition: none !important;'
+					+ 'caret-color: transparent !important;'
+					+ '}';
+				document.head.appendChild(style);
+
+				document.querySelectorAll('video').forEach(video => {
+					if (!video.paused) {
+						video.pause();
+						video.setAttribute('data-pixelmatch-paused', '1');
+					}
+				});
+			}
+
+			args.hide.forEach(selector => {
+				const elements = [];
+
+				if (selector.xpath) {
+					const result = document.evaluate(selector.xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+
+					for (let i = 0; i < result.snapshotLength; i++) {
+						elements.push(result.snapshotItem(i));
+					}
+				} else {
+					elements.push(...document.querySelectorAll(selector.css));
+				}
+
+				elements.forEach(el => {
+					if (!el.hasAttribute('data-pixelmatch-hidden')) {
+						el.setAttribute('data-pixelmatch-hidden', el.style.visibility);
+						el.style.visibility = 'hidden';
+					}
+				});
+			});
+		}, {
+			freeze: opts.freezeAnimations,
+			hide: opts.hideElements.map(selector => this._toDomSelector(selector))
+		});
+	}
+
+	/**
+	 * Restores the page after a screenshot was taken; reverts all changes of
+	 * `_preparePage()`.
+	 *
+	 * @return {Promise}
+	 * @private
+	 */
+	async _restorePage() {
+		const opts = this.options;
+
+		if (!opts.freezeAnimations && !opts.hideElements.length) {
+			return;
+		}
+
+		const driver = this._getDriver();
+
+		await driver.executeScript(() => {
+			const style = document.getElementById('pixelmatch-freeze');
+
+			if (style) {
+				style.remove();
+			}
+
+			document.querySelectorAll('[data-pixelmatch-paused]').forEach(video => {
+				video.removeAttribute('data-pixelmatch-paused');
+				// Autoplay policies can reject the promise; the video stays paused.
+				Promise.resolve(video.play()).catch(() => {});
+			});
+
+			document.querySelectorAll('[data-pixelmatch-hidden]').forEach(el => {
+				el.style.visibility = el.getAttribute('data-pixelmatch-hidden');
+				el.removeAttribute('data-pixelmatch-hidden');
+			});
+		});
+	}
+
+	/**
+	 * Converts a CodeceptJS locator into a selector that can be resolved by
+	 * the browser, either a CSS selector or an XPath expression.
+	 *
+	 * @param {string|object} selector - CSS|XPath|ID selector, or a locator
+	 *        object like `{css: '.ad'}` or `{xpath: '//video'}`.
+	 * @return {{css: string}|{xpath: string}}
+	 * @private
+	 */
+	_toDomSelector(selector) {
+		if (selector && 'object' === typeof selector) {
+			if (selector.xpath) {
+				return {xpath: selector.xpath};
+			}
+			if (selector.id) {
+				return {css: '#' + selector.id};
+			}
+
+			return {css: selector.css};
+		}
+
+		selector = String(selector);
+
+		if (/^(\/|\(|\.\/)/.test(selector)) {
+			return {xpath: selector};
+		}
+
+		return {css: selector};
+	}
+
+	/**
+	 * Repeatedly captures the viewport until a number of consecutive
+	 * screenshots are pixel-identical. Used for pages with late-loading fonts
+	 * or images.
+	 *
+	 * @param {string} which - Which image to capture: 'expected', 'actual'.
+	 * @return {Promise<int>} Number of screenshots that were taken.
+	 * @private
+	 */
+	async _takeStableScreenshot(which) {
+		const settings = this.options.stabilize;
+		const outputFile = this._buildPath(which);
+		const start = Date.now();
+		let previous = null;
+		let identical = 0;
+		let attempts = 0;
+
+		while (true) {
+			attempts++;
+			await this._captureScreenshot(which);
+
+			const png = decodeImage(fs.readFileSync(outputFile));
+
+			if (
+				previous
+				&& previous.width === png.width
+				&& previous.height === png.height
+				&& previous.data.equals(png.data)
+			) {
+				identical++;
+			} else {
+				identical = 1;
+			}
+
+			if (identical >= settings.count) {
+				this.debug(`Page stabilized after ${attempts} screenshots`);
+				return attempts;
+			}
+
+			if (Date.now() - start >= settings.timeout) {
+				throw new Error(
+					`The page never stabilized: No ${settings.count} identical screenshots after ${attempts} attempts (${settings.timeout}ms)`);
+			}
+
+			previous = png;
+			await new Promise(resolve => setTimeout(resolve, settings.interval));
+		}
+	}
+
+	/**
+	 * Sanitizes the given options and updates all relevant class members with
+	 * either the new, sanitized value, or with a default value.
+	 *
+	 * @param {string} image - Name of the image to compare.
+	 * @param {object|undefined} options - The new options to set.
+	 * @private
+	 */
+	async _setupTest(image, options) {
+		// Set the name of the current image.
+		this.imageName = image.replace(new RegExp(`(~.+)?${EXTENSION_PATTERN}$`, 'i'), '');
+
+		// Reset the previous test results.
+		this.result = {
+			match: true,
+			difference: 0,
+			diffImage: '',
+			diffPixels: 0,
+			totalPixels: 0,
+			relevantPixels: 0,
+			variation: '',
+			variations: [],
+			sizeMismatch: false,
+			dimensions: null,
+			baselineUpdated: false,
+			similarity: null,
+			regions: [],
+			stabilizeAttempts: 0,
+			failedCriteria: [],
+			regionResults: [],
+			partial: false,
+			offset: null,
+			shiftedRegions: []
+		};
+
+		// Define the default options.
+		const newValues = {
+			tolerance: this.globalTolerance,
+			compareWith: '',
+			element: '',
+			elementMode: this.globalElementMode,
+			bounds: {
+				left: 0,
+				top: 0,
+				width: 0,
+				height: 0
+			},
+			ignore: [],
+			ignoreElements: [],
+			regions: [],
+			args: {
+				threshold: this.globalThreshold,
+				alpha: 0.5,
+				includeAA: false,
+				diffMask: false,
+				aaColor: [128, 128, 128],
+				diffColor: [255, 0, 0],
+				diffColorAlt: null
+			},
+			baselineExtension: this.globalBaselineExtension,
+			diffExtension: this.globalDiffExtension,
+			dumpIntermediateImage: this.globalDumpIntermediateImage,
+			captureActual: this.globalCaptureActual,
+			captureExpected: this.globalCaptureExpected,
+			sizeMismatch: this.globalSizeMismatch,
+			updateBaselines: this.globalUpdateBaselines,
+			soft: this.globalSoft,
+			attachImages: this.globalAttachImages,
+			algorithm: this.globalAlgorithm,
+			minSimilarity: this.globalMinSimilarity,
+			ssimThreshold: this.globalSsimThreshold,
+			maxDiffPixels: this.globalMaxDiffPixels,
+			maxDiffRegionArea: this.globalMaxDiffRegionArea,
+			criteria: this.globalCriteria,
+			minRegionSize: this.globalMinRegionSize,
+			regionGap: this.globalRegionGap,
+			drawRegions: this.globalDrawRegions,
+			diffLayout: this.globalDiffLayout,
+			flickerDiff: this.globalFlickerDiff,
+			comparisonThreads: this.globalComparisonThreads,
+			fastMode: this.globalFastMode,
+			normalizeScale: this.globalNormalizeScale,
+			detectShift: this.globalDetectShift,
+			fullPage: this.globalFullPage,
+			stabilize: this.globalStabilize,
+			freezeAnimations: this.globalFreezeAnimations,
+			hideElements: this.globalHideElements.slice(),
+			baselineNamespace: this.globalBaselineNamespace
+		};
+
+		if (options && 'object' === typeof options) {
+			// Sanitize the allowed tolerance [percent].
+			if ('undefined' !== typeof options.tolerance) {
+				newValues.tolerance = Math.max(0, parseFloat(options.tolerance));
+			}
+
+			// Maybe define a custom filename for the expected image file.
+			if ('undefined' !== typeof options.compareWith) {
+				newValues.compareWith = options.compareWith;
+			}
+
+			if ('undefined' !== typeof options.elementMode) {
+				newValues.elementMode = this._sanitizeElementMode(options.elementMode);
+			}
+
+			// Set bounding box, either via element selector or a rectangle.
+			// Cropped elements are compared entirely.
+			if (options.element && 'crop' === newValues.elementMode) {
+				newValues.element = options.element;
+			} else if (options.element) {
+				const bounds = await this._getBoundingBox(options.element);
+				newValues.element = options.element;
+				newValues.bounds.left = bounds.left;
+				newValues.bounds.top = bounds.top;
+				newValues.bounds.width = bounds.width;
+				newValues.bounds.height = bounds.height;
+			} else if (options.bounds && 'object' === typeof options.bounds) {
+				newValues.bounds.left = parseInt(options.bounds.left);
+				newValues.bounds.top = parseInt(options.bounds.top);
+				newValues.bounds.width = parseInt(options.bounds.width);
+				newValues.bounds.height = parseInt(options.bounds.height);
+			}
+
+			// Sanitize ignored regions.
+			if (options.ignore) {
+				for (let i = 0; i < options.ignore.length; i++) {
+					const item = options.ignore[i];
+
+					if (item && 'string' === typeof item) {
+						// A selector, that is resolved before comparison.
+						newValues.ignoreElements.push(item);
+					} else if (
+						'object' === typeof item
+						&& 'undefined' !== typeof item.left
+						&& 'undefined' !== typeof item.top
+						&& 'undefined' !== typeof item.width
+						&& 'undefined' !== typeof item.height
+					) {
+						newValues.ignore.push({
+							left: parseInt(item.left),
+							top: parseInt(item.top),
+							width: parseInt(item.width),
+							height: parseInt(item.height)
+						});
+					}
+				}
+			}
+
+			// Ignore all elements that match the given selector(s).
+			if (options.ignoreElements) {
+				[].concat(options.ignoreElements).forEach(selector => {
+					if (selector && 'string' === typeof selector) {
+						newValues.ignoreElements.push(selector);
+					}
+				});
+			}
+
+			// Add pixelmatch arguments.
+			if (options.args && 'object' === typeof options.args) {
+				for (const key in options.args) {
+					if (!options.args.hasOwnProperty(key)) {
+						continue;
+					}
+					newValues.args[key] = options.args[key];
+				}
+			}
+
+			// Areas with their own tolerance and threshold.
+			if (Array.isArray(options.regions)) {
+				for (let i = 0; i < options.regions.length; i++) {
+					const region = await this._sanitizeRegion(options.regions[i], i, newValues);
+
+					if (region) {
+						newValues.regions.push(region);
+					}
+				}
+			}
+
+			// Image formats of new base images and diff images.
+			if (options.baselineExtension) {
+				newValues.baselineExtension = this._sanitizeExtension(options.baselineExtension);
+			}
+			if (options.diffExtension) {
+				newValues.diffExtension = this._sanitizeExtension(options.diffExtension);
+			}
+
+			// Debug: Dump intermediate images.
+			if ('undefined' !== typeof options.dumpIntermediateImage) {
+				newValues.dumpIntermediateImage = this._toBool(options.dumpIntermediateImage);
+			}
+
+			// Capture screenshots before comparison?
+			if ('undefined' !== typeof options.captureActual) {
+				newValues.captureActual = this._toBool(options.captureActual, ['missing']);
+			}
+			if ('undefined' !== typeof options.captureExpected) {
+				newValues.captureExpected = this._toBool(options.captureExpected, ['missing']);
+			}
+
+			// How to compare images with different dimensions.
+			if ('undefined' !== typeof options.sizeMismatch) {
+				newValues.sizeMismatch = this._sanitizeSizeMismatch(options.sizeMismatch);
+			}
+
+			// Accept the actual image as new base image on failure?
+			if ('undefined' !== typeof options.updateBaselines) {
+				newValues.updateBaselines = this._toBool(options.updateBaselines);
+			}
+
+			// Fail the test at its end, instead of immediately?
+			if ('undefined' !== typeof options.soft) {
+				newValues.soft = this._toBool(options.soft);
+			}
+			if ('undefined' !== typeof options.attachImages) {
+				newValues.attachImages = this._sanitizeAttachImages(options.attachImages);
+			}
+
+			// Comparison engine and the required similarity.
+			if ('undefined' !== typeof options.algorithm) {
+				newValues.algorithm = this._sanitizeAlgorithm(options.algorithm);
+			}
+			if ('undefined' !== typeof options.minSimilarity) {
+				newValues.minSimilarity = this._sanitizeSimilarity(options.minSimilarity);
+			}
+			if ('undefined' !== typeof options.ssimThreshold) {
+				newValues.ssimThreshold = Math.min(1, Math.max(0, parseFloat(options.ssimThreshold) || 0));
+			}
+
+			// Absolute limits and how to combine the pass criteria.
+			if ('undefined' !== typeof options.maxDiffPixels) {
+				newValues.maxDiffPixels = this._sanitizeLimit(options.maxDiffPixels);
+			}
+			if ('undefined' !== typeof options.maxDiffRegionArea) {
+				newValues.maxDiffRegionArea = this._sanitizeLimit(options.maxDiffRegionArea);
+			}
+			if ('undefined' !== typeof options.criteria) {
+				newValues.criteria = this._sanitizeCriteria(options.criteria);
+			}
+
+			// Detection of different regions.
+			if ('undefined' !== typeof options.minRegionSize) {
+				newValues.minRegionSize = Math.max(0, parseInt(options.minRegionSize) || 0);
+			}
+			if ('undefined' !== typeof options.regionGap) {
+				newValues.regionGap = Math.max(0, parseInt(options.regionGap) || 0);
+			}
+			if ('undefined' !== typeof options.drawRegions) {
+				newValues.drawRegions = this._toBool(options.drawRegions);
+			}
+			if ('undefined' !== typeof options.diffLayout) {
+				newValues.diffLayout = this._sanitizeDiffLayout(options.diffLayout);
+			}
+			if ('undefined' !== typeof options.flickerDiff) {
+				newValues.flickerDiff = this._sanitizeFlickerDiff(options.flickerDiff);
+			}
+			if ('undefined' !== typeof options.comparisonThreads) {
+				newValues.comparisonThreads = this._sanitizeThreads(options.comparisonThreads);
+			}
+			if ('undefined' !== typeof options.fastMode) {
+				newValues.fastMode = this._toBool(options.fastMode);
+			}
+			if ('undefined' !== typeof options.normalizeScale) {
+				newValues.normalizeScale = this._sanitizeScale(options.normalizeScale);
+			}
+			if ('undefined' !== typeof options.detectShift) {
+				newValues.detectShift = this._sanitizeShift(options.detectShift);
+			}
+
+			// Capture the entire page?
+			if ('undefined' !== typeof options.fullPage) {
+				newValues.fullPage = this._toBool(options.fullPage);
+			}
+
+			// Wait for a stable page before capturing screenshots?
+			if ('undefined' !== typeof options.stabilize) {
+				newValues.stabilize = this._sanitizeStabilize(options.stabilize);
+			}
+
+			// Prepare the page before screenshots.
+			if ('undefined' !== typeof options.freezeAnimations) {
+				newValues.freezeAnimations = this._toBool(options.freezeAnimations);
+			}
+			if (options.hideElements) {
+				newValues.hideElements.push(...[].concat(options.hideElements).filter(Boolean));
+			}
+
+			// Custom folder pattern for base images.
+			if ('undefined' !== typeof options.baselineNamespace) {
+				newValues.baselineNamespace = options.baselineNamespace || '';
+			}
+		}
+
+		this.options = newValues;
+
+		// Sub-folder for base images of the current browser.
+		this.namespace = await this._resolveNamespace(newValues.baselineNamespace);
+
+		// Prepare paths for the current operation.
+		this.path.expected = this._buildPath('expected');
+		this.path.actual = this._buildPath('actual');
+
+		// Diff-image generation might be disabled.
+		if (this.globalDir.diff) {
+			this.path.diff = this._buildPath('diff');
+		}
+	}
+
+	/**
+	 * Resolves the placeholders of a baseline namespace pattern, using the
+	 * active driver and its config.
+	 *
+	 * _resolveNamespace('{browser}/{viewport}') --> 'chromium/1280x720'
+	 *
+	 * @param {string} pattern - The namespace pattern.
+	 * @return {Promise<string>} The relative namespace folder, or an empty string.
+	 * @private
+	 */
+	async _resolveNamespace(pattern) {
+		if (!pattern) {
+			return '';
+		}
+
+		let values = {};
+
+		// A static namespace does not need the browser.
+		if (hasTokens(pattern)) {
+			const driver = this._getDriver();
+
+			values = getNamespaceValues(driver._which, driver.config || driver.options);
+
+			if (-1 !== pattern.indexOf('{viewport}')) {
+				try {
+					const size = await driver.executeScript(() => {
+						return [window.innerWidth, window.innerHeight];
+					});
+
+					if (size && size[0] && size[1]) {
+						values.viewport = `${size[0]}x${size[1]}`;
+					}
+				} catch (err) {
+					// Native apps cannot run scripts; use the configured window size.
+				}
+			}
+		}
+
+		const namespace = formatNamespace(pattern, values);
+
+		this.debug(`Baseline namespace: ${namespace}`);
+
+		return namespace;
+	}
+
+	/**
+	 * Returns the instance of the current browser driver.
+	 *
+	 * @return {Puppeteer|WebDriver|Appium|WebDriverIO|TestCafe}
+	 * @private
+	 */
+	_getDriver() {
+		let driver = null;
+
+		if (this.helpers['Puppeteer']) {
+			driver = this.helpers['Puppeteer'];
+			driver._which = 'Puppeteer';
+		} else if (this.helpers['WebDriver']) {
+			driver = this.helpers['WebDriver'];
+			driver._which = 'WebDriver';
+		} else if (this.helpers['Appium']) {
+			driver = this.helpers['Appium'];
+			driver._which = 'Appium';
+		} else if (this.helpers['WebDriverIO']) {
+			driver = this.helpers['WebDriverIO'];
+			driver._which = 'WebDriverIO';
+		} else if (this.helpers['TestCafe']) {
+			driver = this.helpers['TestCafe'];
+			driver._which = 'TestCafe';
+		} else if (this.helpers['Playwright']) {
+			driver = this.helpers['Playwright'];
+			driver._which = 'Playwright';
+		} else {
+			throw new Error(
+				'Unsupported driver. The pixelmatch helper supports [Playwright|WebDriver|Appium|Puppeteer|TestCafe]');
+		}
+
+		return driver;
+	}
+
+	/**
+	 * Recursively creates the specified directory.
+	 *
+	 * @param dir
+	 * @private
+	 */
+	_mkdirp(dir) {
+		fs.mkdirSync(dir, {recursive: true});
+	}
+
+	/**
+	 * Deletes the specified file, if it exists.
+	 *
+	 * @param {string} file - The file to delete.
+	 * @private
+	 */
+	_deleteFile(file) {
+		try {
+			if (this._isFile(file)) {
+				fs.unlinkSync(file);
+			}
+		} catch (err) {
+			throw new Error(`Could not delete target file "${file}" - is it read-only?`);
+		}
+	}
+
+	/**
+	 * Tests, if the given file exists..
+	 *
+	 * @param {string} file - The file to check.
+	 * @param {string} mode - Optional. Either empty, or 'read'/'write' to
+	 *        validate that the current user can either read or write the file.
+	 * @private
+	 */
+	_isFile(file, mode) {
+		let accessFlag = fs.constants.F_OK;
+
+		if ('read' === mode) {
+			accessFlag |= fs.constants.R_OK;
+		} else if ('write' === mode) {
+			accessFlag |= fs.constants.W_OK;
+		}
+
+		try {
+			// If access permission fails, an error is thrown.
+			fs.accessSync(file, accessFlag);
+			return true;
+		} catch (err) {
+			if ('ENOENT' !== err.code) {
+				console.error(err.code + ':  ' + file);
+			}
+
+			return false;
+		}
+	}
+
+	/**
+	 * Builds the absolute path of a report file from a config value.
+	 *
+	 * @param {bool|string} value - Config value; true uses the default name
+	 *        inside the output folder, a string is used as relative path.
+	 * @param {string} defaultName - Default filename of the report.
+	 * @return {string} Absolute path, or an empty string.
+	 * @private
+	 */
+	_resolveReportPath(value, defaultName) {
+		if (true === value) {
+			return this.globalDir.output + defaultName;
+		}
+		if (value && 'string' === typeof value) {
+			return this._resolvePath(value).replace(/[\/\\]$/, '');
+		}
+
+		return '';
+	}
+
+	/**
+	 * Builds the absolute path to a relative folder.
+	 *
+	 * @param {string} dir - The relative folder name.
+	 * @returns {string}
+	 * @private
+	 */
+	_resolvePath(dir) {
+		if (!path.isAbsolute(dir)) {
+			return path.resolve(global.codecept_dir, dir) + '/';
+		}
+		return dir;
+	}
+
+	/**
+	 * Returns the filename of an image.
+	 *
+	 * @param {string} which - Which image to return (expected, actual, diff).
+	 * @param {string} suffix - Optional. A suffix to append to the filename.
+	 * @private
+	 */
+	_getFileName(which, suffix) {
+		let filename;
+
+		// Define a custom filename for the expected image.
+		if ('expected' === which && this.options.compareWith) {
+			filename = this.options.compareWith;
+		} else {
+			filename = this.imageName;
+		}
+
+		// Keep the extension of a custom filename.
+		let ext = getFormat(filename) ? path.extname(filename) : '';
+
+		if (!ext) {
+			ext = this._getExtension(which);
+			filename += ext;
+		}
+
+		if ('diff' === which) {
+			const parts = filename.split(/[\/\\]/);
+			parts[parts.length - 1] = this.globalDiffPrefix + parts[parts.length - 1];
+			filename = parts.join(path.sep);
+		}
+
+		if (suffix) {
+			suffix = '.' + suffix.toString().replace(/(^\.+|\.+$)/g, '') + ext;
+			filename = filename.substr(0, filename.length - ext.length) + suffix;
+		}
+
+		return filename;
+	}
+
+	/**
+	 * Returns the file extension for new images.
+	 *
+	 * @param {string} which - The image type (expected, actual, diff).
+	 * @return {string}
+	 * @private
+	 */
+	_getExtension(which) {
+		const opts = this.options;
+
+		if ('expected' === which && opts.baselineExtension) {
+			return opts.baselineExtension;
+		}
+		if ('diff' === which && opts.diffExtension) {
+			return opts.diffExtension;
+		}
+
+		return '.png';
+	}
+
+	/**
+	 * Builds an image path using the current image name and the specified folder.
+	 *
+	 * @param {string} which - The image to load (expected, actual, diff).
+	 * @param {string} suffix - Optional. A suffix to append to the filename.
+	 * @returns {string} Path to the image.
+	 * @private
+	 */
+	_buildPath(which, suffix) {
+		let fullPath;
+		const dir = this.globalDir[which];
+
+		if (!dir) {
+			if ('diff' === which) {
+				// Diff image generation is disabled.
+				return '';
+			}
+
+			if (path.isAbsolute(which) && this._isFile(which)) {
+				fullPath = which;
+			} else {
+				throw new Error(`No ${which}-folder defined.`);
+			}
+		} else {
+			// Base images are stored in the namespace folder, when defined.
+			const namespace = 'expected' === which && this.namespace ? this.namespace + '/' : '';
+
+			fullPath = dir + namespace + this._getFileName(which, suffix);
+			this._mkdirp(path.dirname(fullPath));
+
+			// Actual images can be provided in every supported format.
+			if ('actual' === which && !suffix && !this._isFile(fullPath)) {
+				fullPath = this._findImageVariations(fullPath, true)[0] || fullPath;
+			}
+		}
+
+		return fullPath;
+	}
+
+	/**
+	 * Returns a list of absolute image paths of base images for the comparison.
+	 * All files in the returned list exist in the filesystem.
+	 *
+	 * Naming convention:
+	 *
+	 * Files that contain a trailing "~<num>" suffix are considered part of the
+	 * matching list.
+	 *
+	 * For example:
+	 *
+	 * image: "google-home"
+	 * files:
+	 *        "google-home.png"     # exact match
+	 *        "google-home~1.png"   # variation
+	 *        "google-home~83.png"  # variation
+	 *
+	 * When a baseline namespace is used, and the namespace folder contains no
+	 * matching base image, the shared base images are returned.
+	 *
+	 * @return {string[]}
+	 * @private
+	 */
+	_getExpectedImagePaths() {
+		let list = this._findImageVariations(this._buildPath('expected'));
+
+		if (!list.length && this.namespace) {
+			list = this._findImageVariations(this.globalDir.expected + this._getFileName('expected'));
+		}
+
+		list.forEach(file => this._markBaselineUsed(file));
+
+		return list;
+	}
+
+	/**
+	 * Remembers that the given base image was used in the test run. Base
+	 * images that are never used are listed in the baseline manifest.
+	 *
+	 * @param {string} file - Absolute path of the base image.
+	 * @private
+	 */
+	_markBaselineUsed(file) {
+		if (!this.globalBaselineManifest) {
+			return;
+		}
+
+		this.usage.baselines.add(this._getBaselineKey(file));
+		this.usage.namespaces.add(this.namespace);
+	}
+
+	/**
+	 * Returns the path of a base image relative to the `dirExpected` folder,
+	 * using "/" as separator. Used as key in the baseline storage.
+	 *
+	 * @param {string} file - Absolute path of the base image.
+	 * @return {string}
+	 * @private
+	 */
+	_getBaselineKey(file) {
+		return path.relative(this.globalDir.expected, file).split(path.sep).join('/');
+	}
+
+	/**
+	 * Downloads the base images of the current comparison from the baseline
+	 * storage into the local `dirExpected` folder. Images that are already
+	 * cached are not downloaded again, and local variations that were removed
+	 * from the storage are deleted.
+	 *
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async _fetchBaselines() {
+		if (!this.storage) {
+			return;
+		}
+
+		const paths = [this._buildPath('expected')];
+
+		this._loadBaselineCache();
+
+		// Shared base images are used when the namespace has no base image.
+		if (this.namespace) {
+			paths.push(this.globalDir.expected + this._getFileName('expected'));
+		}
+
+		for (const fullPath of paths) {
+			const name = this._getBaselineKey(fullPath).replace(new RegExp(EXTENSION_PATTERN + '$', 'i'), '');
+			const re = new RegExp('^' + name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(~[^/]+)?' + EXTENSION_PATTERN + '$', 'i');
+			const items = (await this.storage.list(name)).filter(item => re.test(item.key));
+			const keys = items.map(item => item.key);
+
+			this._findImageVariations(fullPath).forEach(file => {
+				const key = this._getBaselineKey(file);
+
+				if (-1 === path.basename(file).indexOf('~') || -1 !== keys.indexOf(key)) {
+					return;
+				}
+
+				// Variations that were created locally or modified are kept.
+				const known = this.cachedBaselines[file];
+
+				if (known && known.mtime === fs.statSync(file).mtimeMs) {
+					this.debug(`Delete base image ${key}, which was removed from the storage ...`);
+					this._deleteFile(file);
+					this._forgetCached(file);
+				} else {
+					this.debug(`Keep base image ${key}, which is not in the storage and was not downloaded from it`);
+				}
+			});
+
+			for (const item of items) {
+				const file = path.join(this.globalDir.expected, item.key);
+
+				if (this._isCached(file, item)) {
+					continue;
+				}
+
+				this.debug(`Download base image ${item.key} ...`);
+				const data = await this.storage.download(item.key);
+
+				// Parallel workers might read the image at the same time.
+				const tempFile = `${file}.${process.pid}-${threadId}.download`;
+
+				this._mkdirp(path.dirname(file));
+				fs.writeFileSync(tempFile, data);
+				fs.renameSync(tempFile, file);
+				this._rememberCached(file, item);
+			}
+		}
+	}
+
+	/**
+	 * Checks, whether the local copy of a stored base image is up-to-date.
+	 *
+	 * @param {string} file - Absolute path of the local copy.
+	 * @param {{size: int, etag: string}} item - The stored base image.
+	 * @return {boolean}
+	 * @private
+	 */
+	_isCached(file, item) {
+		if (!this._isFile(file, 'read')) {
+			return false;
+		}
+
+		const stat = fs.statSync(file);
+
+		if ('number' === typeof item.size && stat.size !== item.size) {
+			return false;
+		}
+
+		// Multipart uploads have no MD5 etag.
+		if (!item.etag || -1 !== item.etag.indexOf('-')) {
+			return 'number' === typeof item.size;
+		}
+
+		const known = this.cachedBaselines[file];
+
+		if (known && known.mtime === stat.mtimeMs && known.etag === item.etag) {
+			return true;
+		}
+
+		if (crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex') !== item.etag) {
+			return false;
+		}
+
+		this._rememberCached(file, item);
+
+		return true;
+	}
+
+	/**
+	 * Remembers that the local copy matches the stored base image.
+	 *
+	 * @param {string} file - Absolute path of the local copy.
+	 * @param {{etag: string}} item - The stored base image.
+	 * @private
+	 */
+	_rememberCached(file, item) {
+		if (item.etag) {
+			this.cachedBaselines[file] = {
+				mtime: fs.statSync(file).mtimeMs,
+				etag: item.etag
+			};
+			this._saveBaselineCache(file);
+		}
+	}
+
+	/**
+	 * Forgets the local copy of a stored base image, after it was deleted.
+	 *
+	 * @param {string} file - Absolute path of the local copy.
+	 * @private
+	 */
+	_forgetCached(file) {
+		if (this.cachedBaselines[file]) {
+			delete this.cachedBaselines[file];
+			this._saveBaselineCache(file);
+		}
+	}
+
+	/**
+	 * Loads the cache metadata from the `dirExpected` folder, once.
+	 *
+	 * @private
+	 */
+	_loadBaselineCache() {
+		if (this.cachedBaselines) {
+			return;
 		}
 
-		// Clear areas that are ignored.
-		for (let i = 0; i < opts.ignore.length; i++) {
-			cleared += this._clearRect(
-				png,
-				opts.ignore[i].left,
-				opts.ignore[i].top,
-				opts.ignore[i].left + opts.ignore[i].width,
-				opts.ignore[i].top + opts.ignore[i].height
+		const stored = this._readBaselineCache();
+
+		this.cachedBaselines = {};
+
+		Object.keys(stored).forEach(key => {
+			this.cachedBaselines[path.join(this.globalDir.expected, key)] = stored[key];
+		});
+	}
+
+	/**
+	 * Returns the cache metadata that is saved in the `dirExpected` folder,
+	 * by baseline key.
+	 *
+	 * @return {Object<string, {mtime: float, etag: string}>}
+	 * @private
+	 */
+	_readBaselineCache() {
+		try {
+			const data = JSON.parse(fs.readFileSync(this.globalDir.expected + BASELINE_CACHE_FILE, 'utf8'));
+
+			return data && 'object' === typeof data ? data : {};
+		} catch (err) {
+			return {};
+		}
+	}
+
+	/**
+	 * Saves the cache entry of a single file. The metadata is read again
+	 * before it is written, because parallel workers share the file.
+	 *
+	 * @param {string} file - Absolute path of the local copy.
+	 * @private
+	 */
+	_saveBaselineCache(file) {
+		const cacheFile = this.globalDir.expected + BASELINE_CACHE_FILE;
+		const tempFile = `${cacheFile}.${process.pid}-${threadId}.tmp`;
+		const stored = this._readBaselineCache();
+		const key = this._getBaselineKey(file);
+
+		if (this.cachedBaselines[file]) {
+			stored[key] = this.cachedBaselines[file];
+		} else {
+			delete stored[key];
+		}
+
+		this._mkdirp(this.globalDir.expected);
+		fs.writeFileSync(tempFile, JSON.stringify(stored, null, '\t'));
+		fs.renameSync(tempFile, cacheFile);
+	}
+
+	/**
+	 * Uploads a new or updated base image to the baseline storage.
+	 *
+	 * @param {string} file - Absolute path of the base image.
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async _uploadBaseline(file) {
+		if (!this.storage || !this._isFile(file, 'read')) {
+			return;
+		}
+
+		const key = this._getBaselineKey(file);
+
+		const data = fs.readFileSync(file);
+
+		this.debug(`Upload base image ${key} ...`);
+		await this.storage.upload(key, data);
+
+		this._loadBaselineCache();
+		this._rememberCached(file, {etag: crypto.createHash('md5').update(data).digest('hex')});
+	}
+
+	/**
+	 * Returns a list of absolute paths of the given image and all its
+	 * variations that exist in the filesystem.
+	 *
+	 * Images are found in every supported format, regardless of the file
+	 * extension of the given path.
+	 *
+	 * @param {string} fullPath - Absolute path of the image.
+	 * @param {boolean} [exact] - Optional. Ignore variations of the image.
+	 * @return {string[]}
+	 * @private
+	 */
+	_findImageVariations(fullPath, exact) {
+		const list = [];
+		const dir = path.dirname(fullPath);
+		const file = path.basename(fullPath).replace(new RegExp(EXTENSION_PATTERN + '$', 'i'), '');
+		const name = file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		const re = new RegExp('^' + name + (exact ? '' : '(:?~.+)?') + EXTENSION_PATTERN + '$', 'i');
+
+		this._mkdirp(dir);
+
+		fs.readdirSync(dir).map(fn => {
+			if (fn.match(re)) {
+				list.push(`${dir}/${fn}`);
+			}
+		});
+
+		return list;
+	}
+
+	/**
+	 * Replaces the given base image with the actual image. The image is
+	 * converted, when the base image uses a different format. A shared base
+	 * image is replaced in the shared folder.
+	 *
+	 * @param {string} expectedPath - Absolute path of the base image to replace.
+	 * @return {string} Absolute path of the updated base image.
+	 * @private
+	 */
+	_updateBaseline(expectedPath) {
+		const actualPath = this._buildPath('actual');
+
+		if (this._isFile(expectedPath) && !this._isFile(expectedPath, 'write')) {
+			throw new Error(`Cannot update the base image ${expectedPath}. Maybe the file is read-only.`);
+		}
+
+		this.debug(`Update base image ${expectedPath} ...`);
+		fs.writeFileSync(expectedPath, convertImage(fs.readFileSync(actualPath), getFormat(expectedPath) || 'png'));
+		this._markBaselineUsed(expectedPath);
+
+		return expectedPath;
+	}
+
+	/**
+	 * Loads the specified image and returns a PNG blob.
+	 *
+	 * @param {string} which - The image to load (expected, actual, diff).
+	 * @param {string} suffix - Optional. A suffix to append to the filename.
+	 * @return {object} An PNG object. The `scale` property is the device
+	 *         pixel ratio that is recorded in the file, or null.
+	 * @private
+	 */
+	_loadPngImage(which, suffix) {
+		const path = this._buildPath(which, suffix);
+
+		if (!path) {
+			throw new Error(`No ${which}-image defined.`);
+		}
+
+		this.debug(`Load image from ${path} ...`);
+
+		if (!this._isFile(path, 'read')) {
+			throw new Error(`The ${which}-image does not exist at "${path}"`);
+		}
+
+		const data = fs.readFileSync(path);
+		const png = decodeImage(data);
+
+		// Keep the recorded device pixel ratio, so the file is not read again.
+		png.scale = readScale(data);
+
+		return png;
+	}
+
+	/**
+	 * Saves the specified PNG image to the filesystem.
+	 * .
+	 * @param {string} which - The image to load (expected, actual, diff).
+	 * @param {object} png - An PNG image object.
+	 * @param {string} suffix - Optional. A suffix to append to the filename.
+	 * @private
+	 */
+	_savePngImage(which, png, suffix) {
+		const path = this._buildPath(which, suffix);
+
+		if (!path) {
+			if ('diff' === which) {
+				// Diff generation can be disabled by setting the path to
+				// false/empty. This is not an error.
+				return;
+			} else {
+				throw new Error(`No ${which}-image defined.`);
+			}
+		}
+
+		this.debug(`Save image to ${path} ...`);
+
+		if (this._isFile(path) && !this._isFile(path, 'write')) {
+			throw new Error(`Cannot save the ${which}-image to ${path}. Maybe the file is read-only.`);
+		}
+
+		let data;
+
+		if (png instanceof PNG) {
+			data = encodeImage(png, getFormat(path));
+		} else if (png instanceof Buffer) {
+			data = png;
+		}
+
+		// The approve command reads the namespace of failed comparisons.
+		if (data && 'diff' === which && this.namespace) {
+			data = writeNamespace(data, this.namespace);
+		}
+
+		if (data && data instanceof Buffer) {
+			fs.writeFileSync(path, data);
+		}
+	}
+
+	/**
+	 * Compares the image data using the configured comparison engine. The
+	 * "ssim" engine uses the `ssimThreshold` instead of the pixelmatch threshold.
+	 *
+	 * @param {Uint8Array} expected - Data of the expected image.
+	 * @param {Uint8Array} actual - Data of the actual image.
+	 * @param {Uint8Array} output - Data of the diff image.
+	 * @param {int} width - Image width.
+	 * @param {int} height - Image height.
+	 * @param {object} [args] - Optional. Engine arguments, defaults to `options.args`.
+	 * @return {{diffPixels: int, similarity: float|null}}
+	 * @private
+	 */
+	_runComparison(expected, actual, output, width, height, args) {
+		const opts = this.options;
+		let engine = opts.algorithm;
+
+		args = args || opts.args;
+
+		if ('ssim' === engine) {
+			engine = ssim;
+			args = Object.assign({}, args, {threshold: opts.ssimThreshold});
+		} else if ('function' !== typeof engine) {
+			engine = pixelmatch;
+		}
+
+		const outcome = engine(expected, actual, output, width, height, args);
+
+		if (outcome && 'object' === typeof outcome) {
+			return {
+				diffPixels: parseInt(outcome.diffPixels) || 0,
+				similarity: 'undefined' !== typeof outcome.similarity ? parseFloat(outcome.similarity) : null
+			};
+		}
+
+		return {
+			diffPixels: parseInt(outcome) || 0,
+			similarity: null
+		};
+	}
+
+	/**
+	 * Returns copies of the aligned images, in which all areas of the
+	 * `regions` option are cleared. When no areas are defined, the aligned
+	 * images are returned unchanged.
+	 *
+	 * @param {{expected: PNG, actual: PNG}} aligned - The aligned images.
+	 * @return {{expected: PNG, actual: PNG, excludedPixels: int}}
+	 * @private
+	 */
+	_excludeRegions(aligned) {
+		const regions = this._getCanvasRegions(aligned);
+
+		if (!regions.length) {
+			return {
+				expected: aligned.expected,
+				actual: aligned.actual,
+				excludedPixels: 0
+			};
+		}
+
+		const copy = png => ({
+			width: png.width,
+			height: png.height,
+			data: Buffer.from(png.data)
+		});
+		const expected = copy(aligned.expected);
+		const actual = copy(aligned.actual);
+		let excludedPixels = 0;
+
+		regions.forEach(region => {
+			const x1 = region.left + region.width;
+			const y1 = region.top + region.height;
+
+			// Pixels are counted in the actual image, like ignored pixels.
+			excludedPixels += this._clearRect(actual, region.left, region.top, x1, y1);
+			this._clearRect(expected, region.left, region.top, x1, y1);
+		});
+
+		return {
+			expected,
+			actual,
+			excludedPixels
+		};
+	}
+
+	/**
+	 * Returns the areas of the `regions` option on the canvas of the aligned
+	 * images. The areas are given in pixels of the actual image, which the
+	 * "pad" mode moves away from the top-left corner.
+	 *
+	 * @param {object} aligned - The result of `_alignImages()`.
+	 * @return {object[]} Copies of the areas, in canvas pixels.
+	 * @private
+	 */
+	_getCanvasRegions(aligned) {
+		const offset = aligned.offset;
+
+		return this.options.regions.map(region => Object.assign({}, region, {
+			left: region.left + offset.x,
+			top: region.top + offset.y
+		}));
+	}
+
+	/**
+	 * Compares every area of the `regions` option separately, using the
+	 * tolerance and threshold of the area. The diff of every area is copied
+	 * into the diff image.
+	 *
+	 * @param {{expected: PNG, actual: PNG}} aligned - The aligned images.
+	 * @param {PNG} imgDiff - The diff image.
+	 * @return {object[]} The result of every area.
+	 * @private
+	 */
+	_compareRegions(aligned, imgDiff) {
+		const opts = this.options;
+
+		return this._getCanvasRegions(aligned).map(region => {
+			const left = Math.min(aligned.actual.width, Math.max(0, region.left));
+			const top = Math.min(aligned.actual.height, Math.max(0, region.top));
+			const rect = {
+				left,
+				top,
+				width: Math.max(0, Math.min(region.left + region.width, aligned.actual.width) - left),
+				height: Math.max(0, Math.min(region.top + region.height, aligned.actual.height) - top)
+			};
+			const result = {
+				name: region.name,
+				left: rect.left,
+				top: rect.top,
+				width: rect.width,
+				height: rect.height,
+				tolerance: region.tolerance,
+				threshold: region.threshold,
+				diffPixels: 0,
+				relevantPixels: 0,
+				difference: 0,
+				match: true
+			};
+
+			// The area is outside the image.
+			if (!rect.width || !rect.height) {
+				return result;
+			}
+
+			const expected = this._cropImage(aligned.expected, rect);
+			const actual = this._cropImage(aligned.actual, rect);
+			const diff = new PNG({width: rect.width, height: rect.height});
+			const args = Object.assign({}, opts.args, {threshold: region.threshold});
+			const outcome = this._runComparison(
+				expected.data,
+				actual.data,
+				diff.data,
+				rect.width,
+				rect.height,
+				args
+			);
+
+			PNG.bitblt(diff, imgDiff, 0, 0, rect.width, rect.height, rect.left, rect.top);
+
+			// Pixels that are cleared in both images are ignored.
+			let ignored = 0;
+			for (let k = 3; k < actual.data.length; k += 4) {
+				if (!actual.data[k] && !expected.data[k]) {
+					ignored++;
+				}
+			}
+
+			result.diffPixels = outcome.diffPixels;
+			result.relevantPixels = rect.width * rect.height - ignored;
+
+			if (result.relevantPixels) {
+				result.difference = parseFloat((100 * result.diffPixels / result.relevantPixels).toFixed(4));
+			}
+
+			result.match = result.difference <= region.tolerance;
+
+			this.debug(`Region ${region.name}: ${result.difference}% | ${result.diffPixels} / ${result.relevantPixels} pixels`);
+
+			return result;
+		});
+	}
+
+	/**
+	 * Tests, if the fast mode can be used for the given images. The fast mode
+	 * only supports the pixelmatch engine and images of the same size, and
+	 * no option that needs the full diff image, like regions.
+	 *
+	 * @param {{sizeMismatch: boolean}} aligned - The aligned images.
+	 * @return {boolean}
+	 * @private
+	 */
+	_canUseFastMode(aligned) {
+		const opts = this.options;
+
+		return opts.fastMode
+			&& 'pixelmatch' === opts.algorithm
+			&& !aligned.sizeMismatch
+			&& !opts.regions.length
+			&& !opts.minRegionSize
+			&& null === opts.maxDiffRegionArea;
+	}
+
+	/**
+	 * Compares the image data with pixelmatch in horizontal strips, and stops
+	 * as soon as the pass criteria cannot be met anymore. Identical images
+	 * are detected without a pixel comparison.
+	 *
+	 * Every strip is compared with two additional rows above and below: The
+	 * anti-aliasing detection of pixelmatch checks the neighbors of the
+	 * neighbors of a pixel, so the strips match the full image.
+	 *
+	 * @param {Uint8Array} expected - Data of the expected image.
+	 * @param {Uint8Array} actual - Data of the actual image.
+	 * @param {Uint8Array} output - Data of the diff image.
+	 * @param {int} width - Image width.
+	 * @param {int} height - Image height.
+	 * @param {int} relevantPixels - Number of compared pixels.
+	 * @return {{diffPixels: int, similarity: null, partial: boolean}}
+	 * @private
+	 */
+	_runFastComparison(expected, actual, output, width, height, relevantPixels) {
+		const args = this.options.args;
+		const stripHeight = 64;
+		const contextRows = 2;
+		const rowBytes = 4 * width;
+		let diffPixels = 0;
+
+		if (Buffer.from(expected.buffer, expected.byteOffset, expected.length)
+			.equals(Buffer.from(actual.buffer, actual.byteOffset, actual.length))) {
+			this.debug('Images are identical');
+
+			return {
+				diffPixels: 0,
+				similarity: null,
+				partial: false
+			};
+		}
+
+		for (let y0 = 0; y0 < height; y0 += stripHeight) {
+			const y1 = Math.min(height, y0 + stripHeight);
+			const top = Math.max(0, y0 - contextRows);
+			const bottom = Math.min(height, y1 + contextRows);
+			const start = top * rowBytes;
+			const end = bottom * rowBytes;
+			const strip = new Uint8Array(end - start);
+
+			pixelmatch(
+				expected.subarray(start, end),
+				actual.subarray(start, end),
+				strip,
+				width,
+				bottom - top,
+				args
 			);
+
+			// Only count and copy the rows of the strip, without the context.
+			const inner = strip.subarray((y0 - top) * rowBytes, (y1 - top) * rowBytes);
+			diffPixels += this._countDiffPixels(inner);
+			output.set(inner, y0 * rowBytes);
+
+			if (y1 < height && this._checkCriteria({
+				difference: parseFloat((100 * diffPixels / relevantPixels).toFixed(4)),
+				diffPixels,
+				similarity: null
+			}).length) {
+				this.debug(`Stop comparison after ${y1} of ${height} rows: ${diffPixels} different pixels`);
+
+				return {
+					diffPixels,
+					similarity: null,
+					partial: true
+				};
+			}
 		}
 
-		return cleared;
+		return {
+			diffPixels,
+			similarity: null,
+			partial: false
+		};
 	}
 
 	/**
-	 * Determines the bounding box of the given element on the current viewport.
+	 * Counts the pixels in the given diff image data, that are painted in
+	 * the diff color.
 	 *
-	 * @param {string} selector - CSS|XPath|ID selector.
-	 * @returns {Promise<{boundingBox: {left: int, top: int, right: int, bottom: int, width: int,
-	 *     height: int}}>}
+	 * @param {Uint8Array} data - Data of the diff image.
+	 * @return {int}
+	 * @private
 	 */
-	async _getBoundingBox(selector) {
-		const driver = this._getDriver();
+	_countDiffPixels(data) {
+		const mask = this._getDiffMask({
+			width: data.length / 4,
+			height: 1,
+			data
+		});
 
-		await driver.waitForVisible(selector);
-		const els = await driver._locate(selector);
-		let location, size;
+		return mask.reduce((sum, value) => sum + value, 0);
+	}
 
-		if ('TestCafe' === driver._which) {
-			if (await els.count != 1) {
-				throw new Error(`Element ${selector} couldn't be located or isn't unique on the page`);
-			}
-		} else if (!els.length) {
-			throw new Error(`Element ${selector} couldn't be located`);
+	/**
+	 * Groups the different pixels of the diff image into connected regions.
+	 * Regions below the `minRegionSize` are considered noise: They are
+	 * painted in the anti-aliasing color and not returned.
+	 *
+	 * Regions are only collected when an option needs them, and the list
+	 * contains the MAX_REGIONS largest regions, as it's part of the reports.
+	 * The largest area is based on all regions.
+	 *
+	 * @param {PNG} imgDiff - The diff image.
+	 * @return {{list: object[], noisePixels: int, largestArea: int}}
+	 * @private
+	 */
+	_findDiffRegions(imgDiff) {
+		const opts = this.options;
+		const list = [];
+		let noisePixels = 0;
+		let largestArea = 0;
+
+		if (!opts.minRegionSize && !opts.drawRegions && null === opts.maxDiffRegionArea) {
+			return {
+				list,
+				noisePixels,
+				largestArea
+			};
 		}
 
-		const density = parseInt(await driver.executeScript(() => {
-			return window.devicePixelRatio;
-		})) || 1;
-
-		switch (driver._which) {
-			case 'Puppeteer':
-			case 'Playwright': {
-				const el = els[0];
-				const box = await el.boundingBox();
-				size = location = box;
+		const mask = this._getDiffMask(imgDiff);
+		const regions = findRegions(mask, imgDiff.width, imgDiff.height, opts.regionGap, opts.minRegionSize - 1);
+		const aaColor = opts.args.aaColor || [255, 255, 0];
+
+		regions.forEach(region => {
+			if (region.pixels >= opts.minRegionSize) {
+				largestArea = Math.max(largestArea, region.area);
+
+				if (list.length < MAX_REGIONS) {
+					list.push({
+						left: region.left,
+						top: region.top,
+						width: region.width,
+						height: region.height,
+						pixels: region.pixels,
+						area: region.area
+					});
+				}
+				return;
 			}
-				break;
 
-			case 'WebDriver':
-			case 'Appium': {
-				const el = els[0];
-				location = await el.getLocation();
-				size = await el.getSize();
-			}
-				break;
+			noisePixels += region.pixels;
 
-			case 'WebDriverIO':
-				location = await driver.browser.getLocation(selector);
-				size = await driver.browser.getElementSize(selector);
-				break;
+			region.indexes.forEach(idx => {
+				const k = 4 * idx;
+				imgDiff.data[k] = aaColor[0];
+				imgDiff.data[k + 1] = aaColor[1];
+				imgDiff.data[k + 2] = aaColor[2];
+			});
+		});
 
-			case 'TestCafe': {
-				const box = await els.boundingClientRect;
-				location = {
-					x: box.left,
-					y: box.top
-				};
-				size = {
-					width: box.width,
-					height: box.height
-				};
-			}
-		}
+		return {
+			list,
+			noisePixels,
+			largestArea
+		};
+	}
 
-		if (!size) {
-			throw new Error('Cannot get element size!');
+	/**
+	 * Returns a mask of all pixels in the diff image that are painted in the
+	 * diff color of the comparison.
+	 *
+	 * @param {PNG} imgDiff - The diff image.
+	 * @return {Uint8Array} One entry per pixel; 1 marks a different pixel.
+	 * @private
+	 */
+	_getDiffMask(imgDiff) {
+		const args = this.options.args;
+		const colors = [args.diffColor || [255, 0, 0]];
+		const mask = new Uint8Array(imgDiff.width * imgDiff.height);
+		const data = imgDiff.data;
+
+		if (args.diffColorAlt) {
+			colors.push(args.diffColorAlt);
 		}
 
-		const boundingBox = {
-			left: density * location.x,
-			top: density * location.y,
-			right: density * (size.width + location.x),
-			bottom: density * (size.height + location.y),
-			width: density * size.width,
-			height: density * size.height
-		};
+		for (let i = 0; i < mask.length; i++) {
+			const k = 4 * i;
 
-		this.debugSection(`Bounding box of ${selector}:`, JSON.stringify(boundingBox));
+			if (!data[k + 3]) {
+				continue;
+			}
 
-		return boundingBox;
+			for (const color of colors) {
+				if (data[k] === color[0] && data[k + 1] === color[1] && data[k + 2] === color[2]) {
+					mask[i] = 1;
+					break;
+				}
+			}
+		}
+
+		return mask;
 	}
 
 	/**
-	 * Captures the expected or actual image, depending on the captureFlag.
+	 * Estimates the offset of content that moved between the expected and
+	 * the actual image, either for the entire image or for every changed
+	 * area. Overlapping areas are merged, so every pixel is moved at most
+	 * once. When the shift is compensated, `main.actual` is replaced by a
+	 * copy in which the content is moved back to its expected position.
+	 * Pixels without content after the move are ignored, see `compensateOffset()`.
 	 *
-	 * @param {string} which - Which image to capture: 'expected', 'actual'.
-	 * @param {bool|string} captureFlag - Either true, false or 'missing'.
+	 * @param {{expected: PNG, actual: PNG}} main - The compared images.
+	 * @param {object} aligned - The result of `_alignImages()`.
+	 * @return {{offset: {x: int, y: int}|null, regions: {left: int, top: int, width: int,
+	 *     height: int, offset: {x: int, y: int}}[], ignoredPixels: int}}
 	 * @private
 	 */
-	async _maybeCaptureImage(which, captureFlag) {
-		if (false === captureFlag) {
-			return;
+	_detectShift(main, aligned) {
+		const settings = this.options.detectShift;
+		const shift = {
+			offset: null,
+			regions: [],
+			ignoredPixels: 0
+		};
+
+		if (!settings) {
+			return shift;
 		}
 
-		if ('missing' === captureFlag) {
-			const path = this._buildPath(which);
+		const {width, height} = main.actual;
+		const expected = main.expected.data;
+		const actual = main.actual.data;
+		const dist = settings.maxDistance;
+		const areas = 'regions' === settings.scope
+			? mergeAreas(this._findChangedAreas(expected, actual, width, height, dist))
+			: [{left: 0, top: 0, width, height}];
+		const ignored = this._getIgnoreMasks(aligned);
+		const target = settings.compensate ? Buffer.from(actual) : null;
+		const reference = settings.compensate ? Buffer.from(expected) : null;
+		const cleared = settings.compensate ? Uint8Array.from(ignored.actual) : null;
+
+		shift.offset = {x: 0, y: 0};
+
+		areas.forEach((area, i) => {
+			// Moved content can be up to `maxDistance` outside the area.
+			const left = Math.max(0, area.left - dist);
+			const top = Math.max(0, area.top - dist);
+			const rect = {
+				left,
+				top,
+				width: Math.min(width, area.left + area.width + dist) - left,
+				height: Math.min(height, area.top + area.height + dist) - top
+			};
+			const offset = estimateOffset(expected, actual, width, height, rect, dist, ignored);
 
-			if (this._isFile(path, 'read')) {
-				// Not missing: Exact image match.
-				return;
+			// The largest area defines the offset of the result.
+			if (!i) {
+				shift.offset = offset;
 			}
-			if ('expected' === which && this._getExpectedImagePaths().length) {
-				// Not missing: Expected image variation(s) found.
+
+			if (!offset.x && !offset.y) {
 				return;
 			}
+
+			this.debug(`Content at ${area.left}/${area.top} is shifted by ${offset.x}/${offset.y} px`);
+
+			shift.regions.push({
+				left: area.left,
+				top: area.top,
+				width: area.width,
+				height: area.height,
+				offset
+			});
+
+			if (target) {
+				shift.ignoredPixels += compensateOffset(
+					target,
+					reference,
+					actual,
+					width,
+					height,
+					area,
+					offset,
+					ignored,
+					cleared
+				);
+			}
+		});
+
+		if (target && shift.regions.length) {
+			main.actual = {
+				width,
+				height,
+				data: target
+			};
+			main.expected = {
+				width,
+				height,
+				data: reference
+			};
 		}
 
-		await this._takeScreenshot(this.imageName, which);
+		return shift;
 	}
 
 	/**
-	 * Sanitizes the given options and updates all relevant class members with
-	 * either the new, sanitized value, or with a default value.
+	 * Returns the pixels of both aligned images that are not compared: Pixels
+	 * outside the bounds, in ignored areas or in areas with custom settings,
+	 * and pixels outside the area that both images cover.
 	 *
-	 * @param {string} image - Name of the image to compare.
-	 * @param {object|undefined} options - The new options to set.
+	 * @param {object} aligned - The result of `_alignImages()`.
+	 * @return {{expected: Uint8Array, actual: Uint8Array}} One entry per pixel;
+	 *     1 marks an ignored pixel.
 	 * @private
 	 */
-	async _setupTest(image, options) {
-		// Set the name of the current image.
-		this.imageName = image.replace(/(~.+)?\.png$/, '');
+	_getIgnoreMasks(aligned) {
+		const opts = this.options;
+		const {width, height, overlap} = aligned;
+		const regions = this._getCanvasRegions(aligned);
+		const useBounds = opts.bounds.left
+			|| opts.bounds.top
+			|| opts.bounds.width
+			|| opts.bounds.height;
 
-		// Reset the previous test results.
-		this.result = {
-			match: true,
-			difference: 0,
-			diffImage: '',
-			diffPixels: 0,
-			totalPixels: 0,
-			relevantPixels: 0,
-			variation: '',
-			variations: []
+		const create = pos => {
+			const mask = new Uint8Array(width * height);
+			const mark = (left, top, w, h, value) => {
+				const x0 = Math.max(0, left);
+				const x1 = Math.min(width, left + w);
+
+				for (let y = Math.max(0, top); y < Math.min(height, top + h); y++) {
+					if (x0 < x1) {
+						mask.fill(value, y * width + x0, y * width + x1);
+					}
+				}
+			};
+
+			// Bounds and ignored areas are applied to both images, before
+			// they are placed on the canvas.
+			if (useBounds) {
+				mask.fill(1);
+				mark(pos.x + opts.bounds.left, pos.y + opts.bounds.top, opts.bounds.width, opts.bounds.height, 0);
+			}
+
+			opts.ignore.forEach(box => mark(pos.x + box.left, pos.y + box.top, box.width, box.height, 1));
+			regions.forEach(region => mark(region.left, region.top, region.width, region.height, 1));
+
+			mark(0, 0, width, overlap.y0, 1);
+			mark(0, overlap.y1, width, height - overlap.y1, 1);
+			mark(0, 0, overlap.x0, height, 1);
+			mark(overlap.x1, 0, width - overlap.x1, height, 1);
+
+			return mask;
 		};
 
-		// Define the default options.
-		const newValues = {
-			tolerance: this.globalTolerance,
-			compareWith: '',
-			element: '',
-			bounds: {
-				left: 0,
-				top: 0,
-				width: 0,
-				height: 0
-			},
-			ignore: [],
-			args: {
-				threshold: this.globalThreshold,
-				alpha: 0.5,
-				includeAA: false,
-				diffMask: false,
-				aaColor: [128, 128, 128],
-				diffColor: [255, 0, 0],
-				diffColorAlt: null
-			},
-			dumpIntermediateImage: this.globalDumpIntermediateImage,
-			captureActual: this.globalCaptureActual,
-			captureExpected: this.globalCaptureExpected
+		return {
+			expected: create(aligned.expectedOffset),
+			actual: create(aligned.offset)
 		};
+	}
 
-		if (options && 'object' === typeof options) {
-			// Sanitize the allowed tolerance [percent].
-			if ('undefined' !== typeof options.tolerance) {
-				newValues.tolerance = Math.max(0, parseFloat(options.tolerance));
+	/**
+	 * Returns the areas in which the images differ, sorted by size. Pixels are
+	 * grouped into blocks, so changes that are closer than the block size
+	 * belong to the same area.
+	 *
+	 * @param {Uint8Array} expected - RGBA data of the expected image.
+	 * @param {Uint8Array} actual - RGBA data of the actual image.
+	 * @param {int} width - Image width.
+	 * @param {int} height - Image height.
+	 * @param {int} size - Block size [px].
+	 * @return {{left: int, top: int, width: int, height: int}[]}
+	 * @private
+	 */
+	_findChangedAreas(expected, actual, width, height, size) {
+		const cols = Math.ceil(width / size);
+		const rows = Math.ceil(height / size);
+		const mask = new Uint8Array(cols * rows);
+
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				const k = 4 * (y * width + x);
+
+				if (
+					expected[k] !== actual[k]
+					|| expected[k + 1] !== actual[k + 1]
+					|| expected[k + 2] !== actual[k + 2]
+					|| expected[k + 3] !== actual[k + 3]
+				) {
+					mask[Math.floor(y / size) * cols + Math.floor(x / size)] = 1;
+				}
 			}
+		}
 
-			// Maybe define a custom filename for the expected image file.
-			if ('undefined' !== typeof options.compareWith) {
-				newValues.compareWith = options.compareWith;
-			}
+		return findRegions(mask, cols, rows)
+			.sort((a, b) => b.pixels - a.pixels)
+			.map(block => {
+				const left = block.left * size;
+				const top = block.top * size;
+
+				return {
+					left,
+					top,
+					width: Math.min(width, (block.left + block.width) * size) - left,
+					height: Math.min(height, (block.top + block.height) * size) - top
+				};
+			});
+	}
 
-			// Set bounding box, either via element selector or a rectangle.
-			if (options.element) {
-				const bounds = await this._getBoundingBox(options.element);
-				newValues.element = options.element;
-				newValues.bounds.left = bounds.left;
-				newValues.bounds.top = bounds.top;
-				newValues.bounds.width = bounds.width;
-				newValues.bounds.height = bounds.height;
-			} else if (options.bounds && 'object' === typeof options.bounds) {
-				newValues.bounds.left = parseInt(options.bounds.left);
-				newValues.bounds.top = parseInt(options.bounds.top);
-				newValues.bounds.width = parseInt(options.bounds.width);
-				newValues.bounds.height = parseInt(options.bounds.height);
-			}
+	/**
+	 * Places the actual and expected image on a common canvas. When both
+	 * images have the same size, they are returned unchanged. Otherwise, the
+	 * pixels outside the overlapping area are cleared in both canvas images
+	 * and marked in the returned `mismatch` map.
+	 *
+	 * `ignoredPixels` counts the canvas pixels that were cleared by the bounds
+	 * or ignored areas: In the overlapping area, the pixels of the actual
+	 * image, and outside of it, the pixels of the image that covers them.
+	 * These pixels are never marked as mismatch.
+	 *
+	 * @param {PNG} imgActual - The actual image.
+	 * @param {PNG} imgExpected - The expected image.
+	 * @param {string} mode - How to align the images, see `globalSizeMismatch`.
+	 * @param {{actual: Uint8Array, expected: Uint8Array}} [cleared] - Optional.
+	 *        Cleared pixels of both images, see `_applyBounds()`.
+	 * The returned `offset` and `expectedOffset` are the positions of both
+	 * images on the canvas, and `overlap` is the area that both images cover.
+	 *
+	 * @return {{actual: PNG, expected: PNG, width: int, height: int, sizeMismatch: boolean,
+	 *     mismatch: Uint8Array|null, emptyPixels: int, ignoredPixels: int, crop: object|null,
+	 *     offset: {x: int, y: int}, expectedOffset: {x: int, y: int},
+	 *     overlap: {x0: int, y0: int, x1: int, y1: int}}}
+	 * @private
+	 */
+	_alignImages(imgActual, imgExpected, mode, cleared) {
+		const clearedActual = cleared && cleared.actual || new Uint8Array(0);
+		const clearedExpected = cleared && cleared.expected || new Uint8Array(0);
+		const aligned = {
+			actual: imgActual,
+			expected: imgExpected,
+			width: imgActual.width,
+			height: imgActual.height,
+			sizeMismatch: false,
+			mismatch: null,
+			emptyPixels: 0,
+			ignoredPixels: 0,
+			crop: null,
+			offset: {x: 0, y: 0},
+			expectedOffset: {x: 0, y: 0},
+			overlap: {x0: 0, y0: 0, x1: imgActual.width, y1: imgActual.height}
+		};
 
-			// Sanitize ignored regions.
-			if (options.ignore) {
-				for (let i = 0; i < options.ignore.length; i++) {
-					const item = options.ignore[i];
+		if (imgExpected.width === imgActual.width && imgExpected.height === imgActual.height) {
+			aligned.ignoredPixels = clearedActual.reduce((sum, value) => sum + value, 0);
 
-					if (
-						'object' === typeof item
-						&& 'undefined' !== typeof item.left
-						&& 'undefined' !== typeof item.top
-						&& 'undefined' !== typeof item.width
-						&& 'undefined' !== typeof item.height
-					) {
-						newValues.ignore.push({
-							left: parseInt(item.left),
-							top: parseInt(item.top),
-							width: parseInt(item.width),
-							height: parseInt(item.height)
-						});
-					}
+			return aligned;
+		}
+
+		const sizes = `actual ${imgActual.width}x${imgActual.height}, expected ${imgExpected.width}x${imgExpected.height}`;
+
+		if ('fail' === mode) {
+			throw new Error(`Image sizes do not match (${sizes})`);
+		}
+
+		this.debug(`Image sizes do not match (${sizes}), align images via "${mode}"`);
+
+		const width = Math.max(imgActual.width, imgExpected.width);
+		const height = Math.max(imgActual.height, imgExpected.height);
+		const posActual = {x: 0, y: 0};
+		const posExpected = {x: 0, y: 0};
+
+		if ('pad' === mode) {
+			posActual.x = Math.floor((width - imgActual.width) / 2);
+			posActual.y = Math.floor((height - imgActual.height) / 2);
+			posExpected.x = Math.floor((width - imgExpected.width) / 2);
+			posExpected.y = Math.floor((height - imgExpected.height) / 2);
+		}
+
+		aligned.actual = new PNG({width, height, fill: true});
+		aligned.expected = new PNG({width, height, fill: true});
+		aligned.width = width;
+		aligned.height = height;
+		aligned.sizeMismatch = true;
+		aligned.mismatch = new Uint8Array(width * height);
+
+		PNG.bitblt(imgActual, aligned.actual, 0, 0, imgActual.width, imgActual.height, posActual.x, posActual.y);
+		PNG.bitblt(imgExpected, aligned.expected, 0, 0, imgExpected.width, imgExpected.height, posExpected.x, posExpected.y);
+
+		const overlap = {
+			x0: Math.max(posActual.x, posExpected.x),
+			y0: Math.max(posActual.y, posExpected.y),
+			x1: Math.min(posActual.x + imgActual.width, posExpected.x + imgExpected.width),
+			y1: Math.min(posActual.y + imgActual.height, posExpected.y + imgExpected.height)
+		};
+
+		// Without an overlap, every pixel of both images is different.
+		const hasOverlap = overlap.x0 < overlap.x1 && overlap.y0 < overlap.y1;
+
+		aligned.offset = posActual;
+		aligned.expectedOffset = posExpected;
+		aligned.overlap = overlap;
+
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				const inActual = this._isInRect(x, y, posActual, imgActual);
+				const iActual = (x - posActual.x) + imgActual.width * (y - posActual.y);
+
+				if (x >= overlap.x0 && x < overlap.x1 && y >= overlap.y0 && y < overlap.y1) {
+					aligned.ignoredPixels += clearedActual[iActual] ? 1 : 0;
+					continue;
 				}
-			}
 
-			// Add pixelmatch arguments.
-			if (options.args && 'object' === typeof options.args) {
-				for (const key in options.args) {
-					if (!options.args.hasOwnProperty(key)) {
-						continue;
-					}
-					newValues.args[key] = options.args[key];
+				const k = 4 * (x + width * y);
+				const inExpected = this._isInRect(x, y, posExpected, imgExpected);
+				const iExpected = (x - posExpected.x) + imgExpected.width * (y - posExpected.y);
+
+				if (!inActual && !inExpected) {
+					// Canvas pixel that is not covered by any image.
+					aligned.emptyPixels++;
+				} else if (inActual ? clearedActual[iActual] : clearedExpected[iExpected]) {
+					// Pixel that is only present in one image, but ignored.
+					aligned.ignoredPixels++;
+				} else if (!hasOverlap || aligned.actual.data[k + 3] > 0 || aligned.expected.data[k + 3] > 0) {
+					// Pixel that is only present in one image.
+					aligned.mismatch[x + width * y] = 1;
 				}
-			}
 
-			// Debug: Dump intermediate images.
-			if ('undefined' !== typeof options.dumpIntermediateImage) {
-				newValues.dumpIntermediateImage = this._toBool(options.dumpIntermediateImage);
+				aligned.actual.data.fill(0, k, k + 4);
+				aligned.expected.data.fill(0, k, k + 4);
 			}
+		}
 
-			// Capture screenshots before comparison?
-			if ('undefined' !== typeof options.captureActual) {
-				newValues.captureActual = this._toBool(options.captureActual, ['missing']);
-			}
-			if ('undefined' !== typeof options.captureExpected) {
-				newValues.captureExpected = this._toBool(options.captureExpected, ['missing']);
+		// An empty overlap cannot be cropped; the images keep the canvas size.
+		if ('crop' === mode && hasOverlap) {
+			aligned.crop = {
+				left: overlap.x0,
+				top: overlap.y0,
+				width: overlap.x1 - overlap.x0,
+				height: overlap.y1 - overlap.y0
+			};
+		}
+
+		return aligned;
+	}
+
+	/**
+	 * Marks all pixels in the diff image that are only present in one of the
+	 * aligned images.
+	 *
+	 * @param {PNG} imgDiff - The diff image to update.
+	 * @param {object} aligned - The result of `_alignImages()`.
+	 * @return {int} Number of marked pixels.
+	 * @private
+	 */
+	_markMismatchedPixels(imgDiff, aligned) {
+		if (!aligned.mismatch) {
+			return 0;
+		}
+
+		const color = this.options.args.diffColor || [255, 0, 0];
+		let count = 0;
+
+		for (let i = 0; i < aligned.mismatch.length; i++) {
+			if (!aligned.mismatch[i]) {
+				continue;
 			}
+
+			const k = 4 * i;
+			imgDiff.data[k] = color[0];
+			imgDiff.data[k + 1] = color[1];
+			imgDiff.data[k + 2] = color[2];
+			imgDiff.data[k + 3] = 255;
+			count++;
+		}
+
+		return count;
+	}
+
+	/**
+	 * Returns a new image that contains the specified section of the given
+	 * image. When the section is empty, the source image is returned.
+	 *
+	 * @param {PNG} png - The source image.
+	 * @param {{left: int, top: int, width: int, height: int}} rect - The section to copy.
+	 * @return {PNG} The cropped image.
+	 * @private
+	 */
+	_cropImage(png, rect) {
+		const width = Math.min(rect.width, png.width - rect.left);
+		const height = Math.min(rect.height, png.height - rect.top);
+
+		if (width <= 0 || height <= 0) {
+			return png;
 		}
 
-		this.options = newValues;
+		const cropped = new PNG({width, height, fill: true});
 
-		// Prepare paths for the current operation.
-		this.path.expected = this._buildPath('expected');
-		this.path.actual = this._buildPath('actual');
+		PNG.bitblt(png, cropped, rect.left, rect.top, width, height, 0, 0);
 
-		// Diff-image generation might be disabled.
-		if (this.globalDir.diff) {
-			this.path.diff = this._buildPath('diff');
-		}
+		return cropped;
 	}
 
 	/**
-	 * Returns the instance of the current browser driver.
+	 * Tests, if the given point is inside the area of an image that is placed
+	 * at the given position.
 	 *
-	 * @return {Puppeteer|WebDriver|Appium|WebDriverIO|TestCafe}
+	 * @param {int} x
+	 * @param {int} y
+	 * @param {{x: int, y: int}} pos - Position of the image.
+	 * @param {{width: int, height: int}} size - Size of the image.
+	 * @return {boolean}
 	 * @private
 	 */
-	_getDriver() {
-		let driver = null;
+	_isInRect(x, y, pos, size) {
+		return x >= pos.x && x < pos.x + size.width && y >= pos.y && y < pos.y + size.height;
+	}
 
-		if (this.helpers['Puppeteer']) {
-			driver = this.helpers['Puppeteer'];
-			driver._which = 'Puppeteer';
-		} else if (this.helpers['WebDriver']) {
-			driver = this.helpers['WebDriver'];
-			driver._which = 'WebDriver';
-		} else if (this.helpers['Appium']) {
-			driver = this.helpers['Appium'];
-			driver._which = 'Appium';
-		} else if (this.helpers['WebDriverIO']) {
-			driver = this.helpers['WebDriverIO'];
-			driver._which = 'WebDriverIO';
-		} else if (this.helpers['TestCafe']) {
-			driver = this.helpers['TestCafe'];
-			driver._which = 'TestCafe';
-		} else if (this.helpers['Playwright']) {
-			driver = this.helpers['Playwright'];
-			driver._which = 'Playwright';
-		} else {
-			throw new Error(
-				'Unsupported driver. The pixelmatch helper supports [Playwright|WebDriver|Appium|Puppeteer|TestCafe]');
+	/**
+	 * Returns a valid comparison engine. Unknown names fall back to
+	 * 'pixelmatch'.
+	 *
+	 * @param {string|function} value - The engine to sanitize.
+	 * @return {'pixelmatch'|'ssim'|function}
+	 * @private
+	 */
+	_sanitizeAlgorithm(value) {
+		if ('function' === typeof value) {
+			return value;
 		}
 
-		return driver;
+		return 'ssim' === String(value).toLowerCase() ? 'ssim' : 'pixelmatch';
 	}
 
 	/**
-	 * Recursively creates the specified directory.
+	 * Returns a similarity value between 0 and 1, or null when the given
+	 * value is empty.
 	 *
-	 * @param dir
+	 * @param {any} value - The similarity to sanitize.
+	 * @return {float|null}
 	 * @private
 	 */
-	_mkdirp(dir) {
-		fs.mkdirSync(dir, {recursive: true});
+	_sanitizeSimilarity(value) {
+		if (null === value || '' === value || false === value) {
+			return null;
+		}
+
+		return Math.min(1, Math.max(0, parseFloat(value) || 0));
 	}
 
 	/**
-	 * Deletes the specified file, if it exists.
+	 * Returns a sanitized entry of the `regions` option, or null when the
+	 * entry is invalid. Element selectors are resolved to a pixel box, which
+	 * is relative to the compared element in the "crop" element mode.
 	 *
-	 * @param {string} file - The file to delete.
+	 * @param {object} item - The region definition.
+	 * @param {int} index - Position of the region in the list.
+	 * @param {object} values - The comparison options, for default values.
+	 * @return {Promise<{name: string, left: int, top: int, width: int, height: int,
+	 *     tolerance: float, threshold: float}|null>}
 	 * @private
 	 */
-	_deleteFile(file) {
-		try {
-			if (this._isFile(file)) {
-				fs.unlinkSync(file);
-			}
-		} catch (err) {
-			throw new Error(`Could not delete target file "${file}" - is it read-only?`);
+	async _sanitizeRegion(item, index, values) {
+		if (!item || 'object' !== typeof item) {
+			return null;
+		}
+
+		const region = {
+			name: item.name || item.element || `region-${index + 1}`,
+			left: 0,
+			top: 0,
+			width: 0,
+			height: 0,
+			tolerance: values.tolerance,
+			threshold: values.args.threshold
+		};
+
+		if (item.element) {
+			const box = await this._getBoundingBox(item.element);
+			const origin = await this._getElementOrigin(values);
+
+			region.left = Math.round(box.left - origin.left);
+			region.top = Math.round(box.top - origin.top);
+			region.width = Math.round(box.width);
+			region.height = Math.round(box.height);
+		} else if ('undefined' !== typeof item.width && 'undefined' !== typeof item.height) {
+			region.left = parseInt(item.left) || 0;
+			region.top = parseInt(item.top) || 0;
+			region.width = parseInt(item.width) || 0;
+			region.height = parseInt(item.height) || 0;
+		} else {
+			return null;
+		}
+
+		if ('undefined' !== typeof item.tolerance) {
+			region.tolerance = Math.max(0, parseFloat(item.tolerance) || 0);
 		}
+		if ('undefined' !== typeof item.threshold) {
+			region.threshold = Math.min(1, Math.max(0, parseFloat(item.threshold) || 0));
+		}
+
+		return region.width > 0 && region.height > 0 ? region : null;
 	}
 
 	/**
-	 * Tests, if the given file exists..
+	 * Returns a non-negative integer limit, or null when the given value is
+	 * empty.
 	 *
-	 * @param {string} file - The file to check.
-	 * @param {string} mode - Optional. Either empty, or 'read'/'write' to
-	 *        validate that the current user can either read or write the file.
+	 * @param {any} value - The limit to sanitize.
+	 * @return {int|null}
 	 * @private
 	 */
-	_isFile(file, mode) {
-		let accessFlag = fs.constants.F_OK;
-
-		if ('read' === mode) {
-			accessFlag |= fs.constants.R_OK;
-		} else if ('write' === mode) {
-			accessFlag |= fs.constants.W_OK;
+	_sanitizeLimit(value) {
+		if (null === value || '' === value || false === value || 'undefined' === typeof value) {
+			return null;
 		}
 
-		try {
-			// If access permission fails, an error is thrown.
-			fs.accessSync(file, accessFlag);
-			return true;
-		} catch (err) {
-			if ('ENOENT' !== err.code) {
-				console.error(err.code + ':  ' + file);
-			}
+		return Math.max(0, parseInt(value) || 0);
+	}
+
+	/**
+	 * Returns a valid mode to combine pass criteria. Unknown values fall
+	 * back to 'all'.
+	 *
+	 * @param {string} value - The mode to sanitize.
+	 * @return {'all'|'any'}
+	 * @private
+	 */
+	_sanitizeCriteria(value) {
+		return 'any' === String(value).toLowerCase() ? 'any' : 'all';
+	}
 
+	/**
+	 * Returns the stabilization settings for the given value.
+	 *
+	 * _sanitizeStabilize(true)         --> {count: 2, interval: 250, timeout: 5000}
+	 * _sanitizeStabilize(3)            --> {count: 3, interval: 250, timeout: 5000}
+	 * _sanitizeStabilize({timeout: 1}) --> {count: 2, interval: 250, timeout: 1}
+	 *
+	 * @param {any} value - The setting to sanitize.
+	 * @return {false|{count: int, interval: int, timeout: int}}
+	 * @private
+	 */
+	_sanitizeStabilize(value) {
+		const settings = {
+			count: 2,
+			interval: 250,
+			timeout: 5000
+		};
+
+		if (value && 'object' === typeof value) {
+			for (const key in settings) {
+				if ('undefined' !== typeof value[key]) {
+					settings[key] = Math.max(0, parseInt(value[key]) || 0);
+				}
+			}
+		} else if ('number' === typeof value) {
+			if (value < 1) {
+				return false;
+			}
+			settings.count = parseInt(value);
+		} else if (!this._toBool(value)) {
 			return false;
 		}
+
+		settings.count = Math.max(2, settings.count);
+
+		return settings;
 	}
 
 	/**
-	 * Builds the absolute path to a relative folder.
+	 * Returns the settings to detect shifted content for the given value.
+	 * The distance is limited to 50 px. Larger distances compare fewer
+	 * pixels per offset, see `estimateOffset()`.
 	 *
-	 * @param {string} dir - The relative folder name.
-	 * @returns {string}
+	 * _sanitizeShift(true)                --> {maxDistance: 10, compensate: false, scope: 'global'}
+	 * _sanitizeShift(5)                   --> {maxDistance: 5, compensate: false, scope: 'global'}
+	 * _sanitizeShift({compensate: true})  --> {maxDistance: 10, compensate: true, scope: 'global'}
+	 *
+	 * @param {any} value - The setting to sanitize.
+	 * @return {false|{maxDistance: int, compensate: boolean, scope: 'global'|'regions'}}
 	 * @private
 	 */
-	_resolvePath(dir) {
-		if (!path.isAbsolute(dir)) {
-			return path.resolve(global.codecept_dir, dir) + '/';
+	_sanitizeShift(value) {
+		const settings = {
+			maxDistance: 10,
+			compensate: false,
+			scope: 'global'
+		};
+
+		if (value && 'object' === typeof value) {
+			if ('undefined' !== typeof value.maxDistance) {
+				settings.maxDistance = parseInt(value.maxDistance) || 0;
+			}
+			settings.compensate = this._toBool(value.compensate);
+			settings.scope = 'regions' === String(value.scope).toLowerCase() ? 'regions' : 'global';
+		} else if ('number' === typeof value || /^\d+$/.test(value)) {
+			settings.maxDistance = parseInt(value);
+		} else if (!this._toBool(value)) {
+			return false;
 		}
-		return dir;
+
+		settings.maxDistance = Math.min(50, settings.maxDistance);
+
+		return settings.maxDistance > 0 ? settings : false;
 	}
 
 	/**
-	 * Returns the filename of an image.
+	 * Checks the comparison result against all active pass criteria, and
+	 * returns a description of every criterion that failed. An empty list
+	 * means that the comparison passed.
 	 *
-	 * @param {string} which - Which image to return (expected, actual, diff).
-	 * @param {string} suffix - Optional. A suffix to append to the filename.
+	 * The similarity replaces the tolerance, when both a `minSimilarity` and
+	 * a similarity score are available. A tolerance of 0 is ignored, when an
+	 * absolute limit is defined, so `maxDiffPixels` can be used on its own.
+	 * With the criteria mode 'any', the list is only empty when at least one
+	 * criterion passed.
+	 *
+	 * @param {{difference: float, diffPixels: int, similarity: float|null}} result - The
+	 *        comparison result.
+	 * @param {int} [largestArea] - Optional. Area of the largest changed region.
+	 * @return {string[]} Descriptions of the failed criteria.
 	 * @private
 	 */
-	_getFileName(which, suffix) {
-		let filename;
-
-		// Define a custom filename for the expected image.
-		if ('expected' === which && this.options.compareWith) {
-			filename = this.options.compareWith;
-		} else {
-			filename = this.imageName;
+	_checkCriteria(result, largestArea = 0) {
+		const opts = this.options;
+		const checks = [];
+		const hasLimits = null !== opts.maxDiffPixels || null !== opts.maxDiffRegionArea;
+
+		if (null !== opts.minSimilarity && null !== result.similarity) {
+			checks.push({
+				pass: result.similarity >= opts.minSimilarity,
+				message: `similarity ${result.similarity} is below minSimilarity ${opts.minSimilarity}`
+			});
+		} else if (opts.tolerance > 0 || !hasLimits) {
+			checks.push({
+				pass: result.difference <= opts.tolerance,
+				message: `difference ${result.difference}% exceeds tolerance ${opts.tolerance}%`
+			});
 		}
 
-		if ('.png' !== filename.substr(-4)) {
-			filename += '.png';
+		if (null !== opts.maxDiffPixels) {
+			checks.push({
+				pass: result.diffPixels <= opts.maxDiffPixels,
+				message: `${result.diffPixels} different pixels exceed maxDiffPixels ${opts.maxDiffPixels}`
+			});
 		}
 
-		if ('diff' === which) {
-			const parts = filename.split(/[\/\\]/);
-			parts[parts.length - 1] = this.globalDiffPrefix + parts[parts.length - 1];
-			filename = parts.join(path.sep);
+		if (null !== opts.maxDiffRegionArea) {
+			checks.push({
+				pass: largestArea <= opts.maxDiffRegionArea,
+				message: `region area ${largestArea} exceeds maxDiffRegionArea ${opts.maxDiffRegionArea}`
+			});
 		}
 
-		if (suffix) {
-			suffix = '.' + suffix.toString().replace(/(^\.+|\.+$)/g, '') + '.png';
-			filename = filename.substr(0, filename.length - 4) + suffix;
+		const failed = checks.filter(check => !check.pass);
+
+		if ('any' === opts.criteria && failed.length < checks.length) {
+			return [];
 		}
 
-		return filename;
+		return failed.map(check => check.message);
 	}
 
 	/**
-	 * Builds an image path using the current image name and the specified folder.
+	 * Returns a valid attachment mode. Boolean values mean 'always' or
+	 * 'never', unknown values fall back to 'failed'.
 	 *
-	 * @param {string} which - The image to load (expected, actual, diff).
-	 * @param {string} suffix - Optional. A suffix to append to the filename.
-	 * @returns {string} Path to the image.
+	 * @param {string|boolean} value - The mode to sanitize.
+	 * @return {'failed'|'always'|'never'}
 	 * @private
 	 */
-	_buildPath(which, suffix) {
-		let fullPath;
-		const dir = this.globalDir[which];
+	_sanitizeAttachImages(value) {
+		if ('boolean' === typeof value) {
+			return value ? 'always' : 'never';
+		}
 
-		if (!dir) {
-			if ('diff' === which) {
-				// Diff image generation is disabled.
-				return '';
-			}
+		value = String(value).toLowerCase();
 
-			if (path.isAbsolute(which) && this._isFile(which)) {
-				fullPath = which;
-			} else {
-				throw new Error(`No ${which}-folder defined.`);
-			}
-		} else {
-			fullPath = dir + this._getFileName(which, suffix);
-			this._mkdirp(path.dirname(fullPath));
+		if (-1 !== ['always', 'never'].indexOf(value)) {
+			return value;
 		}
 
-		return fullPath;
+		return 'failed';
 	}
 
 	/**
-	 * Returns a list of absolute image paths of base images for the comparison.
-	 * All files in the returned list exist in the filesystem.
-	 *
-	 * Naming convention:
-	 *
-	 * Files that contain a trailing "~<num>" suffix are considered part of the
-	 * matching list.
-	 *
-	 * For example:
-	 *
-	 * image: "google-home"
-	 * files:
-	 *        "google-home.png"     # exact match
-	 *        "google-home~1.png"   # variation
-	 *        "google-home~83.png"  # variation
+	 * Returns a supported file extension, with leading dot. Unknown values
+	 * fall back to '.png'.
 	 *
-	 * @return {string[]}
+	 * @param {string} value - The extension to sanitize, like "webp" or ".jpg".
+	 * @return {'.png'|'.jpg'|'.jpeg'|'.webp'}
 	 * @private
 	 */
-	_getExpectedImagePaths() {
-		const list = [];
-		const fullPath = this._buildPath('expected');
-		const dir = path.dirname(fullPath);
-		const file = path.basename(fullPath);
-		const re = new RegExp('^' + file.replace('.png', '(:?~.+)?\\.png') + '$');
-
-		this._mkdirp(dir);
+	_sanitizeExtension(value) {
+		const ext = '.' + String(value).toLowerCase().replace(/^\.+/, '');
 
-		fs.readdirSync(dir).map(fn => {
-			if (fn.match(re)) {
-				list.push(`${dir}/${fn}`);
-			}
-		});
+		return getFormat(ext) ? ext : '.png';
+	}
 
-		return list;
+	/**
+	 * Returns a valid element mode. Unknown values fall back to 'bounds'.
+	 *
+	 * @param {string} value - The mode to sanitize.
+	 * @return {'bounds'|'crop'}
+	 * @private
+	 */
+	_sanitizeElementMode(value) {
+		return 'crop' === String(value).toLowerCase() ? 'crop' : 'bounds';
 	}
 
 	/**
-	 * Loads the specified image and returns a PNG blob.
+	 * Returns a valid diff layout. Unknown values fall back to 'diff'.
 	 *
-	 * @param {string} which - The image to load (expected, actual, diff).
-	 * @param {string} suffix - Optional. A suffix to append to the filename.
-	 * @return {object} An PNG object.
+	 * @param {string} value - The layout to sanitize.
+	 * @return {'diff'|'side-by-side'|'stacked'}
 	 * @private
 	 */
-	_loadPngImage(which, suffix) {
-		const path = this._buildPath(which, suffix);
+	_sanitizeDiffLayout(value) {
+		value = String(value).toLowerCase();
 
-		if (!path) {
-			throw new Error(`No ${which}-image defined.`);
+		if (-1 !== ['side-by-side', 'stacked'].indexOf(value)) {
+			return value;
 		}
 
-		this.debug(`Load image from ${path} ...`);
+		return 'diff';
+	}
 
-		if (!this._isFile(path, 'read')) {
-			throw new Error(`The ${which}-image does not exist at "${path}"`);
+	/**
+	 * Returns the frame duration of the flicker image in milliseconds, or
+	 * false when the animation is disabled.
+	 *
+	 * _sanitizeFlickerDiff(true)  --> 500
+	 * _sanitizeFlickerDiff(1000)  --> 1000
+	 * _sanitizeFlickerDiff('no')  --> false
+	 *
+	 * @param {any} value - The setting to sanitize.
+	 * @return {false|int}
+	 * @private
+	 */
+	_sanitizeFlickerDiff(value) {
+		if ('number' === typeof value || /^\d+$/.test(value)) {
+			return parseInt(value) > 0 ? parseInt(value) : false;
 		}
 
-		const data = fs.readFileSync(path);
-		return PNG.sync.read(data);
+		return this._toBool(value) ? 500 : false;
 	}
 
 	/**
-	 * Saves the specified PNG image to the filesystem.
-	 * .
-	 * @param {string} which - The image to load (expected, actual, diff).
-	 * @param {object} png - An PNG image object.
-	 * @param {string} suffix - Optional. A suffix to append to the filename.
+	 * Returns the device pixel ratio at which images are compared, or false
+	 * when images are compared at their original size.
+	 *
+	 * _sanitizeScale(true)  --> 1
+	 * _sanitizeScale(1.5)   --> 1.5
+	 * _sanitizeScale('no')  --> false
+	 *
+	 * @param {any} value - The setting to sanitize.
+	 * @return {false|float}
 	 * @private
 	 */
-	_savePngImage(which, png, suffix) {
-		const path = this._buildPath(which, suffix);
-
-		if (!path) {
-			if ('diff' === which) {
-				// Diff generation can be disabled by setting the path to
-				// false/empty. This is not an error.
-				return;
-			} else {
-				throw new Error(`No ${which}-image defined.`);
-			}
+	_sanitizeScale(value) {
+		if ('number' === typeof value || /^\d*\.?\d+$/.test(value)) {
+			return parseFloat(value) > 0 ? parseFloat(value) : false;
 		}
 
-		this.debug(`Save image to ${path} ...`);
+		return this._toBool(value) ? 1 : false;
+	}
 
-		if (this._isFile(path) && !this._isFile(path, 'write')) {
-			throw new Error(`Cannot save the ${which}-image to ${path}. Maybe the file is read-only.`);
+	/**
+	 * Returns a valid number of comparison threads.
+	 *
+	 * @param {any} value - The setting to sanitize.
+	 * @return {'auto'|int}
+	 * @private
+	 */
+	_sanitizeThreads(value) {
+		if ('auto' === String(value).toLowerCase()) {
+			return 'auto';
 		}
 
-		let data;
+		return Math.max(1, parseInt(value) || 1);
+	}
 
-		if (png instanceof PNG) {
-			data = PNG.sync.write(png);
-		} else if (png instanceof Buffer) {
-			data = png;
-		}
+	/**
+	 * Returns a valid sizeMismatch mode. Unknown values fall back to 'fail'.
+	 *
+	 * @param {string} value - The mode to sanitize.
+	 * @return {'fail'|'pad'|'crop'|'anchor-top-left'}
+	 * @private
+	 */
+	_sanitizeSizeMismatch(value) {
+		value = String(value).toLowerCase();
 
-		if (data && data instanceof Buffer) {
-			fs.writeFileSync(path, data);
+		if (-1 !== ['pad', 'crop', 'anchor-top-left'].indexOf(value)) {
+			return value;
 		}
 
-		// if allure is used, attached the diff screenshot
-		const allure = codeceptjs.container.plugins("allure");
-		if (allure) {
-			this.debug(`Attaching diff screenshot to Allure report...`);
-			allure.addAttachment(`${this.globalDiffPrefix}_screenshot.png`, data, "image/png");
-		}
+		return 'fail';
 	}
 
 	/**
@@ -1063,10 +5053,12 @@ class PixelmatchHelper extends Helper {
 	 * @param {int} y0
 	 * @param {int} x1
 	 * @param {int} y1
+	 * @param {Uint8Array} [mask] - Optional. One entry per pixel; cleared
+	 *        pixels are set to 1.
 	 * @return {int} Number of cleared pixels.
 	 * @private
 	 */
-	_clearRect(png, x0, y0, x1, y1) {
+	_clearRect(png, x0, y0, x1, y1, mask) {
 		let count = 0;
 		x0 = Math.min(png.width, Math.max(0, parseInt(x0)));
 		x1 = Math.min(png.width, Math.max(0, parseInt(x1)));
@@ -1096,6 +5088,10 @@ class PixelmatchHelper extends Helper {
 
 				if (png.data[k + 3] > 0) {
 					count++;
+
+					if (mask) {
+						mask[x + png.width * y] = 1;
+					}
 				}
 
 				png.data.fill(0, k, k + 4);
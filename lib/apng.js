@@ -0,0 +1,111 @@
+/**
+ * Encodes RGBA frames as animated PNG (APNG), using only the zlib module of
+ * Node.js. Browsers that do not support APNG display the first frame.
+ *
+ * @author Philipp Stracker
+ */
+
+const zlib = require('zlib');
+const { chunk } = require('./png-chunk');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+/**
+ * Returns the compressed image data of a frame. Every scanline uses the
+ * filter type 0 (none).
+ *
+ * @param {{width: int, height: int, data: Uint8Array}} frame - RGBA frame.
+ * @return {Buffer}
+ */
+function compressFrame(frame) {
+	const stride = 4 * frame.width;
+	const raw = Buffer.alloc((stride + 1) * frame.height);
+
+	for (let y = 0; y < frame.height; y++) {
+		raw[y * (stride + 1)] = 0;
+		Buffer.from(frame.data.buffer, frame.data.byteOffset + y * stride, stride)
+			.copy(raw, y * (stride + 1) + 1);
+	}
+
+	return zlib.deflateSync(raw);
+}
+
+/**
+ * Returns the frame control chunk data of a full-size frame.
+ *
+ * @param {int} sequence - Sequence number of the chunk.
+ * @param {int} width - Frame width.
+ * @param {int} height - Frame height.
+ * @param {int} delay - Display duration of the frame in milliseconds.
+ * @return {Buffer}
+ */
+function frameControl(sequence, width, height, delay) {
+	const data = Buffer.alloc(26);
+
+	data.writeUInt32BE(sequence, 0);
+	data.writeUInt32BE(width, 4);
+	data.writeUInt32BE(height, 8);
+	data.writeUInt32BE(0, 12);    // x offset
+	data.writeUInt32BE(0, 16);    // y offset
+	data.writeUInt16BE(Math.min(65535, delay), 20);
+	data.writeUInt16BE(1000, 22); // delay denominator: milliseconds
+	data[24] = 0;                 // dispose: none
+	data[25] = 0;                 // blend: source
+
+	return data;
+}
+
+/**
+ * Encodes the given frames as endless APNG animation. All frames must have
+ * the same size.
+ *
+ * @param {{width: int, height: int, data: Uint8Array}[]} frames - RGBA frames.
+ * @param {int} delay - Display duration of every frame in milliseconds.
+ * @return {Buffer} The APNG file contents.
+ */
+function encodeApng(frames, delay) {
+	const width = frames[0].width;
+	const height = frames[0].height;
+	const chunks = [SIGNATURE];
+	let sequence = 0;
+
+	const header = Buffer.alloc(13);
+	header.writeUInt32BE(width, 0);
+	header.writeUInt32BE(height, 4);
+	header[8] = 8;  // bit depth
+	header[9] = 6;  // color type: RGBA
+	header[10] = 0; // compression
+	header[11] = 0; // filter
+	header[12] = 0; // interlace
+	chunks.push(chunk('IHDR', header));
+
+	const animation = Buffer.alloc(8);
+	animation.writeUInt32BE(frames.length, 0);
+	animation.writeUInt32BE(0, 4); // play endlessly
+	chunks.push(chunk('acTL', animation));
+
+	frames.forEach((frame, index) => {
+		if (frame.width !== width || frame.height !== height) {
+			throw new Error('All frames of the animation must have the same size');
+		}
+
+		chunks.push(chunk('fcTL', frameControl(sequence++, width, height, delay)));
+
+		const data = compressFrame(frame);
+
+		// The first frame is the default image of the PNG.
+		if (!index) {
+			chunks.push(chunk('IDAT', data));
+		} else {
+			const seq = Buffer.alloc(4);
+			seq.writeUInt32BE(sequence++, 0);
+			chunks.push(chunk('fdAT', Buffer.concat([seq, data])));
+		}
+	});
+
+	chunks.push(chunk('IEND', Buffer.alloc(0)));
+
+	return Buffer.concat(chunks);
+}
+
+module.exports = encodeApng;
@@ -0,0 +1,101 @@
+/**
+ * Detects base images that were not used by any comparison of a test run.
+ *
+ * @author Philipp Stracker
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EXTENSION_PATTERN, getFormat } = require('./image-format');
+
+/**
+ * Recursively lists all images of a supported format inside the given folder.
+ *
+ * @param {string} dir - Absolute path to the folder.
+ * @param {string} [prefix] - Relative path of the current sub-folder.
+ * @return {string[]} Relative image paths, using "/" as separator.
+ */
+function listImages(dir, prefix) {
+	const list = [];
+	prefix = prefix || '';
+
+	if (!fs.existsSync(path.join(dir, prefix))) {
+		return list;
+	}
+
+	fs.readdirSync(path.join(dir, prefix), {withFileTypes: true}).forEach(entry => {
+		const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+		if (entry.isDirectory()) {
+			list.push(...listImages(dir, rel));
+		} else if (getFormat(entry.name)) {
+			list.push(rel);
+		}
+	});
+
+	return list;
+}
+
+/**
+ * Returns the image name without the variation and extension, e.g.
+ * "login/form~dark.png" becomes "login/form".
+ *
+ * @param {string} file - Relative image path.
+ * @return {string}
+ */
+function stripVariation(file) {
+	return file.replace(new RegExp(`(~[^/]*)?${EXTENSION_PATTERN}$`, 'i'), '');
+}
+
+/**
+ * Returns all base images in the folder that were not referenced.
+ *
+ * Images in the shared folder and in namespaces of the test run must be
+ * referenced exactly. Namespaces that were not part of the test run (like
+ * other browsers) are not compared exactly: Their images are kept, when
+ * the same image name was used in any namespace.
+ *
+ * @param {string} dir - Absolute path of the base image folder.
+ * @param {string[]} referenced - Relative paths of all used base images.
+ * @param {string[]} namespaces - All namespaces of the test run.
+ * @return {string[]} Relative paths of orphaned base images.
+ */
+function findOrphanedBaselines(dir, referenced, namespaces) {
+	const used = new Set(referenced);
+	const prefixes = namespaces.filter(Boolean).map(ns => ns + '/');
+	const depths = new Set(prefixes.map(prefix => prefix.split('/').length - 1));
+	const names = new Set();
+
+	// Image names without namespace and variation.
+	referenced.forEach(file => {
+		const prefix = prefixes.find(item => 0 === file.indexOf(item));
+		names.add(stripVariation(prefix ? file.substr(prefix.length) : file));
+	});
+
+	return listImages(dir).filter(file => {
+		if (used.has(file)) {
+			return false;
+		}
+
+		// Used namespaces and the shared folder.
+		if (prefixes.some(prefix => 0 === file.indexOf(prefix)) || !depths.size) {
+			return true;
+		}
+
+		// Maybe a namespace that was not part of the test run.
+		const parts = file.split('/');
+
+		for (const depth of depths) {
+			if (parts.length > depth && names.has(stripVariation(parts.slice(depth).join('/')))) {
+				return false;
+			}
+		}
+
+		return true;
+	}).sort();
+}
+
+module.exports = {
+	listImages,
+	findOrphanedBaselines
+};
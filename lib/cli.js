@@ -0,0 +1,72 @@
+/**
+ * Shared functions of the command line tools.
+ *
+ * @author Philipp Stracker
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DRIVERS } = require('./namespace');
+
+/**
+ * Loads the PixelmatchHelper config from the CodeceptJS config file, and the
+ * name and config of the browser helper.
+ *
+ * @param {string} file - Path to the config file, or empty to auto-detect.
+ * @return {{file: string, output: string, helper: object, driver: {name: string, config: object}|null}}
+ */
+function loadConfig(file) {
+	const result = {
+		file: '',
+		output: '',
+		helper: {},
+		driver: null
+	};
+
+	if (!file) {
+		file = ['codecept.conf.js', 'codecept.json'].find(name => fs.existsSync(name));
+
+		if (!file) {
+			return result;
+		}
+	}
+
+	file = path.resolve(file);
+
+	if (!fs.existsSync(file)) {
+		throw new Error(`Config file not found: ${file}`);
+	}
+
+	let config = require(file);
+
+	if (config.config) {
+		config = config.config;
+	}
+
+	result.file = file;
+	result.output = config.output || '';
+
+	for (const name in config.helpers || {}) {
+		const helper = config.helpers[name];
+
+		if ('PixelmatchHelper' === name || /pixelmatchhelper/.test(helper.require || '')) {
+			result.helper = helper;
+			break;
+		}
+	}
+
+	const driver = DRIVERS.find(name => config.helpers && config.helpers[name]);
+
+	if (driver) {
+		result.driver = {
+			name: driver,
+			config: config.helpers[driver]
+		};
+	}
+
+	return result;
+}
+
+module.exports = {
+	loadConfig
+};
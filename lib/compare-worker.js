@@ -0,0 +1,88 @@
+/**
+ * Worker thread that compares the actual image with a single base image.
+ *
+ * The decoded actual image and its cleared pixels are shared with the main
+ * thread via a SharedArrayBuffer; the comparison uses the same code as the main thread.
+ * Every task contains all inputs of the comparison: The options, the device
+ * pixel ratio of the actual image and the absolute path of the base image.
+ *
+ * @author Philipp Stracker
+ */
+
+const { parentPort } = require('worker_threads');
+const { PNG } = require('pngjs');
+const PixelmatchHelper = require('../index');
+
+// CodeceptJS is not initialized in a worker thread: While loading, it
+// assigns its incomplete exports, which the debug output of the helper uses.
+global.codeceptjs = require('codeceptjs');
+
+// The comparison methods only read the state of the task; the helper is
+// not initialized with a config, and has no image folders.
+const comparer = Object.create(PixelmatchHelper.prototype);
+comparer.globalDir = {};
+
+/**
+ * Wraps image data in a PNG object, without copying the data.
+ *
+ * @param {{width: int, height: int, data: Uint8Array|SharedArrayBuffer}} image
+ * @return {PNG}
+ */
+function toPng(image) {
+	const png = new PNG();
+
+	png.width = image.width;
+	png.height = image.height;
+	png.data = Buffer.from(image.data.buffer || image.data, image.data.byteOffset || 0, image.data.byteLength);
+
+	return png;
+}
+
+/**
+ * Returns the image in a format that can be transferred to the main thread.
+ * The data is copied, when it does not own its ArrayBuffer.
+ *
+ * @param {PNG} png - The image.
+ * @return {{width: int, height: int, data: Uint8Array}}
+ */
+function toMessage(png) {
+	let data = png.data;
+
+	if (data.byteOffset || data.byteLength !== data.buffer.byteLength) {
+		data = Uint8Array.from(data);
+	}
+
+	return {
+		width: png.width,
+		height: png.height,
+		data: new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+	};
+}
+
+parentPort.on('message', task => {
+	try {
+		comparer.options = task.options;
+		comparer.actualScale = task.actualScale;
+
+		const imgActual = toPng(task.actual);
+		const comparison = comparer._compareVariation(imgActual, task.imgPath, task.index, new Uint8Array(task.cleared));
+		const message = {
+			result: comparison.result,
+			crop: comparison.crop,
+			imgDiff: toMessage(comparison.imgDiff),
+			imgExpected: toMessage(comparison.imgExpected),
+
+			// The shared actual image is not sent back.
+			imgActual: comparison.imgActual === imgActual ? null : toMessage(comparison.imgActual)
+		};
+		const transfer = [message.imgDiff.data.buffer, message.imgExpected.data.buffer];
+
+		if (message.imgActual) {
+			transfer.push(message.imgActual.data.buffer);
+		}
+
+		parentPort.postMessage(message, transfer.filter((buffer, i) => transfer.indexOf(buffer) === i));
+	} catch (err) {
+		parentPort.postMessage({error: err.message || String(err)});
+	}
+});
@@ -0,0 +1,114 @@
+/**
+ * Combines the expected, actual and diff image into a single composite
+ * image with captions, so the changes can be reviewed in one file.
+ *
+ * @author Philipp Stracker
+ */
+
+const { PNG } = require('pngjs');
+const { measureText, drawText, fillRect } = require('./font');
+
+const PADDING = 10;
+const FONT_SCALE = 2;
+const BACKGROUND = [255, 255, 255];
+const TEXT_COLOR = [34, 34, 34];
+const BORDER_COLOR = [204, 204, 204];
+
+/**
+ * Renders the composite image.
+ *
+ * The caption is written above all panels; every panel shows its title
+ * above the image.
+ *
+ * @param {{title: string, image: PNG}[]} panels - The images to combine.
+ * @param {'side-by-side'|'stacked'} layout - How to arrange the panels.
+ * @param {string} caption - Caption of the composite image.
+ * @return {PNG} The composite image.
+ */
+function renderComposite(panels, layout, caption) {
+	const lineHeight = measureText('', FONT_SCALE).height;
+	const titleHeight = lineHeight + PADDING;
+	const captionHeight = caption ? lineHeight + 2 * PADDING : PADDING;
+	const stacked = 'stacked' === layout;
+
+	// Determine the size of the canvas.
+	let width = 0;
+	let height = 0;
+
+	panels.forEach(panel => {
+		const panelWidth = Math.max(panel.image.width, measureText(panel.title, FONT_SCALE).width);
+		const panelHeight = titleHeight + panel.image.height;
+
+		if (stacked) {
+			width = Math.max(width, panelWidth);
+			height += panelHeight + PADDING;
+		} else {
+			width += panelWidth + PADDING;
+			height = Math.max(height, panelHeight + PADDING);
+		}
+	});
+
+	if (stacked) {
+		width += PADDING;
+	}
+
+	width = Math.max(width + PADDING, measureText(caption, FONT_SCALE).width + 2 * PADDING);
+	height += captionHeight;
+
+	const output = new PNG({width, height});
+	fillRect(output, 0, 0, width, height, BACKGROUND);
+
+	if (caption) {
+		drawText(output, caption, PADDING, PADDING, TEXT_COLOR, FONT_SCALE);
+	}
+
+	// Place the panels.
+	let x = PADDING;
+	let y = captionHeight;
+
+	panels.forEach(panel => {
+		const img = panel.image;
+		const top = y + titleHeight;
+
+		drawText(output, panel.title, x, y, TEXT_COLOR, FONT_SCALE);
+
+		// Outline the image, to show its size on transparent areas.
+		fillRect(output, x - 1, top - 1, img.width + 2, img.height + 2, BORDER_COLOR);
+		fillRect(output, x, top, img.width, img.height, BACKGROUND);
+		blend(img, output, x, top);
+
+		if (stacked) {
+			y += titleHeight + img.height + PADDING;
+		} else {
+			x += Math.max(img.width, measureText(panel.title, FONT_SCALE).width) + PADDING;
+		}
+	});
+
+	return output;
+}
+
+/**
+ * Draws the source image onto the target image. Transparent pixels of the
+ * source image are blended with the target pixels.
+ *
+ * @param {PNG} source - The image to draw.
+ * @param {PNG} target - The image to modify.
+ * @param {int} left - Left position in the target image.
+ * @param {int} top - Top position in the target image.
+ */
+function blend(source, target, left, top) {
+	for (let y = 0; y < source.height; y++) {
+		for (let x = 0; x < source.width; x++) {
+			const from = 4 * (x + source.width * y);
+			const to = 4 * (left + x + target.width * (top + y));
+			const alpha = source.data[from + 3] / 255;
+
+			for (let c = 0; c < 3; c++) {
+				target.data[to + c] = Math.round(source.data[from + c] * alpha + target.data[to + c] * (1 - alpha));
+			}
+			target.data[to + 3] = 255;
+		}
+	}
+}
+
+module.exports = renderComposite;
@@ -0,0 +1,160 @@
+/**
+ * Minimal 5x7 bitmap font to write captions into RGBA images, without
+ * depending on a canvas or font library.
+ *
+ * Lowercase letters are rendered as uppercase; unknown characters are
+ * rendered as "?".
+ *
+ * @author Philipp Stracker
+ */
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+const GLYPH_SPACING = 1;
+
+/**
+ * Every glyph is a list of 7 rows; the highest of the 5 bits is the left
+ * pixel of a row.
+ *
+ * @type {Object<string, int[]>}
+ */
+const glyphs = {
+	'A': [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+	'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+	'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+	'D': [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+	'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+	'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+	'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+	'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+	'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+	'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+	'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+	'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+	'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+	'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+	'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+	'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+	'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+	'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+	'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+	'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+	'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+	'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+	'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+	'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+	'Y': [0x11, 0x11, 0x0A, 0x04, 0x04, 0x04, 0x04],
+	'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+	'0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+	'1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+	'2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+	'3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+	'4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+	'5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+	'6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+	'7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+	'8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+	'9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+	' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+	'.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+	',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+	':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+	'%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+	'-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+	'_': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x1F],
+	'+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+	'=': [0x00, 0x00, 0x1F, 0x00, 0x1F, 0x00, 0x00],
+	'/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+	'~': [0x00, 0x00, 0x08, 0x15, 0x02, 0x00, 0x00],
+	'#': [0x0A, 0x0A, 0x1F, 0x0A, 0x1F, 0x0A, 0x0A],
+	'(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+	')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+	'[': [0x0E, 0x08, 0x08, 0x08, 0x08, 0x08, 0x0E],
+	']': [0x0E, 0x02, 0x02, 0x02, 0x02, 0x02, 0x0E],
+	'|': [0x04, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+	'"': [0x0A, 0x0A, 0x00, 0x00, 0x00, 0x00, 0x00],
+	'\'': [0x04, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00],
+	'?': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04]
+};
+
+/**
+ * Returns the width and height of the given text in pixels.
+ *
+ * @param {string} text - The text to measure.
+ * @param {int} [scale] - Optional. Size of a font pixel. Defaults to 1.
+ * @return {{width: int, height: int}}
+ */
+function measureText(text, scale) {
+	scale = Math.max(1, parseInt(scale) || 1);
+	const length = String(text).length;
+
+	return {
+		width: length ? scale * (length * (GLYPH_WIDTH + GLYPH_SPACING) - GLYPH_SPACING) : 0,
+		height: scale * GLYPH_HEIGHT
+	};
+}
+
+/**
+ * Writes the text into the given RGBA image. Pixels outside the image are
+ * skipped.
+ *
+ * @param {{width: int, height: int, data: Uint8Array}} png - The image.
+ * @param {string} text - The text to write.
+ * @param {int} x - Left position of the text.
+ * @param {int} y - Top position of the text.
+ * @param {int[]} color - RGB color of the text.
+ * @param {int} [scale] - Optional. Size of a font pixel. Defaults to 1.
+ */
+function drawText(png, text, x, y, color, scale) {
+	scale = Math.max(1, parseInt(scale) || 1);
+	const chars = String(text).toUpperCase().split('');
+
+	chars.forEach((char, pos) => {
+		const glyph = glyphs[char] || glyphs['?'];
+		const left = x + pos * scale * (GLYPH_WIDTH + GLYPH_SPACING);
+
+		for (let row = 0; row < GLYPH_HEIGHT; row++) {
+			for (let col = 0; col < GLYPH_WIDTH; col++) {
+				if (!(glyph[row] & (0x10 >> col))) {
+					continue;
+				}
+
+				fillRect(png, left + col * scale, y + row * scale, scale, scale, color);
+			}
+		}
+	});
+}
+
+/**
+ * Fills a rectangle of the given RGBA image with an opaque color.
+ *
+ * @param {{width: int, height: int, data: Uint8Array}} png - The image.
+ * @param {int} x - Left position.
+ * @param {int} y - Top position.
+ * @param {int} width - Width of the rectangle.
+ * @param {int} height - Height of the rectangle.
+ * @param {int[]} color - RGB color.
+ */
+function fillRect(png, x, y, width, height, color) {
+	const x0 = Math.max(0, x);
+	const y0 = Math.max(0, y);
+	const x1 = Math.min(png.width, x + width);
+	const y1 = Math.min(png.height, y + height);
+
+	for (let py = y0; py < y1; py++) {
+		for (let px = x0; px < x1; px++) {
+			const k = 4 * (px + png.width * py);
+
+			png.data[k] = color[0];
+			png.data[k + 1] = color[1];
+			png.data[k + 2] = color[2];
+			png.data[k + 3] = 255;
+		}
+	}
+}
+
+module.exports = {
+	measureText,
+	drawText,
+	fillRect
+};
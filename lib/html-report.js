@@ -0,0 +1,172 @@
+/**
+ * Renders the self-contained HTML report of all visual comparisons of a
+ * test run.
+ *
+ * Images of failed comparisons are embedded as data-URIs, so the report can
+ * be archived or shared as a single file.
+ *
+ * @author Philipp Stracker
+ */
+
+/**
+ * Escapes a value for usage inside HTML.
+ *
+ * @param {any} value - The value to escape.
+ * @return {string}
+ */
+function esc(value) {
+	return String('undefined' === typeof value || null === value ? '' : value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a single image panel.
+ *
+ * @param {string} title - Caption of the panel.
+ * @param {string} src - Data-URI of the image.
+ * @param {string} file - Path of the image file.
+ * @return {string}
+ */
+function renderPanel(title, src, file) {
+	if (!src) {
+		return `<figure class="panel empty"><figcaption>${esc(title)}</figcaption><p>Not available</p></figure>`;
+	}
+
+	return `<figure class="panel">
+		<figcaption>${esc(title)}</figcaption>
+		<a href="${src}" target="_blank"><img src="${src}" alt="${esc(title)}"></a>
+		<small>${esc(file)}</small>
+	</figure>`;
+}
+
+/**
+ * Renders the overlay slider that compares the expected and actual image.
+ *
+ * @param {object} images - Data-URIs of the expected and actual image.
+ * @return {string}
+ */
+function renderSlider(images) {
+	if (!images.expected || !images.actual) {
+		return '';
+	}
+
+	return `<figure class="panel slider">
+		<figcaption>Overlay <small>(left: expected, right: actual)</small></figcaption>
+		<div class="overlay">
+			<img src="${images.actual}" alt="Actual">
+			<img src="${images.expected}" alt="Expected" class="top">
+		</div>
+		<input type="range" min="0" max="100" value="50">
+	</figure>`;
+}
+
+/**
+ * Renders the details of a single comparison.
+ *
+ * @param {object} record - The comparison record.
+ * @return {string}
+ */
+function renderRecord(record) {
+	const images = record.images || {};
+	const state = record.match ? 'passed' : 'failed';
+	const regions = (record.regionResults || []).map(item => {
+		return `<li>${esc(item.name)}: ${esc(item.difference)}% (tolerance ${esc(item.tolerance)}%)${item.match ? '' : ' &ndash; failed'}</li>`;
+	}).join('');
+	const variations = (record.variations || []).map(item => {
+		return `<li>${esc(item.variation || '(base image)')}: ${esc(item.difference)}%</li>`;
+	}).join('');
+
+	let details = `<table>
+		<tr><th>Test</th><td>${esc(record.test)}</td></tr>
+		<tr><th>Difference</th><td>${esc(record.difference)}% (${esc(record.diffPixels)} / ${esc(record.relevantPixels)} pixels)</td></tr>
+		<tr><th>Tolerance</th><td>${esc(record.tolerance)}%</td></tr>
+		${(record.failedCriteria || []).length ? `<tr><th>Failed criteria</th><td>${esc(record.failedCriteria.join(', '))}</td></tr>` : ''}
+		<tr><th>Matched variation</th><td>${esc(record.variation || '(base image)')}</td></tr>
+		${regions ? `<tr><th>Regions</th><td><ul>${regions}</ul></td></tr>` : ''}
+		${variations ? `<tr><th>All variations</th><td><ul>${variations}</ul></td></tr>` : ''}
+		${record.baselineUpdated ? '<tr><th>Baseline</th><td>Updated</td></tr>' : ''}
+	</table>`;
+
+	if (images.expected || images.actual || images.diff) {
+		details += `<div class="panels">
+			${renderPanel('Expected', images.expected, record.files.expected)}
+			${renderPanel('Actual', images.actual, record.files.actual)}
+			${renderPanel('Diff', images.diff, record.files.diff)}
+			${renderSlider(images)}
+		</div>`;
+	}
+
+	return `<details class="record ${state}"${record.match ? '' : ' open'}>
+		<summary>
+			<span class="state">${state}</span>
+			<strong>${esc(record.image)}</strong>
+			<span class="difference">${esc(record.difference)}%</span>
+		</summary>
+		${details}
+	</details>`;
+}
+
+/**
+ * Renders the full HTML report.
+ *
+ * @param {object[]} records - List of comparison records.
+ * @return {string} The HTML document.
+ */
+function renderHtmlReport(records) {
+	const failed = records.filter(record => !record.match).length;
+	const sorted = records.slice().sort((a, b) => {
+		if (a.match !== b.match) {
+			return a.match ? 1 : -1;
+		}
+		return String(a.test).localeCompare(String(b.test));
+	});
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Visual regression report</title>
+<style>
+	body { font: 14px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 20px; color: #222; }
+	h1 { font-size: 20px; }
+	.record { border: 1px solid #ccc; border-radius: 4px; margin: 0 0 10px; }
+	.record > summary { cursor: pointer; padding: 8px 12px; display: flex; gap: 12px; align-items: center; }
+	.record > table, .record > .panels { margin: 0 12px 12px; }
+	.state { text-transform: uppercase; font-size: 11px; font-weight: bold; padding: 2px 6px; border-radius: 3px; color: #fff; }
+	.passed .state { background: #2e7d32; }
+	.failed .state { background: #c62828; }
+	.difference { margin-left: auto; }
+	th { text-align: left; padding-right: 12px; vertical-align: top; }
+	ul { margin: 0; padding-left: 18px; }
+	.panels { display: flex; flex-wrap: wrap; gap: 12px; }
+	.panel { margin: 0; flex: 1 1 300px; max-width: 100%; }
+	.panel img { max-width: 100%; border: 1px solid #ddd; background: repeating-conic-gradient(#eee 0% 25%, #fff 0% 50%) 50% / 16px 16px; }
+	.panel small { display: block; color: #777; word-break: break-all; }
+	.overlay { position: relative; display: inline-block; }
+	.overlay img { display: block; }
+	.overlay .top { position: absolute; top: 0; left: 0; clip-path: inset(0 50% 0 0); }
+	.slider input { width: 100%; }
+</style>
+</head>
+<body>
+<h1>Visual regression report</h1>
+<p>${records.length} comparison(s), ${failed} failed.</p>
+${sorted.map(renderRecord).join('\n')}
+<script>
+	document.querySelectorAll('.slider').forEach(function(slider) {
+		var input = slider.querySelector('input');
+		var top = slider.querySelector('.top');
+		input.addEventListener('input', function() {
+			top.style.clipPath = 'inset(0 ' + (100 - input.value) + '% 0 0)';
+		});
+	});
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = renderHtmlReport;
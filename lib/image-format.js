@@ -0,0 +1,451 @@
+/**
+ * Detects, decodes and encodes the supported image formats. Every image is
+ * decoded to an RGBA PNG object, which is used for the comparison.
+ *
+ * @author Philipp Stracker
+ */
+
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const encodeWebp = require('./webp');
+const decodeWebp = require('./webp-decoder');
+const { chunk, readChunks } = require('./png-chunk');
+
+/**
+ * Supported formats with their file extensions; the first extension is
+ * the default extension of the format.
+ *
+ * @type {{[format: string]: {extensions: string[], mime: string}}}
+ */
+const FORMATS = {
+	png: {extensions: ['.png'], mime: 'image/png'},
+	jpeg: {extensions: ['.jpg', '.jpeg'], mime: 'image/jpeg'},
+	webp: {extensions: ['.webp'], mime: 'image/webp'}
+};
+
+/**
+ * All supported file extensions.
+ *
+ * @type {string[]}
+ */
+const EXTENSIONS = [].concat(...Object.values(FORMATS).map(format => format.extensions));
+
+/**
+ * Regular expression source that matches all supported file extensions.
+ *
+ * @type {string}
+ */
+const EXTENSION_PATTERN = '(?:' + EXTENSIONS.map(ext => '\\' + ext).join('|') + ')';
+
+/**
+ * Name of the metadata entry that stores the device pixel ratio of a
+ * screenshot: A tEXt keyword in PNG, a comment prefix in JPEG and a chunk
+ * type in WebP files.
+ *
+ * @type {{png: string, jpeg: string, webp: string}}
+ */
+const SCALE_KEYS = {
+	png: 'devicePixelRatio',
+	jpeg: 'devicePixelRatio=',
+	webp: 'DPR '
+};
+
+/**
+ * Name of the metadata entry that stores the resolved baseline namespace of
+ * a diff image.
+ *
+ * @type {{png: string, jpeg: string, webp: string}}
+ */
+const NAMESPACE_KEYS = {
+	png: 'baselineNamespace',
+	jpeg: 'baselineNamespace=',
+	webp: 'BLNS'
+};
+
+/**
+ * Returns the format of the given file contents, using the file signature.
+ *
+ * @param {Buffer} data - File contents.
+ * @return {'png'|'jpeg'|'webp'|''} The format, or an empty string.
+ */
+function detectFormat(data) {
+	if (data.length >= 8 && 0x89 === data[0] && 'PNG' === data.toString('ascii', 1, 4)) {
+		return 'png';
+	}
+	if (data.length >= 3 && 0xFF === data[0] && 0xD8 === data[1] && 0xFF === data[2]) {
+		return 'jpeg';
+	}
+	if (data.length >= 12 && 'RIFF' === data.toString('ascii', 0, 4) && 'WEBP' === data.toString('ascii', 8, 12)) {
+		return 'webp';
+	}
+
+	return '';
+}
+
+/**
+ * Returns the format of the given file name, using the file extension.
+ *
+ * @param {string} file - File name or path.
+ * @return {'png'|'jpeg'|'webp'|''} The format, or an empty string.
+ */
+function getFormat(file) {
+	const ext = (file.match(/\.[^./\\]+$/) || [''])[0].toLowerCase();
+
+	for (const format in FORMATS) {
+		if (-1 !== FORMATS[format].extensions.indexOf(ext)) {
+			return format;
+		}
+	}
+
+	return '';
+}
+
+/**
+ * Decodes the given file contents to an RGBA image. The format is detected
+ * from the contents, not from the file name.
+ *
+ * @param {Buffer} data - File contents.
+ * @return {PNG} The decoded image.
+ */
+function decodeImage(data) {
+	const format = detectFormat(data);
+
+	if ('png' === format) {
+		return PNG.sync.read(data);
+	}
+
+	let decoded;
+
+	if ('jpeg' === format) {
+		decoded = jpeg.decode(data, {useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024});
+	} else if ('webp' === format) {
+		decoded = decodeWebp(data);
+	} else {
+		throw new Error('Unsupported image format, expected PNG, JPEG or WebP');
+	}
+
+	const png = new PNG({width: decoded.width, height: decoded.height});
+	png.data.set(decoded.data);
+
+	return png;
+}
+
+/**
+ * Encodes the RGBA image in the given format. WebP images are lossless,
+ * JPEG images use the highest quality.
+ *
+ * @param {PNG} png - The image.
+ * @param {'png'|'jpeg'|'webp'} format - The output format.
+ * @return {Buffer} File contents.
+ */
+function encodeImage(png, format) {
+	switch (format) {
+		case 'jpeg':
+			return jpeg.encode({width: png.width, height: png.height, data: png.data}, 100).data;
+
+		case 'webp':
+			return encodeWebp(png);
+
+		default:
+			return PNG.sync.write(png);
+	}
+}
+
+/**
+ * Returns the segments of a JPEG file up to the image data.
+ *
+ * @param {Buffer} data - JPEG file contents.
+ * @return {{marker: int, start: int, end: int}[]}
+ */
+function readJpegSegments(data) {
+	const segments = [];
+
+	for (let pos = 2; pos + 4 <= data.length && 0xFF === data[pos];) {
+		const marker = data[pos + 1];
+
+		// Start of scan: The image data follows.
+		if (0xDA === marker || 0xD9 === marker) {
+			break;
+		}
+
+		const end = pos + 2 + data.readUInt16BE(pos + 2);
+
+		segments.push({marker, start: pos, end});
+		pos = end;
+	}
+
+	return segments;
+}
+
+/**
+ * Returns the chunks of a WebP file.
+ *
+ * @param {Buffer} data - WebP file contents.
+ * @return {{type: string, data: Buffer}[]}
+ */
+function readWebpChunks(data) {
+	const chunks = [];
+
+	for (let pos = 12; pos + 8 <= data.length;) {
+		const length = data.readUInt32LE(pos + 4);
+
+		chunks.push({
+			type: data.toString('ascii', pos, pos + 4),
+			data: data.slice(pos + 8, pos + 8 + length)
+		});
+
+		pos += 8 + length + length % 2;
+	}
+
+	return chunks;
+}
+
+/**
+ * Builds a WebP file from the given chunks.
+ *
+ * @param {{type: string, data: Buffer}[]} chunks - All chunks.
+ * @return {Buffer}
+ */
+function writeWebpChunks(chunks) {
+	const parts = [];
+
+	chunks.forEach(item => {
+		const head = Buffer.alloc(8);
+
+		head.write(item.type, 0, 'ascii');
+		head.writeUInt32LE(item.data.length, 4);
+		parts.push(head, item.data, Buffer.alloc(item.data.length % 2));
+	});
+
+	const body = Buffer.concat(parts);
+	const header = Buffer.alloc(12);
+
+	header.write('RIFF', 0, 'ascii');
+	header.writeUInt32LE(4 + body.length, 4);
+	header.write('WEBP', 8, 'ascii');
+
+	return Buffer.concat([header, body]);
+}
+
+/**
+ * Returns the VP8X chunk for a simple WebP file, which is required to add
+ * custom chunks.
+ *
+ * @param {{type: string, data: Buffer}} image - The VP8 or VP8L chunk.
+ * @return {{type: string, data: Buffer}}
+ */
+function createVp8xChunk(image) {
+	let width, height, alpha = false;
+
+	if ('VP8L' === image.type) {
+		const bits = image.data.readUInt32LE(1);
+
+		width = (bits & 0x3FFF) + 1;
+		height = ((bits >>> 14) & 0x3FFF) + 1;
+		alpha = !!(bits >>> 28 & 1);
+	} else {
+		width = image.data.readUInt16LE(6) & 0x3FFF;
+		height = image.data.readUInt16LE(8) & 0x3FFF;
+	}
+
+	const data = Buffer.alloc(10);
+
+	data[0] = alpha ? 0x10 : 0;
+	data.writeUIntLE(width - 1, 4, 3);
+	data.writeUIntLE(height - 1, 7, 3);
+
+	return {type: 'VP8X', data};
+}
+
+/**
+ * Returns the text entry with the given keys from the file contents.
+ *
+ * @param {Buffer} data - File contents.
+ * @param {{png: string, jpeg: string, webp: string}} keys - Name of the entry per format.
+ * @return {string|null} The value, or null when the file has no such entry.
+ */
+function readText(data, keys) {
+	const format = detectFormat(data);
+	let value = null;
+
+	if ('png' === format) {
+		readChunks(data).forEach(item => {
+			const sep = item.data.indexOf(0);
+
+			if ('tEXt' === item.type && keys.png === item.data.toString('latin1', 0, sep)) {
+				value = item.data.toString('latin1', sep + 1);
+			}
+		});
+	} else if ('jpeg' === format) {
+		readJpegSegments(data).forEach(item => {
+			const text = data.toString('latin1', item.start + 4, item.end);
+
+			if (0xFE === item.marker && 0 === text.indexOf(keys.jpeg)) {
+				value = text.substr(keys.jpeg.length);
+			}
+		});
+	} else if ('webp' === format) {
+		readWebpChunks(data).forEach(item => {
+			if (keys.webp === item.type) {
+				value = item.data.toString('latin1');
+			}
+		});
+	}
+
+	return value;
+}
+
+/**
+ * Stores a text entry with the given keys in the file contents. A previous
+ * entry with the same keys is replaced.
+ *
+ * @param {Buffer} data - File contents.
+ * @param {{png: string, jpeg: string, webp: string}} keys - Name of the entry per format.
+ * @param {string} value - The value.
+ * @return {Buffer} The new file contents.
+ */
+function writeText(data, keys, value) {
+	const format = detectFormat(data);
+
+	if ('png' === format) {
+		const chunks = readChunks(data).filter(item => {
+			return 'tEXt' !== item.type || 0 !== item.data.indexOf(keys.png + '\0');
+		});
+		const text = chunk('tEXt', Buffer.from(keys.png + '\0' + value, 'latin1'));
+
+		// The IHDR chunk must be the first chunk.
+		return Buffer.concat([data.slice(0, 8), chunks[0].raw, text].concat(chunks.slice(1).map(item => item.raw)));
+	}
+
+	if ('jpeg' === format) {
+		const segments = readJpegSegments(data);
+		const parts = [data.slice(0, 2)];
+		const text = Buffer.from(keys.jpeg + value, 'latin1');
+		const comment = Buffer.alloc(4);
+		let pos = 2;
+
+		comment.writeUInt16BE(0xFFFE, 0);
+		comment.writeUInt16BE(2 + text.length, 2);
+
+		// The comment is added after the application segments (JFIF, Exif).
+		const index = segments.findIndex(item => item.marker < 0xE0 || item.marker > 0xEF);
+		const before = -1 === index ? segments : segments.slice(0, index);
+
+		if (before.length) {
+			pos = before[before.length - 1].end;
+			parts.push(data.slice(2, pos));
+		}
+
+		parts.push(comment, text);
+
+		// Skip the previous entry.
+		segments.slice(before.length).forEach(item => {
+			const old = data.toString('latin1', item.start + 4, item.end);
+
+			if (0xFE === item.marker && 0 === old.indexOf(keys.jpeg)) {
+				parts.push(data.slice(pos, item.start));
+				pos = item.end;
+			}
+		});
+
+		parts.push(data.slice(pos));
+
+		return Buffer.concat(parts);
+	}
+
+	if ('webp' === format) {
+		const chunks = readWebpChunks(data).filter(item => keys.webp !== item.type);
+
+		// Custom chunks require the extended file format.
+		if ('VP8X' !== chunks[0].type) {
+			chunks.unshift(createVp8xChunk(chunks[0]));
+		}
+
+		chunks.push({type: keys.webp, data: Buffer.from(value, 'latin1')});
+
+		return writeWebpChunks(chunks);
+	}
+
+	return data;
+}
+
+/**
+ * Returns the device pixel ratio that is stored in the file contents.
+ *
+ * @param {Buffer} data - File contents.
+ * @return {float|null} The ratio, or null when the file has no ratio.
+ */
+function readScale(data) {
+	const scale = parseFloat(readText(data, SCALE_KEYS));
+
+	return scale > 0 ? scale : null;
+}
+
+/**
+ * Stores the device pixel ratio in the file contents. A previous ratio is
+ * replaced.
+ *
+ * @param {Buffer} data - File contents.
+ * @param {float} scale - The device pixel ratio.
+ * @return {Buffer} The new file contents.
+ */
+function writeScale(data, scale) {
+	return writeText(data, SCALE_KEYS, String(scale));
+}
+
+/**
+ * Returns the baseline namespace that is stored in the file contents.
+ *
+ * @param {Buffer} data - File contents.
+ * @return {string|null} The namespace, or null when the file has no namespace.
+ */
+function readNamespace(data) {
+	return readText(data, NAMESPACE_KEYS);
+}
+
+/**
+ * Stores the resolved baseline namespace in the file contents, so the
+ * approve command uses the same folder as the helper.
+ *
+ * @param {Buffer} data - File contents.
+ * @param {string} namespace - The relative namespace folder.
+ * @return {Buffer} The new file contents.
+ */
+function writeNamespace(data, namespace) {
+	return writeText(data, NAMESPACE_KEYS, namespace);
+}
+
+/**
+ * Converts the file contents to the given format. Contents that already
+ * have the correct format are returned unchanged. The device pixel ratio is
+ * kept.
+ *
+ * @param {Buffer} data - File contents.
+ * @param {'png'|'jpeg'|'webp'} format - The output format.
+ * @return {Buffer} File contents.
+ */
+function convertImage(data, format) {
+	if (detectFormat(data) === format) {
+		return data;
+	}
+
+	const scale = readScale(data);
+	const converted = encodeImage(decodeImage(data), format);
+
+	return scale ? writeScale(converted, scale) : converted;
+}
+
+module.exports = {
+	FORMATS,
+	EXTENSIONS,
+	EXTENSION_PATTERN,
+	detectFormat,
+	getFormat,
+	decodeImage,
+	encodeImage,
+	convertImage,
+	readScale,
+	writeScale,
+	readNamespace,
+	writeNamespace
+};
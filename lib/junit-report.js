@@ -0,0 +1,73 @@
+/**
+ * Renders a JUnit XML report of all visual comparisons of a test run.
+ *
+ * Every comparison is a test case; the CodeceptJS test is used as class name
+ * and the image name as test case name.
+ *
+ * @author Philipp Stracker
+ */
+
+/**
+ * Escapes a value for usage inside XML.
+ *
+ * @param {any} value - The value to escape.
+ * @return {string}
+ */
+function esc(value) {
+	return String('undefined' === typeof value || null === value ? '' : value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * Renders a single test case.
+ *
+ * @param {object} record - The comparison record.
+ * @return {string}
+ */
+function renderTestCase(record) {
+	const attrs = `classname="${esc(record.test || 'visual')}" name="${esc(record.image)}"`;
+	const details = [
+		`Difference: ${record.difference}% (${record.diffPixels} / ${record.relevantPixels} pixels)`,
+		`Tolerance: ${record.tolerance}%`,
+		`Failed criteria: ${(record.failedCriteria || []).join(', ') || '-'}`,
+		`Variation: ${record.variation || '(base image)'}`,
+		`Expected: ${record.files.expected || ''}`,
+		`Actual: ${record.files.actual || ''}`,
+		`Diff: ${record.files.diff || ''}`
+	].join('\n');
+
+	if (record.match) {
+		return `    <testcase ${attrs}>
+      <system-out>${esc(details)}</system-out>
+    </testcase>`;
+	}
+
+	return `    <testcase ${attrs}>
+      <failure message="${esc(`Images are different by ${record.difference}%`)}" type="VisualDifference">${esc(details)}</failure>
+    </testcase>`;
+}
+
+/**
+ * Renders the full JUnit report.
+ *
+ * @param {object[]} records - List of comparison records.
+ * @return {string} The XML document.
+ */
+function renderJunitReport(records) {
+	const failures = records.filter(record => !record.match).length;
+	const timestamp = new Date().toISOString();
+
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Visual regression" tests="${records.length}" failures="${failures}">
+  <testsuite name="Visual regression" tests="${records.length}" failures="${failures}" errors="0" skipped="0" timestamp="${timestamp}">
+${records.map(renderTestCase).join('\n')}
+  </testsuite>
+</testsuites>
+`;
+}
+
+module.exports = renderJunitReport;
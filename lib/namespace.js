@@ -0,0 +1,74 @@
+/**
+ * Resolves the `baselineNamespace` pattern to a sub-folder of dirExpected.
+ * Used by the helper and by the approve command.
+ *
+ * @author Philipp Stracker
+ */
+
+/**
+ * Supported browser helpers, in the order in which the helper picks them.
+ *
+ * @type {string[]}
+ */
+const DRIVERS = ['Puppeteer', 'WebDriver', 'Appium', 'WebDriverIO', 'TestCafe', 'Playwright'];
+
+/**
+ * Checks, if the pattern contains placeholders like "{browser}".
+ *
+ * @param {string} pattern - The namespace pattern.
+ * @return {boolean}
+ */
+function hasTokens(pattern) {
+	return /{\w+}/.test(pattern);
+}
+
+/**
+ * Returns the placeholder values of a browser helper, using its config.
+ * The viewport is the configured window size.
+ *
+ * @param {string} driver - Name of the browser helper, like "Playwright".
+ * @param {object} config - Config of the browser helper.
+ * @return {{driver: string, browser: string, platform: string, viewport: string}}
+ */
+function getNamespaceValues(driver, config) {
+	config = config || {};
+
+	const caps = config.desiredCapabilities || config.capabilities || {};
+
+	return {
+		driver,
+		browser: config.browser || caps.browserName || driver,
+		platform: caps.platformName || process.platform,
+		viewport: config.windowSize || ''
+	};
+}
+
+/**
+ * Replaces the placeholders of the pattern and returns a relative folder
+ * path. Unknown or empty placeholders are replaced by "default".
+ *
+ * Example:
+ * formatNamespace('{browser}/{viewport}', {browser: 'Chromium', viewport: '1280x720'})
+ *   --> 'chromium/1280x720'
+ *
+ * @param {string} pattern - The namespace pattern.
+ * @param {object} values - Placeholder values.
+ * @return {string}
+ */
+function formatNamespace(pattern, values) {
+	return String(pattern || '')
+		.replace(/{(\w+)}/g, (match, key) => {
+			const value = String(values[key] || 'default').toLowerCase();
+			return value.replace(/[^\w.-]+/g, '-');
+		})
+		.split(/[\/\\]+/)
+		.filter(part => part && '.' !== part && '..' !== part)
+		.join('/');
+}
+
+module.exports = {
+	DRIVERS,
+	hasTokens,
+	getNamespaceValues,
+	formatNamespace
+};
@@ -0,0 +1,85 @@
+/**
+ * Reads and writes the chunks of PNG files.
+ *
+ * @author Philipp Stracker
+ */
+
+let crcTable = null;
+
+/**
+ * Calculates the CRC32 checksum of a PNG chunk.
+ *
+ * @param {Buffer} data - Chunk type and chunk data.
+ * @return {int}
+ */
+function crc32(data) {
+	if (!crcTable) {
+		crcTable = new Int32Array(256);
+
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+
+			for (let k = 0; k < 8; k++) {
+				c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+			}
+			crcTable[n] = c;
+		}
+	}
+
+	let crc = -1;
+
+	for (let i = 0; i < data.length; i++) {
+		crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+	}
+
+	return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Builds a PNG chunk with length, type, data and checksum.
+ *
+ * @param {string} type - Four letter chunk type.
+ * @param {Buffer} data - Chunk data.
+ * @return {Buffer}
+ */
+function chunk(type, data) {
+	const head = Buffer.alloc(4);
+	const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+	const tail = Buffer.alloc(4);
+
+	head.writeUInt32BE(data.length, 0);
+	tail.writeUInt32BE(crc32(body), 0);
+
+	return Buffer.concat([head, body, tail]);
+}
+
+/**
+ * Splits the PNG file into its chunks. The signature is not included.
+ *
+ * @param {Buffer} data - PNG file contents.
+ * @return {{type: string, data: Buffer, raw: Buffer}[]} All chunks; `raw`
+ *         contains the complete chunk, with length and checksum.
+ */
+function readChunks(data) {
+	const chunks = [];
+
+	for (let pos = 8; pos + 12 <= data.length;) {
+		const length = data.readUInt32BE(pos);
+		const end = pos + 12 + length;
+
+		chunks.push({
+			type: data.toString('ascii', pos + 4, pos + 8),
+			data: data.slice(pos + 8, pos + 8 + length),
+			raw: data.slice(pos, end)
+		});
+
+		pos = end;
+	}
+
+	return chunks;
+}
+
+module.exports = {
+	chunk,
+	readChunks
+};
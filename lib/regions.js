@@ -0,0 +1,134 @@
+/**
+ * Groups the different pixels of a diff image into connected regions.
+ *
+ * @author Philipp Stracker
+ */
+
+/**
+ * Finds all connected regions in the given mask. Pixels are connected when
+ * their distance is at most `1 + gap` pixels in x and y direction.
+ *
+ * @param {Uint8Array} mask - One entry per pixel; non-zero marks a different pixel.
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @param {int} [gap] - Optional. Number of unchanged pixels that can be
+ *        between two pixels of the same region. Defaults to 0.
+ * @param {int} [maxIndexed] - Optional. Regions with up to this number of
+ *        pixels also return the `indexes` of their pixels. Defaults to 0.
+ * @return {{left: int, top: int, width: int, height: int, pixels: int, area: int,
+ *     indexes: Int32Array|null}[]}
+ */
+function findRegions(mask, width, height, gap, maxIndexed) {
+	const radius = 1 + Math.max(0, parseInt(gap) || 0);
+	const visited = new Uint8Array(width * height);
+	const stack = new Int32Array(width * height);
+	const regions = [];
+	const maxMembers = Math.max(0, parseInt(maxIndexed) || 0);
+
+	for (let start = 0; start < mask.length; start++) {
+		if (!mask[start] || visited[start]) {
+			continue;
+		}
+
+		let x0 = width;
+		let y0 = height;
+		let x1 = 0;
+		let y1 = 0;
+		let size = 0;
+		let pos = 0;
+
+		stack[pos++] = start;
+		visited[start] = 1;
+
+		const members = [];
+
+		while (pos) {
+			const idx = stack[--pos];
+			const x = idx % width;
+			const y = (idx - x) / width;
+
+			if (size < maxMembers) {
+				members.push(idx);
+			}
+			size++;
+
+			x0 = Math.min(x0, x);
+			y0 = Math.min(y0, y);
+			x1 = Math.max(x1, x);
+			y1 = Math.max(y1, y);
+
+			const nx0 = Math.max(0, x - radius);
+			const nx1 = Math.min(width - 1, x + radius);
+			const ny0 = Math.max(0, y - radius);
+			const ny1 = Math.min(height - 1, y + radius);
+
+			for (let ny = ny0; ny <= ny1; ny++) {
+				for (let nx = nx0; nx <= nx1; nx++) {
+					const n = nx + width * ny;
+
+					if (mask[n] && !visited[n]) {
+						visited[n] = 1;
+						stack[pos++] = n;
+					}
+				}
+			}
+		}
+
+		regions.push({
+			left: x0,
+			top: y0,
+			width: x1 - x0 + 1,
+			height: y1 - y0 + 1,
+			pixels: size,
+			area: (x1 - x0 + 1) * (y1 - y0 + 1),
+			indexes: size <= maxMembers ? Int32Array.from(members) : null
+		});
+	}
+
+	return regions.sort((a, b) => b.pixels - a.pixels);
+}
+
+/**
+ * Draws the outline of every region into the given RGBA image data.
+ *
+ * @param {Uint8Array} data - Image data.
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @param {{left: int, top: int, width: int, height: int}[]} regions - The regions to draw.
+ * @param {int[]} color - RGB color of the outline.
+ */
+function drawRegions(data, width, height, regions, color) {
+	const setPixel = (x, y) => {
+		if (x < 0 || y < 0 || x >= width || y >= height) {
+			return;
+		}
+
+		const k = 4 * (x + width * y);
+		data[k] = color[0];
+		data[k + 1] = color[1];
+		data[k + 2] = color[2];
+		data[k + 3] = 255;
+	};
+
+	regions.forEach(region => {
+		// The outline surrounds the region, without covering its pixels.
+		const x0 = region.left - 1;
+		const y0 = region.top - 1;
+		const x1 = region.left + region.width;
+		const y1 = region.top + region.height;
+
+		for (let x = x0; x <= x1; x++) {
+			setPixel(x, y0);
+			setPixel(x, y1);
+		}
+		for (let y = y0; y <= y1; y++) {
+			setPixel(x0, y);
+			setPixel(x1, y);
+		}
+	});
+}
+
+module.exports = {
+	findRegions,
+	drawRegions
+};
@@ -0,0 +1,99 @@
+/**
+ * Resamples RGBA images to a new size. Every target pixel is the average of
+ * the source area it covers, weighted by the overlap. This keeps thin lines
+ * and text visible when a high-density screenshot is scaled down.
+ *
+ * @author Philipp Stracker
+ */
+
+const { PNG } = require('pngjs');
+
+/**
+ * Returns the source pixels and weights of every target pixel on one axis.
+ *
+ * @param {int} from - Source size.
+ * @param {int} to - Target size.
+ * @return {{index: int, weight: float}[][]}
+ */
+function getWeights(from, to) {
+	const ratio = from / to;
+	const weights = [];
+
+	for (let i = 0; i < to; i++) {
+		const start = i * ratio;
+		const end = Math.min(from, start + ratio);
+		const list = [];
+
+		for (let k = Math.floor(start); k < end; k++) {
+			const weight = Math.min(end, k + 1) - Math.max(start, k);
+
+			if (weight > 0) {
+				list.push({index: k, weight: weight / ratio});
+			}
+		}
+
+		weights.push(list);
+	}
+
+	return weights;
+}
+
+/**
+ * Resamples the image to the given size.
+ *
+ * @param {{width: int, height: int, data: Uint8Array}} image - RGBA image.
+ * @param {int} width - Target width.
+ * @param {int} height - Target height.
+ * @return {PNG} The resampled image.
+ */
+function resampleImage(image, width, height) {
+	const xWeights = getWeights(image.width, width);
+	const yWeights = getWeights(image.height, height);
+	const src = image.data;
+
+	// Horizontal pass into a float buffer, to avoid rounding twice.
+	const temp = new Float32Array(4 * width * image.height);
+
+	for (let y = 0; y < image.height; y++) {
+		for (let x = 0; x < width; x++) {
+			const k = 4 * (y * width + x);
+
+			xWeights[x].forEach(item => {
+				const j = 4 * (y * image.width + item.index);
+
+				temp[k] += src[j] * item.weight;
+				temp[k + 1] += src[j + 1] * item.weight;
+				temp[k + 2] += src[j + 2] * item.weight;
+				temp[k + 3] += src[j + 3] * item.weight;
+			});
+		}
+	}
+
+	const png = new PNG({width, height});
+	const out = png.data;
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const k = 4 * (y * width + x);
+			let r = 0, g = 0, b = 0, a = 0;
+
+			yWeights[y].forEach(item => {
+				const j = 4 * (item.index * width + x);
+
+				r += temp[j] * item.weight;
+				g += temp[j + 1] * item.weight;
+				b += temp[j + 2] * item.weight;
+				a += temp[j + 3] * item.weight;
+			});
+
+			out[k] = Math.round(r);
+			out[k + 1] = Math.round(g);
+			out[k + 2] = Math.round(b);
+			out[k + 3] = Math.round(a);
+		}
+	}
+
+	return png;
+}
+
+module.exports = resampleImage;
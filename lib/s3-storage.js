@@ -0,0 +1,310 @@
+/**
+ * Baseline storage in an S3-compatible bucket, like AWS S3 or MinIO.
+ *
+ * Requests are signed with AWS Signature Version 4, using only the crypto
+ * and http modules of Node.js.
+ *
+ * @author Philipp Stracker
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Encodes a URI component as required by Signature Version 4.
+ *
+ * @param {string} value - The value to encode.
+ * @return {string}
+ */
+function uriEncode(value) {
+	return encodeURIComponent(value).replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * Decodes the XML entities of a text node.
+ *
+ * @param {string} value - The XML text.
+ * @return {string}
+ */
+function xmlDecode(value) {
+	return value
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, '\'')
+		.replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+		.replace(/&amp;/g, '&');
+}
+
+/**
+ * Returns the text of the first XML tag with the given name.
+ *
+ * @param {string} xml - The XML document.
+ * @param {string} tag - The tag name.
+ * @return {string} The decoded text, or an empty string.
+ */
+function xmlValue(xml, tag) {
+	const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+
+	return match ? xmlDecode(match[1]) : '';
+}
+
+/**
+ * Returns the SHA-256 hash of the data as hex string.
+ *
+ * @param {string|Buffer} data - The data.
+ * @return {string}
+ */
+function sha256(data) {
+	return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Returns the HMAC-SHA256 of the data.
+ *
+ * @param {string|Buffer} key - The key.
+ * @param {string} data - The data.
+ * @return {Buffer}
+ */
+function hmac(key, data) {
+	return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+class S3Storage {
+	/**
+	 * @param {object} options - Storage options.
+	 * @param {string} options.bucket - Name of the bucket.
+	 * @param {string} [options.endpoint] - Optional. URL of an S3-compatible
+	 *        server, like "http://localhost:9000". Defaults to AWS S3.
+	 * @param {string} [options.region] - Optional. Defaults to AWS_REGION or "us-east-1".
+	 * @param {string} [options.prefix] - Optional. Key prefix of all base images.
+	 * @param {string} [options.accessKeyId] - Optional. Defaults to AWS_ACCESS_KEY_ID.
+	 * @param {string} [options.secretAccessKey] - Optional. Defaults to AWS_SECRET_ACCESS_KEY.
+	 * @param {string} [options.sessionToken] - Optional. Defaults to AWS_SESSION_TOKEN.
+	 * @param {boolean} [options.pathStyle] - Optional. Whether the bucket is
+	 *        part of the path, instead of the host name. Defaults to true,
+	 *        when a custom endpoint is used.
+	 * @param {int} [options.timeout] - Optional. Max. inactivity of a request
+	 *        in ms, before it fails. Defaults to 30000.
+	 */
+	constructor(options) {
+		const env = process.env;
+
+		if (!options.bucket) {
+			throw new Error('The S3 baseline storage requires a "bucket"');
+		}
+
+		this.bucket = options.bucket;
+		this.region = options.region || env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-1';
+		this.prefix = options.prefix ? options.prefix.replace(/^\/+/, '') : '';
+		this.timeout = Math.max(0, parseInt(options.timeout) || 30000);
+		this.credentials = {
+			accessKeyId: options.accessKeyId || env.AWS_ACCESS_KEY_ID || '',
+			secretAccessKey: options.secretAccessKey || env.AWS_SECRET_ACCESS_KEY || '',
+			sessionToken: options.sessionToken || env.AWS_SESSION_TOKEN || ''
+		};
+
+		if (!this.credentials.accessKeyId || !this.credentials.secretAccessKey) {
+			throw new Error('The S3 baseline storage requires "accessKeyId" and "secretAccessKey"');
+		}
+
+		const endpoint = options.endpoint || `https://s3.${this.region}.amazonaws.com`;
+		this.pathStyle = 'undefined' !== typeof options.pathStyle ? !!options.pathStyle : !!options.endpoint;
+		this.endpoint = new URL(endpoint);
+
+		if (!this.pathStyle) {
+			this.endpoint.hostname = `${this.bucket}.${this.endpoint.hostname}`;
+		}
+	}
+
+	/**
+	 * Lists all base images whose key starts with the given prefix.
+	 *
+	 * @param {string} prefix - Relative path prefix, like "chromium/home".
+	 * @return {Promise<{key: string, size: int, etag: string}[]>}
+	 */
+	async list(prefix) {
+		const list = [];
+		let token = '';
+
+		do {
+			const query = {'list-type': '2', prefix: this.prefix + prefix};
+
+			if (token) {
+				query['continuation-token'] = token;
+			}
+
+			const xml = (await this._request('GET', '', query)).toString('utf8');
+
+			(xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).forEach(item => {
+				list.push({
+					key: xmlValue(item, 'Key').substr(this.prefix.length),
+					size: parseInt(xmlValue(item, 'Size')) || 0,
+					etag: xmlValue(item, 'ETag').replace(/"/g, '')
+				});
+			});
+
+			token = 'true' === xmlValue(xml, 'IsTruncated') ? xmlValue(xml, 'NextContinuationToken') : '';
+		} while (token);
+
+		return list;
+	}
+
+	/**
+	 * Downloads a base image.
+	 *
+	 * @param {string} key - Relative path of the base image.
+	 * @return {Promise<Buffer>}
+	 */
+	async download(key) {
+		return this._request('GET', this.prefix + key);
+	}
+
+	/**
+	 * Uploads a base image.
+	 *
+	 * @param {string} key - Relative path of the base image.
+	 * @param {Buffer} data - The file contents.
+	 * @return {Promise<void>}
+	 */
+	async upload(key, data) {
+		await this._request('PUT', this.prefix + key, {}, data);
+	}
+
+	/**
+	 * Sends a signed request to the bucket.
+	 *
+	 * @param {string} method - HTTP method.
+	 * @param {string} key - Object key, or empty for bucket operations.
+	 * @param {object} [query] - Optional. Query parameters.
+	 * @param {Buffer} [body] - Optional. Request body.
+	 * @return {Promise<Buffer>} The response body.
+	 * @private
+	 */
+	_request(method, key, query, body) {
+		const url = this.endpoint;
+		const base = url.pathname.replace(/\/+$/, '');
+		const bucket = this.pathStyle ? '/' + uriEncode(this.bucket) : '';
+		const objectPath = key ? '/' + key.split('/').map(uriEncode).join('/') : '';
+
+		const request = {
+			method,
+			path: (base + bucket + objectPath) || '/',
+			query: query || {},
+			headers: {
+				host: url.host,
+				'x-amz-content-sha256': body ? sha256(body) : EMPTY_HASH
+			}
+		};
+
+		if (body) {
+			request.headers['content-length'] = String(body.length);
+		}
+
+		const headers = this._signRequest(request, new Date());
+		const search = this._getCanonicalQuery(request.query);
+		const transport = 'https:' === url.protocol ? https : http;
+
+		return new Promise((resolve, reject) => {
+			const req = transport.request({
+				protocol: url.protocol,
+				hostname: url.hostname,
+				port: url.port,
+				method,
+				path: request.path + (search ? '?' + search : ''),
+				headers
+			}, res => {
+				const chunks = [];
+
+				res.on('data', chunk => chunks.push(chunk));
+				res.on('end', () => {
+					const data = Buffer.concat(chunks);
+
+					if (res.statusCode >= 200 && res.statusCode < 300) {
+						resolve(data);
+					} else {
+						const xml = data.toString('utf8');
+						const code = xmlValue(xml, 'Code') || res.statusCode;
+						const message = xmlValue(xml, 'Message') || res.statusMessage;
+
+						reject(new Error(`S3 ${method} ${request.path} failed: ${code} ${message}`));
+					}
+				});
+			});
+
+			req.setTimeout(this.timeout, () => {
+				req.destroy(new Error(`S3 ${method} ${request.path} timed out after ${this.timeout} ms`));
+			});
+
+			req.on('error', reject);
+			req.end(body);
+		});
+	}
+
+	/**
+	 * Adds the Signature Version 4 headers to the request.
+	 *
+	 * @param {{method: string, path: string, query: object, headers: object}} request -
+	 *        The request. The path must be URI-encoded.
+	 * @param {Date} date - The request time.
+	 * @return {object} All request headers, including the authorization.
+	 * @private
+	 */
+	_signRequest(request, date) {
+		const creds = this.credentials;
+		const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+		const day = amzDate.substr(0, 8);
+		const scope = `${day}/${this.region}/s3/aws4_request`;
+		const headers = Object.assign({}, request.headers, {'x-amz-date': amzDate});
+
+		if (creds.sessionToken) {
+			headers['x-amz-security-token'] = creds.sessionToken;
+		}
+
+		const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+		const lower = {};
+		Object.keys(headers).forEach(name => lower[name.toLowerCase()] = String(headers[name]).trim());
+
+		const canonical = [
+			request.method,
+			request.path,
+			this._getCanonicalQuery(request.query),
+			names.map(name => `${name}:${lower[name]}\n`).join(''),
+			names.join(';'),
+			lower['x-amz-content-sha256'] || EMPTY_HASH
+		].join('\n');
+
+		const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n');
+
+		let key = hmac('AWS4' + creds.secretAccessKey, day);
+		key = hmac(key, this.region);
+		key = hmac(key, 's3');
+		key = hmac(key, 'aws4_request');
+
+		const signature = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+
+		headers.authorization = `AWS4-HMAC-SHA256 Credential=${creds.accessKeyId}/${scope}, `
+			+ `SignedHeaders=${names.join(';')}, Signature=${signature}`;
+
+		return headers;
+	}
+
+	/**
+	 * Returns the sorted and encoded query string.
+	 *
+	 * @param {object} query - Query parameters.
+	 * @return {string}
+	 * @private
+	 */
+	_getCanonicalQuery(query) {
+		return Object.keys(query)
+			.sort()
+			.map(name => `${uriEncode(name)}=${uriEncode(query[name])}`)
+			.join('&');
+	}
+}
+
+module.exports = S3Storage;
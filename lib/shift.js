@@ -0,0 +1,209 @@
+/**
+ * Detects content that moved between the expected and the actual image, and
+ * moves it back to compare the content instead of its position.
+ *
+ * @author Philipp Stracker
+ */
+
+// Max. number of sampled pixels per offset.
+const MAX_SAMPLES = 65536;
+
+// Max. number of compared pixels per area, for all offsets together.
+const MAX_COMPARISONS = 4194304;
+
+/**
+ * Returns the pixels of the RGBA data as 32-bit values. The data is copied,
+ * when it's not aligned.
+ *
+ * @param {Uint8Array} data - RGBA data.
+ * @param {int} length - Number of pixels.
+ * @return {Uint32Array}
+ */
+function toPixels(data, length) {
+	if (data.byteOffset % 4) {
+		data = Uint8Array.from(data.subarray(0, 4 * length));
+	}
+
+	return new Uint32Array(data.buffer, data.byteOffset, length);
+}
+
+/**
+ * Returns the offset at which the actual image matches the expected image
+ * best inside the given area. The actual pixel at (x + offset.x, y + offset.y)
+ * is compared with the expected pixel at (x, y). Ignored pixels are skipped.
+ *
+ * Large areas are sampled in a grid, so every offset compares at most
+ * MAX_SAMPLES pixels, and all offsets together at most MAX_COMPARISONS
+ * pixels. A larger distance uses a coarser grid instead of more time. The
+ * zero offset is kept, unless another offset has fewer different pixels.
+ *
+ * @param {Uint8Array} expected - RGBA data of the expected image.
+ * @param {Uint8Array} actual - RGBA data of the actual image.
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @param {{left: int, top: int, width: int, height: int}} rect - Area to compare.
+ * @param {int} maxDistance - Max. offset in x and y direction.
+ * @param {{expected: Uint8Array, actual: Uint8Array}} ignored - One entry per
+ *        pixel of each image; 1 marks a pixel that is not compared.
+ * @return {{x: int, y: int}}
+ */
+function estimateOffset(expected, actual, width, height, rect, maxDistance, ignored) {
+	const exp = toPixels(expected, width * height);
+	const act = toPixels(actual, width * height);
+	const samples = Math.min(MAX_SAMPLES, MAX_COMPARISONS / Math.pow(2 * maxDistance + 1, 2));
+	const step = Math.max(1, Math.ceil(Math.sqrt(rect.width * rect.height / samples)));
+	const x1 = rect.left + rect.width;
+	const y1 = rect.top + rect.height;
+	let best = {x: 0, y: 0, score: Infinity};
+
+	// Start with the zero offset, then try larger distances.
+	const offsets = [];
+	for (let dy = -maxDistance; dy <= maxDistance; dy++) {
+		for (let dx = -maxDistance; dx <= maxDistance; dx++) {
+			offsets.push({x: dx, y: dy});
+		}
+	}
+	offsets.sort((a, b) => (Math.abs(a.x) + Math.abs(a.y)) - (Math.abs(b.x) + Math.abs(b.y)));
+
+	for (const offset of offsets) {
+		let compared = 0;
+		let different = 0;
+
+		for (let y = rect.top; y < y1; y += step) {
+			const ya = y + offset.y;
+
+			if (ya < 0 || ya >= height) {
+				continue;
+			}
+
+			for (let x = rect.left; x < x1; x += step) {
+				const xa = x + offset.x;
+
+				if (xa < 0 || xa >= width) {
+					continue;
+				}
+
+				const e = y * width + x;
+				const a = ya * width + xa;
+
+				if (ignored.expected[e] || ignored.actual[a]) {
+					continue;
+				}
+
+				compared++;
+				if (exp[e] !== act[a]) {
+					different++;
+				}
+			}
+		}
+
+		const score = compared ? different / compared : Infinity;
+
+		if (score < best.score) {
+			best = {x: offset.x, y: offset.y, score};
+		}
+	}
+
+	return {x: best.x, y: best.y};
+}
+
+/**
+ * Moves the content of the actual image inside the given area by the
+ * negative offset, so it's at the position of the expected image.
+ *
+ * Pixels that are moved in from outside the image or from an ignored area,
+ * and pixels that are ignored in the expected image, have no content to
+ * compare. They are cleared in both images and marked in the `cleared` mask,
+ * so they count as ignored pixels.
+ *
+ * @param {Uint8Array} target - RGBA data to update, a copy of the actual image.
+ * @param {Uint8Array} expected - RGBA data to update, a copy of the expected image.
+ * @param {Uint8Array} actual - RGBA data of the actual image.
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @param {{left: int, top: int, width: int, height: int}} rect - Area to move.
+ * @param {{x: int, y: int}} offset - The offset of the actual content.
+ * @param {{expected: Uint8Array, actual: Uint8Array}} ignored - Ignored pixels
+ *        of both images.
+ * @param {Uint8Array} cleared - Pixels that are ignored after the move; updated.
+ * @return {int} Number of pixels that were newly marked in `cleared`.
+ */
+function compensateOffset(target, expected, actual, width, height, rect, offset, ignored, cleared) {
+	let count = 0;
+
+	for (let y = rect.top; y < rect.top + rect.height; y++) {
+		const ya = y + offset.y;
+
+		for (let x = rect.left; x < rect.left + rect.width; x++) {
+			const xa = x + offset.x;
+			const i = y * width + x;
+			const k = 4 * i;
+
+			if (
+				xa < 0 || xa >= width || ya < 0 || ya >= height
+				|| ignored.actual[ya * width + xa]
+				|| ignored.expected[i]
+			) {
+				target.fill(0, k, k + 4);
+				expected.fill(0, k, k + 4);
+
+				if (!cleared[i]) {
+					cleared[i] = 1;
+					count++;
+				}
+			} else {
+				const j = 4 * (ya * width + xa);
+				target.set(actual.subarray(j, j + 4), k);
+			}
+		}
+	}
+
+	return count;
+}
+
+/**
+ * Merges overlapping areas into their bounding box, so no pixel is part of
+ * two areas. The result is sorted by size, largest area first.
+ *
+ * @param {{left: int, top: int, width: int, height: int}[]} areas - The areas.
+ * @return {{left: int, top: int, width: int, height: int}[]} New area objects.
+ */
+function mergeAreas(areas) {
+	const list = areas.map(area => ({left: area.left, top: area.top, width: area.width, height: area.height}));
+
+	for (let i = 0; i < list.length; i++) {
+		for (let j = i + 1; j < list.length; j++) {
+			const a = list[i];
+			const b = list[j];
+
+			if (
+				a.left >= b.left + b.width || b.left >= a.left + a.width
+				|| a.top >= b.top + b.height || b.top >= a.top + a.height
+			) {
+				continue;
+			}
+
+			const left = Math.min(a.left, b.left);
+			const top = Math.min(a.top, b.top);
+
+			list[i] = {
+				left,
+				top,
+				width: Math.max(a.left + a.width, b.left + b.width) - left,
+				height: Math.max(a.top + a.height, b.top + b.height) - top
+			};
+			list.splice(j, 1);
+
+			// The larger area can overlap areas that were checked before.
+			j = i;
+		}
+	}
+
+	return list.sort((a, b) => b.width * b.height - a.width * a.height);
+}
+
+module.exports = {
+	estimateOffset,
+	compensateOffset,
+	mergeAreas
+};
@@ -0,0 +1,146 @@
+/**
+ * Structural similarity (SSIM) comparison of two RGBA images.
+ *
+ * The images are split into square windows; for every window, the SSIM index
+ * of the luminance is calculated. The mean of all windows is the similarity
+ * score of the images (1 = identical).
+ *
+ * The signature matches pixelmatch, so both engines can be used the same way.
+ *
+ * @author Philipp Stracker
+ */
+
+const C1 = Math.pow(0.01 * 255, 2);
+const C2 = Math.pow(0.03 * 255, 2);
+
+const defaultOptions = {
+	threshold: 0.1,      // A window with an SSIM below (1 - threshold) is different.
+	alpha: 0.1,          // Opacity of unchanged pixels in the diff output.
+	diffColor: [255, 0, 0],
+	diffMask: false,
+	windowSize: 8        // Edge length of the comparison windows in pixels.
+};
+
+/**
+ * Returns the luminance of a pixel, blended with a white background.
+ *
+ * @param {Uint8Array} data - Image data.
+ * @param {int} k - Byte offset of the pixel.
+ * @return {number}
+ */
+function luma(data, k) {
+	const a = data[k + 3] / 255;
+	const r = 255 + (data[k] - 255) * a;
+	const g = 255 + (data[k + 1] - 255) * a;
+	const b = 255 + (data[k + 2] - 255) * a;
+
+	return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+/**
+ * Compares two images and writes an SSIM-map based diff image.
+ *
+ * @param {Uint8Array} img1 - Data of the expected image.
+ * @param {Uint8Array} img2 - Data of the actual image.
+ * @param {Uint8Array|null} output - Data of the diff image, or null.
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @param {object} [options] - See `defaultOptions`.
+ * @return {{diffPixels: int, similarity: number}}
+ */
+function ssim(img1, img2, output, width, height, options) {
+	const opts = Object.assign({}, defaultOptions, options);
+	const size = Math.max(1, parseInt(opts.windowSize) || defaultOptions.windowSize);
+	const limit = 1 - opts.threshold;
+	const color = opts.diffColor || defaultOptions.diffColor;
+
+	let diffPixels = 0;
+	let scoreSum = 0;
+	let scoreWeight = 0;
+
+	for (let y0 = 0; y0 < height; y0 += size) {
+		for (let x0 = 0; x0 < width; x0 += size) {
+			const x1 = Math.min(width, x0 + size);
+			const y1 = Math.min(height, y0 + size);
+			let n = 0;
+			let visible = 0;
+			let sum1 = 0;
+			let sum2 = 0;
+			let sq1 = 0;
+			let sq2 = 0;
+			let prod = 0;
+
+			for (let y = y0; y < y1; y++) {
+				for (let x = x0; x < x1; x++) {
+					const k = 4 * (x + width * y);
+					const l1 = luma(img1, k);
+					const l2 = luma(img2, k);
+
+					if (img1[k + 3] || img2[k + 3]) {
+						visible++;
+					}
+
+					sum1 += l1;
+					sum2 += l2;
+					sq1 += l1 * l1;
+					sq2 += l2 * l2;
+					prod += l1 * l2;
+					n++;
+				}
+			}
+
+			const mean1 = sum1 / n;
+			const mean2 = sum2 / n;
+			const var1 = sq1 / n - mean1 * mean1;
+			const var2 = sq2 / n - mean2 * mean2;
+			const cov = prod / n - mean1 * mean2;
+
+			const score = ((2 * mean1 * mean2 + C1) * (2 * cov + C2))
+				/ ((mean1 * mean1 + mean2 * mean2 + C1) * (var1 + var2 + C2));
+
+			// Windows that are fully cleared (ignored) do not affect the score.
+			if (visible) {
+				scoreSum += score * visible;
+				scoreWeight += visible;
+			}
+
+			const isDiff = visible && score < limit;
+
+			if (isDiff) {
+				diffPixels += visible;
+			}
+
+			if (!output) {
+				continue;
+			}
+
+			for (let y = y0; y < y1; y++) {
+				for (let x = x0; x < x1; x++) {
+					const k = 4 * (x + width * y);
+
+					if (isDiff && (img1[k + 3] || img2[k + 3])) {
+						output[k] = color[0];
+						output[k + 1] = color[1];
+						output[k + 2] = color[2];
+						output[k + 3] = 255;
+					} else if (opts.diffMask) {
+						output.fill(0, k, k + 4);
+					} else {
+						const val = 255 + (luma(img1, k) - 255) * opts.alpha;
+						output[k] = val;
+						output[k + 1] = val;
+						output[k + 2] = val;
+						output[k + 3] = 255;
+					}
+				}
+			}
+		}
+	}
+
+	return {
+		diffPixels,
+		similarity: scoreWeight ? parseFloat((scoreSum / scoreWeight).toFixed(6)) : 1
+	};
+}
+
+module.exports = ssim;
@@ -0,0 +1,126 @@
+/**
+ * Storage backends for base images. The `dirExpected` folder is a local
+ * cache of the storage: Base images are downloaded before a comparison,
+ * and new base images are uploaded after they were saved.
+ *
+ * A backend implements three async methods, using relative image paths
+ * with "/" as separator as keys:
+ *
+ *   list(prefix)      -> [{key, size, etag}]
+ *   download(key)     -> Buffer
+ *   upload(key, data)
+ *
+ * The etag is the MD5 hash of the file contents, when known.
+ *
+ * @author Philipp Stracker
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const S3Storage = require('./s3-storage');
+
+class FsStorage {
+	/**
+	 * @param {object} options - Storage options.
+	 * @param {string} options.dir - Folder of the base images, like a
+	 *        network share.
+	 */
+	constructor(options) {
+		if (!options.dir) {
+			throw new Error('The fs baseline storage requires a "dir"');
+		}
+
+		this.dir = path.resolve(global.codecept_dir || process.cwd(), options.dir);
+	}
+
+	/**
+	 * Lists all base images whose key starts with the given prefix.
+	 *
+	 * @param {string} prefix - Relative path prefix, like "chromium/home".
+	 * @return {Promise<{key: string, size: int, etag: string}[]>}
+	 */
+	async list(prefix) {
+		const dir = path.join(this.dir, path.posix.dirname(prefix + '_'));
+		const rel = path.relative(this.dir, dir).split(path.sep).filter(Boolean);
+
+		if (!fs.existsSync(dir)) {
+			return [];
+		}
+
+		return fs.readdirSync(dir, {withFileTypes: true})
+			.filter(entry => entry.isFile())
+			.map(entry => rel.concat(entry.name).join('/'))
+			.filter(key => 0 === key.indexOf(prefix))
+			.map(key => {
+				const data = fs.readFileSync(path.join(this.dir, key));
+
+				return {
+					key,
+					size: data.length,
+					etag: crypto.createHash('md5').update(data).digest('hex')
+				};
+			});
+	}
+
+	/**
+	 * Downloads a base image.
+	 *
+	 * @param {string} key - Relative path of the base image.
+	 * @return {Promise<Buffer>}
+	 */
+	async download(key) {
+		return fs.readFileSync(path.join(this.dir, key));
+	}
+
+	/**
+	 * Uploads a base image.
+	 *
+	 * @param {string} key - Relative path of the base image.
+	 * @param {Buffer} data - The file contents.
+	 * @return {Promise<void>}
+	 */
+	async upload(key, data) {
+		const file = path.join(this.dir, key);
+
+		fs.mkdirSync(path.dirname(file), {recursive: true});
+		fs.writeFileSync(file, data);
+	}
+}
+
+/**
+ * Creates the storage backend of the given config.
+ *
+ * baselineStorage: {type: "fs", dir: "/mnt/baselines"}
+ * baselineStorage: {type: "s3", bucket: "baselines", endpoint: "http://localhost:9000"}
+ * baselineStorage: new MyStorage() // Custom backend.
+ *
+ * @param {object|null} options - The `baselineStorage` option.
+ * @return {object|null} The backend, or null to use only the local folder.
+ */
+function createStorage(options) {
+	if (!options) {
+		return null;
+	}
+
+	// A custom backend.
+	if ('function' === typeof options.list) {
+		return options;
+	}
+
+	switch (options.type) {
+		case 'fs':
+			return new FsStorage(options);
+
+		case 's3':
+			return new S3Storage(options);
+	}
+
+	throw new Error(`Unknown baseline storage type "${options.type}", expected "fs" or "s3"`);
+}
+
+module.exports = {
+	FsStorage,
+	S3Storage,
+	createStorage
+};
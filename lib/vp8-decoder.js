@@ -0,0 +1,1528 @@
+/**
+ * Decodes lossy WebP images (VP8 key frames, see RFC 6386) in plain
+ * JavaScript.
+ *
+ * The decoder follows libwebp step by step, so the output matches the one of
+ * `dwebp`, including the "fancy" upsampling of the chroma planes.
+ *
+ * @author Philipp Stracker
+ */
+
+const {DC_TABLE, AC_TABLE, COEFF_PROBS, COEFF_UPDATE_PROBS, BMODE_PROBS} = require('./vp8-tables');
+
+// Stride of the work buffer of one macroblock, and the offsets of its planes.
+const BPS = 32;
+const Y_OFF = BPS + 8;
+const U_OFF = Y_OFF + BPS * 16 + BPS;
+const V_OFF = U_OFF + 16;
+
+// Prediction modes. The 16x16 and chroma modes use the first four values.
+const B_DC_PRED = 0;
+const B_TM_PRED = 1;
+const B_VE_PRED = 2;
+const B_HE_PRED = 3;
+
+// DC prediction without the upper or the left pixels.
+const DC_PRED_NOTOP = 10;
+const DC_PRED_NOLEFT = 11;
+const DC_PRED_NOTOPLEFT = 12;
+
+// Tree of the 4x4 luma modes; leaves are negative modes.
+const YMODES_INTRA4 = [
+	-B_DC_PRED, 1,
+	-B_TM_PRED, 2,
+	-B_VE_PRED, 3,
+	4, 6,
+	-B_HE_PRED, 5,
+	-4, -5,
+	-6, 7,
+	-7, 8,
+	-8, -9
+];
+
+// Band of every coefficient position, with an extra entry for the end.
+const BANDS = [0, 1, 2, 3, 6, 4, 5, 6, 6, 6, 6, 6, 6, 6, 6, 7, 0];
+
+const ZIGZAG = [0, 1, 4, 8, 5, 2, 3, 6, 9, 12, 13, 10, 7, 11, 14, 15];
+
+// Probabilities of the extra bits of the large token categories 3 to 6.
+const CAT_PROBS = [
+	[173, 148, 140],
+	[176, 155, 140, 135],
+	[180, 157, 141, 134, 130],
+	[254, 254, 243, 230, 196, 177, 153, 140, 133, 130, 129]
+];
+
+// Token types, used as first index of the coefficient probabilities.
+const TYPE_I16_AC = 0;
+const TYPE_I16_DC = 1;
+const TYPE_CHROMA = 2;
+const TYPE_I4 = 3;
+
+/**
+ * Reads the boolean entropy coded data of VP8, like the bit reader of libwebp.
+ */
+class BoolDecoder {
+	constructor(data, start, end) {
+		this.data = data;
+		this.pos = start;
+		this.end = end;
+		this.value = 0;
+		this.range = 255 - 1;
+		this.bits = -8;
+		this.eof = false;
+
+		this.load();
+	}
+
+	/**
+	 * Loads the next byte. Past the end, zeros are read once and the eof flag
+	 * is set.
+	 */
+	load() {
+		if (this.pos < this.end) {
+			this.value = (this.value << 8) | this.data[this.pos++];
+			this.bits += 8;
+		} else if (!this.eof) {
+			this.value <<= 8;
+			this.bits += 8;
+			this.eof = true;
+		} else {
+			this.bits = 0;
+		}
+	}
+
+	/**
+	 * Reads one bit with the given probability of being 0.
+	 *
+	 * @param {int} prob - Probability, from 0 to 255.
+	 * @return {int}
+	 */
+	getBit(prob) {
+		let range = this.range;
+
+		if (this.bits < 0) {
+			this.load();
+		}
+
+		const pos = this.bits;
+		const split = (range * prob) >>> 8;
+		const bit = (this.value >>> pos) > split ? 1 : 0;
+
+		if (bit) {
+			range -= split;
+			this.value -= (split + 1) << pos;
+		} else {
+			range = split + 1;
+		}
+
+		const shift = 7 ^ (31 - Math.clz32(range));
+		this.bits -= shift;
+		this.range = (range << shift) - 1;
+
+		return bit;
+	}
+
+	/**
+	 * Reads an unsigned value, starting with the highest bit.
+	 *
+	 * @param {int} count - Number of bits.
+	 * @return {int}
+	 */
+	getValue(count) {
+		let value = 0;
+
+		while (count-- > 0) {
+			value |= this.getBit(0x80) << count;
+		}
+
+		return value;
+	}
+
+	/**
+	 * Reads a value followed by its sign bit.
+	 *
+	 * @param {int} count - Number of bits.
+	 * @return {int}
+	 */
+	getSignedValue(count) {
+		const value = this.getValue(count);
+
+		return this.getBit(0x80) ? -value : value;
+	}
+
+	/**
+	 * Reads the sign of a coefficient. This is the shortcut of libwebp for a
+	 * bit with the probability 0x80, which keeps a slightly different range.
+	 *
+	 * @param {int} value - The absolute value.
+	 * @return {int}
+	 */
+	getSigned(value) {
+		if (this.bits < 0) {
+			this.load();
+		}
+
+		const pos = this.bits;
+		const split = this.range >> 1;
+		const mask = (split - (this.value >>> pos)) >> 31;
+
+		this.bits -= 1;
+		this.range = (this.range + mask) | 1;
+		this.value -= ((split + 1) & mask) << pos;
+
+		return (value ^ mask) - mask;
+	}
+}
+
+/**
+ * Clips the value to the range from 0 to the maximum.
+ *
+ * @param {int} value - The value.
+ * @param {int} max - The maximum.
+ * @return {int}
+ */
+function clip(value, max) {
+	return value < 0 ? 0 : value > max ? max : value;
+}
+
+/**
+ * Clips the value to a byte.
+ *
+ * @param {int} value - The value.
+ * @return {int}
+ */
+function clip8(value) {
+	return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+/**
+ * Parses the frame header and the first partition up to the macroblock data.
+ *
+ * @param {Buffer} data - Contents of the VP8 chunk.
+ * @return {object} The decoder state.
+ */
+function parseHeader(data) {
+	if (data.length < 10) {
+		throw new Error('Invalid WebP image: Truncated VP8 header');
+	}
+
+	const bits = data[0] | (data[1] << 8) | (data[2] << 16);
+	const partitionLength = bits >>> 5;
+
+	if (bits & 1) {
+		throw new Error('Invalid WebP image: VP8 data is not a key frame');
+	}
+	if (((bits >> 1) & 7) > 3 || !((bits >> 4) & 1)) {
+		throw new Error('Invalid WebP image: Unsupported VP8 frame header');
+	}
+	if (0x9D !== data[3] || 0x01 !== data[4] || 0x2A !== data[5]) {
+		throw new Error('Invalid WebP image: Missing VP8 start code');
+	}
+
+	const width = data.readUInt16LE(6) & 0x3FFF;
+	const height = data.readUInt16LE(8) & 0x3FFF;
+
+	if (!width || !height) {
+		throw new Error('Invalid WebP image: Empty VP8 frame');
+	}
+	if (10 + partitionLength > data.length) {
+		throw new Error('Invalid WebP image: Truncated VP8 partition');
+	}
+
+	const br = new BoolDecoder(data, 10, 10 + partitionLength);
+	const dec = {
+		width,
+		height,
+		mbW: (width + 15) >> 4,
+		mbH: (height + 15) >> 4,
+		br,
+		segment: {
+			use: 0,
+			updateMap: 0,
+			absoluteDelta: 1,
+			quantizer: [0, 0, 0, 0],
+			filterStrength: [0, 0, 0, 0]
+		},
+		segmentProbs: [255, 255, 255],
+		filter: {
+			simple: 0,
+			level: 0,
+			sharpness: 0,
+			useLfDelta: 0,
+			refLfDelta: [0, 0, 0, 0],
+			modeLfDelta: [0, 0, 0, 0]
+		}
+	};
+
+	// Color space and clamping type are not used.
+	br.getValue(2);
+
+	parseSegmentHeader(dec);
+	parseFilterHeader(dec);
+	parsePartitions(dec, data, 10 + partitionLength);
+	parseQuant(dec);
+
+	// The "refresh entropy probs" flag is meaningless for a single frame.
+	br.getValue(1);
+	parseProbs(dec);
+
+	if (br.eof) {
+		throw new Error('Invalid WebP image: Truncated VP8 header');
+	}
+
+	return dec;
+}
+
+/**
+ * Parses the segment header, which defines up to four sets of quantizer and
+ * filter values.
+ *
+ * @param {object} dec - The decoder state.
+ */
+function parseSegmentHeader(dec) {
+	const br = dec.br;
+	const hdr = dec.segment;
+
+	hdr.use = br.getValue(1);
+	if (!hdr.use) {
+		return;
+	}
+
+	hdr.updateMap = br.getValue(1);
+
+	if (br.getValue(1)) {
+		hdr.absoluteDelta = br.getValue(1);
+
+		for (let s = 0; s < 4; s++) {
+			hdr.quantizer[s] = br.getValue(1) ? br.getSignedValue(7) : 0;
+		}
+		for (let s = 0; s < 4; s++) {
+			hdr.filterStrength[s] = br.getValue(1) ? br.getSignedValue(6) : 0;
+		}
+	}
+
+	if (hdr.updateMap) {
+		for (let s = 0; s < 3; s++) {
+			dec.segmentProbs[s] = br.getValue(1) ? br.getValue(8) : 255;
+		}
+	}
+}
+
+/**
+ * Parses the loop filter header.
+ *
+ * @param {object} dec - The decoder state.
+ */
+function parseFilterHeader(dec) {
+	const br = dec.br;
+	const hdr = dec.filter;
+
+	hdr.simple = br.getValue(1);
+	hdr.level = br.getValue(6);
+	hdr.sharpness = br.getValue(3);
+	hdr.useLfDelta = br.getValue(1);
+
+	if (hdr.useLfDelta && br.getValue(1)) {
+		for (let i = 0; i < 4; i++) {
+			if (br.getValue(1)) {
+				hdr.refLfDelta[i] = br.getSignedValue(6);
+			}
+		}
+		for (let i = 0; i < 4; i++) {
+			if (br.getValue(1)) {
+				hdr.modeLfDelta[i] = br.getSignedValue(6);
+			}
+		}
+	}
+
+	dec.filterType = 0 === hdr.level ? 0 : hdr.simple ? 1 : 2;
+}
+
+/**
+ * Sets up the bool decoders of the token partitions. Every macroblock row
+ * uses the next partition, in turn.
+ *
+ * @param {object} dec - The decoder state.
+ * @param {Buffer} data - Contents of the VP8 chunk.
+ * @param {int} start - Start of the partition sizes.
+ */
+function parsePartitions(dec, data, start) {
+	const last = (1 << dec.br.getValue(2)) - 1;
+	let pos = start + 3 * last;
+
+	if (pos > data.length) {
+		throw new Error('Invalid WebP image: Truncated VP8 partitions');
+	}
+
+	dec.parts = [];
+
+	for (let p = 0; p < last; p++) {
+		const size = Math.min(data.readUIntLE(start + 3 * p, 3), data.length - pos);
+
+		dec.parts.push(new BoolDecoder(data, pos, pos + size));
+		pos += size;
+	}
+
+	if (pos >= data.length) {
+		throw new Error('Invalid WebP image: Truncated VP8 partitions');
+	}
+
+	dec.parts.push(new BoolDecoder(data, pos, data.length));
+}
+
+/**
+ * Parses the quantizer indices and builds the dequantization factors of every
+ * segment.
+ *
+ * @param {object} dec - The decoder state.
+ */
+function parseQuant(dec) {
+	const br = dec.br;
+	const hdr = dec.segment;
+	const baseQ = br.getValue(7);
+	const deltas = [];
+
+	for (let i = 0; i < 5; i++) {
+		deltas.push(br.getValue(1) ? br.getSignedValue(4) : 0);
+	}
+
+	const [y1Dc, y2Dc, y2Ac, uvDc, uvAc] = deltas;
+
+	dec.quant = [];
+
+	for (let s = 0; s < 4; s++) {
+		let q = baseQ;
+
+		if (hdr.use) {
+			q = hdr.quantizer[s] + (hdr.absoluteDelta ? 0 : baseQ);
+		}
+
+		// For all values, x * 155 / 100 equals (x * 101581) >> 16.
+		const y2 = (AC_TABLE[clip(q + y2Ac, 127)] * 101581) >> 16;
+
+		dec.quant.push({
+			y1: [DC_TABLE[clip(q + y1Dc, 127)], AC_TABLE[clip(q, 127)]],
+			y2: [DC_TABLE[clip(q + y2Dc, 127)] * 2, Math.max(8, y2)],
+			uv: [DC_TABLE[clip(q + uvDc, 117)], AC_TABLE[clip(q + uvAc, 127)]]
+		});
+	}
+}
+
+/**
+ * Parses the updates of the token probabilities and the skip probability.
+ *
+ * @param {object} dec - The decoder state.
+ */
+function parseProbs(dec) {
+	const br = dec.br;
+
+	dec.probs = new Uint8Array(COEFF_PROBS.length);
+
+	for (let i = 0; i < COEFF_PROBS.length; i++) {
+		dec.probs[i] = br.getBit(COEFF_UPDATE_PROBS[i]) ? br.getValue(8) : COEFF_PROBS[i];
+	}
+
+	dec.useSkipProba = br.getValue(1);
+	dec.skipProba = dec.useSkipProba ? br.getValue(8) : 0;
+}
+
+/**
+ * Returns the offset of the token probabilities of one context.
+ *
+ * @param {int} type - Token type.
+ * @param {int} n - Coefficient position.
+ * @param {int} ctx - Context, from 0 to 2.
+ * @return {int}
+ */
+function probOffset(type, n, ctx) {
+	return ((type * 8 + BANDS[n]) * 3 + ctx) * 11;
+}
+
+/**
+ * Parses the prediction modes of one macroblock from the first partition.
+ *
+ * @param {object} dec - The decoder state.
+ * @param {int} mbX - Column of the macroblock.
+ * @return {object} The macroblock data.
+ */
+function parseIntraMode(dec, mbX) {
+	const br = dec.br;
+	const top = dec.intraT;
+	const left = dec.intraL;
+	const topOffset = 4 * mbX;
+	const block = {segment: 0, skip: 0, isI4x4: false, imodes: new Uint8Array(16), uvmode: 0};
+
+	if (dec.segment.updateMap) {
+		const probs = dec.segmentProbs;
+
+		block.segment = !br.getBit(probs[0]) ? br.getBit(probs[1]) : br.getBit(probs[2]) + 2;
+	}
+	if (dec.useSkipProba) {
+		block.skip = br.getBit(dec.skipProba);
+	}
+
+	block.isI4x4 = !br.getBit(145);
+
+	if (!block.isI4x4) {
+		const ymode = br.getBit(156)
+			? (br.getBit(128) ? B_TM_PRED : B_HE_PRED)
+			: (br.getBit(163) ? B_VE_PRED : B_DC_PRED);
+
+		block.imodes[0] = ymode;
+		top.fill(ymode, topOffset, topOffset + 4);
+		left.fill(ymode);
+	} else {
+		for (let y = 0; y < 4; y++) {
+			let ymode = left[y];
+
+			for (let x = 0; x < 4; x++) {
+				const prob = (top[topOffset + x] * 10 + ymode) * 9;
+				let i = YMODES_INTRA4[br.getBit(BMODE_PROBS[prob])];
+
+				while (i > 0) {
+					i = YMODES_INTRA4[2 * i + br.getBit(BMODE_PROBS[prob + i])];
+				}
+
+				ymode = -i;
+				top[topOffset + x] = ymode;
+				block.imodes[4 * y + x] = ymode;
+			}
+
+			left[y] = ymode;
+		}
+	}
+
+	block.uvmode = !br.getBit(142) ? B_DC_PRED
+		: !br.getBit(114) ? B_VE_PRED
+		: br.getBit(183) ? B_TM_PRED : B_HE_PRED;
+
+	return block;
+}
+
+/**
+ * Reads a token value above 1.
+ *
+ * @param {BoolDecoder} br - The token partition.
+ * @param {Uint8Array} probs - Token probabilities.
+ * @param {int} p - Offset of the current probabilities.
+ * @return {int}
+ */
+function getLargeValue(br, probs, p) {
+	if (!br.getBit(probs[p + 3])) {
+		if (!br.getBit(probs[p + 4])) {
+			return 2;
+		}
+
+		return 3 + br.getBit(probs[p + 5]);
+	}
+
+	if (!br.getBit(probs[p + 6])) {
+		if (!br.getBit(probs[p + 7])) {
+			return 5 + br.getBit(159);
+		}
+
+		return 7 + 2 * br.getBit(165) + br.getBit(145);
+	}
+
+	const bit1 = br.getBit(probs[p + 8]);
+	const bit0 = br.getBit(probs[p + 9 + bit1]);
+	const cat = 2 * bit1 + bit0;
+	let value = 0;
+
+	CAT_PROBS[cat].forEach(prob => {
+		value += value + br.getBit(prob);
+	});
+
+	return value + 3 + (8 << cat);
+}
+
+/**
+ * Reads the coefficients of one 4x4 block and stores them dequantized.
+ *
+ * @param {BoolDecoder} br - The token partition.
+ * @param {Uint8Array} probs - Token probabilities.
+ * @param {int} type - Token type.
+ * @param {int} ctx - Context, from 0 to 2.
+ * @param {int[]} dq - Dequantization factors of the DC and AC coefficients.
+ * @param {int} n - First coefficient position.
+ * @param {Int16Array} out - The coefficients.
+ * @param {int} offset - Offset of the block in the coefficients.
+ * @return {int} Position after the last non-zero coefficient.
+ */
+function getCoeffs(br, probs, type, ctx, dq, n, out, offset) {
+	let p = probOffset(type, n, ctx);
+
+	for (; n < 16; n++) {
+		if (!br.getBit(probs[p])) {
+			return n;
+		}
+
+		while (!br.getBit(probs[p + 1])) {
+			p = probOffset(type, ++n, 0);
+
+			if (16 === n) {
+				return 16;
+			}
+		}
+
+		let value;
+
+		if (!br.getBit(probs[p + 2])) {
+			value = 1;
+			p = probOffset(type, n + 1, 1);
+		} else {
+			value = getLargeValue(br, probs, p);
+			p = probOffset(type, n + 1, 2);
+		}
+
+		out[offset + ZIGZAG[n]] = br.getSigned(value) * dq[n > 0 ? 1 : 0];
+	}
+
+	return 16;
+}
+
+/**
+ * Applies the inverse Walsh-Hadamard transform to the DC coefficients of a
+ * 16x16 block.
+ *
+ * @param {Int16Array} input - The 16 DC coefficients.
+ * @param {Int16Array} out - Coefficients of the 16 luma blocks.
+ */
+function transformWht(input, out) {
+	const tmp = new Int32Array(16);
+
+	for (let i = 0; i < 4; i++) {
+		const a0 = input[i] + input[12 + i];
+		const a1 = input[4 + i] + input[8 + i];
+		const a2 = input[4 + i] - input[8 + i];
+		const a3 = input[i] - input[12 + i];
+
+		tmp[i] = a0 + a1;
+		tmp[8 + i] = a0 - a1;
+		tmp[4 + i] = a3 + a2;
+		tmp[12 + i] = a3 - a2;
+	}
+
+	for (let i = 0; i < 4; i++) {
+		const dc = tmp[i * 4] + 3;
+		const a0 = dc + tmp[3 + i * 4];
+		const a1 = tmp[1 + i * 4] + tmp[2 + i * 4];
+		const a2 = tmp[1 + i * 4] - tmp[2 + i * 4];
+		const a3 = dc - tmp[3 + i * 4];
+		const base = 64 * i;
+
+		out[base] = (a0 + a1) >> 3;
+		out[base + 16] = (a3 + a2) >> 3;
+		out[base + 32] = (a0 - a1) >> 3;
+		out[base + 48] = (a3 - a2) >> 3;
+	}
+}
+
+/**
+ * Parses the coefficients of one macroblock.
+ *
+ * @param {object} dec - The decoder state.
+ * @param {BoolDecoder} br - The token partition.
+ * @param {object} block - The macroblock data.
+ * @param {int} mbX - Column of the macroblock.
+ * @return {boolean} True, if all coefficients are zero.
+ */
+function parseResiduals(dec, br, block, mbX) {
+	const probs = dec.probs;
+	const q = dec.quant[block.segment];
+	const coeffs = block.coeffs = new Int16Array(384);
+	const topNz = dec.nzT;
+	const leftNz = dec.nzL;
+	const t = 9 * mbX;
+	let first, acType;
+	let nonZero = false;
+
+	if (!block.isI4x4) {
+		const dc = new Int16Array(16);
+		const ctx = topNz[t + 8] + leftNz[8];
+		const nz = getCoeffs(br, probs, TYPE_I16_DC, ctx, q.y2, 0, dc, 0);
+
+		topNz[t + 8] = leftNz[8] = nz > 0 ? 1 : 0;
+		transformWht(dc, coeffs);
+
+		first = 1;
+		acType = TYPE_I16_AC;
+	} else {
+		first = 0;
+		acType = TYPE_I4;
+	}
+
+	for (let y = 0; y < 4; y++) {
+		for (let x = 0; x < 4; x++) {
+			const offset = 16 * (4 * y + x);
+			const ctx = topNz[t + x] + leftNz[y];
+			const nz = getCoeffs(br, probs, acType, ctx, q.y1, first, coeffs, offset);
+
+			topNz[t + x] = leftNz[y] = nz > first ? 1 : 0;
+			nonZero = nonZero || nz > 1 || 0 !== coeffs[offset];
+		}
+	}
+
+	// Chroma: U is stored at the entries 4 and 5, V at 6 and 7.
+	for (let ch = 0; ch < 2; ch++) {
+		for (let y = 0; y < 2; y++) {
+			for (let x = 0; x < 2; x++) {
+				const offset = 16 * (16 + 4 * ch + 2 * y + x);
+				const ctx = topNz[t + 4 + 2 * ch + x] + leftNz[4 + 2 * ch + y];
+				const nz = getCoeffs(br, probs, TYPE_CHROMA, ctx, q.uv, 0, coeffs, offset);
+
+				topNz[t + 4 + 2 * ch + x] = leftNz[4 + 2 * ch + y] = nz > 0 ? 1 : 0;
+				nonZero = nonZero || nz > 1 || 0 !== coeffs[offset];
+			}
+		}
+	}
+
+	return !nonZero;
+}
+
+/**
+ * Parses the coefficients of one macroblock, or resets the contexts of a
+ * skipped one.
+ *
+ * @param {object} dec - The decoder state.
+ * @param {BoolDecoder} br - The token partition.
+ * @param {object} block - The macroblock data.
+ * @param {int} mbX - Column of the macroblock.
+ */
+function decodeMacroblock(dec, br, block, mbX) {
+	let skip = dec.useSkipProba ? block.skip : 0;
+
+	if (!skip) {
+		skip = parseResiduals(dec, br, block, mbX);
+	} else {
+		const t = 9 * mbX;
+
+		dec.nzT.fill(0, t, t + 8);
+		dec.nzL.fill(0, 0, 8);
+
+		if (!block.isI4x4) {
+			dec.nzT[t + 8] = dec.nzL[8] = 0;
+		}
+
+		block.coeffs = null;
+	}
+
+	if (dec.filterType > 0) {
+		const info = dec.fstrengths[block.segment][block.isI4x4 ? 1 : 0];
+
+		block.filter = Object.assign({}, info, {inner: info.inner || !skip});
+	}
+}
+
+/**
+ * Calculates the loop filter strengths of every segment, for macroblocks
+ * with and without 4x4 prediction.
+ *
+ * @param {object} dec - The decoder state.
+ */
+function precomputeFilterStrengths(dec) {
+	const hdr = dec.filter;
+
+	dec.fstrengths = [];
+
+	for (let s = 0; s < 4; s++) {
+		let baseLevel = hdr.level;
+
+		if (dec.segment.use) {
+			baseLevel = dec.segment.filterStrength[s] + (dec.segment.absoluteDelta ? 0 : hdr.level);
+		}
+
+		const infos = [];
+
+		for (let i4x4 = 0; i4x4 <= 1; i4x4++) {
+			const info = {limit: 0, ilevel: 0, hevThresh: 0, inner: !!i4x4};
+			let level = baseLevel;
+
+			if (hdr.useLfDelta) {
+				level += hdr.refLfDelta[0] + (i4x4 ? hdr.modeLfDelta[0] : 0);
+			}
+
+			level = clip(level, 63);
+
+			if (level > 0) {
+				let ilevel = level;
+
+				if (hdr.sharpness > 0) {
+					ilevel >>= hdr.sharpness > 4 ? 2 : 1;
+					ilevel = Math.min(ilevel, 9 - hdr.sharpness);
+				}
+
+				info.ilevel = Math.max(1, ilevel);
+				info.limit = 2 * level + info.ilevel;
+				info.hevThresh = level >= 40 ? 2 : level >= 15 ? 1 : 0;
+			}
+
+			infos.push(info);
+		}
+
+		dec.fstrengths.push(infos);
+	}
+}
+
+/**
+ * Applies the inverse DCT to one 4x4 block and adds it to the prediction.
+ *
+ * @param {Int16Array} coeffs - The coefficients.
+ * @param {int} offset - Offset of the block in the coefficients.
+ * @param {Uint8Array} dst - The work buffer.
+ * @param {int} pos - Position of the block in the work buffer.
+ */
+function transformBlock(coeffs, offset, dst, pos) {
+	let zero = true;
+
+	for (let i = 0; i < 16 && zero; i++) {
+		zero = 0 === coeffs[offset + i];
+	}
+
+	if (zero) {
+		return;
+	}
+
+	const mul1 = a => ((a * 20091) >> 16) + a;
+	const mul2 = a => (a * 35468) >> 16;
+	const tmp = new Int32Array(16);
+
+	for (let i = 0; i < 4; i++) {
+		const k = offset + i;
+		const a = coeffs[k] + coeffs[k + 8];
+		const b = coeffs[k] - coeffs[k + 8];
+		const c = mul2(coeffs[k + 4]) - mul1(coeffs[k + 12]);
+		const d = mul1(coeffs[k + 4]) + mul2(coeffs[k + 12]);
+
+		tmp[4 * i] = a + d;
+		tmp[4 * i + 1] = b + c;
+		tmp[4 * i + 2] = b - c;
+		tmp[4 * i + 3] = a - d;
+	}
+
+	for (let i = 0; i < 4; i++) {
+		const dc = tmp[i] + 4;
+		const a = dc + tmp[8 + i];
+		const b = dc - tmp[8 + i];
+		const c = mul2(tmp[4 + i]) - mul1(tmp[12 + i]);
+		const d = mul1(tmp[4 + i]) + mul2(tmp[12 + i]);
+		const row = pos + i * BPS;
+
+		dst[row] = clip8(dst[row] + ((a + d) >> 3));
+		dst[row + 1] = clip8(dst[row + 1] + ((b + c) >> 3));
+		dst[row + 2] = clip8(dst[row + 2] + ((b - c) >> 3));
+		dst[row + 3] = clip8(dst[row + 3] + ((a - d) >> 3));
+	}
+}
+
+/**
+ * Fills a square block with the true motion prediction.
+ *
+ * @param {Uint8Array} buf - The work buffer.
+ * @param {int} pos - Position of the block.
+ * @param {int} size - Block size.
+ */
+function predictTrueMotion(buf, pos, size) {
+	const topLeft = buf[pos - BPS - 1];
+
+	for (let y = 0; y < size; y++) {
+		const left = buf[pos + y * BPS - 1];
+
+		for (let x = 0; x < size; x++) {
+			buf[pos + y * BPS + x] = clip8(buf[pos - BPS + x] + left - topLeft);
+		}
+	}
+}
+
+/**
+ * Fills a square block with the prediction of a 16x16 luma or 8x8 chroma
+ * mode.
+ *
+ * @param {Uint8Array} buf - The work buffer.
+ * @param {int} pos - Position of the block.
+ * @param {int} size - Block size, 16 or 8.
+ * @param {int} mode - Prediction mode.
+ */
+function predictBlock(buf, pos, size, mode) {
+	const shift = 16 === size ? 4 : 3;
+	let value = -1;
+
+	switch (mode) {
+		case B_TM_PRED:
+			predictTrueMotion(buf, pos, size);
+			return;
+
+		case B_VE_PRED:
+			for (let y = 0; y < size; y++) {
+				buf.copyWithin(pos + y * BPS, pos - BPS, pos - BPS + size);
+			}
+			return;
+
+		case B_HE_PRED:
+			for (let y = 0; y < size; y++) {
+				buf.fill(buf[pos + y * BPS - 1], pos + y * BPS, pos + y * BPS + size);
+			}
+			return;
+
+		case DC_PRED_NOTOPLEFT:
+			value = 0x80;
+			break;
+
+		default:
+			value = 0;
+
+			for (let i = 0; i < size; i++) {
+				value += DC_PRED_NOTOP !== mode ? buf[pos - BPS + i] : 0;
+				value += DC_PRED_NOLEFT !== mode ? buf[pos + i * BPS - 1] : 0;
+			}
+
+			if (B_DC_PRED === mode) {
+				value = (value + size) >> (shift + 1);
+			} else {
+				value = (value + (size >> 1)) >> shift;
+			}
+	}
+
+	for (let y = 0; y < size; y++) {
+		buf.fill(value, pos + y * BPS, pos + y * BPS + size);
+	}
+}
+
+/**
+ * Fills a 4x4 block with the prediction of a 4x4 luma mode.
+ *
+ * @param {Uint8Array} buf - The work buffer.
+ * @param {int} pos - Position of the block.
+ * @param {int} mode - Prediction mode.
+ */
+function predictSubblock(buf, pos, mode) {
+	const avg3 = (a, b, c) => (a + 2 * b + c + 2) >> 2;
+	const avg2 = (a, b) => (a + b + 1) >> 1;
+	const set = (x, y, value) => buf[pos + x + y * BPS] = value;
+	const top = i => buf[pos - BPS + i];
+	const left = i => buf[pos - 1 + i * BPS];
+	const X = top(-1);
+	const [A, B, C, D, E, F, G, H] = [0, 1, 2, 3, 4, 5, 6, 7].map(top);
+	const [I, J, K, L] = [0, 1, 2, 3].map(left);
+
+	switch (mode) {
+		case B_DC_PRED: {
+			let dc = 4;
+			for (let i = 0; i < 4; i++) {
+				dc += top(i) + left(i);
+			}
+			for (let y = 0; y < 4; y++) {
+				buf.fill(dc >> 3, pos + y * BPS, pos + y * BPS + 4);
+			}
+			break;
+		}
+
+		case B_TM_PRED:
+			predictTrueMotion(buf, pos, 4);
+			break;
+
+		case B_VE_PRED: {
+			const values = [avg3(X, A, B), avg3(A, B, C), avg3(B, C, D), avg3(C, D, E)];
+			for (let y = 0; y < 4; y++) {
+				values.forEach((value, x) => set(x, y, value));
+			}
+			break;
+		}
+
+		case B_HE_PRED: {
+			const values = [avg3(X, I, J), avg3(I, J, K), avg3(J, K, L), avg3(K, L, L)];
+			values.forEach((value, y) => buf.fill(value, pos + y * BPS, pos + y * BPS + 4));
+			break;
+		}
+
+		case 4: // Down-right
+			set(0, 3, avg3(J, K, L));
+			set(1, 3, set(0, 2, avg3(I, J, K)));
+			set(2, 3, set(1, 2, set(0, 1, avg3(X, I, J))));
+			set(3, 3, set(2, 2, set(1, 1, set(0, 0, avg3(A, X, I)))));
+			set(3, 2, set(2, 1, set(1, 0, avg3(B, A, X))));
+			set(3, 1, set(2, 0, avg3(C, B, A)));
+			set(3, 0, avg3(D, C, B));
+			break;
+
+		case 5: // Vertical-right
+			set(0, 0, set(1, 2, avg2(X, A)));
+			set(1, 0, set(2, 2, avg2(A, B)));
+			set(2, 0, set(3, 2, avg2(B, C)));
+			set(3, 0, avg2(C, D));
+			set(0, 3, avg3(K, J, I));
+			set(0, 2, avg3(J, I, X));
+			set(0, 1, set(1, 3, avg3(I, X, A)));
+			set(1, 1, set(2, 3, avg3(X, A, B)));
+			set(2, 1, set(3, 3, avg3(A, B, C)));
+			set(3, 1, avg3(B, C, D));
+			break;
+
+		case 6: // Down-left
+			set(0, 0, avg3(A, B, C));
+			set(1, 0, set(0, 1, avg3(B, C, D)));
+			set(2, 0, set(1, 1, set(0, 2, avg3(C, D, E))));
+			set(3, 0, set(2, 1, set(1, 2, set(0, 3, avg3(D, E, F)))));
+			set(3, 1, set(2, 2, set(1, 3, avg3(E, F, G))));
+			set(3, 2, set(2, 3, avg3(F, G, H)));
+			set(3, 3, avg3(G, H, H));
+			break;
+
+		case 7: // Vertical-left
+			set(0, 0, avg2(A, B));
+			set(1, 0, set(0, 2, avg2(B, C)));
+			set(2, 0, set(1, 2, avg2(C, D)));
+			set(3, 0, set(2, 2, avg2(D, E)));
+			set(0, 1, avg3(A, B, C));
+			set(1, 1, set(0, 3, avg3(B, C, D)));
+			set(2, 1, set(1, 3, avg3(C, D, E)));
+			set(3, 1, set(2, 3, avg3(D, E, F)));
+			set(3, 2, avg3(E, F, G));
+			set(3, 3, avg3(F, G, H));
+			break;
+
+		case 8: // Horizontal-down
+			set(0, 0, set(2, 1, avg2(I, X)));
+			set(0, 1, set(2, 2, avg2(J, I)));
+			set(0, 2, set(2, 3, avg2(K, J)));
+			set(0, 3, avg2(L, K));
+			set(3, 0, avg3(A, B, C));
+			set(2, 0, avg3(X, A, B));
+			set(1, 0, set(3, 1, avg3(I, X, A)));
+			set(1, 1, set(3, 2, avg3(J, I, X)));
+			set(1, 2, set(3, 3, avg3(K, J, I)));
+			set(1, 3, avg3(L, K, J));
+			break;
+
+		default: // Horizontal-up
+			set(0, 0, avg2(I, J));
+			set(2, 0, set(0, 1, avg2(J, K)));
+			set(2, 1, set(0, 2, avg2(K, L)));
+			set(1, 0, avg3(I, J, K));
+			set(3, 0, set(1, 1, avg3(J, K, L)));
+			set(3, 1, set(1, 2, avg3(K, L, L)));
+			set(3, 2, set(2, 2, set(0, 3, set(1, 3, set(2, 3, set(3, 3, L))))));
+	}
+}
+
+/**
+ * Returns the DC mode that fits the position of the macroblock.
+ *
+ * @param {int} mbX - Column of the macroblock.
+ * @param {int} mbY - Row of the macroblock.
+ * @param {int} mode - Prediction mode.
+ * @return {int}
+ */
+function checkMode(mbX, mbY, mode) {
+	if (B_DC_PRED !== mode) {
+		return mode;
+	}
+	if (0 === mbX) {
+		return 0 === mbY ? DC_PRED_NOTOPLEFT : DC_PRED_NOLEFT;
+	}
+
+	return 0 === mbY ? DC_PRED_NOTOP : B_DC_PRED;
+}
+
+/**
+ * Predicts and reconstructs one macroblock row into the unfiltered planes.
+ * Like libwebp, the prediction uses the unfiltered pixels of the neighbours.
+ *
+ * @param {object} dec - The decoder state.
+ * @param {object[]} blocks - Macroblock data of the row.
+ * @param {int} mbY - Row of the macroblocks.
+ */
+function reconstructRow(dec, blocks, mbY) {
+	const buf = dec.yuvB;
+	const {topY, topU, topV, mbW} = dec;
+
+	for (let j = 0; j < 16; j++) {
+		buf[Y_OFF + j * BPS - 1] = 129;
+	}
+	for (let j = 0; j < 8; j++) {
+		buf[U_OFF + j * BPS - 1] = 129;
+		buf[V_OFF + j * BPS - 1] = 129;
+	}
+
+	if (mbY > 0) {
+		buf[Y_OFF - BPS - 1] = buf[U_OFF - BPS - 1] = buf[V_OFF - BPS - 1] = 129;
+	} else {
+		buf.fill(127, Y_OFF - BPS - 1, Y_OFF - BPS + 20);
+		buf.fill(127, U_OFF - BPS - 1, U_OFF - BPS + 8);
+		buf.fill(127, V_OFF - BPS - 1, V_OFF - BPS + 8);
+	}
+
+	for (let mbX = 0; mbX < mbW; mbX++) {
+		const block = blocks[mbX];
+		const coeffs = block.coeffs;
+
+		// Rotate in the left samples from the previous macroblock.
+		if (mbX > 0) {
+			for (let j = -1; j < 16; j++) {
+				buf.copyWithin(Y_OFF + j * BPS - 4, Y_OFF + j * BPS + 12, Y_OFF + j * BPS + 16);
+			}
+			for (let j = -1; j < 8; j++) {
+				buf.copyWithin(U_OFF + j * BPS - 4, U_OFF + j * BPS + 4, U_OFF + j * BPS + 8);
+				buf.copyWithin(V_OFF + j * BPS - 4, V_OFF + j * BPS + 4, V_OFF + j * BPS + 8);
+			}
+		}
+
+		if (mbY > 0) {
+			buf.set(topY.subarray(16 * mbX, 16 * mbX + 16), Y_OFF - BPS);
+			buf.set(topU.subarray(8 * mbX, 8 * mbX + 8), U_OFF - BPS);
+			buf.set(topV.subarray(8 * mbX, 8 * mbX + 8), V_OFF - BPS);
+		}
+
+		if (block.isI4x4) {
+			const topRight = Y_OFF - BPS + 16;
+
+			if (mbY > 0) {
+				if (mbX >= mbW - 1) {
+					buf.fill(topY[16 * mbX + 15], topRight, topRight + 4);
+				} else {
+					buf.set(topY.subarray(16 * mbX + 16, 16 * mbX + 20), topRight);
+				}
+			}
+
+			// The blocks on the right use the top-right pixels of the macroblock.
+			for (let i = 1; i <= 3; i++) {
+				buf.copyWithin(topRight + 4 * i * BPS, topRight, topRight + 4);
+			}
+
+			for (let n = 0; n < 16; n++) {
+				const pos = Y_OFF + (n & 3) * 4 + (n >> 2) * 4 * BPS;
+
+				predictSubblock(buf, pos, block.imodes[n]);
+				if (coeffs) {
+					transformBlock(coeffs, 16 * n, buf, pos);
+				}
+			}
+		} else {
+			predictBlock(buf, Y_OFF, 16, checkMode(mbX, mbY, block.imodes[0]));
+
+			for (let n = 0; coeffs && n < 16; n++) {
+				transformBlock(coeffs, 16 * n, buf, Y_OFF + (n & 3) * 4 + (n >> 2) * 4 * BPS);
+			}
+		}
+
+		const uvMode = checkMode(mbX, mbY, block.uvmode);
+
+		predictBlock(buf, U_OFF, 8, uvMode);
+		predictBlock(buf, V_OFF, 8, uvMode);
+
+		for (let n = 0; coeffs && n < 4; n++) {
+			const pos = (n & 1) * 4 + (n >> 1) * 4 * BPS;
+
+			transformBlock(coeffs, 16 * (16 + n), buf, U_OFF + pos);
+			transformBlock(coeffs, 16 * (20 + n), buf, V_OFF + pos);
+		}
+
+		// Keep the unfiltered bottom pixels for the next macroblock row.
+		topY.set(buf.subarray(Y_OFF + 15 * BPS, Y_OFF + 15 * BPS + 16), 16 * mbX);
+		topU.set(buf.subarray(U_OFF + 7 * BPS, U_OFF + 7 * BPS + 8), 8 * mbX);
+		topV.set(buf.subarray(V_OFF + 7 * BPS, V_OFF + 7 * BPS + 8), 8 * mbX);
+
+		for (let j = 0; j < 16; j++) {
+			const pos = Y_OFF + j * BPS;
+			dec.y.set(buf.subarray(pos, pos + 16), (16 * mbY + j) * dec.yStride + 16 * mbX);
+		}
+		for (let j = 0; j < 8; j++) {
+			const row = (8 * mbY + j) * dec.uvStride + 8 * mbX;
+			dec.u.set(buf.subarray(U_OFF + j * BPS, U_OFF + j * BPS + 8), row);
+			dec.v.set(buf.subarray(V_OFF + j * BPS, V_OFF + j * BPS + 8), row);
+		}
+	}
+}
+
+/**
+ * Lookup helpers of the loop filter.
+ */
+const sclip1 = v => v < -128 ? -128 : v > 127 ? 127 : v;
+const sclip2 = v => v < -16 ? -16 : v > 15 ? 15 : v;
+
+/**
+ * Filters 2 pixels at the edge, using 4 pixels.
+ *
+ * @param {Uint8Array} p - The plane.
+ * @param {int} pos - Position of the first pixel after the edge.
+ * @param {int} step - Distance of the pixels across the edge.
+ */
+function doFilter2(p, pos, step) {
+	const p1 = p[pos - 2 * step], p0 = p[pos - step], q0 = p[pos], q1 = p[pos + step];
+	const a = 3 * (q0 - p0) + sclip1(p1 - q1);
+	const a1 = sclip2((a + 4) >> 3);
+	const a2 = sclip2((a + 3) >> 3);
+
+	p[pos - step] = clip8(p0 + a2);
+	p[pos] = clip8(q0 - a1);
+}
+
+/**
+ * Filters 4 pixels at an inner edge.
+ *
+ * @param {Uint8Array} p - The plane.
+ * @param {int} pos - Position of the first pixel after the edge.
+ * @param {int} step - Distance of the pixels across the edge.
+ */
+function doFilter4(p, pos, step) {
+	const p1 = p[pos - 2 * step], p0 = p[pos - step], q0 = p[pos], q1 = p[pos + step];
+	const a = 3 * (q0 - p0);
+	const a1 = sclip2((a + 4) >> 3);
+	const a2 = sclip2((a + 3) >> 3);
+	const a3 = (a1 + 1) >> 1;
+
+	p[pos - 2 * step] = clip8(p1 + a3);
+	p[pos - step] = clip8(p0 + a2);
+	p[pos] = clip8(q0 - a1);
+	p[pos + step] = clip8(q1 - a3);
+}
+
+/**
+ * Filters 6 pixels at a macroblock edge.
+ *
+ * @param {Uint8Array} p - The plane.
+ * @param {int} pos - Position of the first pixel after the edge.
+ * @param {int} step - Distance of the pixels across the edge.
+ */
+function doFilter6(p, pos, step) {
+	const p2 = p[pos - 3 * step], p1 = p[pos - 2 * step], p0 = p[pos - step];
+	const q0 = p[pos], q1 = p[pos + step], q2 = p[pos + 2 * step];
+	const a = sclip1(3 * (q0 - p0) + sclip1(p1 - q1));
+	const a1 = (27 * a + 63) >> 7;
+	const a2 = (18 * a + 63) >> 7;
+	const a3 = (9 * a + 63) >> 7;
+
+	p[pos - 3 * step] = clip8(p2 + a3);
+	p[pos - 2 * step] = clip8(p1 + a2);
+	p[pos - step] = clip8(p0 + a1);
+	p[pos] = clip8(q0 - a1);
+	p[pos + step] = clip8(q1 - a2);
+	p[pos + 2 * step] = clip8(q2 - a3);
+}
+
+/**
+ * Checks, if the edge has a high variance.
+ *
+ * @param {Uint8Array} p - The plane.
+ * @param {int} pos - Position of the first pixel after the edge.
+ * @param {int} step - Distance of the pixels across the edge.
+ * @param {int} thresh - Threshold.
+ * @return {boolean}
+ */
+function hev(p, pos, step, thresh) {
+	return Math.abs(p[pos - 2 * step] - p[pos - step]) > thresh
+		|| Math.abs(p[pos + step] - p[pos]) > thresh;
+}
+
+/**
+ * Checks the edge difference against the limit.
+ *
+ * @param {Uint8Array} p - The plane.
+ * @param {int} pos - Position of the first pixel after the edge.
+ * @param {int} step - Distance of the pixels across the edge.
+ * @param {int} t - Limit.
+ * @return {boolean}
+ */
+function needsFilter(p, pos, step, t) {
+	return 4 * Math.abs(p[pos - step] - p[pos]) + Math.abs(p[pos - 2 * step] - p[pos + step]) <= t;
+}
+
+/**
+ * Checks the edge and the interior differences against the limits.
+ *
+ * @param {Uint8Array} p - The plane.
+ * @param {int} pos - Position of the first pixel after the edge.
+ * @param {int} step - Distance of the pixels across the edge.
+ * @param {int} t - Edge limit.
+ * @param {int} it - Interior limit.
+ * @return {boolean}
+ */
+function needsFilter2(p, pos, step, t, it) {
+	if (!needsFilter(p, pos, step, t)) {
+		return false;
+	}
+
+	const p3 = p[pos - 4 * step], p2 = p[pos - 3 * step], p1 = p[pos - 2 * step], p0 = p[pos - step];
+	const q0 = p[pos], q1 = p[pos + step], q2 = p[pos + 2 * step], q3 = p[pos + 3 * step];
+
+	return Math.abs(p3 - p2) <= it && Math.abs(p2 - p1) <= it && Math.abs(p1 - p0) <= it
+		&& Math.abs(q3 - q2) <= it && Math.abs(q2 - q1) <= it && Math.abs(q1 - q0) <= it;
+}
+
+/**
+ * Filters one edge with the simple filter.
+ *
+ * @param {Uint8Array} p - The plane.
+ * @param {int} pos - Position of the first pixel after the edge.
+ * @param {int} step - Distance of the pixels across the edge.
+ * @param {int} stride - Distance of the pixels along the edge.
+ * @param {int} thresh - Edge limit.
+ */
+function simpleFilter(p, pos, step, stride, thresh) {
+	const thresh2 = 2 * thresh + 1;
+
+	for (let i = 0; i < 16; i++, pos += stride) {
+		if (needsFilter(p, pos, step, thresh2)) {
+			doFilter2(p, pos, step);
+		}
+	}
+}
+
+/**
+ * Filters one edge with the normal filter.
+ *
+ * @param {Uint8Array} p - The plane.
+ * @param {int} pos - Position of the first pixel after the edge.
+ * @param {int} step - Distance of the pixels across the edge.
+ * @param {int} stride - Distance of the pixels along the edge.
+ * @param {int} size - Length of the edge.
+ * @param {object} f - Filter info, with the limit in `thresh`.
+ * @param {boolean} inner - True for inner edges, which change fewer pixels.
+ */
+function normalFilter(p, pos, step, stride, size, f, inner) {
+	const thresh2 = 2 * f.thresh + 1;
+
+	for (let i = 0; i < size; i++, pos += stride) {
+		if (!needsFilter2(p, pos, step, thresh2, f.ilevel)) {
+			continue;
+		}
+
+		if (hev(p, pos, step, f.hevThresh)) {
+			doFilter2(p, pos, step);
+		} else if (inner) {
+			doFilter4(p, pos, step);
+		} else {
+			doFilter6(p, pos, step);
+		}
+	}
+}
+
+/**
+ * Applies the loop filter to one macroblock.
+ *
+ * @param {object} dec - The decoder state.
+ * @param {object} info - Filter info of the macroblock.
+ * @param {int} mbX - Column of the macroblock.
+ * @param {int} mbY - Row of the macroblock.
+ */
+function filterMacroblock(dec, info, mbX, mbY) {
+	const limit = info.limit;
+	const yStride = dec.yStride;
+	const uvStride = dec.uvStride;
+	const yPos = 16 * mbY * yStride + 16 * mbX;
+	const uvPos = 8 * mbY * uvStride + 8 * mbX;
+
+	if (!limit) {
+		return;
+	}
+
+	if (1 === dec.filterType) {
+		if (mbX > 0) {
+			simpleFilter(dec.y, yPos, 1, yStride, limit + 4);
+		}
+		if (info.inner) {
+			for (let i = 4; i < 16; i += 4) {
+				simpleFilter(dec.y, yPos + i, 1, yStride, limit);
+			}
+		}
+		if (mbY > 0) {
+			simpleFilter(dec.y, yPos, yStride, 1, limit + 4);
+		}
+		if (info.inner) {
+			for (let i = 4; i < 16; i += 4) {
+				simpleFilter(dec.y, yPos + i * yStride, yStride, 1, limit);
+			}
+		}
+		return;
+	}
+
+	const edge = {thresh: limit + 4, ilevel: info.ilevel, hevThresh: info.hevThresh};
+	const inner = {thresh: limit, ilevel: info.ilevel, hevThresh: info.hevThresh};
+
+	if (mbX > 0) {
+		normalFilter(dec.y, yPos, 1, yStride, 16, edge, false);
+		normalFilter(dec.u, uvPos, 1, uvStride, 8, edge, false);
+		normalFilter(dec.v, uvPos, 1, uvStride, 8, edge, false);
+	}
+	if (info.inner) {
+		for (let i = 4; i < 16; i += 4) {
+			normalFilter(dec.y, yPos + i, 1, yStride, 16, inner, true);
+		}
+		normalFilter(dec.u, uvPos + 4, 1, uvStride, 8, inner, true);
+		normalFilter(dec.v, uvPos + 4, 1, uvStride, 8, inner, true);
+	}
+	if (mbY > 0) {
+		normalFilter(dec.y, yPos, yStride, 1, 16, edge, false);
+		normalFilter(dec.u, uvPos, uvStride, 1, 8, edge, false);
+		normalFilter(dec.v, uvPos, uvStride, 1, 8, edge, false);
+	}
+	if (info.inner) {
+		for (let i = 4; i < 16; i += 4) {
+			normalFilter(dec.y, yPos + i * yStride, yStride, 1, 16, inner, true);
+		}
+		normalFilter(dec.u, uvPos + 4 * uvStride, uvStride, 1, 8, inner, true);
+		normalFilter(dec.v, uvPos + 4 * uvStride, uvStride, 1, 8, inner, true);
+	}
+}
+
+/**
+ * Converts one YUV pixel to RGBA.
+ *
+ * @param {Uint8Array} out - The RGBA image.
+ * @param {int} pos - Byte offset of the pixel.
+ * @param {int} y - Luma.
+ * @param {int} u - Blue chroma.
+ * @param {int} v - Red chroma.
+ */
+function yuvToRgba(out, pos, y, u, v) {
+	const clip = value => 0 === (value & ~16383) ? value >> 6 : value < 0 ? 0 : 255;
+	const luma = (y * 19077) >> 8;
+
+	out[pos] = clip(luma + ((v * 26149) >> 8) - 14234);
+	out[pos + 1] = clip(luma - ((u * 6419) >> 8) - ((v * 13320) >> 8) + 8708);
+	out[pos + 2] = clip(luma + ((u * 33050) >> 8) - 17685);
+	out[pos + 3] = 255;
+}
+
+/**
+ * Converts up to two rows to RGBA, and interpolates the chroma values
+ * between the two chroma rows ("fancy upsampling" of libwebp).
+ *
+ * @param {object} dec - The decoder state.
+ * @param {Uint8Array} out - The RGBA image.
+ * @param {int} topRow - The upper image row.
+ * @param {int} bottomRow - The lower image row, or -1.
+ * @param {int} topUv - The upper chroma row.
+ * @param {int} curUv - The lower chroma row.
+ */
+function upsampleRows(dec, out, topRow, bottomRow, topUv, curUv) {
+	const len = dec.width;
+	const yStride = dec.yStride;
+	const top = topRow * yStride;
+	const bottom = bottomRow * yStride;
+	const topDst = 4 * topRow * len;
+	const bottomDst = 4 * bottomRow * len;
+	const chroma = [dec.u, dec.v];
+	const t = chroma.map(plane => plane.subarray(topUv * dec.uvStride));
+	const c = chroma.map(plane => plane.subarray(curUv * dec.uvStride));
+
+	let tl = [t[0][0], t[1][0]];
+	let l = [c[0][0], c[1][0]];
+
+	const emit = (row, dst, x, uv) => yuvToRgba(out, dst + 4 * x, dec.y[row + x], uv[0], uv[1]);
+	const mix = (a, b) => [0, 1].map(i => (3 * a[i] + b[i] + 2) >> 2);
+
+	emit(top, topDst, 0, mix(tl, l));
+	if (bottomRow >= 0) {
+		emit(bottom, bottomDst, 0, mix(l, tl));
+	}
+
+	for (let x = 1; x <= (len - 1) >> 1; x++) {
+		const tu = [t[0][x], t[1][x]];
+		const uv = [c[0][x], c[1][x]];
+		const diag12 = [], diag03 = [];
+
+		for (let i = 0; i < 2; i++) {
+			const avg = tl[i] + tu[i] + l[i] + uv[i] + 8;
+
+			diag12[i] = (avg + 2 * (tu[i] + l[i])) >> 3;
+			diag03[i] = (avg + 2 * (tl[i] + uv[i])) >> 3;
+		}
+
+		emit(top, topDst, 2 * x - 1, [0, 1].map(i => (diag12[i] + tl[i]) >> 1));
+		emit(top, topDst, 2 * x, [0, 1].map(i => (diag03[i] + tu[i]) >> 1));
+
+		if (bottomRow >= 0) {
+			emit(bottom, bottomDst, 2 * x - 1, [0, 1].map(i => (diag03[i] + l[i]) >> 1));
+			emit(bottom, bottomDst, 2 * x, [0, 1].map(i => (diag12[i] + uv[i]) >> 1));
+		}
+
+		tl = tu;
+		l = uv;
+	}
+
+	if (!(len & 1)) {
+		emit(top, topDst, len - 1, mix(tl, l));
+		if (bottomRow >= 0) {
+			emit(bottom, bottomDst, len - 1, mix(l, tl));
+		}
+	}
+}
+
+/**
+ * Decodes a VP8 key frame to an opaque RGBA image.
+ *
+ * @param {Buffer} data - Contents of the VP8 chunk.
+ * @return {{width: int, height: int, data: Uint8Array}}
+ */
+function decodeVp8(data) {
+	const dec = parseHeader(data);
+	const {mbW, mbH, width, height} = dec;
+
+	dec.yStride = 16 * mbW;
+	dec.uvStride = 8 * mbW;
+	dec.y = new Uint8Array(dec.yStride * 16 * mbH);
+	dec.u = new Uint8Array(dec.uvStride * 8 * mbH);
+	dec.v = new Uint8Array(dec.uvStride * 8 * mbH);
+	dec.yuvB = new Uint8Array(BPS * 17 + BPS * 9);
+	dec.topY = new Uint8Array(16 * mbW);
+	dec.topU = new Uint8Array(8 * mbW);
+	dec.topV = new Uint8Array(8 * mbW);
+	dec.intraT = new Uint8Array(4 * mbW);
+	dec.intraL = new Uint8Array(4);
+	dec.nzT = new Uint8Array(9 * mbW);
+	dec.nzL = new Uint8Array(9);
+
+	precomputeFilterStrengths(dec);
+
+	const filters = [];
+
+	for (let mbY = 0; mbY < mbH; mbY++) {
+		const br = dec.parts[mbY & (dec.parts.length - 1)];
+		const blocks = [];
+
+		dec.intraL.fill(B_DC_PRED);
+		dec.nzL.fill(0);
+
+		for (let mbX = 0; mbX < mbW; mbX++) {
+			blocks.push(parseIntraMode(dec, mbX));
+		}
+		if (dec.br.eof) {
+			throw new Error('Invalid WebP image: Truncated VP8 partition');
+		}
+
+		for (let mbX = 0; mbX < mbW; mbX++) {
+			decodeMacroblock(dec, br, blocks[mbX], mbX);
+
+			if (br.eof) {
+				throw new Error('Invalid WebP image: Truncated VP8 data');
+			}
+		}
+
+		reconstructRow(dec, blocks, mbY);
+		filters.push(blocks.map(block => block.filter));
+	}
+
+	// The filter changes pixels of both sides of the edges, so it runs after
+	// the prediction of all macroblocks.
+	if (dec.filterType > 0) {
+		filters.forEach((row, mbY) => row.forEach((info, mbX) => filterMacroblock(dec, info, mbX, mbY)));
+	}
+
+	const out = new Uint8Array(4 * width * height);
+
+	upsampleRows(dec, out, 0, -1, 0, 0);
+
+	for (let y = 1; y + 1 < height; y += 2) {
+		upsampleRows(dec, out, y, y + 1, (y - 1) >> 1, (y + 1) >> 1);
+	}
+
+	if (height > 1 && !(height & 1)) {
+		upsampleRows(dec, out, height - 1, -1, (height >> 1) - 1, (height >> 1) - 1);
+	}
+
+	return {width, height, data: out};
+}
+
+module.exports = decodeVp8;
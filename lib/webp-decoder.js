@@ -0,0 +1,967 @@
+/**
+ * Decodes WebP images in plain JavaScript: Lossless (VP8L) and lossy (VP8)
+ * images, with or without alpha channel. Animations are not supported.
+ *
+ * The output matches `dwebp` of libwebp, which is the reference decoder.
+ *
+ * @author Philipp Stracker
+ */
+
+const decodeVp8 = require('./vp8-decoder');
+
+// Alphabet sizes: green (literals and lengths), red, blue, alpha, distance.
+const ALPHABETS = [256 + 24, 256, 256, 256, 40];
+
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+// Bits of the first level of the Huffman tables.
+const ROOT_BITS = 8;
+
+const MAX_CODE_LENGTH = 15;
+
+// Transform types of VP8L.
+const PREDICTOR_TRANSFORM = 0;
+const CROSS_COLOR_TRANSFORM = 1;
+const SUBTRACT_GREEN = 2;
+const COLOR_INDEXING_TRANSFORM = 3;
+
+// Offsets of the 120 short distance codes, as (y << 4) | (8 - x).
+const CODE_TO_PLANE = [
+	0x18, 0x07, 0x17, 0x19, 0x28, 0x06, 0x27, 0x29, 0x16, 0x1a,
+	0x26, 0x2a, 0x38, 0x05, 0x37, 0x39, 0x15, 0x1b, 0x36, 0x3a,
+	0x25, 0x2b, 0x48, 0x04, 0x47, 0x49, 0x14, 0x1c, 0x35, 0x3b,
+	0x46, 0x4a, 0x24, 0x2c, 0x58, 0x45, 0x4b, 0x34, 0x3c, 0x03,
+	0x57, 0x59, 0x13, 0x1d, 0x56, 0x5a, 0x23, 0x2d, 0x44, 0x4c,
+	0x55, 0x5b, 0x33, 0x3d, 0x68, 0x02, 0x67, 0x69, 0x12, 0x1e,
+	0x66, 0x6a, 0x22, 0x2e, 0x54, 0x5c, 0x43, 0x4d, 0x65, 0x6b,
+	0x32, 0x3e, 0x78, 0x01, 0x77, 0x79, 0x53, 0x5d, 0x11, 0x1f,
+	0x64, 0x6c, 0x42, 0x4e, 0x76, 0x7a, 0x21, 0x2f, 0x75, 0x7b,
+	0x31, 0x3f, 0x63, 0x6d, 0x52, 0x5e, 0x00, 0x74, 0x7c, 0x41,
+	0x4f, 0x10, 0x20, 0x62, 0x6e, 0x30, 0x73, 0x7d, 0x51, 0x5f,
+	0x40, 0x72, 0x7e, 0x61, 0x6f, 0x50, 0x71, 0x7f, 0x60, 0x70
+];
+
+/**
+ * Reads bits in the order of VP8L, starting with the least significant bit.
+ */
+class BitReader {
+	constructor(data) {
+		this.data = data;
+		this.pos = 0;
+		this.bits = 0;
+		this.count = 0;
+		this.eos = false;
+	}
+
+	/**
+	 * Returns the next bits without consuming them. Bits after the end are 0.
+	 *
+	 * @param {int} count - Number of bits, up to 24.
+	 * @return {int}
+	 */
+	peek(count) {
+		while (this.count < count) {
+			if (this.pos < this.data.length) {
+				this.bits |= this.data[this.pos] << this.count;
+			}
+
+			this.pos++;
+			this.count += 8;
+		}
+
+		return this.bits & ((1 << count) - 1);
+	}
+
+	/**
+	 * Consumes bits. The end of stream flag is set when more bits were read
+	 * than available.
+	 *
+	 * @param {int} count - Number of bits.
+	 */
+	skip(count) {
+		this.peek(count);
+		this.bits >>>= count;
+		this.count -= count;
+
+		if (8 * this.pos - this.count > 8 * this.data.length) {
+			this.eos = true;
+		}
+	}
+
+	/**
+	 * Reads the given number of bits.
+	 *
+	 * @param {int} count - Number of bits, up to 24.
+	 * @return {int}
+	 */
+	read(count) {
+		const value = this.peek(count);
+		this.skip(count);
+
+		return value;
+	}
+}
+
+/**
+ * Returns the size of a sub-sampled dimension.
+ *
+ * @param {int} size - Full size.
+ * @param {int} bits - Sub-sampling bits.
+ * @return {int}
+ */
+function subSampleSize(size, bits) {
+	return (size + (1 << bits) - 1) >> bits;
+}
+
+/**
+ * Returns the next reversed prefix code of the given length, for the
+ * canonical Huffman table.
+ *
+ * @param {int} key - Current reversed code.
+ * @param {int} len - Code length.
+ * @return {int}
+ */
+function getNextKey(key, len) {
+	let step = 1 << (len - 1);
+
+	while (key & step) {
+		step >>= 1;
+	}
+
+	return step ? (key & (step - 1)) + step : key;
+}
+
+/**
+ * Returns the bit size of a second level table, which must hold all codes
+ * longer than the root bits with the same prefix.
+ *
+ * @param {int[]} count - Remaining number of codes of every length.
+ * @param {int} len - Current code length.
+ * @return {int}
+ */
+function nextTableBitSize(count, len) {
+	let left = 1 << (len - ROOT_BITS);
+
+	while (len < MAX_CODE_LENGTH) {
+		left -= count[len];
+		if (left <= 0) {
+			break;
+		}
+
+		len++;
+		left <<= 1;
+	}
+
+	return len - ROOT_BITS;
+}
+
+/**
+ * Builds the two-level lookup table of a Huffman code, like libwebp. An
+ * entry holds the code length and the symbol; root entries of long codes
+ * hold the total bits and the offset of their second level table instead.
+ *
+ * @param {int[]} lengths - Code length of every symbol.
+ * @param {int} rootBits - Bits of the first level.
+ * @return {{bits: int[], values: int[]}|null} The table, or null for an
+ *     invalid code.
+ */
+function buildHuffmanTable(lengths, rootBits) {
+	const count = new Array(MAX_CODE_LENGTH + 1).fill(0);
+	const offset = new Array(MAX_CODE_LENGTH + 1).fill(0);
+	const sorted = [];
+	const table = {bits: [], values: []};
+	const rootSize = 1 << rootBits;
+
+	const replicate = (start, step, end, bits, value) => {
+		do {
+			end -= step;
+			table.bits[start + end] = bits;
+			table.values[start + end] = value;
+		} while (end > 0);
+	};
+
+	lengths.forEach(len => count[len]++);
+
+	if (count[0] === lengths.length) {
+		return null;
+	}
+
+	for (let len = 1; len < MAX_CODE_LENGTH; len++) {
+		if (count[len] > (1 << len)) {
+			return null;
+		}
+		offset[len + 1] = offset[len] + count[len];
+	}
+
+	lengths.forEach((len, symbol) => {
+		if (len > 0) {
+			sorted[offset[len]++] = symbol;
+		}
+	});
+
+	// A single symbol uses no bits at all.
+	if (1 === offset[MAX_CODE_LENGTH]) {
+		replicate(0, 1, rootSize, 0, sorted[0]);
+		return table;
+	}
+
+	let tableStart = 0;
+	let tableSize = rootSize;
+	let low = -1;
+	let key = 0;
+	let numNodes = 1;
+	let numOpen = 1;
+	let symbol = 0;
+
+	for (let len = 1, step = 2; len <= rootBits; len++, step <<= 1) {
+		numOpen <<= 1;
+		numNodes += numOpen;
+		numOpen -= count[len];
+
+		if (numOpen < 0) {
+			return null;
+		}
+
+		for (; count[len] > 0; count[len]--) {
+			replicate(key, step, tableSize, len, sorted[symbol++]);
+			key = getNextKey(key, len);
+		}
+	}
+
+	for (let len = rootBits + 1, step = 2; len <= MAX_CODE_LENGTH; len++, step <<= 1) {
+		numOpen <<= 1;
+		numNodes += numOpen;
+		numOpen -= count[len];
+
+		if (numOpen < 0) {
+			return null;
+		}
+
+		for (; count[len] > 0; count[len]--) {
+			if ((key & (rootSize - 1)) !== low) {
+				const tableBits = nextTableBitSize(count, len);
+
+				tableStart += tableSize;
+				tableSize = 1 << tableBits;
+				low = key & (rootSize - 1);
+
+				table.bits[low] = tableBits + rootBits;
+				table.values[low] = tableStart - low;
+			}
+
+			replicate(tableStart + (key >> rootBits), step, tableSize, len - rootBits, sorted[symbol++]);
+			key = getNextKey(key, len);
+		}
+	}
+
+	// The code must be complete.
+	if (numNodes !== 2 * offset[MAX_CODE_LENGTH] - 1) {
+		return null;
+	}
+
+	return table;
+}
+
+/**
+ * Reads one symbol with the given Huffman table.
+ *
+ * @param {BitReader} br - The input.
+ * @param {{bits: int[], values: int[]}} table - The Huffman table.
+ * @return {int}
+ */
+function readSymbol(br, table) {
+	let index = br.peek(ROOT_BITS);
+	const extra = table.bits[index] - ROOT_BITS;
+
+	if (extra > 0) {
+		br.skip(ROOT_BITS);
+		index += table.values[index] + br.peek(extra);
+	}
+
+	br.skip(table.bits[index]);
+
+	return table.values[index];
+}
+
+/**
+ * Reads the code lengths of a normal Huffman code, which are compressed with
+ * another Huffman code.
+ *
+ * @param {BitReader} br - The input.
+ * @param {int[]} codeLengthLengths - Code lengths of the code length code.
+ * @param {int} numSymbols - Alphabet size.
+ * @return {int[]}
+ */
+function readCodeLengths(br, codeLengthLengths, numSymbols) {
+	const table = buildHuffmanTable(codeLengthLengths, 7);
+	const lengths = new Array(numSymbols).fill(0);
+	let maxSymbol = numSymbols;
+	let prevLength = 8;
+
+	if (!table) {
+		throw new Error('Invalid WebP image: Invalid Huffman code');
+	}
+
+	if (br.read(1)) {
+		maxSymbol = 2 + br.read(2 + 2 * br.read(3));
+
+		if (maxSymbol > numSymbols) {
+			throw new Error('Invalid WebP image: Invalid Huffman code');
+		}
+	}
+
+	for (let symbol = 0; symbol < numSymbols && maxSymbol-- > 0;) {
+		const index = br.peek(7);
+		const length = table.values[index];
+
+		br.skip(table.bits[index]);
+
+		if (length < 16) {
+			lengths[symbol++] = length;
+			if (length) {
+				prevLength = length;
+			}
+			continue;
+		}
+
+		const slot = length - 16;
+		const repeat = br.read([2, 3, 7][slot]) + [3, 3, 11][slot];
+
+		if (symbol + repeat > numSymbols) {
+			throw new Error('Invalid WebP image: Invalid Huffman code');
+		}
+
+		lengths.fill(16 === length ? prevLength : 0, symbol, symbol + repeat);
+		symbol += repeat;
+	}
+
+	return lengths;
+}
+
+/**
+ * Reads one Huffman code and returns its lookup table.
+ *
+ * @param {BitReader} br - The input.
+ * @param {int} alphabetSize - Number of symbols.
+ * @return {{bits: int[], values: int[]}}
+ */
+function readHuffmanCode(br, alphabetSize) {
+	let lengths = new Array(alphabetSize).fill(0);
+
+	if (br.read(1)) {
+		// Simple code: One or two symbols.
+		const numSymbols = br.read(1) + 1;
+		const symbols = [br.read(br.read(1) ? 8 : 1)];
+
+		if (2 === numSymbols) {
+			symbols.push(br.read(8));
+		}
+
+		symbols.forEach(symbol => {
+			if (symbol < alphabetSize) {
+				lengths[symbol] = 1;
+			}
+		});
+	} else {
+		const codeLengthLengths = new Array(19).fill(0);
+		const numCodes = br.read(4) + 4;
+
+		for (let i = 0; i < numCodes; i++) {
+			codeLengthLengths[CODE_LENGTH_ORDER[i]] = br.read(3);
+		}
+
+		lengths = readCodeLengths(br, codeLengthLengths, alphabetSize);
+	}
+
+	const table = !br.eos && buildHuffmanTable(lengths, ROOT_BITS);
+
+	if (!table) {
+		throw new Error('Invalid WebP image: Invalid Huffman code');
+	}
+
+	return table;
+}
+
+/**
+ * Reads the transform data and returns the transform.
+ *
+ * @param {BitReader} br - The input.
+ * @param {int} type - Transform type.
+ * @param {int} width - Image width before the transform.
+ * @param {int} height - Image height.
+ * @return {{type: int, width: int, height: int, bits: int, data: Uint32Array}}
+ */
+function readTransform(br, type, width, height) {
+	const transform = {type, width, height, bits: 0, data: null};
+
+	if (PREDICTOR_TRANSFORM === type || CROSS_COLOR_TRANSFORM === type) {
+		transform.bits = br.read(3) + 2;
+		transform.data = decodeImageStream(
+			br,
+			subSampleSize(width, transform.bits),
+			subSampleSize(height, transform.bits),
+			false
+		);
+	} else if (COLOR_INDEXING_TRANSFORM === type) {
+		const numColors = br.read(8) + 1;
+		const bits = numColors > 16 ? 0 : numColors > 4 ? 1 : numColors > 2 ? 2 : 3;
+		const colors = decodeImageStream(br, numColors, 1, false);
+		const palette = new Uint8Array(4 << (8 >> bits));
+
+		// The palette is delta coded; unused entries stay transparent black.
+		palette.set(new Uint8Array(colors.buffer, 0, 4 * numColors));
+		for (let i = 4; i < 4 * numColors; i++) {
+			palette[i] = (palette[i] + palette[i - 4]) & 0xFF;
+		}
+
+		transform.bits = bits;
+		transform.data = new Uint32Array(palette.buffer);
+	}
+
+	return transform;
+}
+
+/**
+ * Returns the prefix coded length or distance value.
+ *
+ * @param {BitReader} br - The input.
+ * @param {int} symbol - The prefix symbol.
+ * @return {int}
+ */
+function getCopyValue(br, symbol) {
+	if (symbol < 4) {
+		return symbol + 1;
+	}
+
+	const extraBits = (symbol - 2) >> 1;
+	const offset = (2 + (symbol & 1)) << extraBits;
+
+	return offset + br.read(extraBits) + 1;
+}
+
+/**
+ * Converts a distance code to the pixel distance.
+ *
+ * @param {int} width - Image width.
+ * @param {int} code - The distance code.
+ * @return {int}
+ */
+function planeCodeToDistance(width, code) {
+	if (code > 120) {
+		return code - 120;
+	}
+
+	const dist = CODE_TO_PLANE[code - 1];
+	const yOffset = dist >> 4;
+	const xOffset = 8 - (dist & 0xF);
+
+	return Math.max(1, yOffset * width + xOffset);
+}
+
+/**
+ * Decodes an image stream: The main image, or an image of transform or
+ * entropy data. Only the main image has transforms and meta prefix codes.
+ *
+ * @param {BitReader} br - The input.
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @param {boolean} isMain - Whether this is the main image.
+ * @return {Uint32Array} ARGB pixels; for the main image with applied
+ *     transforms.
+ */
+function decodeImageStream(br, width, height, isMain) {
+	const transforms = [];
+	let codedWidth = width;
+
+	while (isMain && br.read(1)) {
+		const type = br.read(2);
+
+		if (transforms.some(item => item.type === type)) {
+			throw new Error('Invalid WebP image: Duplicate VP8L transform');
+		}
+
+		const transform = readTransform(br, type, codedWidth, height);
+
+		if (COLOR_INDEXING_TRANSFORM === type) {
+			codedWidth = subSampleSize(codedWidth, transform.bits);
+		}
+
+		transforms.push(transform);
+	}
+
+	let cacheBits = 0;
+
+	if (br.read(1)) {
+		cacheBits = br.read(4);
+
+		if (cacheBits < 1 || cacheBits > 11) {
+			throw new Error('Invalid WebP image: Invalid color cache size');
+		}
+	}
+
+	let entropyBits = 0;
+	let entropyImage = null;
+	let numGroups = 1;
+
+	if (isMain && br.read(1)) {
+		entropyBits = br.read(3) + 2;
+		entropyImage = decodeImageStream(
+			br,
+			subSampleSize(codedWidth, entropyBits),
+			subSampleSize(height, entropyBits),
+			false
+		);
+
+		for (let i = 0; i < entropyImage.length; i++) {
+			entropyImage[i] = (entropyImage[i] >> 8) & 0xFFFF;
+			numGroups = Math.max(numGroups, entropyImage[i] + 1);
+		}
+	}
+
+	const cacheSize = cacheBits ? 1 << cacheBits : 0;
+	const groups = [];
+
+	for (let i = 0; i < numGroups; i++) {
+		groups.push(ALPHABETS.map((size, j) => readHuffmanCode(br, size + (0 === j ? cacheSize : 0))));
+	}
+
+	let pixels = decodePixels(br, codedWidth, height, groups, entropyImage, entropyBits, cacheBits);
+
+	if (br.eos) {
+		throw new Error('Invalid WebP image: Truncated VP8L data');
+	}
+
+	for (let i = transforms.length - 1; i >= 0; i--) {
+		pixels = applyInverseTransform(transforms[i], pixels);
+	}
+
+	return pixels;
+}
+
+/**
+ * Decodes the entropy coded pixels.
+ *
+ * @param {BitReader} br - The input.
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @param {Object[][]} groups - Huffman tables of every group.
+ * @param {Uint32Array|null} entropyImage - Group index of every tile.
+ * @param {int} entropyBits - Tile size bits of the entropy image.
+ * @param {int} cacheBits - Bits of the color cache, or 0.
+ * @return {Uint32Array}
+ */
+function decodePixels(br, width, height, groups, entropyImage, entropyBits, cacheBits) {
+	const total = width * height;
+	const data = new Uint32Array(total);
+	const cache = cacheBits ? new Uint32Array(1 << cacheBits) : null;
+	const tilesPerRow = subSampleSize(width, entropyBits);
+	let cached = 0;
+
+	const getGroup = pos => {
+		if (!entropyImage) {
+			return groups[0];
+		}
+
+		const x = pos % width;
+		const y = (pos - x) / width;
+
+		return groups[entropyImage[(y >> entropyBits) * tilesPerRow + (x >> entropyBits)]];
+	};
+
+	// Adds all pixels up to the current one to the color cache.
+	const updateCache = pos => {
+		for (; cached < pos; cached++) {
+			cache[Math.imul(0x1E35A7BD, data[cached]) >>> (32 - cacheBits)] = data[cached];
+		}
+	};
+
+	for (let pos = 0; pos < total && !br.eos;) {
+		const group = getGroup(pos);
+		const code = readSymbol(br, group[0]);
+
+		if (code < 256) {
+			const red = readSymbol(br, group[1]);
+			const blue = readSymbol(br, group[2]);
+			const alpha = readSymbol(br, group[3]);
+
+			data[pos++] = ((alpha << 24) | (red << 16) | (code << 8) | blue) >>> 0;
+		} else if (code < 256 + 24) {
+			const length = getCopyValue(br, code - 256);
+			const dist = planeCodeToDistance(width, getCopyValue(br, readSymbol(br, group[4])));
+
+			if (br.eos) {
+				break;
+			}
+			if (dist > pos || length > total - pos) {
+				throw new Error('Invalid WebP image: Invalid VP8L backward reference');
+			}
+
+			for (let i = 0; i < length; i++, pos++) {
+				data[pos] = data[pos - dist];
+			}
+		} else {
+			updateCache(pos);
+			data[pos++] = cache[code - 256 - 24];
+		}
+
+		if (cache) {
+			updateCache(pos);
+		}
+	}
+
+	return data;
+}
+
+/**
+ * Averages two ARGB pixels per channel.
+ *
+ * @param {int} a - First pixel.
+ * @param {int} b - Second pixel.
+ * @return {int}
+ */
+function average2(a, b) {
+	return (((a ^ b) & 0xFEFEFEFE) >>> 1) + (a & b);
+}
+
+/**
+ * Clips the value to a byte.
+ *
+ * @param {int} value - The value.
+ * @return {int}
+ */
+function clip255(value) {
+	return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+/**
+ * Returns the prediction of the given predictor mode.
+ *
+ * @param {int} mode - Predictor mode, from 0 to 15.
+ * @param {int} left - Left pixel.
+ * @param {int} top - Upper pixel.
+ * @param {int} topLeft - Upper left pixel.
+ * @param {int} topRight - Upper right pixel.
+ * @return {int}
+ */
+function predict(mode, left, top, topLeft, topRight) {
+	switch (mode) {
+		case 1: return left;
+		case 2: return top;
+		case 3: return topRight;
+		case 4: return topLeft;
+		case 5: return average2(average2(left, topRight), top);
+		case 6: return average2(left, topLeft);
+		case 7: return average2(left, top);
+		case 8: return average2(topLeft, top);
+		case 9: return average2(top, topRight);
+		case 10: return average2(average2(left, topLeft), average2(top, topRight));
+
+		case 11: {
+			let diff = 0;
+
+			for (let shift = 0; shift < 32; shift += 8) {
+				const l = (left >>> shift) & 0xFF;
+				const t = (top >>> shift) & 0xFF;
+				const tl = (topLeft >>> shift) & 0xFF;
+
+				diff += Math.abs(l - tl) - Math.abs(t - tl);
+			}
+
+			return diff <= 0 ? top : left;
+		}
+
+		case 12:
+		case 13: {
+			let result = 0;
+
+			for (let shift = 0; shift < 32; shift += 8) {
+				const l = (left >>> shift) & 0xFF;
+				const t = (top >>> shift) & 0xFF;
+				const tl = (topLeft >>> shift) & 0xFF;
+				let value;
+
+				if (12 === mode) {
+					value = clip255(l + t - tl);
+				} else {
+					const avg = (l + t) >> 1;
+					value = clip255(avg + ((avg - tl) / 2 | 0));
+				}
+
+				result |= value << shift;
+			}
+
+			return result >>> 0;
+		}
+
+		// Mode 0, and the unused modes 14 and 15.
+		default: return 0xFF000000;
+	}
+}
+
+/**
+ * Adds two ARGB pixels per channel.
+ *
+ * @param {int} a - First pixel.
+ * @param {int} b - Second pixel.
+ * @return {int}
+ */
+function addPixels(a, b) {
+	const alphaGreen = (a & 0xFF00FF00) + (b & 0xFF00FF00);
+	const redBlue = (a & 0x00FF00FF) + (b & 0x00FF00FF);
+
+	return ((alphaGreen & 0xFF00FF00) | (redBlue & 0x00FF00FF)) >>> 0;
+}
+
+/**
+ * Returns the color transform delta of a signed channel value.
+ *
+ * @param {int} multiplier - Signed 8 bit multiplier.
+ * @param {int} value - Signed 8 bit value.
+ * @return {int}
+ */
+function colorTransformDelta(multiplier, value) {
+	return (multiplier << 24 >> 24) * (value << 24 >> 24) >> 5;
+}
+
+/**
+ * Applies the inverse of a transform to the pixels. Only the color indexing
+ * transform returns a new array, as it unpacks the pixels to the full width.
+ *
+ * @param {{type: int, width: int, height: int, bits: int, data: Uint32Array}} transform - The transform.
+ * @param {Uint32Array} pixels - The pixels.
+ * @return {Uint32Array}
+ */
+function applyInverseTransform(transform, pixels) {
+	const {width, height, bits, data} = transform;
+	const tilesPerRow = subSampleSize(width, bits);
+
+	switch (transform.type) {
+		case PREDICTOR_TRANSFORM:
+			for (let y = 0; y < height; y++) {
+				for (let x = 0; x < width; x++) {
+					const pos = y * width + x;
+					let pred;
+
+					if (0 === y) {
+						pred = 0 === x ? 0xFF000000 : pixels[pos - 1];
+					} else if (0 === x) {
+						pred = pixels[pos - width];
+					} else {
+						const mode = (data[(y >> bits) * tilesPerRow + (x >> bits)] >> 8) & 0xF;
+
+						pred = predict(
+							mode,
+							pixels[pos - 1],
+							pixels[pos - width],
+							pixels[pos - width - 1],
+							pixels[pos - width + 1]
+						);
+					}
+
+					pixels[pos] = addPixels(pixels[pos], pred);
+				}
+			}
+			return pixels;
+
+		case CROSS_COLOR_TRANSFORM:
+			for (let y = 0; y < height; y++) {
+				for (let x = 0; x < width; x++) {
+					const pos = y * width + x;
+					const code = data[(y >> bits) * tilesPerRow + (x >> bits)];
+					const argb = pixels[pos];
+					const green = (argb >> 8) & 0xFF;
+					let red = (argb >> 16) & 0xFF;
+					let blue = argb & 0xFF;
+
+					red = (red + colorTransformDelta(code & 0xFF, green)) & 0xFF;
+					blue += colorTransformDelta((code >> 8) & 0xFF, green);
+					blue = (blue + colorTransformDelta((code >> 16) & 0xFF, red)) & 0xFF;
+
+					pixels[pos] = ((argb & 0xFF00FF00) | (red << 16) | blue) >>> 0;
+				}
+			}
+			return pixels;
+
+		case SUBTRACT_GREEN:
+			for (let i = 0; i < pixels.length; i++) {
+				const argb = pixels[i];
+				const green = (argb >> 8) & 0xFF;
+				const redBlue = ((argb & 0x00FF00FF) + ((green << 16) | green)) & 0x00FF00FF;
+
+				pixels[i] = ((argb & 0xFF00FF00) | redBlue) >>> 0;
+			}
+			return pixels;
+
+		default: {
+			// Color indexing: Up to 8 palette indexes are packed in one pixel.
+			const out = new Uint32Array(width * height);
+			const bitsPerPixel = 8 >> bits;
+			const mask = (1 << bitsPerPixel) - 1;
+			const xMask = (1 << bits) - 1;
+
+			for (let y = 0; y < height; y++) {
+				for (let x = 0; x < width; x++) {
+					const packed = (pixels[y * tilesPerRow + (x >> bits)] >> 8) & 0xFF;
+					out[y * width + x] = data[(packed >> ((x & xMask) * bitsPerPixel)) & mask];
+				}
+			}
+
+			return out;
+		}
+	}
+}
+
+/**
+ * Decodes a VP8L bitstream.
+ *
+ * @param {Buffer} data - Contents of the VP8L chunk.
+ * @return {{width: int, height: int, data: Uint8Array}} RGBA image.
+ */
+function decodeVp8l(data) {
+	if (data.length < 5 || 0x2F !== data[0] || data.readUInt32LE(1) >>> 29) {
+		throw new Error('Invalid WebP image: Invalid VP8L header');
+	}
+
+	const br = new BitReader(data);
+
+	br.read(8);
+	const width = br.read(14) + 1;
+	const height = br.read(14) + 1;
+	br.read(4);
+
+	const pixels = decodeImageStream(br, width, height, true);
+	const rgba = new Uint8Array(4 * width * height);
+
+	for (let i = 0, k = 0; i < pixels.length; i++, k += 4) {
+		const argb = pixels[i];
+
+		rgba[k] = (argb >> 16) & 0xFF;
+		rgba[k + 1] = (argb >> 8) & 0xFF;
+		rgba[k + 2] = argb & 0xFF;
+		rgba[k + 3] = argb >>> 24;
+	}
+
+	return {width, height, data: rgba};
+}
+
+/**
+ * Decodes the ALPH chunk of a lossy image: Raw or lossless compressed alpha
+ * values, which are optionally filtered.
+ *
+ * @param {Buffer} data - Contents of the ALPH chunk.
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @return {Uint8Array} Alpha value of every pixel.
+ */
+function decodeAlpha(data, width, height) {
+	const method = data[0] & 3;
+	const filter = (data[0] >> 2) & 3;
+	let alpha;
+
+	if (method > 1 || (data[0] >> 4) > 1) {
+		throw new Error('Invalid WebP image: Unsupported alpha compression');
+	}
+
+	if (0 === method) {
+		if (data.length - 1 < width * height) {
+			throw new Error('Invalid WebP image: Truncated alpha data');
+		}
+
+		alpha = Uint8Array.from(data.subarray(1, 1 + width * height));
+	} else {
+		// A VP8L stream without header; the green channel holds the alpha.
+		const pixels = decodeImageStream(new BitReader(data.subarray(1)), width, height, true);
+
+		alpha = new Uint8Array(width * height);
+		for (let i = 0; i < alpha.length; i++) {
+			alpha[i] = (pixels[i] >> 8) & 0xFF;
+		}
+	}
+
+	// Filters predict from the left (1), upper (2) or both (3) pixels. The
+	// first row always uses the left pixel.
+	for (let y = 0; filter && y < height; y++) {
+		const row = y * width;
+
+		for (let x = 0; x < width; x++) {
+			let pred;
+
+			if (0 === y) {
+				pred = x ? alpha[row + x - 1] : 0;
+			} else if (1 === filter) {
+				pred = alpha[row + (x ? x - 1 : -width)];
+			} else if (2 === filter || 0 === x) {
+				pred = alpha[row + x - width];
+			} else {
+				pred = clip255(alpha[row + x - 1] + alpha[row + x - width] - alpha[row + x - width - 1]);
+			}
+
+			alpha[row + x] = (alpha[row + x] + pred) & 0xFF;
+		}
+	}
+
+	return alpha;
+}
+
+/**
+ * Decodes a still WebP image to RGBA.
+ *
+ * @param {Buffer} data - WebP file contents.
+ * @return {{width: int, height: int, data: Uint8Array}} RGBA image.
+ */
+function decodeWebp(data) {
+	if (data.length < 12 || 'RIFF' !== data.toString('ascii', 0, 4) || 'WEBP' !== data.toString('ascii', 8, 12)) {
+		throw new Error('Invalid WebP image: Missing RIFF header');
+	}
+
+	const chunks = {};
+
+	for (let pos = 12; pos + 8 <= data.length;) {
+		const type = data.toString('ascii', pos, pos + 4);
+		const length = data.readUInt32LE(pos + 4);
+
+		if (pos + 8 + length > data.length) {
+			throw new Error('Invalid WebP image: Truncated chunk');
+		}
+		if (!chunks[type]) {
+			chunks[type] = data.slice(pos + 8, pos + 8 + length);
+		}
+
+		pos += 8 + length + length % 2;
+	}
+
+	if ((chunks.VP8X && chunks.VP8X[0] & 0x02) || chunks.ANMF) {
+		throw new Error('Animated WebP images are not supported');
+	}
+
+	let image;
+
+	if (chunks.VP8L) {
+		image = decodeVp8l(chunks.VP8L);
+	} else if (chunks['VP8 ']) {
+		image = decodeVp8(chunks['VP8 ']);
+
+		if (chunks.ALPH) {
+			const alpha = decodeAlpha(chunks.ALPH, image.width, image.height);
+
+			for (let i = 0; i < alpha.length; i++) {
+				image.data[4 * i + 3] = alpha[i];
+			}
+		}
+	} else {
+		throw new Error('Invalid WebP image: Missing image data');
+	}
+
+	if (chunks.VP8X) {
+		const width = chunks.VP8X.readUIntLE(4, 3) + 1;
+		const height = chunks.VP8X.readUIntLE(7, 3) + 1;
+
+		if (width !== image.width || height !== image.height) {
+			throw new Error('Invalid WebP image: Image size does not match the canvas');
+		}
+	}
+
+	return image;
+}
+
+module.exports = decodeWebp;
@@ -0,0 +1,370 @@
+/**
+ * Encodes RGBA images as lossless WebP (VP8L) in plain JavaScript.
+ *
+ * The encoder uses no transforms and no color cache. It only copies runs of
+ * the left or the upper pixel, which is enough to compress the large, flat
+ * areas of screenshots.
+ *
+ * @author Philipp Stracker
+ */
+
+const MAX_SIZE = 16384;
+const MAX_LENGTH = 4096;
+const MIN_LENGTH = 3;
+
+// Distance codes of the upper and the left pixel, see the VP8L spec.
+const DIST_UP = 1;
+const DIST_LEFT = 2;
+
+// Alphabet sizes: green (literals and lengths), red, blue, alpha, distance.
+const ALPHABETS = [256 + 24, 256, 256, 256, 40];
+
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+/**
+ * Writes bits in the order of VP8L, starting with the least significant bit.
+ */
+class BitWriter {
+	constructor(size) {
+		this.data = Buffer.alloc(Math.max(64, size));
+		this.pos = 0;
+		this.bits = 0;
+		this.count = 0;
+	}
+
+	/**
+	 * Writes the lowest `count` bits of the value.
+	 *
+	 * @param {int} value - The bits to write.
+	 * @param {int} count - Number of bits, up to 24.
+	 */
+	write(value, count) {
+		this.bits |= value << this.count;
+		this.count += count;
+
+		while (this.count >= 8) {
+			if (this.pos >= this.data.length) {
+				const data = Buffer.alloc(this.data.length * 2);
+				this.data.copy(data);
+				this.data = data;
+			}
+
+			this.data[this.pos++] = this.bits & 0xFF;
+			this.bits >>>= 8;
+			this.count -= 8;
+		}
+	}
+
+	/**
+	 * Returns the written bytes, including the last incomplete byte.
+	 *
+	 * @return {Buffer}
+	 */
+	finish() {
+		if (this.count) {
+			this.write(0, 8 - this.count);
+		}
+
+		return this.data.slice(0, this.pos);
+	}
+}
+
+/**
+ * Splits a length or distance value into its prefix symbol and extra bits.
+ *
+ * @param {int} value - The value, starting at 1.
+ * @return {{prefix: int, bits: int, extra: int}}
+ */
+function toPrefix(value) {
+	if (value <= 4) {
+		return {prefix: value - 1, bits: 0, extra: 0};
+	}
+
+	const d = value - 1;
+	const high = 31 - Math.clz32(d);
+	const second = (d >> (high - 1)) & 1;
+	const bits = high - 1;
+
+	return {prefix: 2 * high + second, bits, extra: d & ((1 << bits) - 1)};
+}
+
+/**
+ * Calculates the code lengths of a Huffman code for the given symbol counts.
+ * Counts are halved until no code is longer than the limit.
+ *
+ * @param {int[]} counts - Number of occurrences of every symbol.
+ * @param {int} limit - Maximum code length.
+ * @return {int[]} Code length of every symbol, 0 for unused symbols.
+ */
+function buildLengths(counts, limit) {
+	counts = counts.slice();
+
+	// A code needs two symbols; the second one is never used.
+	let used = counts.filter(Boolean).length;
+	for (let i = 0; used < 2; i++) {
+		if (!counts[i]) {
+			counts[i] = 1;
+			used++;
+		}
+	}
+
+	while (true) {
+		const lengths = new Array(counts.length).fill(0);
+		let nodes = [];
+
+		counts.forEach((count, symbol) => {
+			if (count) {
+				nodes.push({count, symbols: [symbol]});
+			}
+		});
+
+		while (nodes.length > 1) {
+			nodes.sort((a, b) => a.count - b.count);
+			const [a, b] = nodes.splice(0, 2);
+			const symbols = a.symbols.concat(b.symbols);
+
+			symbols.forEach(symbol => lengths[symbol]++);
+			nodes.push({count: a.count + b.count, symbols});
+		}
+
+		if (Math.max(...lengths) <= limit) {
+			return lengths;
+		}
+
+		counts = counts.map(count => count ? Math.max(1, count >> 1) : 0);
+	}
+}
+
+/**
+ * Returns the canonical codes for the given code lengths. The bits of every
+ * code are reversed, because the bit writer starts with the lowest bit.
+ *
+ * @param {int[]} lengths - Code length of every symbol.
+ * @return {int[]}
+ */
+function buildCodes(lengths) {
+	const codes = new Array(lengths.length).fill(0);
+	const max = Math.max(...lengths);
+	let code = 0;
+
+	for (let len = 1; len <= max; len++) {
+		for (let symbol = 0; symbol < lengths.length; symbol++) {
+			if (lengths[symbol] !== len) {
+				continue;
+			}
+
+			let reversed = 0;
+			for (let i = 0; i < len; i++) {
+				reversed |= ((code >> i) & 1) << (len - 1 - i);
+			}
+
+			codes[symbol] = reversed;
+			code++;
+		}
+		code <<= 1;
+	}
+
+	return codes;
+}
+
+/**
+ * Writes a prefix code for the given symbol counts and returns the code.
+ *
+ * @param {BitWriter} writer - The output.
+ * @param {int[]} counts - Number of occurrences of every symbol.
+ * @return {{lengths: int[], codes: int[]}}
+ */
+function writePrefixCode(writer, counts) {
+	const symbols = [];
+	counts.forEach((count, symbol) => count && symbols.push(symbol));
+
+	// Simple code: Up to two symbols below 256.
+	if (symbols.length <= 2 && symbols.every(symbol => symbol < 256)) {
+		const lengths = new Array(counts.length).fill(0);
+
+		if (!symbols.length) {
+			symbols.push(0);
+		}
+
+		writer.write(1, 1);
+		writer.write(symbols.length - 1, 1);
+		writer.write(1, 1);
+		writer.write(symbols[0], 8);
+
+		if (2 === symbols.length) {
+			writer.write(symbols[1], 8);
+			lengths[symbols[0]] = 1;
+			lengths[symbols[1]] = 1;
+		}
+
+		return {lengths, codes: buildCodes(lengths)};
+	}
+
+	const lengths = buildLengths(counts, 15);
+
+	// Code lengths, with runs of zeros as symbol 17 and 18.
+	const tokens = [];
+	for (let i = 0; i < lengths.length;) {
+		let run = 0;
+		while (i + run < lengths.length && !lengths[i + run] && run < 138) {
+			run++;
+		}
+
+		if (run >= 11) {
+			tokens.push({symbol: 18, bits: 7, extra: run - 11});
+			i += run;
+		} else if (run >= 3) {
+			tokens.push({symbol: 17, bits: 3, extra: run - 3});
+			i += run;
+		} else {
+			tokens.push({symbol: lengths[i], bits: 0, extra: 0});
+			i++;
+		}
+	}
+
+	const tokenCounts = new Array(19).fill(0);
+	tokens.forEach(token => tokenCounts[token.symbol]++);
+
+	const tokenLengths = buildLengths(tokenCounts, 7);
+	const tokenCodes = buildCodes(tokenLengths);
+
+	let count = 19;
+	while (count > 4 && !tokenLengths[CODE_LENGTH_ORDER[count - 1]]) {
+		count--;
+	}
+
+	writer.write(0, 1);
+	writer.write(count - 4, 4);
+
+	for (let i = 0; i < count; i++) {
+		writer.write(tokenLengths[CODE_LENGTH_ORDER[i]], 3);
+	}
+
+	// All symbols of the alphabet are coded.
+	writer.write(0, 1);
+
+	tokens.forEach(token => {
+		writer.write(tokenCodes[token.symbol], tokenLengths[token.symbol]);
+		writer.write(token.extra, token.bits);
+	});
+
+	return {lengths, codes: buildCodes(lengths)};
+}
+
+/**
+ * Returns the length of the run of pixels that equal the pixels at the given
+ * distance.
+ *
+ * @param {Uint32Array} pixels - All pixels.
+ * @param {int} pos - Current pixel.
+ * @param {int} dist - Distance to the copied pixels.
+ * @return {int}
+ */
+function matchLength(pixels, pos, dist) {
+	const max = Math.min(MAX_LENGTH, pixels.length - pos);
+	let len = 0;
+
+	if (dist > pos) {
+		return 0;
+	}
+
+	while (len < max && pixels[pos + len] === pixels[pos + len - dist]) {
+		len++;
+	}
+
+	return len;
+}
+
+/**
+ * Encodes the given RGBA image as lossless WebP.
+ *
+ * @param {{width: int, height: int, data: Uint8Array}} image - RGBA image.
+ * @return {Buffer} The WebP file contents.
+ */
+function encodeWebp(image) {
+	const {width, height} = image;
+
+	if (width > MAX_SIZE || height > MAX_SIZE) {
+		throw new Error(`WebP images are limited to ${MAX_SIZE}x${MAX_SIZE} pixels`);
+	}
+
+	// Copy the pixels, as the image data might not be aligned.
+	const pixels = new Uint32Array(width * height);
+	new Uint8Array(pixels.buffer).set(image.data.subarray(0, 4 * width * height));
+
+	const rgba = new Uint8Array(pixels.buffer);
+	const counts = ALPHABETS.map(size => new Array(size).fill(0));
+	const symbols = [];
+	let hasAlpha = false;
+
+	// Collect literals and copies of the left or upper pixels.
+	for (let pos = 0; pos < pixels.length;) {
+		const left = matchLength(pixels, pos, 1);
+		const up = matchLength(pixels, pos, width);
+		const len = Math.max(left, up);
+
+		if (len >= MIN_LENGTH) {
+			const length = toPrefix(len);
+			const dist = toPrefix(up >= left ? DIST_UP : DIST_LEFT);
+
+			counts[0][256 + length.prefix]++;
+			counts[4][dist.prefix]++;
+			symbols.push({length, dist});
+			pos += len;
+		} else {
+			const k = 4 * pos;
+
+			counts[0][rgba[k + 1]]++;
+			counts[1][rgba[k]]++;
+			counts[2][rgba[k + 2]]++;
+			counts[3][rgba[k + 3]]++;
+			hasAlpha = hasAlpha || 255 !== rgba[k + 3];
+			symbols.push(k);
+			pos++;
+		}
+	}
+
+	const writer = new BitWriter(pixels.length);
+
+	writer.write(0x2F, 8);
+	writer.write(width - 1, 14);
+	writer.write(height - 1, 14);
+	writer.write(hasAlpha ? 1 : 0, 1);
+	writer.write(0, 3);
+
+	writer.write(0, 1); // no transform
+	writer.write(0, 1); // no color cache
+	writer.write(0, 1); // no meta prefix codes
+
+	const [green, red, blue, alpha, dist] = counts.map(item => writePrefixCode(writer, item));
+
+	symbols.forEach(symbol => {
+		if ('number' === typeof symbol) {
+			writer.write(green.codes[rgba[symbol + 1]], green.lengths[rgba[symbol + 1]]);
+			writer.write(red.codes[rgba[symbol]], red.lengths[rgba[symbol]]);
+			writer.write(blue.codes[rgba[symbol + 2]], blue.lengths[rgba[symbol + 2]]);
+			writer.write(alpha.codes[rgba[symbol + 3]], alpha.lengths[rgba[symbol + 3]]);
+		} else {
+			const len = 256 + symbol.length.prefix;
+
+			writer.write(green.codes[len], green.lengths[len]);
+			writer.write(symbol.length.extra, symbol.length.bits);
+			writer.write(dist.codes[symbol.dist.prefix], dist.lengths[symbol.dist.prefix]);
+			writer.write(symbol.dist.extra, symbol.dist.bits);
+		}
+	});
+
+	const data = writer.finish();
+	const padding = data.length % 2;
+	const header = Buffer.alloc(20);
+
+	header.write('RIFF', 0, 'ascii');
+	header.writeUInt32LE(12 + data.length + padding, 4);
+	header.write('WEBP', 8, 'ascii');
+	header.write('VP8L', 12, 'ascii');
+	header.writeUInt32LE(data.length, 16);
+
+	return Buffer.concat([header, data, Buffer.alloc(padding)]);
+}
+
+module.exports = encodeWebp;
@@ -0,0 +1,134 @@
+/**
+ * Small pool of worker threads that process tasks in parallel.
+ *
+ * Every worker handles one task at a time; additional tasks are queued
+ * until a worker is idle. Idle workers do not keep the process alive.
+ *
+ * @author Philipp Stracker
+ */
+
+const { Worker } = require('worker_threads');
+
+class WorkerPool {
+	/**
+	 * @param {string} file - Absolute path of the worker script.
+	 * @param {int} size - Number of worker threads.
+	 * @param {object} [workerData] - Optional. Data that every worker receives
+	 *        on startup.
+	 */
+	constructor(file, size, workerData) {
+		this.file = file;
+		this.size = Math.max(1, parseInt(size) || 1);
+		this.workerData = workerData;
+		this.workers = [];
+		this.idle = [];
+		this.queue = [];
+	}
+
+	/**
+	 * Sends a task to the next idle worker.
+	 *
+	 * @param {object} task - The task data, passed to the worker.
+	 * @param {ArrayBuffer[]} [transfer] - Optional. Buffers to transfer.
+	 * @return {Promise<any>} Resolves with the response of the worker.
+	 */
+	run(task, transfer) {
+		return new Promise((resolve, reject) => {
+			this.queue.push({task, transfer, resolve, reject});
+			this._next();
+		});
+	}
+
+	/**
+	 * Stops all worker threads. Queued tasks are rejected.
+	 *
+	 * @return {Promise<void>}
+	 */
+	async destroy() {
+		const workers = this.workers;
+
+		this.queue.forEach(job => job.reject(new Error('Worker pool was destroyed')));
+		this.queue = [];
+		this.workers = [];
+		this.idle = [];
+
+		await Promise.all(workers.map(worker => worker.terminate()));
+	}
+
+	/**
+	 * Starts the next queued task, when a worker is available.
+	 *
+	 * @private
+	 */
+	_next() {
+		if (!this.queue.length) {
+			return;
+		}
+
+		if (!this.idle.length && this.workers.length < this.size) {
+			this.idle.push(this._createWorker());
+		}
+
+		if (!this.idle.length) {
+			return;
+		}
+
+		const worker = this.idle.pop();
+		const job = this.queue.shift();
+
+		// A busy worker keeps the process alive until the task is done.
+		worker.job = job;
+		worker.ref();
+		worker.postMessage(job.task, job.transfer || []);
+	}
+
+	/**
+	 * Starts a new worker thread.
+	 *
+	 * @return {Worker}
+	 * @private
+	 */
+	_createWorker() {
+		const worker = new Worker(this.file, {workerData: this.workerData});
+
+		worker.on('message', message => {
+			const job = worker.job;
+
+			worker.job = null;
+			worker.unref();
+			this.idle.push(worker);
+
+			if (message && message.error) {
+				job.reject(new Error(message.error));
+			} else {
+				job.resolve(message);
+			}
+
+			this._next();
+		});
+
+		// A crashed worker is replaced by a new worker for the next task.
+		worker.on('error', err => {
+			const job = worker.job;
+
+			this.workers = this.workers.filter(item => item !== worker);
+			this.idle = this.idle.filter(item => item !== worker);
+
+			if (job) {
+				job.reject(err);
+			}
+
+			this._next();
+		});
+
+		// Idle workers must not keep the process alive. Unref after adding
+		// the listeners, because listeners ref the worker again.
+		worker.unref();
+
+		this.workers.push(worker);
+
+		return worker;
+	}
+}
+
+module.exports = WorkerPool;
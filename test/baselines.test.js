@@ -0,0 +1,71 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listImages, findOrphanedBaselines } = require('../lib/baselines');
+
+describe('baselines', () => {
+	let dir;
+
+	/**
+	 * Creates empty files inside the temporary base image folder.
+	 *
+	 * @param {string[]} files - Relative file paths.
+	 */
+	function createFiles(files) {
+		files.forEach(file => {
+			fs.mkdirSync(path.dirname(path.join(dir, file)), {recursive: true});
+			fs.writeFileSync(path.join(dir, file), '');
+		});
+	}
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelmatch-baselines-'));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, {recursive: true, force: true});
+	});
+
+	describe('listImages()', () => {
+		it('lists images of all supported formats in sub-folders', () => {
+			createFiles(['home.png', 'login/form.jpg', 'login/form~dark.webp', 'notes.txt']);
+
+			assert.deepStrictEqual(listImages(dir).sort(), ['home.png', 'login/form.jpg', 'login/form~dark.webp']);
+		});
+
+		it('returns an empty list for a missing folder', () => {
+			assert.deepStrictEqual(listImages(path.join(dir, 'missing')), []);
+		});
+	});
+
+	describe('findOrphanedBaselines()', () => {
+		it('returns images that were not referenced', () => {
+			createFiles(['home.png', 'home~2.png', 'old.png']);
+
+			assert.deepStrictEqual(findOrphanedBaselines(dir, ['home.png'], ['']), ['home~2.png', 'old.png']);
+		});
+
+		it('keeps images of namespaces that were not part of the run', () => {
+			createFiles([
+				'chromium/home.png',
+				'chromium/old.png',
+				'firefox/home.png',
+				'firefox/home~dark.png',
+				'firefox/old.png'
+			]);
+
+			const orphaned = findOrphanedBaselines(dir, ['chromium/home.png'], ['chromium']);
+
+			assert.deepStrictEqual(orphaned, ['chromium/old.png', 'firefox/old.png']);
+		});
+
+		it('checks shared images exactly', () => {
+			createFiles(['chromium/home.png', 'home.png', 'login.png']);
+
+			const orphaned = findOrphanedBaselines(dir, ['chromium/home.png', 'login.png'], ['chromium']);
+
+			assert.deepStrictEqual(orphaned, ['home.png']);
+		});
+	});
+});
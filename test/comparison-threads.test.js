@@ -0,0 +1,53 @@
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+
+global.codeceptjs = require('codeceptjs');
+global.codecept_dir = path.join(os.tmpdir(), 'pixelmatch-test');
+global.output_dir = path.join(global.codecept_dir, 'output');
+
+const PixelmatchHelper = require('../index');
+
+describe('comparisonThreads', () => {
+	const cpus = os.cpus;
+
+	/**
+	 * Returns the thread count of a helper with the given option, on a
+	 * machine with the given number of cores.
+	 *
+	 * @param {int|string} threads - The comparisonThreads option.
+	 * @param {int} cores - Number of cores.
+	 * @param {int} images - Number of base images.
+	 * @return {int}
+	 */
+	function getThreadCount(threads, cores, images) {
+		const helper = new PixelmatchHelper({comparisonThreads: threads});
+
+		os.cpus = () => Array(cores).fill(cpus()[0]);
+		helper.options = Object.assign({}, helper.options, {comparisonThreads: helper.globalComparisonThreads});
+
+		return helper._getThreadCount(images);
+	}
+
+	afterEach(() => {
+		os.cpus = cpus;
+	});
+
+	it('compares on the main thread by default', () => {
+		assert.strictEqual(getThreadCount(undefined, 4, 3), 1);
+	});
+
+	it('uses one thread per core with "auto"', () => {
+		assert.strictEqual(getThreadCount('auto', 4, 3), 3);
+		assert.strictEqual(getThreadCount('auto', 2, 3), 2);
+	});
+
+	it('falls back to the main thread with "auto" on a single core', () => {
+		assert.strictEqual(getThreadCount('auto', 1, 3), 1);
+		assert.strictEqual(getThreadCount('auto', 0, 3), 1);
+	});
+
+	it('uses no more threads than base images', () => {
+		assert.strictEqual(getThreadCount(8, 8, 2), 2);
+	});
+});
@@ -0,0 +1,37 @@
+/**
+ * Shared functions of the tests.
+ */
+
+const { PNG } = require('pngjs');
+
+/**
+ * Returns an RGBA image. The callback returns the color of every pixel as
+ * [r, g, b] or [r, g, b, a].
+ *
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @param {function(int, int): int[]} [color] - Optional. Color of a pixel.
+ *        Defaults to white.
+ * @return {PNG}
+ */
+function createImage(width, height, color) {
+	const png = new PNG({width, height});
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const k = 4 * (y * width + x);
+			const c = color ? color(x, y) : [255, 255, 255];
+
+			png.data[k] = c[0];
+			png.data[k + 1] = c[1];
+			png.data[k + 2] = c[2];
+			png.data[k + 3] = 3 in c ? c[3] : 255;
+		}
+	}
+
+	return png;
+}
+
+module.exports = {
+	createImage
+};
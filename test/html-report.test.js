@@ -0,0 +1,73 @@
+const assert = require('assert');
+const renderHtmlReport = require('../lib/html-report');
+
+/**
+ * Returns a comparison record with the given values.
+ *
+ * @param {object} [values] - Optional. Values to override.
+ * @return {object}
+ */
+function record(values) {
+	return Object.assign({
+		test: 'Feature: test',
+		image: 'home',
+		match: true,
+		difference: 0,
+		diffPixels: 0,
+		relevantPixels: 100,
+		tolerance: 0,
+		failedCriteria: [],
+		regionResults: [],
+		variation: '',
+		variations: [],
+		baselineUpdated: false,
+		files: {expected: 'base/home.png', actual: 'output/home.png', diff: ''},
+		images: {}
+	}, values);
+}
+
+describe('html-report', () => {
+	it('lists the number of comparisons and failures', () => {
+		const html = renderHtmlReport([record(), record({match: false, difference: 5})]);
+
+		assert.ok(html.includes('<p>2 comparison(s), 1 failed.</p>'));
+	});
+
+	it('lists failed comparisons first and opens them', () => {
+		const html = renderHtmlReport([
+			record({image: 'passed-image'}),
+			record({image: 'failed-image', match: false})
+		]);
+
+		assert.ok(html.indexOf('failed-image') < html.indexOf('passed-image'));
+		assert.ok(html.includes('<details class="record failed" open>'));
+		assert.ok(html.includes('<details class="record passed">'));
+	});
+
+	it('escapes test names, image names and file paths', () => {
+		const html = renderHtmlReport([record({
+			test: '<script>alert(1)</script>',
+			image: 'a&b"c',
+			match: false,
+			failedCriteria: ['<b>criterion</b>'],
+			regionResults: [{name: '<i>chart</i>', difference: 1, tolerance: 0, match: false}],
+			files: {expected: '<base>.png', actual: 'actual.png', diff: ''},
+			images: {expected: 'data:image/png;base64,AA=='}
+		})]);
+
+		assert.ok(!html.includes('<script>alert(1)</script>'));
+		assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+		assert.ok(html.includes('a&amp;b&quot;c'));
+		assert.ok(html.includes('&lt;b&gt;criterion&lt;/b&gt;'));
+		assert.ok(html.includes('&lt;i&gt;chart&lt;/i&gt;'));
+		assert.ok(html.includes('&lt;base&gt;.png'));
+	});
+
+	it('only renders the overlay slider when both images exist', () => {
+		const single = renderHtmlReport([record({images: {diff: 'data:image/png;base64,AA=='}})]);
+		const both = renderHtmlReport([record({images: {expected: 'data:a', actual: 'data:b'}})]);
+
+		assert.ok(!single.includes('class="panel slider"'));
+		assert.ok(both.includes('class="panel slider"'));
+	});
+});
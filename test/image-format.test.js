@@ -0,0 +1,155 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const {
+	detectFormat,
+	getFormat,
+	decodeImage,
+	encodeImage,
+	convertImage,
+	readScale,
+	writeScale
+} = require('../lib/image-format');
+const { createImage } = require('./helpers');
+
+/**
+ * WebP files created by cwebp 1.1.0, with the SHA-1 of the RGBA pixels that
+ * dwebp decodes. All images are 24x18 pixels.
+ */
+const WEBP_FIXTURES = {
+	'lossy': {
+		data: 'UklGRuoAAABXRUJQVlA4IN4AAABwCACdASoYABIAPp08mUiloyKhMBgMALATiWwAnTKEdQeu8UG4b1xsB9gHaAwv/o//Rm/wG8n/6r/VSEkCWpAFLQ5LYbtElWTbjY4AAP75KkyZTA80sWDl5i1saSeBB4IM/1NHdi+SKwtGDvVNr5cJ+tX+0b5/PcT6OOO1Wm0GgA9d6bGoihRjV2pLd0Cp556qK3Rz7M9hPnnqordHPvayeG5BcZNVa9kRFZqSX5glE/IkanM8RZOsZseG7lI7tZmU5LvMIEnVdv/UGvpxvXjbXpYtao1MEptBY7yAAAA=',
+		sha1: 'ddbb9ef8768236413e56c6091d66a3a77237074c'
+	},
+	'lossy with filtered alpha': {
+		data: 'UklGRpQAAABXRUJQVlA4WAoAAAAQAAAAFwAAEQAAQUxQSBIAAAAFDzAOERFCIJC0P/oCEf0PdABWUDggXAAAAHAEAJ0BKhgAEgA+nUCcSb+joqEwGAgD8BOJZgC7LpXc2AQr3vs+CBJACwOAAP7ZD9+6//jmRrV+n5yYf9t7/ujJXmu6bfZFOr+EAsfD7jpwN/GELgFsARahF4AA',
+		sha1: '40a5810ccc985ee83396c38fe6f56e9dc3804d66'
+	},
+	'lossless with transforms': {
+		data: 'UklGRlYAAABXRUJQVlA4TEoAAAAvF0AEEAGAIAb8PzuI6H/KAUAQ/s8dRPQ/Jdg2kqTomMFlyD/O+/8x3xyFcZj/CSAgRRNRoP8CC5AExQLGo4CCApIxQQE6oEDdAQ==',
+		sha1: '51b4ccf7e4376b385076bcb4407c96ca0f85cd78'
+	},
+	'lossless with palette': {
+		data: 'UklGRjgAAABXRUJQVlA4TCsAAAAvF0AEABcw//O///MfLAWCbBuN6U3m7MsJIvqvNm0DZkzPHbKIcsgc4vJfAA==',
+		sha1: '4298ed7ffa9eea3b97e085479fedcc2bfe5f0dff'
+	}
+};
+
+/**
+ * Returns a test image with gradients and a semi-transparent area.
+ *
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @return {PNG}
+ */
+function createTestImage(width, height) {
+	return createImage(width, height, (x, y) => [
+		(x * 13) & 255,
+		(y * 7) & 255,
+		(x * y) & 255,
+		x < width / 2 ? 255 : (y * 20) & 255
+	]);
+}
+
+describe('image-format', () => {
+	describe('detectFormat()', () => {
+		it('detects the format from the file contents', () => {
+			const image = createTestImage(4, 4);
+
+			assert.strictEqual(detectFormat(encodeImage(image, 'png')), 'png');
+			assert.strictEqual(detectFormat(encodeImage(image, 'jpeg')), 'jpeg');
+			assert.strictEqual(detectFormat(encodeImage(image, 'webp')), 'webp');
+			assert.strictEqual(detectFormat(Buffer.from('GIF89a')), '');
+		});
+	});
+
+	describe('getFormat()', () => {
+		it('detects the format from the file extension', () => {
+			assert.strictEqual(getFormat('home.PNG'), 'png');
+			assert.strictEqual(getFormat('dir.webp/home.jpeg'), 'jpeg');
+			assert.strictEqual(getFormat('home~dark.webp'), 'webp');
+			assert.strictEqual(getFormat('home.gif'), '');
+		});
+	});
+
+	describe('round trips', () => {
+		it('keeps all pixels of PNG images', () => {
+			const image = createTestImage(17, 9);
+			const decoded = decodeImage(encodeImage(image, 'png'));
+
+			assert.deepStrictEqual(decoded.data, image.data);
+		});
+
+		it('keeps all pixels of WebP images', () => {
+			[[1, 1], [17, 9], [64, 3]].forEach(([width, height]) => {
+				const image = createTestImage(width, height);
+				const decoded = decodeImage(encodeImage(image, 'webp'));
+
+				assert.strictEqual(decoded.width, width);
+				assert.strictEqual(decoded.height, height);
+				assert.deepStrictEqual(decoded.data, image.data);
+			});
+		});
+
+		it('keeps JPEG images close to the original', () => {
+			const image = createImage(16, 16, () => [200, 40, 90]);
+			const decoded = decodeImage(encodeImage(image, 'jpeg'));
+
+			assert.strictEqual(decoded.width, 16);
+			assert.strictEqual(decoded.height, 16);
+			decoded.data.forEach((value, i) => {
+				assert.ok(Math.abs(value - image.data[i]) <= 3, `Channel ${i}: ${value} vs. ${image.data[i]}`);
+			});
+		});
+	});
+
+	describe('WebP decoder', () => {
+		Object.keys(WEBP_FIXTURES).forEach(name => {
+			it(`decodes ${name} images like libwebp`, () => {
+				const decoded = decodeImage(Buffer.from(WEBP_FIXTURES[name].data, 'base64'));
+				const hash = crypto.createHash('sha1').update(decoded.data).digest('hex');
+
+				assert.strictEqual(decoded.width, 24);
+				assert.strictEqual(decoded.height, 18);
+				assert.strictEqual(hash, WEBP_FIXTURES[name].sha1);
+			});
+		});
+
+		it('decodes images with extra chunks', () => {
+			const image = createTestImage(5, 7);
+			const data = writeScale(encodeImage(image, 'webp'), 2);
+
+			assert.deepStrictEqual(decodeImage(data).data, image.data);
+		});
+
+		it('rejects animations', () => {
+			const data = Buffer.from('RIFF\x16\x00\x00\x00WEBPVP8X\x0a\x00\x00\x00\x02\x00\x00\x00\x00\x00\x00\x00\x00\x00', 'latin1');
+
+			assert.throws(() => decodeImage(data), /Animated WebP images are not supported/);
+		});
+
+		it('rejects truncated files', () => {
+			const data = Buffer.from(WEBP_FIXTURES.lossy.data, 'base64');
+
+			assert.throws(() => decodeImage(data.slice(0, 100)), /Invalid WebP image/);
+		});
+	});
+
+	describe('readScale() and writeScale()', () => {
+		['png', 'jpeg', 'webp'].forEach(format => {
+			it(`stores the device pixel ratio in ${format} images`, () => {
+				const data = encodeImage(createTestImage(4, 4), format);
+
+				assert.strictEqual(readScale(data), null);
+				assert.strictEqual(readScale(writeScale(data, 2)), 2);
+				assert.strictEqual(readScale(writeScale(writeScale(data, 2), 1.5)), 1.5);
+			});
+		});
+
+		it('keeps the device pixel ratio when converting images', () => {
+			const data = writeScale(encodeImage(createTestImage(4, 4), 'png'), 3);
+
+			assert.strictEqual(readScale(convertImage(data, 'webp')), 3);
+			assert.strictEqual(readScale(convertImage(data, 'jpeg')), 3);
+		});
+	});
+});
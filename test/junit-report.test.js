@@ -0,0 +1,61 @@
+const assert = require('assert');
+const renderJunitReport = require('../lib/junit-report');
+
+/**
+ * Returns a comparison record with the given values.
+ *
+ * @param {object} [values] - Optional. Values to override.
+ * @return {object}
+ */
+function record(values) {
+	return Object.assign({
+		test: 'Feature: test',
+		image: 'home',
+		match: true,
+		difference: 0,
+		diffPixels: 0,
+		relevantPixels: 100,
+		tolerance: 0,
+		failedCriteria: [],
+		variation: '',
+		files: {expected: 'base/home.png', actual: 'output/home.png', diff: ''}
+	}, values);
+}
+
+describe('junit-report', () => {
+	it('counts tests and failures', () => {
+		const xml = renderJunitReport([record(), record({match: false}), record({match: false})]);
+
+		assert.ok(xml.includes('<testsuites name="Visual regression" tests="3" failures="2">'));
+		assert.strictEqual(xml.match(/<failure /g).length, 2);
+	});
+
+	it('uses the test as class name and the image as test case name', () => {
+		const xml = renderJunitReport([record()]);
+
+		assert.ok(xml.includes('<testcase classname="Feature: test" name="home">'));
+		assert.ok(xml.includes('<system-out>'));
+	});
+
+	it('escapes attributes and text', () => {
+		const xml = renderJunitReport([record({
+			test: 'a "quoted" <test>',
+			image: "it's & more",
+			match: false,
+			failedCriteria: ['<criterion>'],
+			files: {expected: 'base/<x>.png', actual: '', diff: ''}
+		})]);
+
+		assert.ok(xml.includes('classname="a &quot;quoted&quot; &lt;test&gt;"'));
+		assert.ok(xml.includes('name="it&apos;s &amp; more"'));
+		assert.ok(xml.includes('Failed criteria: &lt;criterion&gt;'));
+		assert.ok(xml.includes('Expected: base/&lt;x&gt;.png'));
+		assert.ok(!/<(?!\/?(testsuites|testsuite|testcase|failure|system-out)\b|\?xml)/.test(xml));
+	});
+
+	it('renders an empty suite', () => {
+		const xml = renderJunitReport([]);
+
+		assert.ok(xml.includes('tests="0" failures="0"'));
+	});
+});
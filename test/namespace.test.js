@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { hasTokens, getNamespaceValues, formatNamespace } = require('../lib/namespace');
+const { encodeImage, readNamespace, writeNamespace } = require('../lib/image-format');
+const { createImage } = require('./helpers');
+
+describe('namespace', () => {
+	describe('hasTokens()', () => {
+		it('detects placeholders', () => {
+			assert.strictEqual(hasTokens('{browser}/desktop'), true);
+			assert.strictEqual(hasTokens('chromium/desktop'), false);
+		});
+	});
+
+	describe('getNamespaceValues()', () => {
+		it('reads the browser and the window size from the helper config', () => {
+			const values = getNamespaceValues('Playwright', {browser: 'firefox', windowSize: '1280x720'});
+
+			assert.deepStrictEqual(values, {
+				driver: 'Playwright',
+				browser: 'firefox',
+				platform: process.platform,
+				viewport: '1280x720'
+			});
+		});
+
+		it('reads the capabilities of WebDriver', () => {
+			const values = getNamespaceValues('WebDriver', {
+				desiredCapabilities: {browserName: 'safari', platformName: 'iOS'}
+			});
+
+			assert.strictEqual(values.browser, 'safari');
+			assert.strictEqual(values.platform, 'iOS');
+		});
+	});
+
+	describe('formatNamespace()', () => {
+		it('replaces the placeholders with lowercase values', () => {
+			const result = formatNamespace('{browser}/{viewport}', {browser: 'Chromium', viewport: '1280x720'});
+
+			assert.strictEqual(result, 'chromium/1280x720');
+		});
+
+		it('uses "default" for unknown or empty values', () => {
+			assert.strictEqual(formatNamespace('{browser}/{size}', {browser: ''}), 'default/default');
+		});
+
+		it('does not leave the base folder', () => {
+			assert.strictEqual(formatNamespace('../{browser}/./x', {browser: '../..'}), '..-../x');
+			assert.strictEqual(formatNamespace('/a//b/', {}), 'a/b');
+		});
+	});
+
+	describe('readNamespace()', () => {
+		['png', 'jpeg', 'webp'].forEach(format => {
+			it(`reads the namespace that is stored in a ${format} image`, () => {
+				const data = encodeImage(createImage(4, 4), format);
+
+				assert.strictEqual(readNamespace(data), null);
+
+				const stored = writeNamespace(writeNamespace(data, 'firefox/800x600'), 'chromium/1280x720');
+
+				assert.strictEqual(readNamespace(stored), 'chromium/1280x720');
+			});
+		});
+	});
+});
@@ -0,0 +1,51 @@
+const assert = require('assert');
+const { PNG } = require('pngjs');
+const { chunk, readChunks } = require('../lib/png-chunk');
+const { createImage } = require('./helpers');
+
+describe('png-chunk', () => {
+	describe('chunk()', () => {
+		it('adds the length and the checksum', () => {
+			assert.strictEqual(chunk('IEND', Buffer.alloc(0)).toString('hex'), '0000000049454e44ae426082');
+		});
+
+		it('builds the same chunks as pngjs', () => {
+			const data = PNG.sync.write(createImage(7, 5, (x, y) => [x * 30, y * 50, 90]));
+
+			readChunks(data).forEach(item => {
+				assert.deepStrictEqual(chunk(item.type, item.data), item.raw, `Chunk ${item.type}`);
+			});
+		});
+	});
+
+	describe('readChunks()', () => {
+		it('splits a PNG file into its chunks', () => {
+			const data = PNG.sync.write(createImage(3, 2));
+			const chunks = readChunks(data);
+
+			assert.strictEqual(chunks[0].type, 'IHDR');
+			assert.strictEqual(chunks[0].data.readUInt32BE(0), 3);
+			assert.strictEqual(chunks[0].data.readUInt32BE(4), 2);
+			assert.strictEqual(chunks[chunks.length - 1].type, 'IEND');
+			assert.deepStrictEqual(Buffer.concat([data.slice(0, 8)].concat(chunks.map(item => item.raw))), data);
+		});
+
+		it('reads inserted chunks', () => {
+			const data = PNG.sync.write(createImage(3, 2));
+			const chunks = readChunks(data);
+			const text = chunk('tEXt', Buffer.from('Key\0Value', 'latin1'));
+			const file = Buffer.concat([data.slice(0, 8), chunks[0].raw, text].concat(chunks.slice(1).map(item => item.raw)));
+			const result = readChunks(file);
+
+			assert.deepStrictEqual(result.map(item => item.type), ['IHDR', 'tEXt'].concat(chunks.slice(1).map(item => item.type)));
+			assert.strictEqual(result[1].data.toString('latin1'), 'Key\0Value');
+		});
+
+		it('ignores incomplete data at the end of the file', () => {
+			const data = PNG.sync.write(createImage(3, 2));
+			const chunks = readChunks(Buffer.concat([data, Buffer.from([0, 0, 0])]));
+
+			assert.strictEqual(chunks[chunks.length - 1].type, 'IEND');
+		});
+	});
+});
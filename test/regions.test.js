@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { findRegions, drawRegions } = require('../lib/regions');
+
+/**
+ * Returns a mask with the given pixels marked.
+ *
+ * @param {int} width - Mask width.
+ * @param {int} height - Mask height.
+ * @param {int[][]} points - List of [x, y] pairs.
+ * @return {Uint8Array}
+ */
+function createMask(width, height, points) {
+	const mask = new Uint8Array(width * height);
+	points.forEach(([x, y]) => mask[x + width * y] = 1);
+
+	return mask;
+}
+
+describe('regions', () => {
+	describe('findRegions()', () => {
+		it('returns the bounding box of connected pixels, largest first', () => {
+			const mask = createMask(10, 10, [[1, 1], [2, 2], [7, 7], [8, 7], [7, 8]]);
+			const regions = findRegions(mask, 10, 10);
+
+			assert.strictEqual(regions.length, 2);
+			assert.deepStrictEqual(
+				regions.map(({left, top, width, height, pixels, area}) => ({left, top, width, height, pixels, area})),
+				[
+					{left: 7, top: 7, width: 2, height: 2, pixels: 3, area: 4},
+					{left: 1, top: 1, width: 2, height: 2, pixels: 2, area: 4}
+				]
+			);
+		});
+
+		it('joins pixels that are separated by the gap', () => {
+			const mask = createMask(10, 1, [[0, 0], [3, 0]]);
+
+			assert.strictEqual(findRegions(mask, 10, 1).length, 2);
+			assert.strictEqual(findRegions(mask, 10, 1, 1).length, 2);
+			assert.strictEqual(findRegions(mask, 10, 1, 2).length, 1);
+		});
+
+		it('only returns the pixel indexes of small regions', () => {
+			const mask = createMask(10, 10, [[0, 0], [5, 5], [5, 6], [6, 6]]);
+			const regions = findRegions(mask, 10, 10, 0, 2);
+
+			assert.strictEqual(regions[0].indexes, null);
+			assert.deepStrictEqual(Array.from(regions[1].indexes), [0]);
+		});
+
+		it('returns no regions for an empty mask', () => {
+			assert.deepStrictEqual(findRegions(new Uint8Array(16), 4, 4), []);
+		});
+	});
+
+	describe('drawRegions()', () => {
+		it('draws the outline around the region, clipped to the image', () => {
+			const data = new Uint8Array(5 * 5 * 4);
+
+			drawRegions(data, 5, 5, [{left: 0, top: 1, width: 2, height: 2}], [0, 0, 255]);
+
+			const marked = [];
+			for (let i = 0; i < 25; i++) {
+				if (data[4 * i + 3]) {
+					marked.push([i % 5, Math.floor(i / 5)]);
+				}
+			}
+
+			assert.deepStrictEqual(marked, [[0, 0], [1, 0], [2, 0], [2, 1], [2, 2], [0, 3], [1, 3], [2, 3]]);
+			assert.deepStrictEqual(Array.from(data.subarray(0, 4)), [0, 0, 255, 255]);
+		});
+	});
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const resampleImage = require('../lib/resample');
+const { createImage } = require('./helpers');
+
+/**
+ * Returns the RGBA values of a pixel.
+ *
+ * @param {PNG} image - The image.
+ * @param {int} x - Horizontal position.
+ * @param {int} y - Vertical position.
+ * @return {int[]}
+ */
+function getPixel(image, x, y) {
+	const k = 4 * (y * image.width + x);
+
+	return Array.from(image.data.slice(k, k + 4));
+}
+
+describe('resampleImage()', () => {
+	it('keeps all pixels at the same size', () => {
+		const image = createImage(5, 3, (x, y) => [x * 50, y * 100, 7, 200]);
+		const result = resampleImage(image, 5, 3);
+
+		assert.strictEqual(result.width, 5);
+		assert.strictEqual(result.height, 3);
+		assert.deepStrictEqual(result.data, image.data);
+	});
+
+	it('averages the covered pixels when scaling down', () => {
+		const image = createImage(4, 2, x => x % 2 ? [0, 0, 0, 255] : [200, 100, 50, 55]);
+		const result = resampleImage(image, 2, 1);
+
+		assert.deepStrictEqual(getPixel(result, 0, 0), [100, 50, 25, 155]);
+		assert.deepStrictEqual(getPixel(result, 1, 0), [100, 50, 25, 155]);
+	});
+
+	it('weights partly covered pixels by their overlap', () => {
+		const image = createImage(3, 1, x => [[90, 0, 0], [0, 90, 0], [0, 0, 90]][x]);
+		const result = resampleImage(image, 2, 1);
+
+		// Every target pixel covers 1.5 source pixels.
+		assert.deepStrictEqual(getPixel(result, 0, 0), [60, 30, 0, 255]);
+		assert.deepStrictEqual(getPixel(result, 1, 0), [0, 30, 60, 255]);
+	});
+
+	it('keeps thin lines visible', () => {
+		const image = createImage(6, 6, x => 2 === x ? [0, 0, 0] : [255, 255, 255]);
+		const result = resampleImage(image, 2, 2);
+
+		assert.deepStrictEqual(getPixel(result, 0, 1), [170, 170, 170, 255]);
+		assert.deepStrictEqual(getPixel(result, 1, 1), [255, 255, 255, 255]);
+	});
+
+	it('repeats pixels when scaling up', () => {
+		const image = createImage(2, 1, x => x ? [10, 20, 30] : [200, 210, 220]);
+		const result = resampleImage(image, 4, 2);
+
+		assert.deepStrictEqual(getPixel(result, 0, 1), [200, 210, 220, 255]);
+		assert.deepStrictEqual(getPixel(result, 1, 0), [200, 210, 220, 255]);
+		assert.deepStrictEqual(getPixel(result, 2, 0), [10, 20, 30, 255]);
+		assert.deepStrictEqual(getPixel(result, 3, 1), [10, 20, 30, 255]);
+	});
+});
@@ -0,0 +1,166 @@
+/**
+ * In-memory stand-in for an S3-compatible server like MinIO. It verifies
+ * the request signatures and pages the object list, so the S3 storage is
+ * tested without network access or credentials.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const S3Storage = require('../lib/s3-storage');
+
+/**
+ * Starts an in-memory, S3-compatible server on a random local port. It
+ * supports the requests of the S3 storage: ListObjectsV2 with pages of two
+ * objects, GetObject and PutObject.
+ *
+ * @param {{bucket: string, region: string, accessKeyId: string, secretAccessKey: string}} credentials -
+ *        The bucket and the credentials that the server accepts.
+ * @return {Promise<{server: http.Server, endpoint: string, objects: Map<string, Buffer>,
+ *     count: function, hang: boolean}>}
+ */
+function startServer(credentials) {
+	const signer = new S3Storage(Object.assign({endpoint: 'http://localhost'}, credentials));
+	const requests = [];
+	const bucket = {
+		objects: new Map(),
+		hang: false,
+
+		// Returns and resets the number of requests of the given type.
+		count: type => requests.splice(0).filter(item => item === type).length
+	};
+
+	bucket.server = http.createServer((req, res) => {
+		const chunks = [];
+
+		req.on('data', chunk => chunks.push(chunk));
+		req.on('end', () => {
+			if (bucket.hang) {
+				return;
+			}
+
+			const body = Buffer.concat(chunks);
+			const url = new URL(req.url, 'http://localhost');
+			const query = {};
+			url.searchParams.forEach((value, name) => query[name] = value);
+
+			if (!isSigned(signer, req, url, query, body)) {
+				return sendError(res, 403, 'SignatureDoesNotMatch');
+			}
+
+			const parts = url.pathname.split('/').slice(1).map(decodeURIComponent);
+
+			if (parts.shift() !== credentials.bucket) {
+				return sendError(res, 404, 'NoSuchBucket');
+			}
+
+			const key = parts.join('/');
+
+			if ('PUT' === req.method) {
+				requests.push('upload');
+				bucket.objects.set(key, body);
+				res.writeHead(200, {ETag: `"${md5(body)}"`});
+				return res.end();
+			}
+
+			if (key) {
+				if (!bucket.objects.has(key)) {
+					return sendError(res, 404, 'NoSuchKey');
+				}
+
+				requests.push('download');
+				res.writeHead(200);
+				return res.end(bucket.objects.get(key));
+			}
+
+			requests.push('list');
+			res.writeHead(200, {'Content-Type': 'application/xml'});
+			res.end(listObjects(bucket.objects, query));
+		});
+	});
+
+	return new Promise(resolve => {
+		bucket.server.listen(0, '127.0.0.1', () => {
+			bucket.endpoint = `http://127.0.0.1:${bucket.server.address().port}`;
+			resolve(bucket);
+		});
+	});
+}
+
+/**
+ * Checks the Signature Version 4 of a request.
+ *
+ * @param {S3Storage} signer - Storage with the expected credentials.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {URL} url - The request URL.
+ * @param {object} query - Query parameters.
+ * @param {Buffer} body - Request body.
+ * @return {boolean}
+ */
+function isSigned(signer, req, url, query, body) {
+	const auth = req.headers.authorization || '';
+	const signed = (auth.match(/SignedHeaders=([^,]+)/) || ['', ''])[1].split(';');
+	const stamp = (req.headers['x-amz-date'] || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+	const headers = {};
+
+	if (!stamp) {
+		return false;
+	}
+
+	signed.filter(name => 'x-amz-date' !== name).forEach(name => headers[name] = req.headers[name]);
+
+	const date = new Date(Date.UTC(stamp[1], stamp[2] - 1, stamp[3], stamp[4], stamp[5], stamp[6]));
+	const expected = signer._signRequest({method: req.method, path: url.pathname, query, headers}, date);
+
+	return expected.authorization === auth
+		&& crypto.createHash('sha256').update(body).digest('hex') === req.headers['x-amz-content-sha256'];
+}
+
+/**
+ * Returns the ListObjectsV2 response of the given query.
+ *
+ * @param {Map<string, Buffer>} objects - All objects of the bucket.
+ * @param {object} query - Query parameters.
+ * @return {string} The XML document.
+ */
+function listObjects(objects, query) {
+	const keys = [...objects.keys()].filter(key => key.startsWith(query.prefix || '')).sort();
+	const start = parseInt(query['continuation-token']) || 0;
+	const more = start + 2 < keys.length;
+	const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+	return '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>'
+		+ `<IsTruncated>${more}</IsTruncated>`
+		+ (more ? `<NextContinuationToken>${start + 2}</NextContinuationToken>` : '')
+		+ keys.slice(start, start + 2).map(key => '<Contents>'
+			+ `<Key>${escape(key)}</Key>`
+			+ `<Size>${objects.get(key).length}</Size>`
+			+ `<ETag>&quot;${md5(objects.get(key))}&quot;</ETag>`
+			+ '</Contents>').join('')
+		+ '</ListBucketResult>';
+}
+
+/**
+ * Sends an S3 error response.
+ *
+ * @param {http.ServerResponse} res - The response.
+ * @param {int} status - HTTP status code.
+ * @param {string} code - S3 error code.
+ */
+function sendError(res, status, code) {
+	res.writeHead(status, {'Content-Type': 'application/xml'});
+	res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+}
+
+/**
+ * Returns the MD5 hash of the data as hex string.
+ *
+ * @param {Buffer} data - The data.
+ * @return {string}
+ */
+function md5(data) {
+	return crypto.createHash('md5').update(data).digest('hex');
+}
+
+module.exports = {
+	startServer
+};
@@ -0,0 +1,218 @@
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const { estimateOffset, compensateOffset, mergeAreas } = require('../lib/shift');
+const { createImage } = require('./helpers');
+
+global.codeceptjs = require('codeceptjs');
+global.codecept_dir = path.join(os.tmpdir(), 'pixelmatch-test');
+global.output_dir = path.join(global.codecept_dir, 'output');
+
+const PixelmatchHelper = require('../index');
+
+/**
+ * Returns a pseudo-random color for every position, so every offset of the
+ * pattern is different.
+ *
+ * @param {int} x - Horizontal position.
+ * @param {int} y - Vertical position.
+ * @return {int[]}
+ */
+function pattern(x, y) {
+	const hash = Math.imul(x * 73856093 ^ y * 19349663, 0x5bd1e995) >>> 0;
+
+	return [hash & 255, (hash >> 8) & 255, (hash >> 16) & 255];
+}
+
+/**
+ * Returns an expected image and an actual image, in which the content is
+ * moved by the given offset.
+ *
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @param {{x: int, y: int}} offset - Offset of the actual content.
+ * @param {function(int, int): int[]} [color] - Optional. Color of a pixel.
+ * @return {{expected: PNG, actual: PNG}}
+ */
+function createShifted(width, height, offset, color) {
+	color = color || pattern;
+
+	return {
+		expected: createImage(width, height, color),
+		actual: createImage(width, height, (x, y) => color(x - offset.x, y - offset.y))
+	};
+}
+
+/**
+ * Returns empty ignore masks.
+ *
+ * @param {int} width - Image width.
+ * @param {int} height - Image height.
+ * @return {{expected: Uint8Array, actual: Uint8Array}}
+ */
+function noMask(width, height) {
+	return {
+		expected: new Uint8Array(width * height),
+		actual: new Uint8Array(width * height)
+	};
+}
+
+describe('shift', () => {
+	describe('estimateOffset()', () => {
+		const rect = {left: 0, top: 0, width: 40, height: 30};
+
+		it('finds the offset of moved content', () => {
+			const images = createShifted(40, 30, {x: 3, y: -2});
+			const offset = estimateOffset(images.expected.data, images.actual.data, 40, 30, rect, 5, noMask(40, 30));
+
+			assert.deepStrictEqual(offset, {x: 3, y: -2});
+		});
+
+		it('keeps the zero offset for unchanged content', () => {
+			const images = createShifted(40, 30, {x: 0, y: 0});
+			const offset = estimateOffset(images.expected.data, images.actual.data, 40, 30, rect, 5, noMask(40, 30));
+
+			assert.deepStrictEqual(offset, {x: 0, y: 0});
+		});
+
+		it('does not search beyond the max. distance', () => {
+			const images = createShifted(40, 30, {x: 6, y: 0});
+			const offset = estimateOffset(images.expected.data, images.actual.data, 40, 30, rect, 3, noMask(40, 30));
+
+			assert.ok(Math.abs(offset.x) <= 3 && Math.abs(offset.y) <= 3);
+			assert.notDeepStrictEqual(offset, {x: 6, y: 0});
+		});
+
+		it('compares transparent black content', () => {
+			const stripes = x => x % 5 ? [0, 0, 0, 0] : [255, 255, 255, 255];
+			const images = createShifted(40, 30, {x: 2, y: 0}, stripes);
+			const offset = estimateOffset(images.expected.data, images.actual.data, 40, 30, rect, 4, noMask(40, 30));
+
+			assert.deepStrictEqual(offset, {x: 2, y: 0});
+		});
+
+		it('skips ignored pixels', () => {
+			const images = createShifted(40, 30, {x: 0, y: 4});
+			const ignored = noMask(40, 30);
+
+			// A changed block that matches the zero offset, but is ignored.
+			for (let y = 0; y < 30; y++) {
+				for (let x = 0; x < 30; x++) {
+					const k = 4 * (y * 40 + x);
+
+					images.actual.data.set(images.expected.data.subarray(k, k + 4), k);
+					ignored.actual[y * 40 + x] = 1;
+				}
+			}
+
+			const offset = estimateOffset(images.expected.data, images.actual.data, 40, 30, rect, 5, ignored);
+
+			assert.deepStrictEqual(offset, {x: 0, y: 4});
+		});
+
+		it('samples large areas with a large distance', () => {
+			const images = createShifted(400, 300, {x: -37, y: 21});
+			const area = {left: 0, top: 0, width: 400, height: 300};
+			const offset = estimateOffset(images.expected.data, images.actual.data, 400, 300, area, 50, noMask(400, 300));
+
+			assert.deepStrictEqual(offset, {x: -37, y: 21});
+		});
+	});
+
+	describe('compensateOffset()', () => {
+		it('moves the content back and ignores pixels without content', () => {
+			const images = createShifted(10, 8, {x: 2, y: 1});
+			const target = Buffer.from(images.actual.data);
+			const expected = Buffer.from(images.expected.data);
+			const cleared = new Uint8Array(10 * 8);
+			const rect = {left: 0, top: 0, width: 10, height: 8};
+			const count = compensateOffset(target, expected, images.actual.data, 10, 8, rect, {x: 2, y: 1}, noMask(10, 8), cleared);
+
+			// The right two columns and the bottom row move in from outside.
+			assert.strictEqual(count, 2 * 8 + 8);
+			assert.strictEqual(cleared.reduce((sum, value) => sum + value, 0), count);
+			assert.ok(cleared[9] && cleared[7 * 10] && !cleared[0]);
+			assert.deepStrictEqual(target, expected);
+		});
+
+		it('ignores pixels that are moved in from ignored areas', () => {
+			const images = createShifted(10, 8, {x: 1, y: 0});
+			const ignored = noMask(10, 8);
+			const cleared = new Uint8Array(10 * 8);
+			const rect = {left: 0, top: 0, width: 5, height: 8};
+
+			ignored.actual[3] = 1;
+
+			const count = compensateOffset(
+				Buffer.from(images.actual.data),
+				Buffer.from(images.expected.data),
+				images.actual.data,
+				10,
+				8,
+				rect,
+				{x: 1, y: 0},
+				ignored,
+				cleared
+			);
+
+			assert.strictEqual(count, 1);
+			assert.strictEqual(cleared[2], 1);
+		});
+	});
+
+	describe('mergeAreas()', () => {
+		it('merges overlapping areas into their bounding box', () => {
+			const areas = mergeAreas([
+				{left: 0, top: 0, width: 10, height: 10},
+				{left: 5, top: 5, width: 10, height: 10},
+				{left: 30, top: 0, width: 2, height: 2}
+			]);
+
+			assert.deepStrictEqual(areas, [
+				{left: 0, top: 0, width: 15, height: 15},
+				{left: 30, top: 0, width: 2, height: 2}
+			]);
+		});
+
+		it('merges areas that overlap the merged area', () => {
+			const areas = mergeAreas([
+				{left: 0, top: 0, width: 4, height: 4},
+				{left: 10, top: 0, width: 4, height: 4},
+				{left: 2, top: 2, width: 10, height: 1}
+			]);
+
+			assert.deepStrictEqual(areas, [{left: 0, top: 0, width: 14, height: 4}]);
+		});
+
+		it('keeps adjacent areas and sorts them by size', () => {
+			const input = [
+				{left: 0, top: 0, width: 4, height: 4},
+				{left: 4, top: 0, width: 8, height: 4}
+			];
+			const areas = mergeAreas(input);
+
+			assert.deepStrictEqual(areas, [input[1], input[0]]);
+			assert.notStrictEqual(areas[0], input[1]);
+		});
+	});
+
+	describe('_sanitizeShift()', () => {
+		const helper = new PixelmatchHelper({});
+
+		it('uses a distance of 10 px by default', () => {
+			assert.deepStrictEqual(helper._sanitizeShift(true), {maxDistance: 10, compensate: false, scope: 'global'});
+			assert.strictEqual(helper._sanitizeShift({compensate: true, scope: 'regions'}).maxDistance, 10);
+		});
+
+		it('limits the distance to 50 px', () => {
+			assert.strictEqual(helper._sanitizeShift(500).maxDistance, 50);
+			assert.strictEqual(helper._sanitizeShift({maxDistance: '80'}).maxDistance, 50);
+		});
+
+		it('disables the detection without a distance', () => {
+			assert.strictEqual(helper._sanitizeShift(false), false);
+			assert.strictEqual(helper._sanitizeShift(0), false);
+			assert.strictEqual(helper._sanitizeShift({maxDistance: 0}), false);
+		});
+	});
+});
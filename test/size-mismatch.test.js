@@ -0,0 +1,76 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+global.codeceptjs = require('codeceptjs');
+global.codecept_dir = path.join(os.tmpdir(), 'pixelmatch-test');
+global.output_dir = path.join(global.codecept_dir, 'output');
+
+const PixelmatchHelper = require('../index');
+const { createImage } = require('./helpers');
+
+describe('sizeMismatch', () => {
+	let root;
+	let helper;
+
+	beforeEach(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelmatch-size-'));
+
+		['base', 'actual', 'diff'].forEach(dir => fs.mkdirSync(path.join(root, dir)));
+
+		helper = new PixelmatchHelper({
+			dirExpected: path.join(root, 'base') + '/',
+			dirActual: path.join(root, 'actual') + '/',
+			dirDiff: path.join(root, 'diff') + '/'
+		});
+		helper.debug = () => {};
+		helper.debugSection = () => {};
+	});
+
+	afterEach(() => {
+		fs.rmSync(root, {recursive: true, force: true});
+	});
+
+	/**
+	 * Compares a white 4x4 actual image with a white 4x6 base image.
+	 *
+	 * @param {object} [options] - Optional. Additional comparison options.
+	 * @return {Promise<object>}
+	 */
+	function compare(options) {
+		fs.writeFileSync(path.join(root, 'actual', 'page.png'), PNG.sync.write(createImage(4, 4)));
+		fs.writeFileSync(path.join(root, 'base', 'page.png'), PNG.sync.write(createImage(4, 6)));
+
+		return helper.getVisualDifferences('page.png', Object.assign({
+			captureActual: false,
+			captureExpected: false,
+			sizeMismatch: 'anchor-top-left',
+			tolerance: 0
+		}, options));
+	}
+
+	it('counts the pixels of the larger image as different', async () => {
+		const res = await compare();
+
+		assert.strictEqual(res.totalPixels, 24);
+		assert.strictEqual(res.relevantPixels, 24);
+		assert.strictEqual(res.diffPixels, 8);
+	});
+
+	it('ignores areas that are only present in the base image', async () => {
+		const res = await compare({ignore: [{left: 0, top: 3, width: 4, height: 3}]});
+
+		assert.strictEqual(res.relevantPixels, 24 - 12);
+		assert.strictEqual(res.diffPixels, 0);
+		assert.strictEqual(res.match, true);
+	});
+
+	it('ignores pixels outside the bounds in both images', async () => {
+		const res = await compare({bounds: {left: 1, top: 0, width: 3, height: 4}});
+
+		assert.strictEqual(res.relevantPixels, 12);
+		assert.strictEqual(res.diffPixels, 0);
+	});
+});
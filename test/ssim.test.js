@@ -0,0 +1,50 @@
+const assert = require('assert');
+const ssim = require('../lib/ssim');
+const { createImage } = require('./helpers');
+
+// Vertical stripes, 2 dark pixels in every 8 pixels.
+const stripes = shift => (x) => ((x + shift) % 8 < 2) ? [0, 0, 0] : [255, 255, 255];
+
+describe('ssim', () => {
+	it('returns a similarity of 1 for identical images', () => {
+		const img = createImage(32, 32, stripes(0));
+		const result = ssim(img.data, img.data, null, 32, 32);
+
+		assert.deepStrictEqual(result, {diffPixels: 0, similarity: 1});
+	});
+
+	it('marks windows below the threshold as different', () => {
+		const expected = createImage(32, 32, stripes(0));
+		const actual = createImage(32, 32, stripes(1));
+		const output = new Uint8Array(32 * 32 * 4);
+		const result = ssim(expected.data, actual.data, output, 32, 32);
+
+		assert.strictEqual(result.diffPixels, 32 * 32);
+		assert.ok(result.similarity < 0.5);
+		assert.deepStrictEqual(Array.from(output.subarray(0, 4)), [255, 0, 0, 255]);
+	});
+
+	it('accepts small changes with a higher threshold', () => {
+		const expected = createImage(16, 16, () => [200, 200, 200]);
+		const actual = createImage(16, 16, (x, y) => (x || y) ? [200, 200, 200] : [150, 150, 150]);
+
+		assert.ok(ssim(expected.data, actual.data, null, 16, 16, {threshold: 0}).diffPixels > 0);
+		assert.strictEqual(ssim(expected.data, actual.data, null, 16, 16, {threshold: 0.5}).diffPixels, 0);
+	});
+
+	it('ignores windows that are cleared in both images', () => {
+		const expected = createImage(16, 8, x => x < 8 ? [0, 0, 0, 0] : [255, 255, 255]);
+		const actual = createImage(16, 8, x => x < 8 ? [0, 0, 0, 0] : [255, 255, 255]);
+		const result = ssim(expected.data, actual.data, null, 16, 8);
+
+		assert.deepStrictEqual(result, {diffPixels: 0, similarity: 1});
+	});
+
+	it('uses the window size option', () => {
+		const expected = createImage(16, 16, () => [255, 255, 255]);
+		const actual = createImage(16, 16, (x, y) => (x < 2 && y < 2) ? [0, 0, 0] : [255, 255, 255]);
+
+		assert.strictEqual(ssim(expected.data, actual.data, null, 16, 16, {windowSize: 8}).diffPixels, 64);
+		assert.strictEqual(ssim(expected.data, actual.data, null, 16, 16, {windowSize: 4}).diffPixels, 16);
+	});
+});
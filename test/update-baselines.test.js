@@ -0,0 +1,119 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+global.codeceptjs = require('codeceptjs');
+global.codecept_dir = path.join(os.tmpdir(), 'pixelmatch-test');
+global.output_dir = path.join(global.codecept_dir, 'output');
+
+const PixelmatchHelper = require('../index');
+const { createImage } = require('./helpers');
+
+describe('updateBaselines', () => {
+	let root;
+	let dirs;
+
+	beforeEach(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelmatch-update-'));
+		dirs = {
+			expected: path.join(root, 'base') + '/',
+			actual: path.join(root, 'actual') + '/',
+			diff: path.join(root, 'diff') + '/'
+		};
+
+		Object.values(dirs).forEach(dir => fs.mkdirSync(dir));
+	});
+
+	afterEach(() => {
+		fs.rmSync(root, {recursive: true, force: true});
+	});
+
+	/**
+	 * Returns a helper in update mode.
+	 *
+	 * @param {object} [config] - Optional. Additional helper config.
+	 * @return {PixelmatchHelper}
+	 */
+	function createHelper(config) {
+		const helper = new PixelmatchHelper(Object.assign({
+			dirExpected: dirs.expected,
+			dirActual: dirs.actual,
+			dirDiff: dirs.diff,
+			updateBaselines: true
+		}, config));
+
+		helper.debug = () => {};
+		helper.debugSection = () => {};
+
+		return helper;
+	}
+
+	/**
+	 * Saves a gray image.
+	 *
+	 * @param {string} file - Absolute path of the image.
+	 * @param {int} width - Image width.
+	 * @param {int} height - Image height.
+	 * @param {int} gray - Color of the image.
+	 */
+	function saveImage(file, width, height, gray) {
+		fs.mkdirSync(path.dirname(file), {recursive: true});
+		fs.writeFileSync(file, PNG.sync.write(createImage(width, height, () => [gray, gray, gray])));
+	}
+
+	/**
+	 * Compares the actual image "page.png" with its base images.
+	 *
+	 * @param {PixelmatchHelper} helper - The helper instance.
+	 * @param {object} [options] - Optional. Additional comparison options.
+	 * @return {Promise<object>}
+	 */
+	function compare(helper, options) {
+		return helper.getVisualDifferences('page.png', Object.assign({
+			captureActual: false,
+			captureExpected: false,
+			tolerance: 0
+		}, options));
+	}
+
+	it('replaces the base image of a failed comparison', async () => {
+		saveImage(dirs.expected + 'page.png', 4, 4, 255);
+		saveImage(dirs.actual + 'page.png', 4, 4, 0);
+
+		const res = await compare(createHelper());
+
+		assert.strictEqual(res.match, true);
+		assert.strictEqual(res.baselineUpdated, true);
+		assert.deepStrictEqual(fs.readFileSync(dirs.expected + 'page.png'), fs.readFileSync(dirs.actual + 'page.png'));
+	});
+
+	it('replaces a shared base image in the shared folder', async () => {
+		saveImage(dirs.expected + 'page.png', 4, 4, 255);
+		saveImage(dirs.actual + 'page.png', 4, 4, 0);
+
+		await compare(createHelper({baselineNamespace: 'chromium'}));
+
+		assert.deepStrictEqual(fs.readFileSync(dirs.expected + 'page.png'), fs.readFileSync(dirs.actual + 'page.png'));
+		assert.ok(!fs.existsSync(dirs.expected + 'chromium/page.png'));
+	});
+
+	it('keeps failing on a size change with sizeMismatch "fail"', async () => {
+		saveImage(dirs.expected + 'page.png', 4, 4, 255);
+		saveImage(dirs.actual + 'page.png', 4, 6, 255);
+
+		await assert.rejects(compare(createHelper()), /Image sizes do not match/);
+		assert.strictEqual(PNG.sync.read(fs.readFileSync(dirs.expected + 'page.png')).height, 4);
+	});
+
+	it('accepts a size change when the images are aligned', async () => {
+		saveImage(dirs.expected + 'page.png', 4, 4, 255);
+		saveImage(dirs.actual + 'page.png', 4, 6, 255);
+
+		const res = await compare(createHelper(), {sizeMismatch: 'pad'});
+
+		assert.strictEqual(res.baselineUpdated, true);
+		assert.strictEqual(PNG.sync.read(fs.readFileSync(dirs.expected + 'page.png')).height, 6);
+	});
+});